@@ -54,6 +54,9 @@ contract StravaChallenge {
     // Emergency withdrawal period (14 days after end)
     uint256 public constant EMERGENCY_PERIOD = 14 days;
 
+    // Split prize shares are expressed in basis points
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
     event ChallengeCreated(
         uint256 indexed challengeId,
         address indexed creator,
@@ -274,26 +277,9 @@ contract StravaChallenge {
         require(challengeId < challenges.length, "Challenge does not exist");
         Challenge storage challenge = challenges[challengeId];
 
-        require(
-            getEffectiveState(challengeId) == ChallengeState.GRACE_PERIOD,
-            "Challenge not in grace period"
-        );
-        require(
-            block.timestamp >= challenge.endTime,
-            "Challenge not ended"
-        );
-        require(
-            block.timestamp < challenge.endTime + EMERGENCY_PERIOD,
-            "Emergency period active"
-        );
+        _requireClaimable(challengeId, dataHash, timestamp);
         require(msg.sender == winner, "Caller must be winner");
         require(participants[challengeId][winner].hasJoined, "Winner not a participant");
-        require(dataHash != bytes32(0), "Invalid data hash");
-        require(timestamp <= block.timestamp, "Signature from future");
-        require(
-            block.timestamp - timestamp < 30 days,
-            "Signature too old"
-        );
 
         // Verify oracle signature
         bytes32 messageHash = keccak256(
@@ -323,6 +309,143 @@ contract StravaChallenge {
         payable(winner).transfer(prize);
     }
 
+    /**
+     * @notice Claim a prize split between several winners with oracle-signed results
+     * @dev Used for shared wins and ranked payouts (e.g. 60/30/10). Any listed
+     *      winner can submit and every winner is paid in the same transaction.
+     * @param challengeId The challenge to claim from
+     * @param winners Winners in payout order; winners[0] is recorded as the challenge winner
+     * @param sharesBps Each winner's share of the prize in basis points, totalling 10000
+     * @param dataHash Hash of all participant confirmations/results
+     * @param timestamp When oracle signed this result
+     * @param oracleSignature Oracle's signature of the split finalization data
+     */
+    function claimPrizeSplitWithSignature(
+        uint256 challengeId,
+        address[] calldata winners,
+        uint256[] calldata sharesBps,
+        bytes32 dataHash,
+        uint256 timestamp,
+        bytes calldata oracleSignature
+    ) external {
+        require(challengeId < challenges.length, "Challenge does not exist");
+        _requireClaimable(challengeId, dataHash, timestamp);
+        _requireValidSplit(challengeId, winners, sharesBps);
+
+        // Verify oracle signature over the full payout table
+        bytes32 messageHash = keccak256(
+            abi.encodePacked(
+                "FINALIZE_CHALLENGE_SPLIT_",
+                challengeId,
+                winners,
+                sharesBps,
+                dataHash,
+                timestamp
+            )
+        ).toEthSignedMessageHash();
+
+        address signer = messageHash.recover(oracleSignature);
+        require(signer == oracle, "Invalid oracle signature");
+
+        Challenge storage challenge = challenges[challengeId];
+        challenge.state = ChallengeState.COMPLETED;
+        challenge.winner = winners[0];
+        challenge.finalDataHash = dataHash;
+
+        uint256 prize = challenge.totalStaked;
+        challenge.totalStaked = 0;
+
+        emit ChallengeFinalized(challengeId, winners[0], dataHash, prize);
+
+        _payoutSplit(challengeId, winners, sharesBps, prize);
+    }
+
+    /**
+     * @dev Pay each winner their share of the prize
+     *      Integer division leaves a few wei of dust, which goes to winners[0]
+     */
+    function _payoutSplit(
+        uint256 challengeId,
+        address[] calldata winners,
+        uint256[] calldata sharesBps,
+        uint256 prize
+    ) internal {
+        uint256[] memory amounts = new uint256[](winners.length);
+        uint256 allocated = 0;
+        for (uint256 i = 0; i < winners.length; i++) {
+            amounts[i] = (prize * sharesBps[i]) / BPS_DENOMINATOR;
+            allocated += amounts[i];
+        }
+        amounts[0] += prize - allocated;
+
+        for (uint256 i = 0; i < winners.length; i++) {
+            emit PrizeClaimed(challengeId, winners[i], amounts[i]);
+            payable(winners[i]).transfer(amounts[i]);
+        }
+    }
+
+    /**
+     * @dev Checks shared by both claim functions: the challenge is in its
+     *      grace period and the oracle's result is recent and non-empty
+     */
+    function _requireClaimable(
+        uint256 challengeId,
+        bytes32 dataHash,
+        uint256 timestamp
+    ) internal view {
+        Challenge storage challenge = challenges[challengeId];
+
+        require(
+            getEffectiveState(challengeId) == ChallengeState.GRACE_PERIOD,
+            "Challenge not in grace period"
+        );
+        require(
+            block.timestamp >= challenge.endTime,
+            "Challenge not ended"
+        );
+        require(
+            block.timestamp < challenge.endTime + EMERGENCY_PERIOD,
+            "Emergency period active"
+        );
+        require(dataHash != bytes32(0), "Invalid data hash");
+        require(timestamp <= block.timestamp, "Signature from future");
+        require(
+            block.timestamp - timestamp < 30 days,
+            "Signature too old"
+        );
+    }
+
+    /**
+     * @dev Winners must be distinct participants, the caller must be one of
+     *      them and the shares must total 100%
+     */
+    function _requireValidSplit(
+        uint256 challengeId,
+        address[] calldata winners,
+        uint256[] calldata sharesBps
+    ) internal view {
+        require(winners.length > 0, "No winners");
+        require(winners.length == sharesBps.length, "Winners and shares length mismatch");
+
+        uint256 totalBps = 0;
+        bool callerIsWinner = false;
+
+        for (uint256 i = 0; i < winners.length; i++) {
+            require(participants[challengeId][winners[i]].hasJoined, "Winner not a participant");
+            require(sharesBps[i] > 0, "Share must be positive");
+            for (uint256 j = 0; j < i; j++) {
+                require(winners[j] != winners[i], "Duplicate winner");
+            }
+            if (winners[i] == msg.sender) {
+                callerIsWinner = true;
+            }
+            totalBps += sharesBps[i];
+        }
+
+        require(totalBps == BPS_DENOMINATOR, "Shares must total 10000 bps");
+        require(callerIsWinner, "Caller must be a winner");
+    }
+
     /**
      * @notice Withdraw stake from cancelled challenge
      * @dev Lazily updates stored state to CANCELLED on first withdrawal if needed
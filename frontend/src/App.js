@@ -3,6 +3,7 @@ import { WalletProvider } from './context/WalletContext';
 import WalletConnect from './components/WalletConnect';
 import CreateChallenge from './components/CreateChallenge';
 import ChallengeView from './components/ChallengeView';
+import MyChallenges from './components/MyChallenges';
 import './App.css';
 
 function App() {
@@ -20,6 +21,8 @@ function App() {
         setCurrentView('challenge');
       } else if (hash === '/create') {
         setCurrentView('create');
+      } else if (hash === '/my-challenges') {
+        setCurrentView('my-challenges');
       } else {
         setCurrentView('home');
       }
@@ -36,6 +39,8 @@ function App() {
       window.location.hash = `/challenge/${id}`;
     } else if (view === 'create') {
       window.location.hash = '/create';
+    } else if (view === 'my-challenges') {
+      window.location.hash = '/my-challenges';
     } else {
       window.location.hash = '/';
     }
@@ -50,6 +55,9 @@ function App() {
             <button onClick={() => navigate('home')} className="nav-link">
               Home
             </button>
+            <button onClick={() => navigate('my-challenges')} className="nav-link">
+              My Challenges
+            </button>
             <button onClick={() => navigate('create')} className="nav-link">
               Create Challenge
             </button>
@@ -60,6 +68,7 @@ function App() {
         <main>
           {currentView === 'home' && <HomePage navigate={navigate} />}
           {currentView === 'create' && <CreateChallenge />}
+          {currentView === 'my-challenges' && <MyChallenges />}
           {currentView === 'challenge' && challengeId && (
             <ChallengeView challengeId={parseInt(challengeId)} />
           )}
@@ -106,7 +115,8 @@ function HomePage({ navigate }) {
           </li>
           <li>
             <strong>Compete</strong> - During the challenge period, run/cycle and
-            log activities on Strava. The leaderboard updates hourly
+            log activities on Strava. The leaderboard updates hourly, and every
+            15 minutes in the final day
           </li>
           <li>
             <strong>Win</strong> - After the challenge ends and a 7-day grace
@@ -124,6 +134,14 @@ function HomePage({ navigate }) {
           </button>
         </div>
 
+        <div className="action-card">
+          <h3>My Challenges</h3>
+          <p>See challenges you created, were invited to or joined, and what needs doing</p>
+          <button onClick={() => navigate('my-challenges')} className="btn btn-secondary">
+            My Challenges
+          </button>
+        </div>
+
         <div className="action-card">
           <h3>View a Challenge</h3>
           <p>Enter a challenge ID to view details and join</p>
@@ -2,8 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { useWallet } from '../context/WalletContext';
 import { ethers } from 'ethers';
 import { getStateLabel } from '../utils/contract';
-import { getStravaStatus, getStravaAuthUrl, getFinalization, confirmMileage, setMockMileage, isMockMode as checkMockMode, getParticipants, getLeaderboard } from '../utils/api';
+import { getStravaStatus, getStravaAuthUrl, getSignInRequest, createStravaSession, getFinalization, getFinalResults, getConfirmation, getDisputes, confirmMileage, setMockMileage, isMockMode as checkMockMode, getParticipants, getLeaderboard, getChallengeFromOracle } from '../utils/api';
 import Leaderboard from './Leaderboard';
+import ResultProof from './ResultProof';
+import MetadataFields from './MetadataFields';
+import { signAndOpenDispute, signAndResolveDispute } from '../utils/disputes';
+import { DEFAULT_METADATA, METRIC_OPTIONS, TIE_BREAK_OPTIONS, signAndSaveMetadata, formatPayoutSplit } from '../utils/metadata';
 import { debugBlockchainState } from '../utils/debug';
 import { parseBlockchainError, getOperationError } from '../utils/blockchainErrors';
 
@@ -11,6 +15,9 @@ function ChallengeView({ challengeId }) {
   const { contract, account, isConnected, getReadOnlyContract } = useWallet();
   const [challenge, setChallenge] = useState(null);
   const [participants, setParticipants] = useState([]);
+  const [whitelist, setWhitelist] = useState(null);
+  const [metadata, setMetadata] = useState(null);
+  const [editingMetadata, setEditingMetadata] = useState(null);
   const [isAllowed, setIsAllowed] = useState(false);
   const [hasJoined, setHasJoined] = useState(false);
   const [stravaConnected, setStravaConnected] = useState(false);
@@ -22,9 +29,12 @@ function ChallengeView({ challengeId }) {
   const [isMockMode, setIsMockMode] = useState(false);
   const [blockchainTime, setBlockchainTime] = useState(null);
   const [hasConfirmed, setHasConfirmed] = useState(false);
-  const [isLeader, setIsLeader] = useState(false);
+  const [isPrizeWinner, setIsPrizeWinner] = useState(false);
   const [userStake, setUserStake] = useState(null);
   const [allParticipantsConfirmed, setAllParticipantsConfirmed] = useState(false);
+  const [finalResults, setFinalResults] = useState(null);
+  const [disputes, setDisputes] = useState(null);
+  const [disputeForm, setDisputeForm] = useState({ targetAddress: '', activityId: '', reason: '' });
 
   useEffect(() => {
     loadChallenge();
@@ -91,11 +101,32 @@ function ChallengeView({ challengeId }) {
         totalStaked: data.totalStaked,
         state: Number(state),
         winner: data.winner,
+        finalDataHash: data.finalDataHash,
         participantCount: Number(data.participantCount)
       });
 
       setParticipants(participantAddresses);
 
+      // Disputes can be opened from the grace period on
+      if (Number(state) >= 2) {
+        try {
+          setDisputes(await getDisputes(challengeId));
+        } catch (err) {
+          console.error('Error fetching disputes:', err);
+          // Don't throw - just log the error
+        }
+      }
+
+      // Whitelist and join status come from the oracle index
+      try {
+        const oracleData = await getChallengeFromOracle(challengeId);
+        setWhitelist(oracleData.invited?.length > 0 ? oracleData : null);
+        setMetadata(oracleData.metadata?.metadata || null);
+      } catch (err) {
+        console.error('Error fetching whitelist from oracle:', err);
+        // Don't throw - fall back to the on-chain participant list
+      }
+
       // Check if current user is allowed and has joined
       if (account) {
         const allowed = await contractToUse.isAllowedParticipant(challengeId, account);
@@ -111,24 +142,32 @@ function ChallengeView({ challengeId }) {
             // Check confirmation status and leader status from oracle
             try {
               const participantsData = await getParticipants(challengeId);
+              const finalResultsData = await getFinalResults(challengeId);
+              setFinalResults(finalResultsData);
+
+              // Only confirmations of the current final results revision count
+              const confirmedCurrent = (p) => p.confirmed &&
+                (!finalResultsData || p.confirmedRevision === finalResultsData.revision);
+
               const currentUserData = participantsData.participants.find(
                 p => p.walletAddress.toLowerCase() === account.toLowerCase()
               );
               if (currentUserData) {
-                setHasConfirmed(currentUserData.confirmed);
+                setHasConfirmed(confirmedCurrent(currentUserData));
               }
 
               // Check if all participants have confirmed
               const allConfirmed = participantsData.participants.length > 0 &&
-                participantsData.participants.every(p => p.confirmed);
+                participantsData.participants.every(confirmedCurrent);
               setAllParticipantsConfirmed(allConfirmed);
 
-              // Check if user is the leader (rank 1 on leaderboard)
+              // Check if user is in line for a share of the prize
               try {
                 const leaderboardData = await getLeaderboard(challengeId);
                 if (leaderboardData.leaderboard && leaderboardData.leaderboard.length > 0) {
-                  const leader = leaderboardData.leaderboard[0];
-                  setIsLeader(leader.address.toLowerCase() === account.toLowerCase());
+                  setIsPrizeWinner(leaderboardData.leaderboard.some(entry =>
+                    entry.payoutBps > 0 && entry.address.toLowerCase() === account.toLowerCase()
+                  ));
                 }
               } catch (err) {
                 console.error('Error fetching leaderboard for leader check:', err);
@@ -165,9 +204,37 @@ function ChallengeView({ challengeId }) {
     }
   };
 
-  const handleConnectStrava = () => {
-    const authUrl = getStravaAuthUrl(account, challengeId);
-    window.open(authUrl, '_blank', 'width=600,height=700');
+  const handleConnectStrava = async () => {
+    // Open the window now, while the click still allows popups
+    const popup = window.open('', '_blank', 'width=600,height=700');
+
+    try {
+      setTxStatus('Signing in with your wallet...');
+      setError(null);
+
+      // Sign in so the oracle only links Strava to a wallet we control
+      const { message } = await getSignInRequest(account);
+      const signer = await contract.runner.provider.getSigner();
+      const signature = await signer.signMessage(message);
+      const { state } = await createStravaSession(message, signature, challengeId);
+
+      if (popup) {
+        popup.location.href = getStravaAuthUrl(state);
+      } else {
+        window.open(getStravaAuthUrl(state), '_blank', 'width=600,height=700');
+      }
+      setTxStatus(null);
+
+    } catch (err) {
+      console.error('Error connecting Strava:', err);
+      if (popup) {
+        popup.close();
+      }
+      const userFriendlyError = parseBlockchainError(err, 'connecting Strava');
+      setError(userFriendlyError);
+      setTxStatus(null);
+      return;
+    }
 
     // Poll for Strava connection
     const pollInterval = setInterval(async () => {
@@ -225,13 +292,23 @@ function ChallengeView({ challengeId }) {
 
       setTxStatus('Claiming prize...');
 
-      const tx = await contract.claimPrizeWithSignature(
-        challengeId,
-        finalizationData.winner.address,
-        finalizationData.dataHash,
-        finalizationData.timestamp,
-        finalizationData.signature
-      );
+      // Split payouts pay every winner in one transaction
+      const tx = finalizationData.split
+        ? await contract.claimPrizeSplitWithSignature(
+          challengeId,
+          finalizationData.winners,
+          finalizationData.sharesBps,
+          finalizationData.dataHash,
+          finalizationData.timestamp,
+          finalizationData.signature
+        )
+        : await contract.claimPrizeWithSignature(
+          challengeId,
+          finalizationData.winner.address,
+          finalizationData.dataHash,
+          finalizationData.timestamp,
+          finalizationData.signature
+        );
 
       setTxStatus(`Transaction submitted: ${tx.hash.substring(0, 10)}...`);
       await tx.wait();
@@ -253,12 +330,20 @@ function ChallengeView({ challengeId }) {
       setTxStatus('Signing confirmation...');
       setError(null);
 
+      // Sign the latest revision, in case a sync has revised it since loading
+      const latest = await getFinalResults(challengeId);
+      if (!latest) {
+        throw new Error('Final results are not ready yet. Try again after the next sync.');
+      }
+      setFinalResults(latest);
+
+      // Typed data names the exact score, results hash and a deadline
+      const { revision, deadline, typedData } = await getConfirmation(challengeId, account);
       const signer = await contract.runner.provider.getSigner();
-      const message = `CONFIRM_CHALLENGE_${challengeId}`;
-      const signature = await signer.signMessage(message);
+      const signature = await signer.signTypedData(typedData.domain, typedData.types, typedData.message);
 
       setTxStatus('Submitting confirmation...');
-      await confirmMileage(challengeId, account, signature);
+      await confirmMileage(challengeId, account, revision, deadline, signature);
 
       setTxStatus('Mileage confirmed!');
       setHasConfirmed(true);
@@ -272,6 +357,85 @@ function ChallengeView({ challengeId }) {
     }
   };
 
+  const handleOpenDispute = async (e) => {
+    e.preventDefault();
+    try {
+      setTxStatus('Signing dispute...');
+      setError(null);
+
+      const signer = await contract.runner.provider.getSigner();
+      await signAndOpenDispute(signer, {
+        challengeId: Number(challengeId),
+        walletAddress: account,
+        targetAddress: disputeForm.targetAddress,
+        activityId: disputeForm.activityId ? Number(disputeForm.activityId) : null,
+        reason: disputeForm.reason
+      });
+
+      setTxStatus('Dispute opened!');
+      setDisputeForm({ targetAddress: '', activityId: '', reason: '' });
+      setDisputes(await getDisputes(challengeId));
+      setTimeout(() => setTxStatus(null), 3000);
+
+    } catch (err) {
+      console.error('Error opening dispute:', err);
+      setError(parseBlockchainError(err, 'opening dispute'));
+      setTxStatus(null);
+    }
+  };
+
+  const handleResolveDispute = async (disputeId, action) => {
+    const note = action === 'withdraw' ? null : window.prompt('Resolution note (optional)');
+    if (note === undefined) return;
+
+    try {
+      setTxStatus('Signing resolution...');
+      setError(null);
+
+      const signer = await contract.runner.provider.getSigner();
+      await signAndResolveDispute(signer, disputeId, action, account, note);
+
+      setTxStatus(`Dispute ${action === 'uphold' ? 'upheld' : action === 'reject' ? 'rejected' : 'withdrawn'}!`);
+      setDisputes(await getDisputes(challengeId));
+      setTimeout(() => setTxStatus(null), 3000);
+
+    } catch (err) {
+      console.error('Error resolving dispute:', err);
+      setError(parseBlockchainError(err, 'resolving dispute'));
+      setTxStatus(null);
+    }
+  };
+
+  const handleEditMetadata = () => {
+    setEditingMetadata(metadata ? {
+      ...DEFAULT_METADATA,
+      ...metadata,
+      description: metadata.description || '',
+      coverImage: metadata.coverImage || ''
+    } : DEFAULT_METADATA);
+  };
+
+  const handleSaveMetadata = async (e) => {
+    e.preventDefault();
+    try {
+      setTxStatus('Signing challenge details...');
+      setError(null);
+
+      const signer = await contract.runner.provider.getSigner();
+      const result = await signAndSaveMetadata(signer, challengeId, editingMetadata, 0);
+
+      setMetadata(result.metadata);
+      setEditingMetadata(null);
+      setTxStatus('Challenge details saved!');
+      setTimeout(() => setTxStatus(null), 3000);
+
+    } catch (err) {
+      console.error('Error saving challenge details:', err);
+      setError(parseBlockchainError(err, 'saving challenge details'));
+      setTxStatus(null);
+    }
+  };
+
   const handleSetMockMileage = async () => {
     try {
       setTxStatus('Setting mock mileage...');
@@ -391,12 +555,13 @@ function ChallengeView({ challengeId }) {
 
     const GRACE_PERIOD = 7 * 24 * 60 * 60; // 7 days in seconds
     const gracePeriodEnded = blockchainTime >= challenge.endTime + GRACE_PERIOD;
-    const canFinalize = allParticipantsConfirmed || gracePeriodEnded;
+    // Open disputes block early finalization
+    const canFinalize = (allParticipantsConfirmed && !(disputes?.openCount > 0)) || gracePeriodEnded;
 
     return challenge.state === 2 && // GRACE_PERIOD
            challenge.winner === ethers.ZeroAddress &&
            hasJoined &&
-           isLeader && // Only the leader can claim
+           isPrizeWinner && // Only wallets paid a share can claim
            canFinalize; // All confirmed or grace period ended
   };
 
@@ -414,6 +579,17 @@ function ChallengeView({ challengeId }) {
            userStake > 0; // User still has stake to withdraw
   };
 
+  const canEditMetadata = () => {
+    if (!challenge || !isConnected || !account || !blockchainTime) return false;
+    return challenge.creator.toLowerCase() === account.toLowerCase() &&
+           challenge.state === 0 && // PENDING
+           blockchainTime < challenge.startTime;
+  };
+
+  const getMetricLabel = (metricId) => {
+    return METRIC_OPTIONS.find(option => option.id === metricId)?.label || metricId;
+  };
+
   const canWithdrawFromCancelled = () => {
     if (!challenge || !isConnected || !account || !userStake) return false;
     return challenge.state === 3 && // CANCELLED
@@ -443,7 +619,15 @@ function ChallengeView({ challengeId }) {
         </div>
       )}
 
-      <h2>Challenge #{challenge.id}</h2>
+      {metadata?.coverImage && (
+        <img src={metadata.coverImage} alt="" className="cover-image" />
+      )}
+
+      <h2>{metadata ? `${metadata.title} (#${challenge.id})` : `Challenge #${challenge.id}`}</h2>
+
+      {metadata?.description && (
+        <p className="challenge-description">{metadata.description}</p>
+      )}
 
       <div className="challenge-info">
         <div className="info-row">
@@ -483,6 +667,30 @@ function ChallengeView({ challengeId }) {
           <span>{challenge.participantCount}</span>
         </div>
 
+        {metadata && (
+          <div className="info-row">
+            <strong>Scoring:</strong>
+            <span>{getMetricLabel(metadata.metric)} - {metadata.sportTypes.join(', ')}</span>
+          </div>
+        )}
+
+        {metadata?.windowMode === 'local' && (
+          <div className="info-row">
+            <strong>Window:</strong>
+            <span>Athletes' local time, dates in {metadata.timezone}</span>
+          </div>
+        )}
+
+        {metadata && (
+          <div className="info-row">
+            <strong>Prize:</strong>
+            <span>
+              {formatPayoutSplit(metadata.payoutSplit)} split, ties broken by{' '}
+              {(TIE_BREAK_OPTIONS.find(option => option.id === (metadata.tieBreak || 'earliest'))?.label || metadata.tieBreak).toLowerCase()}
+            </span>
+          </div>
+        )}
+
         {challenge.winner !== ethers.ZeroAddress && (
           <div className="info-row">
             <strong>Winner:</strong>
@@ -494,6 +702,27 @@ function ChallengeView({ challengeId }) {
       {error && <div className="error">{error}</div>}
       {txStatus && <div className="success">{txStatus}</div>}
 
+      {/* Creator can set the details until the challenge starts */}
+      {canEditMetadata() && !editingMetadata && (
+        <div className="actions">
+          <button onClick={handleEditMetadata} className="btn btn-secondary">
+            {metadata ? 'Edit Challenge Details' : 'Add Challenge Details'}
+          </button>
+        </div>
+      )}
+
+      {canEditMetadata() && editingMetadata && (
+        <form onSubmit={handleSaveMetadata} className="metadata-form">
+          <h3>Challenge Details</h3>
+          <MetadataFields value={editingMetadata} onChange={setEditingMetadata} />
+          <button type="submit" className="btn btn-primary">Sign and Save</button>
+          {' '}
+          <button type="button" onClick={() => setEditingMetadata(null)} className="btn btn-secondary">
+            Cancel
+          </button>
+        </form>
+      )}
+
       {/* Leaderboard for active/ended challenges */}
       {(challenge.state === 1 || challenge.state === 2 || canEmergencyWithdraw()) && (
         <Leaderboard challengeId={challengeId} currentAccount={account} />
@@ -525,10 +754,95 @@ function ChallengeView({ challengeId }) {
       {challenge.state === 2 && hasJoined && !hasConfirmed && (
         <div className="actions">
           <h3>Confirm</h3>
-          <p>Use this button to confirm that all your activities for the challenge are uploaded to Strava and the total on the Leaderboard above is correct.</p>
-          <button onClick={handleConfirmMileage} className="btn btn-secondary">
-            Confirm My Mileage
-          </button>
+          {finalResults ? (
+            <>
+              <p>Use this button to confirm that all your activities for the challenge are uploaded to Strava and your final result below is correct.</p>
+              <p>
+                Your final score (revision {finalResults.revision}): {
+                  finalResults.entries.find(entry => entry.address === account.toLowerCase())?.score ?? 0
+                }
+              </p>
+              {finalResults.revision > 1 && (
+                <p>The results changed after earlier confirmations, so everyone needs to confirm again.</p>
+              )}
+              <button onClick={handleConfirmMileage} className="btn btn-secondary">
+                Confirm My Mileage
+              </button>
+            </>
+          ) : (
+            <p>Your final result will be ready to confirm after the first sync following the end of the challenge.</p>
+          )}
+        </div>
+      )}
+
+      {/* Disputes during the grace period */}
+      {disputes && (challenge.state === 2 || disputes.disputes.length > 0) && (
+        <div className="actions">
+          <h3>Disputes</h3>
+          {disputes.openCount > 0 && challenge.state === 2 && (
+            <p className="info">
+              {disputes.openCount} open dispute(s). The challenge can't be finalized early until they are resolved.
+            </p>
+          )}
+          {disputes.disputes.length > 0 && (
+            <ul>
+              {disputes.disputes.map(dispute => (
+                <li key={dispute.id}>
+                  <strong>#{dispute.id}</strong> {formatAddress(dispute.openedBy)} disputes {formatAddress(dispute.targetAddress)}
+                  {dispute.activityId && ` (activity ${dispute.activityId})`}: {dispute.reason}
+                  {' - '}{dispute.status}
+                  {dispute.resolutionNote && ` (${dispute.resolutionNote})`}
+                  {dispute.status === 'open' && challenge.state === 2 && isConnected && (
+                    <>
+                      {challenge.creator.toLowerCase() === account?.toLowerCase() && (
+                        <>
+                          {' '}
+                          <button onClick={() => handleResolveDispute(dispute.id, 'uphold')} className="btn btn-secondary btn-sm">Uphold</button>
+                          {' '}
+                          <button onClick={() => handleResolveDispute(dispute.id, 'reject')} className="btn btn-secondary btn-sm">Reject</button>
+                        </>
+                      )}
+                      {dispute.openedBy === account?.toLowerCase() && (
+                        <>
+                          {' '}
+                          <button onClick={() => handleResolveDispute(dispute.id, 'withdraw')} className="btn btn-secondary btn-sm">Withdraw</button>
+                        </>
+                      )}
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {challenge.state === 2 && hasJoined && (
+            <form onSubmit={handleOpenDispute}>
+              <p>Think a result is wrong? Open a dispute against a participant, or one of their activities, for the creator to resolve.</p>
+              <select
+                value={disputeForm.targetAddress}
+                onChange={(e) => setDisputeForm({ ...disputeForm, targetAddress: e.target.value })}
+                required
+              >
+                <option value="">Select participant</option>
+                {participants.map(addr => (
+                  <option key={addr} value={addr}>{formatAddress(addr)}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                placeholder="Strava activity ID (optional)"
+                value={disputeForm.activityId}
+                onChange={(e) => setDisputeForm({ ...disputeForm, activityId: e.target.value })}
+              />
+              <textarea
+                placeholder="Reason"
+                value={disputeForm.reason}
+                onChange={(e) => setDisputeForm({ ...disputeForm, reason: e.target.value })}
+                maxLength={1000}
+                required
+              />
+              <button type="submit" className="btn btn-secondary">Open Dispute</button>
+            </form>
+          )}
         </div>
       )}
 
@@ -616,8 +930,35 @@ function ChallengeView({ challengeId }) {
         </div>
       )}
 
+      {/* Check the user's entry against the Merkle root stored on-chain at claim time */}
+      {challenge.state === 4 && hasJoined && account && challenge.finalDataHash !== ethers.ZeroHash && (
+        <ResultProof challengeId={challengeId} account={account} finalDataHash={challenge.finalDataHash} />
+      )}
+
+      {/* Whitelist and join status */}
+      {whitelist && (
+        <div className="participants-list">
+          <h3>Invited ({whitelist.joinedCount} of {whitelist.invitedCount} have joined)</h3>
+          {challenge.state === 0 && whitelist.holdouts.length > 0 && (
+            <p className="info">
+              Waiting on {whitelist.holdouts.length} invited participant(s). The challenge is
+              cancelled if everyone has not joined by {formatDate(challenge.startTime)}.
+            </p>
+          )}
+          <ul>
+            {whitelist.invited.map(p => (
+              <li key={p.address} className={p.hasJoined ? 'joined' : 'holdout'}>
+                {formatAddress(p.address)}
+                {p.address === account?.toLowerCase() && ' (You)'}
+                {p.hasJoined ? ' - joined' : ' - not joined'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Participant list */}
-      {participants.length > 0 && (
+      {!whitelist && participants.length > 0 && (
         <div className="participants-list">
           <h3>Participants ({participants.length})</h3>
           <ul>
@@ -1,14 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { useWallet } from '../context/WalletContext';
 import { ethers } from 'ethers';
+import MetadataFields from './MetadataFields';
+import { DEFAULT_METADATA, signAndSaveMetadata } from '../utils/metadata';
 
 function CreateChallenge() {
-  const { contract, isConnected, provider } = useWallet();
+  const { contract, isConnected, provider, signer } = useWallet();
   const [loading, setLoading] = useState(false);
   const [txHash, setTxHash] = useState(null);
   const [challengeId, setChallengeId] = useState(null);
   const [error, setError] = useState(null);
   const [blockchainTime, setBlockchainTime] = useState(null);
+  const [metadataStatus, setMetadataStatus] = useState(null);
+  const [metadata, setMetadata] = useState(DEFAULT_METADATA);
 
   const [formData, setFormData] = useState({
     startTime: '',
@@ -48,6 +52,7 @@ function CreateChallenge() {
     setError(null);
     setTxHash(null);
     setChallengeId(null);
+    setMetadataStatus(null);
 
     if (!isConnected || !contract) {
       setError('Please connect your wallet first');
@@ -88,6 +93,10 @@ function CreateChallenge() {
         }
       }
 
+      if (metadata.sportTypes.length === 0) {
+        throw new Error('Select at least one activity type');
+      }
+
       // Create challenge
       const tx = await contract.createChallenge(
         startTimestamp,
@@ -113,7 +122,18 @@ function CreateChallenge() {
 
       if (event) {
         const parsed = contract.interface.parseLog(event);
-        setChallengeId(parsed.args.challengeId.toString());
+        const newChallengeId = parsed.args.challengeId.toString();
+        setChallengeId(newChallengeId);
+
+        // Sign the title, rules and scoring config and store them with the oracle
+        try {
+          setMetadataStatus('Sign the challenge details in your wallet...');
+          await signAndSaveMetadata(signer, newChallengeId, metadata);
+          setMetadataStatus('Challenge details saved');
+        } catch (err) {
+          console.error('Error saving challenge metadata:', err);
+          setMetadataStatus(`Challenge created, but saving details failed: ${err.message}. You can set them from the challenge page before it starts.`);
+        }
       }
 
       // Reset form
@@ -123,6 +143,7 @@ function CreateChallenge() {
         stakeAmount: '',
         participants: ''
       });
+      setMetadata(DEFAULT_METADATA);
 
     } catch (err) {
       console.error('Error creating challenge:', err);
@@ -163,10 +184,13 @@ function CreateChallenge() {
               <a href={`#/challenge/${challengeId}`}>View Challenge</a>
             </p>
           )}
+          {metadataStatus && <p>{metadataStatus}</p>}
         </div>
       )}
 
       <form onSubmit={handleSubmit}>
+        <MetadataFields value={metadata} onChange={setMetadata} />
+
         <div className="form-group">
           <label>Start Time</label>
           <input
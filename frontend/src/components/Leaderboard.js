@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { getLeaderboard } from '../utils/api';
+import { TIE_BREAK_OPTIONS, formatPayoutSplit } from '../utils/metadata';
 
 function Leaderboard({ challengeId, currentAccount }) {
   const [leaderboard, setLeaderboard] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
+  const [scoring, setScoring] = useState({ metric: 'distance', unit: 'miles', activityTypes: [], tieBreak: null, payoutSplit: null });
 
   useEffect(() => {
     fetchLeaderboard();
@@ -19,6 +21,15 @@ function Leaderboard({ challengeId, currentAccount }) {
       setError(null);
       const data = await getLeaderboard(challengeId);
       setLeaderboard(data.leaderboard || []);
+      if (data.metric) {
+        setScoring({
+          metric: data.metric,
+          unit: data.unit,
+          activityTypes: data.activityTypes || [],
+          tieBreak: data.tieBreak || null,
+          payoutSplit: data.payoutSplit || null
+        });
+      }
       setLastUpdate(new Date());
     } catch (err) {
       console.error('Error fetching leaderboard:', err);
@@ -46,6 +57,18 @@ function Leaderboard({ challengeId, currentAccount }) {
     });
   };
 
+  const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+  const isDistance = scoring.metric === 'distance';
+  // Only show prize shares when the pot is split between more than one wallet
+  const isSplit = leaderboard.some(entry => entry.payoutBps > 0 && entry.payoutBps < 10000);
+  const tieBreakLabel = TIE_BREAK_OPTIONS.find(option => option.id === scoring.tieBreak)?.label;
+  // Only show the column once validation has kept an activity out of a score
+  const hasExcluded = leaderboard.some(entry => entry.excludedActivities?.length > 0);
+
+  const describeExcluded = (activities) => activities
+    .map(activity => `${activity.name || activity.id}: ${activity.reasons.map(r => r.description).join(', ')}`)
+    .join('\n');
+
   if (loading) {
     return <div className="leaderboard">Loading leaderboard...</div>;
   }
@@ -68,6 +91,14 @@ function Leaderboard({ challengeId, currentAccount }) {
         )}
       </div>
 
+      {scoring.activityTypes.length > 0 && (
+        <p className="scoring-info">
+          Scored by {scoring.metric.replace('_', ' ')} ({scoring.unit}) across {scoring.activityTypes.join(', ')}
+          {tieBreakLabel && `. Ties: ${tieBreakLabel.toLowerCase()}`}
+          {scoring.payoutSplit && scoring.payoutSplit.length > 1 && `. Prize split ${formatPayoutSplit(scoring.payoutSplit)}`}
+        </p>
+      )}
+
       {leaderboard.length === 0 ? (
         <p className="info">No participants have data yet. Activities will be synced hourly.</p>
       ) : (
@@ -76,7 +107,10 @@ function Leaderboard({ challengeId, currentAccount }) {
             <tr>
               <th>Rank</th>
               <th>Address</th>
-              <th>Miles</th>
+              <th>{isDistance ? 'Miles' : capitalize(scoring.unit)}</th>
+              {!isDistance && <th>Miles</th>}
+              {isSplit && <th>Prize Share</th>}
+              {hasExcluded && <th>Excluded</th>}
               <th>Last Update</th>
               <th>Confirmed</th>
             </tr>
@@ -89,7 +123,14 @@ function Leaderboard({ challengeId, currentAccount }) {
                   {formatAddress(entry.address)}
                   {currentAccount && entry.address.toLowerCase() === currentAccount.toLowerCase() && ' (You)'}
                 </td>
-                <td>{entry.miles.toFixed(2)}</td>
+                <td>{(entry.score ?? entry.miles).toFixed(2)}</td>
+                {!isDistance && <td>{entry.miles.toFixed(2)}</td>}
+                {isSplit && <td>{entry.payoutBps > 0 ? `${entry.payoutBps / 100}%` : '-'}</td>}
+                {hasExcluded && (
+                  <td title={describeExcluded(entry.excludedActivities || [])}>
+                    {entry.excludedActivities?.length || '-'}
+                  </td>
+                )}
                 <td>{formatDate(entry.lastUpdate)}</td>
                 <td>{entry.confirmed && entry.confirmedAt ? formatDate(entry.confirmedAt) : '-'}</td>
               </tr>
@@ -98,6 +139,10 @@ function Leaderboard({ challengeId, currentAccount }) {
         </table>
       )}
 
+      {hasExcluded && (
+        <p className="info">Manual, flagged and implausible activities don't count. Hover over an excluded count to see which activities and why.</p>
+      )}
+
       <button onClick={fetchLeaderboard} className="btn btn-secondary btn-sm">
         Refresh
       </button>
@@ -0,0 +1,158 @@
+import React from 'react';
+import {
+  METRIC_OPTIONS,
+  SPORT_TYPE_OPTIONS,
+  TIE_BREAK_OPTIONS,
+  PAYOUT_SPLIT_OPTIONS,
+  WINDOW_MODE_OPTIONS,
+  formatPayoutSplit
+} from '../utils/metadata';
+
+// Form fields for challenge metadata (title, description and scoring)
+// Used by CreateChallenge and the creator's edit form in ChallengeView
+function MetadataFields({ value, onChange }) {
+  const handleChange = (e) => {
+    onChange({
+      ...value,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const toggleSportType = (sportType) => {
+    const sportTypes = value.sportTypes.includes(sportType)
+      ? value.sportTypes.filter(t => t !== sportType)
+      : [...value.sportTypes, sportType];
+    onChange({ ...value, sportTypes });
+  };
+
+  const handlePayoutSplitChange = (e) => {
+    onChange({ ...value, payoutSplit: e.target.value.split('/').map(pct => Math.round(Number(pct) * 100)) });
+  };
+
+  // Keep a split set some other way selectable alongside the presets
+  const payoutSplitOptions = PAYOUT_SPLIT_OPTIONS.some(option => formatPayoutSplit(option.split) === formatPayoutSplit(value.payoutSplit))
+    ? PAYOUT_SPLIT_OPTIONS
+    : [...PAYOUT_SPLIT_OPTIONS, { split: value.payoutSplit, label: formatPayoutSplit(value.payoutSplit) }];
+
+  return (
+    <>
+      <div className="form-group">
+        <label>Title</label>
+        <input
+          type="text"
+          name="title"
+          value={value.title}
+          onChange={handleChange}
+          maxLength={120}
+          placeholder="January Miles"
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label>Description and Rules</label>
+        <textarea
+          name="description"
+          value={value.description}
+          onChange={handleChange}
+          rows="4"
+          placeholder="What counts, how ties are handled, anything participants should know"
+        />
+      </div>
+
+      <div className="form-group">
+        <label>Scoring Metric</label>
+        <select name="metric" value={value.metric} onChange={handleChange}>
+          {METRIC_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label>Activity Types</label>
+        <div className="sport-types">
+          {SPORT_TYPE_OPTIONS.map(sportType => (
+            <label key={sportType} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={value.sportTypes.includes(sportType)}
+                onChange={() => toggleSportType(sportType)}
+              />
+              {sportType}
+            </label>
+          ))}
+        </div>
+        <small>Only these Strava activity types count towards the score.</small>
+      </div>
+
+      <div className="form-group">
+        <label>Challenge Window</label>
+        <select name="windowMode" value={value.windowMode || 'utc'} onChange={handleChange}>
+          {WINDOW_MODE_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <small>
+          With local time, an activity counts if it started between the start and end dates on the athlete's own
+          clock, so a morning run on the last day counts wherever they live.
+        </small>
+      </div>
+
+      {value.windowMode === 'local' && (
+        <div className="form-group">
+          <label>Timezone</label>
+          <input
+            type="text"
+            name="timezone"
+            value={value.timezone || ''}
+            onChange={handleChange}
+            placeholder="America/New_York"
+          />
+          <small>The timezone the start and end dates are in (e.g. America/New_York). Defaults to UTC.</small>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label>Tie-break</label>
+        <select name="tieBreak" value={value.tieBreak} onChange={handleChange}>
+          {TIE_BREAK_OPTIONS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <small>How participants with equal scores are ranked. Anyone still tied shares the places they occupy.</small>
+      </div>
+
+      <div className="form-group">
+        <label>Prize Split</label>
+        <select value={formatPayoutSplit(value.payoutSplit)} onChange={handlePayoutSplitChange}>
+          {payoutSplitOptions.map(option => (
+            <option key={option.label} value={formatPayoutSplit(option.split)}>{option.label}</option>
+          ))}
+        </select>
+        <small>Percentage of the pot paid to each finishing place.</small>
+      </div>
+
+      <div className="form-group">
+        <label>Units</label>
+        <select name="units" value={value.units} onChange={handleChange}>
+          <option value="imperial">Imperial (miles, feet)</option>
+          <option value="metric">Metric (km, meters)</option>
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label>Cover Image URL (optional)</label>
+        <input
+          type="url"
+          name="coverImage"
+          value={value.coverImage}
+          onChange={handleChange}
+          placeholder="https://..."
+        />
+      </div>
+    </>
+  );
+}
+
+export default MetadataFields;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { useWallet } from '../context/WalletContext';
+import { ChallengeState } from '../utils/contract';
+import { getWalletChallenges } from '../utils/api';
+
+// Labels for the pending actions reported by the oracle
+const ACTION_LABELS = {
+  join: 'Join',
+  confirm: 'Confirm mileage',
+  claim: 'Claim prize',
+  withdraw: 'Withdraw stake'
+};
+
+function MyChallenges() {
+  const { account, isConnected } = useWallet();
+  const [challenges, setChallenges] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchChallenges = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getWalletChallenges(account);
+      setChallenges(data.challenges || []);
+    } catch (err) {
+      console.error('Error fetching wallet challenges:', err);
+      setError('Failed to load your challenges: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    if (account) {
+      fetchChallenges();
+    }
+  }, [account, fetchChallenges]);
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp * 1000).toLocaleString(undefined, {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  if (!isConnected) {
+    return (
+      <div className="my-challenges">
+        <h2>My Challenges</h2>
+        <p>Please connect your wallet to see your challenges.</p>
+      </div>
+    );
+  }
+
+  const needsAction = challenges.filter(c => c.pendingActions.length > 0);
+  const invited = challenges.filter(c => c.roles.includes('invited') && !c.roles.includes('joined'));
+  const joined = challenges.filter(c => c.roles.includes('joined'));
+  const created = challenges.filter(c => c.roles.includes('created'));
+
+  const renderTable = (title, rows, emptyMessage) => (
+    <section className="challenge-list">
+      <h3>{title} ({rows.length})</h3>
+      {rows.length === 0 ? (
+        <p className="info">{emptyMessage}</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Challenge</th>
+              <th>State</th>
+              <th>Ends</th>
+              <th>Stake</th>
+              <th>Joined</th>
+              <th>Rank</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(challenge => (
+              <tr key={challenge.id}>
+                <td>
+                  <a href={`#/challenge/${challenge.id}`}>#{challenge.id}</a>
+                </td>
+                <td>
+                  <span className={`state state-${ChallengeState[challenge.state]}`}>
+                    {challenge.state}
+                  </span>
+                </td>
+                <td>{formatDate(challenge.endTime)}</td>
+                <td>{ethers.formatEther(challenge.stakeAmount)} ETH</td>
+                <td>{challenge.joinedCount} / {challenge.invitedCount}</td>
+                <td>{challenge.rank !== null ? `#${challenge.rank}` : '-'}</td>
+                <td>
+                  {challenge.pendingActions.length === 0 ? '-' : challenge.pendingActions.map(action => (
+                    <a
+                      key={action}
+                      href={`#/challenge/${challenge.id}`}
+                      className="btn btn-primary btn-sm pending-action"
+                    >
+                      {ACTION_LABELS[action] || action}
+                    </a>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+
+  return (
+    <div className="my-challenges">
+      <div className="my-challenges-header">
+        <h2>My Challenges</h2>
+        <button onClick={fetchChallenges} className="btn btn-secondary btn-sm" disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {needsAction.length > 0 && renderTable('Needs Your Attention', needsAction, '')}
+      {renderTable('Invited', invited, 'No open invitations.')}
+      {renderTable('Joined', joined, 'You have not joined any challenges yet.')}
+      {renderTable('Created', created, 'You have not created any challenges yet.')}
+    </div>
+  );
+}
+
+export default MyChallenges;
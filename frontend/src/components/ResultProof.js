@@ -0,0 +1,74 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getResultProof } from '../utils/api';
+import { hashParticipantLeaf, verifyMerkleProof } from '../utils/merkle';
+
+// Checks the connected wallet's entry in the final results against the
+// Merkle root recorded on-chain (finalDataHash), without trusting the oracle
+function ResultProof({ challengeId, account, finalDataHash }) {
+  const [proofData, setProofData] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  const checkProof = useCallback(async () => {
+    try {
+      setError(null);
+      setStatus('checking');
+      const data = await getResultProof(challengeId, account);
+      setProofData(data);
+
+      // Recompute the leaf ourselves rather than trusting the one served
+      const leaf = hashParticipantLeaf(Number(challengeId), data.entry);
+      const verified = data.entry.address.toLowerCase() === account.toLowerCase() &&
+        leaf === data.leaf &&
+        verifyMerkleProof(leaf, data.proof, finalDataHash);
+
+      setStatus(verified ? 'verified' : 'mismatch');
+    } catch (err) {
+      console.error('Error checking result proof:', err);
+      setError(err.message);
+      setStatus(null);
+    }
+  }, [challengeId, account, finalDataHash]);
+
+  useEffect(() => {
+    checkProof();
+  }, [checkProof]);
+
+  return (
+    <div className="result-proof">
+      <h3>Your Result</h3>
+
+      {error && <p className="info">Could not check your result: {error}</p>}
+      {status === 'checking' && <p>Checking your result against the chain...</p>}
+
+      {proofData && status !== 'checking' && (
+        <>
+          <div className="info-row">
+            <strong>Score:</strong>
+            <span>{(proofData.entry.score / 100).toFixed(2)} ({proofData.metric.replace('_', ' ')})</span>
+          </div>
+          <div className="info-row">
+            <strong>Confirmed:</strong>
+            <span>{proofData.entry.confirmed ? 'Yes' : 'No'}</span>
+          </div>
+          <div className="info-row">
+            <strong>Proof:</strong>
+            <span>{proofData.proof.length} hashes to root {finalDataHash.substring(0, 10)}...</span>
+          </div>
+
+          {status === 'verified' ? (
+            <p className="success">Your entry is included in the results recorded on-chain.</p>
+          ) : (
+            <p className="error">Your entry does not match the results recorded on-chain.</p>
+          )}
+        </>
+      )}
+
+      <button onClick={checkProof} className="btn btn-secondary btn-sm">
+        Check Again
+      </button>
+    </div>
+  );
+}
+
+export default ResultProof;
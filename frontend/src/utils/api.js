@@ -28,12 +28,42 @@ export async function getStravaStatus(walletAddress) {
   return await response.json();
 }
 
-// Get Strava OAuth URL
-export function getStravaAuthUrl(walletAddress, challengeId = null) {
+// Get a sign-in message for a wallet to sign before connecting Strava
+export async function getSignInRequest(walletAddress) {
   const params = new URLSearchParams({ walletAddress });
-  if (challengeId !== null) {
-    params.append('challengeId', challengeId);
+  const response = await fetch(`${ORACLE_URL}/auth/strava/nonce?${params.toString()}`);
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get sign-in message');
+  }
+  return await response.json();
+}
+
+// Exchange a signed sign-in message for OAuth state
+export async function createStravaSession(message, signature, challengeId = null) {
+  const response = await fetch(`${ORACLE_URL}/auth/strava/session`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      message,
+      signature,
+      challengeId
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to sign in');
   }
+
+  return await response.json();
+}
+
+// Get Strava OAuth URL for state from createStravaSession
+export function getStravaAuthUrl(state) {
+  const params = new URLSearchParams({ state });
   return `${ORACLE_URL}/auth/strava?${params.toString()}`;
 }
 
@@ -53,8 +83,31 @@ export async function getFinalization(challengeId) {
   return await response.json();
 }
 
-// Confirm participant mileage
-export async function confirmMileage(challengeId, walletAddress, signature) {
+// Get the frozen final results participants confirm (null until recorded)
+export async function getFinalResults(challengeId) {
+  const response = await fetch(`${ORACLE_URL}/challenges/${challengeId}/final-results`);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get final results');
+  }
+  return await response.json();
+}
+
+// Get the EIP-712 typed data a participant signs to confirm their final score
+export async function getConfirmation(challengeId, walletAddress) {
+  const response = await fetch(`${ORACLE_URL}/participants/${challengeId}/${walletAddress}/confirmation`);
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get confirmation');
+  }
+  return await response.json();
+}
+
+// Confirm participant mileage for a final results revision
+export async function confirmMileage(challengeId, walletAddress, revision, deadline, signature) {
   const response = await fetch(`${ORACLE_URL}/participants/confirm`, {
     method: 'POST',
     headers: {
@@ -63,6 +116,8 @@ export async function confirmMileage(challengeId, walletAddress, signature) {
     body: JSON.stringify({
       challengeId,
       walletAddress,
+      revision,
+      deadline,
       signature
     })
   });
@@ -75,15 +130,87 @@ export async function confirmMileage(challengeId, walletAddress, signature) {
   return await response.json();
 }
 
+// Get a participant's Merkle inclusion proof for the signed results
+export async function getResultProof(challengeId, walletAddress) {
+  const response = await fetch(`${ORACLE_URL}/oracle/challenge/${challengeId}/proof/${walletAddress}`);
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get result proof');
+  }
+  return await response.json();
+}
+
 // Get challenge details from oracle
 export async function getChallengeFromOracle(challengeId) {
   const response = await fetch(`${ORACLE_URL}/challenges/${challengeId}`);
   return await response.json();
 }
 
-// List all challenges from oracle
-export async function getAllChallenges() {
-  const response = await fetch(`${ORACLE_URL}/challenges`);
+// Get a challenge's creator-signed metadata (null if none has been set)
+export async function getChallengeMetadata(challengeId) {
+  const response = await fetch(`${ORACLE_URL}/challenges/${challengeId}/metadata`);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get challenge metadata');
+  }
+  return await response.json();
+}
+
+// Store challenge metadata signed by the creator
+// Errors carry the HTTP status so callers can retry before the challenge is indexed
+export async function setChallengeMetadata(challengeId, metadata, signature) {
+  const response = await fetch(`${ORACLE_URL}/challenges/${challengeId}/metadata`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      metadata,
+      signature
+    })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    const err = new Error(error.error || 'Failed to save challenge metadata');
+    err.status = response.status;
+    throw err;
+  }
+
+  return await response.json();
+}
+
+// List challenges from oracle
+// filters: { state, creator, participant, startingAfter, startingBefore,
+//   endingAfter, endingBefore, minStake, maxStake, sort, order, limit, cursor }
+// Returns { challenges, total, nextCursor } - pass nextCursor back to get the next page
+export async function getAllChallenges(filters = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, value);
+    }
+  }
+  const queryString = params.toString();
+  const response = await fetch(`${ORACLE_URL}/challenges${queryString ? `?${queryString}` : ''}`);
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to list challenges');
+  }
+  return await response.json();
+}
+
+// Get every challenge a wallet created, was invited to or joined
+// Each challenge includes the wallet's roles, rank and pending actions
+export async function getWalletChallenges(walletAddress) {
+  const response = await fetch(`${ORACLE_URL}/wallets/${walletAddress}/challenges`);
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get wallet challenges');
+  }
   return await response.json();
 }
 
@@ -118,3 +245,60 @@ export async function getParticipants(challengeId) {
   }
   return await response.json();
 }
+
+// List a challenge's disputes (newest first) with the number still open
+export async function getDisputes(challengeId) {
+  const response = await fetch(`${ORACLE_URL}/disputes?challengeId=${challengeId}`);
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get disputes');
+  }
+  return await response.json();
+}
+
+// Get a one-time nonce to open a dispute with
+export async function getDisputeNonce(walletAddress) {
+  const params = new URLSearchParams({ walletAddress });
+  const response = await fetch(`${ORACLE_URL}/disputes/nonce?${params.toString()}`);
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to get dispute nonce');
+  }
+  return await response.json();
+}
+
+// Open a dispute against a participant or one of their activities
+export async function openDispute(dispute, signature) {
+  const response = await fetch(`${ORACLE_URL}/disputes`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ ...dispute, signature })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to open dispute');
+  }
+
+  return await response.json();
+}
+
+// Uphold, reject or withdraw a dispute
+export async function resolveDispute(disputeId, action, walletAddress, note, signature) {
+  const response = await fetch(`${ORACLE_URL}/disputes/${disputeId}/resolve`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ action, walletAddress, note, signature })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Failed to resolve dispute');
+  }
+
+  return await response.json();
+}
@@ -0,0 +1,32 @@
+import { ethers } from 'ethers';
+import { openDispute, resolveDispute, getDisputeNonce } from './api';
+
+// Messages must match oracle/src/disputes.js
+
+function hashText(text) {
+  return ethers.keccak256(ethers.toUtf8Bytes(text || ''));
+}
+
+export function getDisputeMessage(challengeId, targetAddress, activityId, reason, { chainId, contract, nonce }) {
+  const activity = activityId === null || activityId === undefined ? 'NONE' : activityId;
+  return `DISPUTE_CHALLENGE_${challengeId}_PARTICIPANT_${targetAddress.toLowerCase()}_ACTIVITY_${activity}_${hashText(reason)}` +
+    `_CHAIN_${chainId}_CONTRACT_${contract.toLowerCase()}_NONCE_${nonce}`;
+}
+
+export function getResolutionMessage(disputeId, action, note) {
+  return `RESOLVE_DISPUTE_${disputeId}_${action.toUpperCase()}_${hashText(note)}`;
+}
+
+// Sign and open a dispute as a participant, with a fresh one-time nonce
+export async function signAndOpenDispute(signer, { challengeId, walletAddress, targetAddress, activityId, reason }) {
+  const binding = await getDisputeNonce(walletAddress);
+  const message = getDisputeMessage(challengeId, targetAddress, activityId, reason, binding);
+  const signature = await signer.signMessage(message);
+  return openDispute({ challengeId, walletAddress, targetAddress, activityId, reason, nonce: binding.nonce }, signature);
+}
+
+// Sign and resolve a dispute (uphold/reject as creator, withdraw as opener)
+export async function signAndResolveDispute(signer, disputeId, action, walletAddress, note) {
+  const signature = await signer.signMessage(getResolutionMessage(disputeId, action, note));
+  return resolveDispute(disputeId, action, walletAddress, note || null, signature);
+}
@@ -0,0 +1,26 @@
+import { ethers } from 'ethers';
+
+// Merkle proof helpers for challenge results
+// Leaf encoding and pair hashing must match oracle/src/results.js and oracle/src/merkle.js
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Hash a participant's leaf from their results entry
+export function hashParticipantLeaf(challengeId, entry) {
+  return ethers.keccak256(ethers.keccak256(abiCoder.encode(
+    ['uint256', 'address', 'string', 'uint256', 'bool'],
+    [challengeId, entry.address, entry.stravaUserId, entry.score, entry.confirmed]
+  )));
+}
+
+function hashPair(a, b) {
+  return a.toLowerCase() < b.toLowerCase()
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+// Fold a leaf up through its proof and compare with the root
+export function verifyMerkleProof(leaf, proof, root) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf.toLowerCase());
+  return computed === root.toLowerCase();
+}
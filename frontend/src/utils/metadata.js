@@ -0,0 +1,125 @@
+import { ethers } from 'ethers';
+import { setChallengeMetadata } from './api';
+
+// Challenge metadata helpers
+// The canonical form and message must match oracle/src/metadata.js
+
+export const METRIC_OPTIONS = [
+  { id: 'distance', label: 'Distance' },
+  { id: 'moving_time', label: 'Moving time' },
+  { id: 'elevation_gain', label: 'Elevation gain' },
+  { id: 'activity_count', label: 'Activity count' },
+  { id: 'active_days', label: 'Active days' },
+  { id: 'calories', label: 'Calories' }
+];
+
+export const SPORT_TYPE_OPTIONS = [
+  'Run', 'TrailRun', 'VirtualRun',
+  'Ride', 'GravelRide', 'MountainBikeRide', 'EBikeRide', 'VirtualRide',
+  'Swim', 'Walk', 'Hike', 'Rowing', 'NordicSki'
+];
+
+// Must match TIE_BREAKS in oracle/src/results.js
+export const TIE_BREAK_OPTIONS = [
+  { id: 'earliest', label: 'Earliest to reach the total' },
+  { id: 'most_activities', label: 'Most activities' },
+  { id: 'shared', label: 'Shared win' }
+];
+
+// Prize splits in basis points per finishing place
+export const PAYOUT_SPLIT_OPTIONS = [
+  { split: [10000], label: 'Winner takes all' },
+  { split: [7000, 3000], label: '70/30' },
+  { split: [6000, 3000, 1000], label: '60/30/10' },
+  { split: [5000, 3000, 2000], label: '50/30/20' }
+];
+
+// Must match WINDOW_MODES in oracle/src/challenge-window.js
+export const WINDOW_MODE_OPTIONS = [
+  { id: 'utc', label: 'Start and end times (UTC)' },
+  { id: 'local', label: "Athletes' local time" }
+];
+
+export const DEFAULT_TIE_BREAK = 'earliest';
+export const DEFAULT_PAYOUT_SPLIT = [10000];
+export const DEFAULT_WINDOW_MODE = 'utc';
+
+export const DEFAULT_METADATA = {
+  title: '',
+  description: '',
+  sportTypes: ['Run', 'VirtualRun'],
+  metric: 'distance',
+  units: 'imperial',
+  coverImage: '',
+  tieBreak: DEFAULT_TIE_BREAK,
+  payoutSplit: DEFAULT_PAYOUT_SPLIT,
+  windowMode: DEFAULT_WINDOW_MODE,
+  timezone: ''
+};
+
+// Normalize metadata into the canonical form the oracle hashes
+// tieBreak, payoutSplit and windowMode are left out when they are the defaults,
+// and timezone is only included with a local windowMode
+export function normalizeMetadata(input = {}) {
+  const sportTypes = Array.isArray(input.sportTypes)
+    ? [...new Set(input.sportTypes.map(t => String(t).trim()))].sort()
+    : [];
+
+  const metadata = {
+    title: typeof input.title === 'string' ? input.title.trim() : '',
+    description: typeof input.description === 'string' && input.description.trim() ? input.description.trim() : null,
+    sportTypes,
+    metric: typeof input.metric === 'string' ? input.metric : '',
+    units: typeof input.units === 'string' ? input.units : 'imperial',
+    coverImage: typeof input.coverImage === 'string' && input.coverImage.trim() ? input.coverImage.trim() : null
+  };
+
+  if (typeof input.tieBreak === 'string' && input.tieBreak !== DEFAULT_TIE_BREAK) {
+    metadata.tieBreak = input.tieBreak;
+  }
+
+  if (Array.isArray(input.payoutSplit) && input.payoutSplit.join() !== DEFAULT_PAYOUT_SPLIT.join()) {
+    metadata.payoutSplit = input.payoutSplit.map(Number);
+  }
+
+  if (typeof input.windowMode === 'string' && input.windowMode !== DEFAULT_WINDOW_MODE) {
+    metadata.windowMode = input.windowMode;
+    metadata.timezone = typeof input.timezone === 'string' && input.timezone.trim() ? input.timezone.trim() : 'UTC';
+  }
+
+  return metadata;
+}
+
+// Format a payout split as percentages, e.g. "60/30/10"
+export function formatPayoutSplit(split = DEFAULT_PAYOUT_SPLIT) {
+  return split.map(bps => bps / 100).join('/');
+}
+
+export function hashMetadata(metadata) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(metadata)));
+}
+
+export function getMetadataMessage(challengeId, metadataHash) {
+  return `CHALLENGE_METADATA_${challengeId}_${metadataHash}`;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Sign metadata as the challenge creator and store it with the oracle
+// A freshly created challenge may not be indexed yet, so 404s are retried
+export async function signAndSaveMetadata(signer, challengeId, input, retries = 10) {
+  const metadata = normalizeMetadata(input);
+  const message = getMetadataMessage(challengeId, hashMetadata(metadata));
+  const signature = await signer.signMessage(message);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await setChallengeMetadata(challengeId, metadata, signature);
+    } catch (err) {
+      if (err.status !== 404 || attempt >= retries) {
+        throw err;
+      }
+      await sleep(2000);
+    }
+  }
+}
@@ -0,0 +1,124 @@
+import { query, withTransaction } from './db.js';
+
+/**
+ * Stored Strava activities
+ *
+ * Each activity is stored once, keyed by its Strava ID, and updated in place
+ * when it's fetched again. Scores are computed from these rows, and snapshots
+ * only record which activity IDs counted.
+ */
+
+const COLUMNS = `strava_activity_id, strava_user_id, name, sport_type, type, distance, moving_time,
+  elapsed_time, total_elevation_gain, start_date, start_date_local, manual, device_name,
+  calories, kilojoules, flagged, has_gps, has_heartrate`;
+
+/**
+ * Convert a Strava activity into column values (in COLUMNS order)
+ */
+function toRowValues(activity, stravaUserId) {
+  return [
+    activity.id,
+    String(stravaUserId),
+    activity.name ?? null,
+    activity.sport_type ?? null,
+    activity.type ?? null,
+    activity.distance ?? 0,
+    activity.moving_time ?? 0,
+    activity.elapsed_time ?? 0,
+    activity.total_elevation_gain ?? 0,
+    activity.start_date,
+    // start_date_local is wall clock time with a misleading Z suffix; store it as-is
+    activity.start_date_local ? activity.start_date_local.replace(/Z$/, '') : null,
+    Boolean(activity.manual),
+    activity.device_name ?? null,
+    activity.calories ?? null,
+    activity.kilojoules ?? null,
+    Boolean(activity.flagged),
+    // Summary activities have no GPS flag; a start point or route means GPS
+    Boolean(activity.start_latlng?.length || activity.map?.summary_polyline),
+    Boolean(activity.has_heartrate)
+  ];
+}
+
+/**
+ * Convert a stored row back into the Strava activity shape scoring expects
+ */
+export function toStravaActivity(row) {
+  return {
+    id: Number(row.strava_activity_id),
+    name: row.name,
+    sport_type: row.sport_type,
+    type: row.type,
+    distance: parseFloat(row.distance),
+    moving_time: row.moving_time,
+    elapsed_time: row.elapsed_time,
+    total_elevation_gain: parseFloat(row.total_elevation_gain),
+    start_date: new Date(row.start_date).toISOString().replace('.000Z', 'Z'),
+    start_date_local: row.start_date_local ? `${row.start_date_local}Z` : null,
+    manual: row.manual,
+    device_name: row.device_name,
+    calories: row.calories !== null ? parseFloat(row.calories) : undefined,
+    kilojoules: row.kilojoules !== null ? parseFloat(row.kilojoules) : undefined,
+    flagged: row.flagged,
+    // Not Strava fields; null if stored before they were recorded
+    has_gps: row.has_gps,
+    has_heartrate: row.has_heartrate
+  };
+}
+
+/**
+ * Store the activities fetched for an athlete over a time window
+ *
+ * Activities are upserted by Strava ID. Stored activities in the window that
+ * weren't returned have been deleted (or made private) on Strava, so they are
+ * removed.
+ *
+ * @param {string} stravaUserId - Athlete the activities belong to
+ * @param {Array} activities - Strava summary activities
+ * @param {number} afterTimestamp - Start of the fetched window (unix seconds)
+ * @param {number} beforeTimestamp - End of the fetched window (unix seconds)
+ * @returns {Object} { upserted, removed }
+ */
+export async function storeActivities(stravaUserId, activities, afterTimestamp, beforeTimestamp) {
+  return withTransaction(async (client) => {
+    for (const activity of activities) {
+      await client.query(
+        `INSERT INTO activities (${COLUMNS})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+         ON CONFLICT (strava_activity_id) DO UPDATE SET
+           name = $3, sport_type = $4, type = $5, distance = $6, moving_time = $7,
+           elapsed_time = $8, total_elevation_gain = $9, start_date = $10, start_date_local = $11,
+           manual = $12, device_name = $13, calories = $14, kilojoules = $15,
+           flagged = $16, has_gps = $17, has_heartrate = $18,
+           updated_at = CURRENT_TIMESTAMP`,
+        toRowValues(activity, stravaUserId)
+      );
+    }
+
+    const removed = await client.query(
+      `DELETE FROM activities
+       WHERE strava_user_id = $1
+       AND start_date >= to_timestamp($2) AND start_date < to_timestamp($3)
+       AND NOT (strava_activity_id = ANY($4::BIGINT[]))`,
+      [String(stravaUserId), afterTimestamp, beforeTimestamp, activities.map(a => a.id)]
+    );
+
+    return { upserted: activities.length, removed: removed.rowCount };
+  });
+}
+
+/**
+ * Get an athlete's stored activities within a time window
+ * @returns {Array} Strava-shaped activities, oldest first
+ */
+export async function getActivities(stravaUserId, afterTimestamp, beforeTimestamp) {
+  const result = await query(
+    `SELECT ${COLUMNS} FROM activities
+     WHERE strava_user_id = $1
+     AND start_date >= to_timestamp($2) AND start_date < to_timestamp($3)
+     ORDER BY start_date, strava_activity_id`,
+    [String(stravaUserId), afterTimestamp, beforeTimestamp]
+  );
+  return result.rows.map(toStravaActivity);
+}
+
@@ -0,0 +1,167 @@
+/**
+ * Activity validation
+ *
+ * Before scoring, each activity of a counted type is checked for signs it
+ * shouldn't count:
+ *
+ * - manual: entered by hand rather than recorded
+ * - flagged: flagged on Strava (by the athlete's followers or Strava itself)
+ * - no_device_data: no GPS, heart rate or device behind it
+ * - implausible_speed / implausible_distance: faster or longer than the
+ *   limits for its sport (see SPORT_LIMITS)
+ *
+ * Each check has a policy: 'exclude' drops the activity from the score,
+ * 'flag' counts it but reports it for review, 'allow' ignores the check.
+ * Activities named in upheld disputes (see src/disputes.js) are always
+ * excluded, with the reason 'disputed'.
+ * Issues are recorded on each snapshot (mileage_snapshots.activity_issues)
+ * so participants can see why an activity didn't count.
+ */
+
+const POLICIES = ['exclude', 'flag', 'allow'];
+
+export const ISSUE_REASONS = {
+  manual: 'Manually entered',
+  flagged: 'Flagged on Strava',
+  no_device_data: 'No GPS, heart rate or device data',
+  implausible_speed: 'Average speed is implausible for the sport',
+  implausible_distance: 'Distance is implausible for the sport',
+  disputed: 'Excluded by an upheld dispute'
+};
+
+// Which policy governs each reason
+const REASON_POLICIES = {
+  manual: 'manual',
+  flagged: 'flagged',
+  no_device_data: 'noDevice',
+  implausible_speed: 'implausible',
+  implausible_distance: 'implausible'
+};
+
+/**
+ * Per-sport limits: average moving speed in m/s and distance in meters
+ * Generous enough for elite efforts; sports not listed aren't checked.
+ */
+export const SPORT_LIMITS = [
+  { sports: ['Run', 'TrailRun', 'VirtualRun'], maxSpeed: 6.5, maxDistance: 161000 },
+  { sports: ['Walk', 'Hike', 'Snowshoe'], maxSpeed: 3, maxDistance: 100000 },
+  { sports: ['Ride', 'GravelRide', 'MountainBikeRide', 'VirtualRide'], maxSpeed: 18, maxDistance: 500000 },
+  { sports: ['EBikeRide', 'EMountainBikeRide'], maxSpeed: 20, maxDistance: 500000 },
+  { sports: ['Swim'], maxSpeed: 2.5, maxDistance: 30000 }
+];
+
+function readPolicy(name, fallback) {
+  const value = process.env[name] || fallback;
+  if (!POLICIES.includes(value)) {
+    throw new Error(`${name} must be one of ${POLICIES.join(', ')}`);
+  }
+  return value;
+}
+
+export const VALIDATION_POLICY = {
+  manual: readPolicy('ACTIVITY_MANUAL_POLICY', 'exclude'),
+  flagged: readPolicy('ACTIVITY_FLAGGED_POLICY', 'exclude'),
+  noDevice: readPolicy('ACTIVITY_NO_DEVICE_POLICY', 'flag'),
+  implausible: readPolicy('ACTIVITY_IMPLAUSIBLE_POLICY', 'exclude')
+};
+
+function getSportLimits(activity) {
+  const sport = activity.sport_type || activity.type;
+  return SPORT_LIMITS.find(limits => limits.sports.includes(sport)) || null;
+}
+
+/**
+ * Find the reasons an activity is suspect
+ * @param {Object} activity - Strava-shaped activity (see src/activities.js)
+ * @returns {Array<string>} Reason codes (keys of ISSUE_REASONS)
+ */
+export function getActivityIssues(activity) {
+  const reasons = [];
+
+  if (activity.manual) {
+    reasons.push('manual');
+  }
+
+  if (activity.flagged) {
+    reasons.push('flagged');
+  }
+
+  // has_gps is unknown (null) for activities stored before it was recorded
+  if (!activity.manual && activity.has_gps === false && !activity.has_heartrate && !activity.device_name) {
+    reasons.push('no_device_data');
+  }
+
+  const limits = getSportLimits(activity);
+  if (limits && activity.distance > 0) {
+    const speed = activity.moving_time > 0 ? activity.distance / activity.moving_time : Infinity;
+    if (speed > limits.maxSpeed) {
+      reasons.push('implausible_speed');
+    }
+    if (activity.distance > limits.maxDistance) {
+      reasons.push('implausible_distance');
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Split activities into those that count and the issues found
+ *
+ * @param {Array} activities - Activities already filtered to the challenge's types
+ * @param {Object} policy - Defaults to VALIDATION_POLICY (from the environment)
+ * @param {Array<number>} disputedIds - Activities excluded by upheld disputes
+ * @returns {Object} { accepted, issues } where issues are
+ *   { id, name, action: 'exclude'|'flag', reasons } for each suspect activity
+ */
+export function validateActivities(activities, policy = VALIDATION_POLICY, disputedIds = []) {
+  const disputed = new Set(disputedIds.map(Number));
+  const accepted = [];
+  const issues = [];
+
+  for (const activity of activities) {
+    const reasons = getActivityIssues(activity)
+      .filter(reason => policy[REASON_POLICIES[reason]] !== 'allow');
+    if (disputed.has(Number(activity.id))) {
+      reasons.push('disputed');
+    }
+
+    if (reasons.length === 0) {
+      accepted.push(activity);
+      continue;
+    }
+
+    const exclude = reasons.some(reason => reason === 'disputed' || policy[REASON_POLICIES[reason]] === 'exclude');
+    issues.push({
+      id: activity.id,
+      name: activity.name ?? null,
+      action: exclude ? 'exclude' : 'flag',
+      reasons
+    });
+    if (!exclude) {
+      accepted.push(activity);
+    }
+  }
+
+  return { accepted, issues };
+}
+
+/**
+ * IDs of the excluded activities in a snapshot's issues, sorted
+ */
+export function getExcludedActivityIds(issues) {
+  return (issues || [])
+    .filter(issue => issue.action === 'exclude')
+    .map(issue => Number(issue.id))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Add reason descriptions to recorded issues (for API responses)
+ */
+export function describeIssues(issues) {
+  return (issues || []).map(issue => ({
+    ...issue,
+    reasons: issue.reasons.map(code => ({ code, description: ISSUE_REASONS[code] || code }))
+  }));
+}
@@ -0,0 +1,78 @@
+import { query } from './db.js';
+import { enqueueJob, runPendingJobsNow, waitForJob, formatJob } from './jobs.js';
+
+/**
+ * Per-athlete sync queue
+ *
+ * Strava webhooks only say which athlete changed, and a single upload often
+ * arrives as a create followed by one or more updates. Each athlete is synced
+ * once, ATHLETE_SYNC_DELAY_MS after the first event, however many events
+ * arrive in between: events queue a sync_athlete job (see src/jobs.js) that
+ * runs after the delay, and later events for the same athlete find it still
+ * pending and reuse it. The jobs are stored in Postgres, so queued syncs
+ * survive a restart.
+ */
+
+const DELAY_MS = parseInt(process.env.ATHLETE_SYNC_DELAY_MS || '5000', 10);
+
+/**
+ * Queue a sync for an athlete
+ * @param {string|number} stravaUserId - Strava athlete ID
+ * @param {string} reason - Why the sync was requested (for logs)
+ * @returns {boolean} false if a sync was already pending for the athlete
+ */
+export async function enqueueAthleteSync(stravaUserId, reason) {
+  const id = String(stravaUserId);
+  const job = await enqueueJob(
+    'sync_athlete',
+    { stravaUserId: id },
+    { dedupeKey: `sync_athlete:${id}`, delayMs: DELAY_MS }
+  );
+  console.log(`Athlete sync ${id} (${reason}): job ${job.id}${job.created ? '' : ' already queued'}`);
+  return job.created;
+}
+
+/**
+ * Run every pending sync now instead of waiting for its delay
+ * Lets tests send a fake webhook and then wait for the resulting sync.
+ * @returns {Array} The finished jobs
+ */
+export async function flushAthleteSyncs() {
+  // Read the IDs first; a worker may finish a job as soon as it's due
+  const due = await query(
+    `SELECT id FROM jobs WHERE type = 'sync_athlete' AND status IN ('pending', 'running')`
+  );
+  await runPendingJobsNow('sync_athlete');
+  return Promise.all(due.rows.map(row => waitForJob(Number(row.id))));
+}
+
+/**
+ * Describe the queue (for the dev status endpoint)
+ */
+export async function getAthleteSyncQueueStatus() {
+  const pending = await query(
+    `SELECT * FROM jobs
+     WHERE type = 'sync_athlete' AND status IN ('pending', 'running')
+     ORDER BY run_at, id`
+  );
+  const counts = await query(
+    `SELECT status, COUNT(*)::INTEGER AS count FROM jobs WHERE type = 'sync_athlete' GROUP BY status`
+  );
+
+  return {
+    delayMs: DELAY_MS,
+    processed: counts.rows
+      .filter(row => row.status === 'completed' || row.status === 'dead')
+      .reduce((total, row) => total + row.count, 0),
+    pending: pending.rows.map(row => {
+      const job = formatJob(row);
+      return {
+        jobId: job.id,
+        stravaUserId: job.payload.stravaUserId,
+        status: job.status,
+        runAt: job.runAt,
+        enqueuedAt: job.createdAt
+      };
+    })
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * Challenge windows
+ *
+ * Which activities fall inside a challenge depends on its window mode, set
+ * in the creator-signed metadata (see src/metadata.js):
+ *
+ * - utc (default): the activity's start_date is between start_time and
+ *   end_time, as instants
+ * - local: the activity's start_date_local (the athlete's wall clock) is
+ *   between start_time and end_time as wall clock times in the challenge's
+ *   timezone. A challenge declared as January in America/New_York counts a
+ *   6am run on January 31st in Honolulu, even though it starts after
+ *   end_time.
+ *
+ * In local mode athletes anywhere from UTC-12 to UTC+14 can still be inside
+ * the window, so activities are fetched from 14 hours before the local start
+ * and the window only closes 12 hours after the local end (closesAt). Final
+ * results aren't recorded, and the challenge can't be finalized, before then.
+ */
+
+export const WINDOW_MODES = ['utc', 'local'];
+export const DEFAULT_WINDOW_MODE = 'utc';
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// Furthest any timezone is ahead of and behind UTC
+const MAX_AHEAD_SECONDS = 14 * 3600;
+const MAX_BEHIND_SECONDS = 12 * 3600;
+
+/**
+ * Whether a string is an IANA timezone name the runtime knows
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall clock time of a timestamp in a timezone
+ * @param {number} timestamp - Unix seconds
+ * @param {string} timezone - IANA timezone
+ * @returns {string} "YYYY-MM-DDTHH:MM:SS", the format of stored start_date_local
+ */
+export function toWallClock(timestamp, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp * 1000));
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}T${part('hour')}:${part('minute')}:${part('second')}`;
+}
+
+function wallClockSeconds(wallClock) {
+  return Math.floor(Date.parse(`${wallClock}Z`) / 1000);
+}
+
+/**
+ * Get the window stored on a challenge row
+ * @param {Object} challenge - Challenge row (start_time, end_time, window_mode, window_timezone)
+ * @returns {Object} { mode, timezone, startTime, endTime, localStart, localEnd,
+ *   fetchAfter, fetchBefore, closesAt } - localStart and localEnd are null in
+ *   utc mode; fetchAfter and fetchBefore bound the activities to fetch
+ */
+export function getChallengeWindow(challenge) {
+  const mode = challenge.window_mode || DEFAULT_WINDOW_MODE;
+  const timezone = challenge.window_timezone || DEFAULT_TIMEZONE;
+  const startTime = Number(challenge.start_time);
+  const endTime = Number(challenge.end_time);
+
+  if (mode !== 'local') {
+    return {
+      mode: 'utc',
+      timezone: DEFAULT_TIMEZONE,
+      startTime,
+      endTime,
+      localStart: null,
+      localEnd: null,
+      fetchAfter: startTime,
+      fetchBefore: endTime,
+      closesAt: endTime
+    };
+  }
+
+  const localStart = toWallClock(startTime, timezone);
+  const localEnd = toWallClock(endTime, timezone);
+  const closesAt = wallClockSeconds(localEnd) + MAX_BEHIND_SECONDS;
+
+  return {
+    mode,
+    timezone,
+    startTime,
+    endTime,
+    localStart,
+    localEnd,
+    fetchAfter: wallClockSeconds(localStart) - MAX_AHEAD_SECONDS,
+    fetchBefore: closesAt,
+    closesAt
+  };
+}
+
+/**
+ * Whether an activity started inside a challenge window
+ * Activities without a local start time fall back to the UTC check.
+ */
+export function isInWindow(activity, window) {
+  if (window.mode === 'local' && activity.start_date_local) {
+    const local = activity.start_date_local.slice(0, 19);
+    return local >= window.localStart && local < window.localEnd;
+  }
+
+  const start = Date.parse(activity.start_date) / 1000;
+  return start >= window.startTime && start < window.endTime;
+}
+
+/**
+ * Keep only the activities inside a challenge window
+ */
+export function filterToWindow(activities, window) {
+  return activities.filter(activity => isInWindow(activity, window));
+}
+
+/**
+ * The window's settings as they appear in API responses and results
+ */
+export function describeWindow(window) {
+  return {
+    mode: window.mode,
+    timezone: window.timezone,
+    localStart: window.localStart,
+    localEnd: window.localEnd,
+    closesAt: window.closesAt
+  };
+}
@@ -0,0 +1,167 @@
+import { ethers } from 'ethers';
+import { toCentiUnits } from './results.js';
+
+/**
+ * EIP-712 participant confirmations
+ *
+ * Participants confirm their final results by signing typed data that names
+ * exactly what they agree to: their frozen score in the current final results
+ * revision (see src/final-results.js), that revision's results hash and a
+ * deadline after which the signature is no longer accepted.
+ *
+ * The signed message is stored alongside the signature (participants
+ * .confirmation_data), so anyone can recover the signer and see what they
+ * confirmed via POST /participants/verify-signature.
+ */
+
+const DEADLINE_SECONDS = parseInt(process.env.CONFIRMATION_DEADLINE_SECONDS || '3600', 10);
+
+/**
+ * Thrown when a confirmation can't be accepted
+ * details are merged into the route's error response.
+ */
+export class ConfirmationError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'ConfirmationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export const CONFIRMATION_TYPES = {
+  Confirmation: [
+    { name: 'challengeId', type: 'uint256' },
+    { name: 'participant', type: 'address' },
+    { name: 'score', type: 'uint256' },
+    { name: 'revision', type: 'uint256' },
+    { name: 'resultsHash', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * EIP-712 domain for confirmations, tied to the chain and challenge contract
+ */
+export function getConfirmationDomain() {
+  return {
+    name: 'StravaChallenge',
+    version: '1',
+    chainId: parseInt(process.env.CHAIN_ID || '31337', 10),
+    verifyingContract: ethers.getAddress(process.env.CONTRACT_ADDRESS)
+  };
+}
+
+/**
+ * Build the typed data a participant signs to confirm a revision
+ *
+ * score is in hundredths of the metric's unit, like the score in the
+ * results Merkle leaves. Participants with no entry confirm a score of 0.
+ *
+ * @param {Object} finalResults - Formatted final results (current revision)
+ * @param {string} walletAddress - Participant address
+ * @param {number} deadline - Last blockchain time the signature is accepted
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+export function buildConfirmation(finalResults, walletAddress, deadline) {
+  const entry = finalResults.entries.find(e => e.address === walletAddress.toLowerCase());
+
+  return {
+    domain: getConfirmationDomain(),
+    types: CONFIRMATION_TYPES,
+    primaryType: 'Confirmation',
+    message: {
+      challengeId: String(finalResults.challengeId),
+      participant: ethers.getAddress(walletAddress),
+      score: String(toCentiUnits(entry ? entry.score : 0)),
+      revision: String(finalResults.revision),
+      resultsHash: finalResults.resultsHash,
+      deadline: String(deadline)
+    }
+  };
+}
+
+/**
+ * Deadline for a confirmation requested now
+ * @param {number} now - Current blockchain time
+ */
+export function getConfirmationDeadline(now) {
+  return now + DEADLINE_SECONDS;
+}
+
+/**
+ * Recover the address that signed a confirmation
+ * @param {Object} typedData - { domain, message } as built by buildConfirmation
+ * @param {string} signature - Participant's signature
+ * @returns {string} Recovered address (throws on a malformed signature)
+ */
+export function recoverConfirmationSigner(typedData, signature) {
+  return ethers.verifyTypedData(typedData.domain, CONFIRMATION_TYPES, typedData.message, signature);
+}
+
+/**
+ * Check a participant's signed confirmation of the current revision
+ *
+ * The typed data is rebuilt from the oracle's own copy of the results, so a
+ * signature over any other score, revision, results hash or deadline
+ * recovers to a different address.
+ *
+ * @param {Object} finalResults - Formatted final results (current revision)
+ * @param {Object} input - { walletAddress, deadline, signature } as sent
+ * @param {number} now - Current blockchain time
+ * @returns {Object} The typed data the participant signed
+ * @throws {ConfirmationError} If the deadline has passed or someone else signed
+ */
+export function verifyConfirmation(finalResults, { walletAddress, deadline, signature }, now) {
+  if (deadline < now) {
+    throw new ConfirmationError('Confirmation deadline has passed', 400, { deadline, currentTime: now });
+  }
+
+  const confirmation = buildConfirmation(finalResults, walletAddress, deadline);
+
+  let recoveredAddress;
+  try {
+    recoveredAddress = recoverConfirmationSigner(confirmation, signature);
+  } catch (error) {
+    throw new ConfirmationError('Invalid signature format', 400);
+  }
+
+  if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+    throw new ConfirmationError('Signature does not match wallet address', 400, {
+      expected: walletAddress,
+      recovered: recoveredAddress
+    });
+  }
+
+  return confirmation;
+}
+
+/**
+ * Message participants signed to confirm a revision before confirmations
+ * became EIP-712 typed data; kept to verify those stored signatures
+ */
+export function getConfirmationMessage(challengeId, revision, resultsHash) {
+  return `CONFIRM_CHALLENGE_${challengeId}_REVISION_${revision}_${resultsHash}`;
+}
+
+/**
+ * Recover who signed a stored confirmation
+ *
+ * Confirmations stored before typed data signed a plain message: per
+ * revision, or per challenge before final results.
+ *
+ * @param {Object} stored - { challengeId, signature, typedData, revision, resultsHash }
+ *   (typedData is participants.confirmation_data, null for older ones)
+ * @returns {Object} { message, recoveredAddress } - message is the typed
+ *   data or plain message that was signed (throws on a malformed signature)
+ */
+export function recoverStoredConfirmation({ challengeId, signature, typedData, revision, resultsHash }) {
+  if (typedData) {
+    return { message: typedData, recoveredAddress: recoverConfirmationSigner(typedData, signature) };
+  }
+
+  const message = revision
+    ? getConfirmationMessage(challengeId, revision, resultsHash)
+    : `CONFIRM_CHALLENGE_${challengeId}`;
+  return { message, recoveredAddress: ethers.verifyMessage(message, signature) };
+}
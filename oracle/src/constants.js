@@ -0,0 +1,7 @@
+// Timing constants mirrored from the StravaChallenge contract
+
+// Grace period after a challenge ends, during which participants confirm
+export const GRACE_PERIOD_SECONDS = 7 * 24 * 60 * 60;
+
+// After this long past the end, participants can emergency withdraw
+export const EMERGENCY_PERIOD_SECONDS = 14 * 24 * 60 * 60;
@@ -1,22 +1,49 @@
 import cron from 'node-cron';
-import { syncActiveChallenges } from './sync-service.js';
+import { enqueueJob } from './jobs.js';
+import { refreshChallengeStates } from './event-listener.js';
+
+// How often to check which challenges are due a sync. The per-challenge
+// cadence is set in src/sync-schedule.js; this only bounds how late a due
+// sync can start.
+const SYNC_SCHEDULE_CRON = process.env.SYNC_SCHEDULE_CRON || '* * * * *';
 
 /**
- * Start the hourly sync job
- * Runs at the top of every hour
+ * Start the scheduled jobs (queued as background jobs; see src/job-handlers.js)
+ * - Sync scheduling every minute
+ * - Finalization precompute at the top of every hour
+ * - Challenge state refresh every 5 minutes
  */
 export function startCronJobs() {
-  // Run every hour at minute 0
   // Cron format: "minute hour day month weekday"
+  // The dedupe keys keep one pending run if the workers fall behind
+  cron.schedule(SYNC_SCHEDULE_CRON, async () => {
+    try {
+      await enqueueJob('schedule_syncs', {}, { dedupeKey: 'schedule_syncs' });
+    } catch (error) {
+      console.error('Queueing sync scheduling failed:', error);
+    }
+  });
+
   cron.schedule('0 * * * *', async () => {
-    console.log('Running hourly sync job');
     try {
-      const result = await syncActiveChallenges();
-      console.log('Hourly sync complete:', result);
+      await enqueueJob('queue_finalization_precompute', {}, { dedupeKey: 'queue_finalization_precompute' });
+    } catch (error) {
+      console.error('Queueing finalization precompute failed:', error);
+    }
+  });
+
+  // Effective state moves with block time rather than events, so re-read
+  // non-terminal challenges every 5 minutes
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const result = await refreshChallengeStates();
+      if (result.refreshed > 0) {
+        console.log(`Refreshed state for ${result.refreshed} challenge(s)`);
+      }
     } catch (error) {
-      console.error('Hourly sync failed:', error);
+      console.error('Challenge state refresh failed:', error);
     }
   });
 
-  console.log('Cron jobs started - hourly sync enabled');
+  console.log(`Cron jobs started - sync scheduling (${SYNC_SCHEDULE_CRON}), finalization precompute and state refresh enabled`);
 }
@@ -22,7 +22,7 @@ export async function setupDatabase() {
     console.log('Database connected at:', result.rows[0].now);
     client.release();
 
-    // Run migrations to ensure all tables exist
+    // Apply any pending schema migrations
     await runMigrations();
 
     return true;
@@ -46,6 +46,23 @@ export async function query(text, params) {
   }
 }
 
+// Run a callback inside a transaction on a dedicated client
+// The callback receives the client and must use it for every query
+export async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM signal received: closing database pool');
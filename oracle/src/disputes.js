@@ -0,0 +1,415 @@
+import { ethers } from 'ethers';
+import { query, withTransaction } from './db.js';
+import { getBlockchainTime } from './event-listener.js';
+import { GRACE_PERIOD_SECONDS } from './constants.js';
+import { getOracleAddress } from './wallet.js';
+import { enqueueJob } from './jobs.js';
+import { getChallengeWindow, isInWindow } from './challenge-window.js';
+import { issueNonce, consumeNonce } from './wallet-auth.js';
+import { queueNotification } from './notifications.js';
+
+/**
+ * Grace period disputes
+ *
+ * Between end_time and the end of the grace period, a participant can
+ * dispute another participant's result, or one of their activities, with a
+ * reason. While any dispute is open the challenge can't be finalized early
+ * (see src/finalization.js); once the grace period expires it can be
+ * finalized regardless, so a dispute can't hold the prize up forever.
+ *
+ * Disputes are resolved by the challenge creator or the oracle operator
+ * (the oracle address, or an address in DISPUTE_RESOLVERS):
+ *
+ * - uphold: an upheld activity dispute excludes that activity from the
+ *   target's score (see src/activity-validation.js) and queues a resync,
+ *   which revises the final results
+ * - reject: the dispute is closed with no change
+ * - withdraw: only the participant who opened it
+ *
+ * Every action is signed (EIP-191) and recorded in dispute_audit. Opening
+ * a dispute signs a one-time nonce from GET /disputes/nonce along with the
+ * chain and contract, so a signature published in the audit trail can't be
+ * replayed to reopen a dispute that was rejected or withdrawn.
+ */
+
+export const DISPUTE_STATUSES = ['open', 'upheld', 'rejected', 'withdrawn'];
+
+// Resolution action -> resulting status
+export const RESOLUTION_ACTIONS = {
+  uphold: 'upheld',
+  reject: 'rejected',
+  withdraw: 'withdrawn'
+};
+
+const MAX_TEXT_LENGTH = 1000;
+const NONCE_TTL_SECONDS = 10 * 60;
+const CLOSED_STATES = ['COMPLETED', 'CANCELLED'];
+
+/**
+ * Thrown when a dispute action isn't allowed
+ */
+export class DisputeError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'DisputeError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function hashText(text) {
+  return ethers.keccak256(ethers.toUtf8Bytes(text || ''));
+}
+
+/**
+ * Message a participant signs to open a dispute
+ * @param {Object} binding - { chainId, contract, nonce } from issueDisputeNonce
+ */
+export function getDisputeMessage(challengeId, targetAddress, activityId, reason, { chainId, contract, nonce }) {
+  const activity = activityId === null || activityId === undefined ? 'NONE' : activityId;
+  return `DISPUTE_CHALLENGE_${challengeId}_PARTICIPANT_${targetAddress.toLowerCase()}_ACTIVITY_${activity}_${hashText(reason)}` +
+    `_CHAIN_${chainId}_CONTRACT_${contract.toLowerCase()}_NONCE_${nonce}`;
+}
+
+function getDisputeBinding(nonce) {
+  return {
+    chainId: parseInt(process.env.CHAIN_ID || '31337', 10),
+    contract: process.env.CONTRACT_ADDRESS.toLowerCase(),
+    nonce
+  };
+}
+
+/**
+ * Issue a one-time nonce for a participant to open a dispute with
+ * @returns {Object} { nonce, chainId, contract, expiresIn } - the binding to sign
+ */
+export async function issueDisputeNonce(walletAddress) {
+  const { nonce } = await issueNonce(walletAddress, 'dispute', NONCE_TTL_SECONDS);
+  return { ...getDisputeBinding(nonce), expiresIn: NONCE_TTL_SECONDS };
+}
+
+/**
+ * Message signed to resolve (or withdraw) a dispute
+ */
+export function getResolutionMessage(disputeId, action, note) {
+  return `RESOLVE_DISPUTE_${disputeId}_${action.toUpperCase()}_${hashText(note)}`;
+}
+
+/**
+ * Addresses besides the creator that may resolve disputes
+ */
+function getOperatorAddresses() {
+  const resolvers = (process.env.DISPUTE_RESOLVERS || '')
+    .split(',')
+    .map(address => address.trim().toLowerCase())
+    .filter(Boolean);
+  return [getOracleAddress().toLowerCase(), ...resolvers];
+}
+
+export function formatDispute(row) {
+  return {
+    id: row.id,
+    challengeId: row.challenge_id,
+    openedBy: row.opened_by,
+    targetAddress: row.target_address,
+    activityId: row.activity_id !== null ? Number(row.activity_id) : null,
+    reason: row.reason,
+    status: row.status,
+    resolvedBy: row.resolved_by,
+    resolutionNote: row.resolution_note,
+    openedAt: row.opened_at,
+    resolvedAt: row.resolved_at
+  };
+}
+
+function formatAuditEntry(row) {
+  return {
+    action: row.action,
+    actor: row.actor,
+    role: row.role,
+    note: row.note,
+    message: row.message,
+    signature: row.signature,
+    createdAt: row.created_at
+  };
+}
+
+function recoverSigner(message, signature) {
+  try {
+    return ethers.verifyMessage(message, signature).toLowerCase();
+  } catch (error) {
+    throw new DisputeError('Invalid signature format', 400);
+  }
+}
+
+function checkText(text, field, required) {
+  if (required && (typeof text !== 'string' || text.trim() === '')) {
+    throw new DisputeError(`${field} is required`, 400);
+  }
+  if (text && (typeof text !== 'string' || text.length > MAX_TEXT_LENGTH)) {
+    throw new DisputeError(`${field} must be a string of at most ${MAX_TEXT_LENGTH} characters`, 400);
+  }
+}
+
+/**
+ * Open a dispute
+ *
+ * @param {Object} input - { challengeId, openedBy, targetAddress, activityId, reason, nonce, signature }
+ *   signed over getDisputeMessage by openedBy
+ * @returns {Object} Formatted dispute
+ * @throws {DisputeError} If the dispute can't be opened
+ */
+export async function openDispute({ challengeId, openedBy, targetAddress, activityId = null, reason, nonce, signature }) {
+  checkText(reason, 'reason', true);
+
+  const message = getDisputeMessage(challengeId, targetAddress, activityId, reason, getDisputeBinding(nonce));
+  if (recoverSigner(message, signature) !== openedBy.toLowerCase()) {
+    throw new DisputeError('Signature does not match wallet address', 400);
+  }
+
+  const challengeResult = await query('SELECT * FROM challenges WHERE id = $1', [challengeId]);
+  if (challengeResult.rows.length === 0) {
+    throw new DisputeError('Challenge not found', 404);
+  }
+  const challenge = challengeResult.rows[0];
+
+  const now = await getBlockchainTime();
+  const graceEnd = Number(challenge.end_time) + GRACE_PERIOD_SECONDS;
+  if (now < challenge.end_time || now >= graceEnd || CLOSED_STATES.includes(challenge.effective_state)) {
+    throw new DisputeError('Disputes can only be opened during the grace period', 400, {
+      endTime: challenge.end_time,
+      gracePeriodEnd: graceEnd,
+      currentTime: now
+    });
+  }
+
+  const participantsResult = await query(
+    `SELECT LOWER(wallet_address) AS wallet_address, strava_user_id FROM participants
+     WHERE challenge_id = $1 AND LOWER(wallet_address) = ANY($2)`,
+    [challengeId, [openedBy.toLowerCase(), targetAddress.toLowerCase()]]
+  );
+  const participants = new Map(participantsResult.rows.map(row => [row.wallet_address, row]));
+
+  if (!participants.has(openedBy.toLowerCase())) {
+    throw new DisputeError('Only participants can open disputes', 403);
+  }
+  const target = participants.get(targetAddress.toLowerCase());
+  if (!target) {
+    throw new DisputeError('Disputed address is not a participant in this challenge', 404);
+  }
+
+  if (activityId !== null) {
+    const activityResult = await query(
+      `SELECT start_date, start_date_local FROM activities
+       WHERE strava_activity_id = $1 AND strava_user_id = $2`,
+      [activityId, target.strava_user_id]
+    );
+    const activity = activityResult.rows[0];
+    const inWindow = activity && isInWindow({
+      start_date: new Date(activity.start_date).toISOString(),
+      start_date_local: activity.start_date_local
+    }, getChallengeWindow(challenge));
+    if (!inWindow) {
+      throw new DisputeError('Activity not found for this participant in the challenge window', 404);
+    }
+  }
+
+  if (!await consumeNonce(nonce, openedBy, 'dispute')) {
+    throw new DisputeError('Dispute nonce was not issued, has expired or was already used', 400);
+  }
+
+  const opened = await withTransaction(async (client) => {
+    // Serialize disputes on the challenge so two requests can't both pass the duplicate check
+    await client.query('SELECT id FROM challenges WHERE id = $1 FOR UPDATE', [challengeId]);
+    const duplicate = await client.query(
+      `SELECT id FROM disputes
+       WHERE challenge_id = $1 AND opened_by = $2 AND target_address = $3
+       AND activity_id IS NOT DISTINCT FROM $4 AND status = 'open'`,
+      [challengeId, openedBy.toLowerCase(), targetAddress.toLowerCase(), activityId]
+    );
+    if (duplicate.rows.length > 0) {
+      throw new DisputeError('You already have an open dispute for this result', 409, {
+        disputeId: duplicate.rows[0].id
+      });
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO disputes (challenge_id, opened_by, target_address, activity_id, reason)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [challengeId, openedBy.toLowerCase(), targetAddress.toLowerCase(), activityId, reason]
+    );
+    const dispute = inserted.rows[0];
+
+    await client.query(
+      `INSERT INTO dispute_audit (dispute_id, challenge_id, action, actor, role, note, message, signature)
+       VALUES ($1, $2, 'opened', $3, 'participant', $4, $5, $6)`,
+      [dispute.id, challengeId, openedBy.toLowerCase(), reason, message, signature]
+    );
+
+    console.log(`Dispute ${dispute.id} opened on challenge ${challengeId} against ${targetAddress}`);
+    return formatDispute(dispute);
+  });
+
+  await queueNotification('dispute_opened', {
+    challengeId: opened.challengeId,
+    disputeId: opened.id,
+    openedBy: opened.openedBy,
+    targetAddress: opened.targetAddress,
+    activityId: opened.activityId
+  });
+  return opened;
+}
+
+/**
+ * Resolve or withdraw an open dispute
+ *
+ * @param {number} disputeId - Dispute ID
+ * @param {Object} input - { action: uphold|reject|withdraw, actor, note, signature }
+ *   signed over getResolutionMessage by actor
+ * @returns {Object} { dispute, resyncJobId } - resyncJobId when an upheld
+ *   activity dispute queued a resync
+ * @throws {DisputeError} If the actor can't take the action
+ */
+export async function resolveDispute(disputeId, { action, actor, note = null, signature }) {
+  if (!RESOLUTION_ACTIONS[action]) {
+    throw new DisputeError(`Invalid action. Must be one of: ${Object.keys(RESOLUTION_ACTIONS).join(', ')}`, 400);
+  }
+  checkText(note, 'note', false);
+
+  const message = getResolutionMessage(disputeId, action, note);
+  const signer = recoverSigner(message, signature);
+  if (signer !== actor.toLowerCase()) {
+    throw new DisputeError('Signature does not match wallet address', 400);
+  }
+
+  const dispute = await withTransaction(async (client) => {
+    const disputeResult = await client.query(
+      `SELECT d.*, LOWER(c.creator) AS creator, c.effective_state
+       FROM disputes d
+       JOIN challenges c ON c.id = d.challenge_id
+       WHERE d.id = $1
+       FOR UPDATE OF d`,
+      [disputeId]
+    );
+    if (disputeResult.rows.length === 0) {
+      throw new DisputeError('Dispute not found', 404);
+    }
+    const row = disputeResult.rows[0];
+
+    if (row.status !== 'open') {
+      throw new DisputeError(`Dispute is already ${row.status}`, 409);
+    }
+    if (CLOSED_STATES.includes(row.effective_state)) {
+      throw new DisputeError(`Challenge is ${row.effective_state.toLowerCase()}`, 409);
+    }
+
+    let role;
+    if (action === 'withdraw') {
+      if (signer !== row.opened_by) {
+        throw new DisputeError('Only the participant who opened a dispute can withdraw it', 403);
+      }
+      role = 'participant';
+    } else if (signer === row.creator) {
+      role = 'creator';
+    } else if (getOperatorAddresses().includes(signer)) {
+      role = 'operator';
+    } else {
+      throw new DisputeError('Only the challenge creator or the oracle operator can resolve disputes', 403);
+    }
+
+    const updated = await client.query(
+      `UPDATE disputes
+       SET status = $2, resolved_by = $3, resolution_note = $4, resolved_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [disputeId, RESOLUTION_ACTIONS[action], signer, note]
+    );
+
+    await client.query(
+      `INSERT INTO dispute_audit (dispute_id, challenge_id, action, actor, role, note, message, signature)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [disputeId, row.challenge_id, RESOLUTION_ACTIONS[action], signer, role, note, message, signature]
+    );
+
+    return updated.rows[0];
+  });
+
+  console.log(`Dispute ${disputeId} ${dispute.status} by ${dispute.resolved_by}`);
+  await queueNotification('dispute_resolved', {
+    challengeId: dispute.challenge_id,
+    disputeId: dispute.id,
+    status: dispute.status,
+    resolvedBy: dispute.resolved_by
+  });
+
+  // Rescore without the activity; the resync revises the final results
+  let resyncJobId = null;
+  if (dispute.status === 'upheld' && dispute.activity_id !== null) {
+    const job = await enqueueJob(
+      'sync_challenge',
+      { challengeId: dispute.challenge_id, phase: 'dispute' },
+      { dedupeKey: `sync_challenge:${dispute.challenge_id}` }
+    );
+    resyncJobId = job.id;
+  }
+
+  return { dispute: formatDispute(dispute), resyncJobId };
+}
+
+/**
+ * List a challenge's disputes, newest first
+ * @param {number} challengeId - Challenge ID
+ * @param {string} status - Optional status filter
+ */
+export async function listDisputes(challengeId, status) {
+  const result = await query(
+    `SELECT * FROM disputes
+     WHERE challenge_id = $1 AND ($2::VARCHAR IS NULL OR status = $2)
+     ORDER BY id DESC`,
+    [challengeId, status || null]
+  );
+  return result.rows.map(formatDispute);
+}
+
+/**
+ * Get a dispute with its audit trail (oldest first)
+ * @returns {Object|null}
+ */
+export async function getDispute(disputeId) {
+  const result = await query('SELECT * FROM disputes WHERE id = $1', [disputeId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const audit = await query(
+    'SELECT * FROM dispute_audit WHERE dispute_id = $1 ORDER BY id',
+    [disputeId]
+  );
+  return { ...formatDispute(result.rows[0]), audit: audit.rows.map(formatAuditEntry) };
+}
+
+/**
+ * Number of open disputes on a challenge
+ */
+export async function countOpenDisputes(challengeId) {
+  const result = await query(
+    "SELECT COUNT(*) AS count FROM disputes WHERE challenge_id = $1 AND status = 'open'",
+    [challengeId]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Activities excluded from a participant's score by upheld disputes
+ * @returns {Array<number>} Strava activity IDs
+ */
+export async function getUpheldActivityIds(challengeId, walletAddress) {
+  const result = await query(
+    `SELECT DISTINCT activity_id FROM disputes
+     WHERE challenge_id = $1 AND target_address = $2
+     AND status = 'upheld' AND activity_id IS NOT NULL`,
+    [challengeId, walletAddress.toLowerCase()]
+  );
+  return result.rows.map(row => Number(row.activity_id));
+}
@@ -1,5 +1,5 @@
 import { ethers } from 'ethers';
-import { query } from './db.js';
+import { query, withTransaction } from './db.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -9,6 +9,42 @@ const __dirname = path.dirname(__filename);
 
 let contract = null;
 let provider = null;
+let pollTimer = null;
+let processing = false;
+
+// Maximum number of blocks requested per queryFilter call when replaying
+// missed events. Public RPC providers commonly cap eth_getLogs ranges.
+const BACKFILL_BLOCK_RANGE = parseInt(process.env.EVENT_BACKFILL_BLOCK_RANGE || '2000', 10);
+
+// Blocks must be this deep before their events are indexed. 0 indexes
+// immediately, which is what you want against a local Hardhat node.
+const CONFIRMATIONS = parseInt(process.env.EVENT_CONFIRMATIONS || '0', 10);
+
+// Block the contract was deployed at. The first sync replays events that
+// can't be read back from contract storage from here.
+const START_BLOCK = parseInt(process.env.EVENT_START_BLOCK || '0', 10);
+
+// How often to check for new blocks and reorgs
+const POLL_INTERVAL_MS = parseInt(process.env.EVENT_POLL_INTERVAL_MS || '2000', 10);
+
+// How far back (in blocks) hashes are kept for locating a fork point.
+// A deeper reorg, or a restarted local node, triggers a full re-index.
+const REORG_WINDOW = 256;
+
+const INDEXED_EVENTS = [
+  'ChallengeCreated',
+  'ParticipantJoined',
+  'ChallengeFinalized',
+  'ChallengeCancelled',
+  'PrizeClaimed',
+  'EmergencyWithdrawal'
+];
+
+// Events the initial sync replays, as their effects aren't in contract storage
+const REPLAYED_EVENTS = ['ChallengeFinalized', 'EmergencyWithdrawal'];
+
+// Matches the contract's ChallengeState enum
+export const CHALLENGE_STATES = ['PENDING', 'ACTIVE', 'GRACE_PERIOD', 'CANCELLED', 'COMPLETED'];
 
 // Handle uncaught errors from ethers.js event polling
 // This is a workaround for a known issue with local Hardhat nodes:
@@ -35,7 +71,7 @@ process.on('unhandledRejection', (error, promise) => {
 
 /**
  * Initialize the event listener
- * Sets up listeners for contract events and syncs existing data
+ * Replays missed events, then polls for newly confirmed blocks
  */
 export async function startEventListener() {
   try {
@@ -70,13 +106,13 @@ export async function startEventListener() {
       console.error('Provider error:', error);
     });
 
-    // Sync existing data on startup
-    await syncExistingData();
+    // Replay anything emitted while the oracle was down
+    await pollChain();
 
-    // Listen for new events
-    setupEventListeners();
+    // Keep following the chain
+    pollTimer = setInterval(pollChain, POLL_INTERVAL_MS);
 
-    console.log('Event listener started successfully');
+    console.log(`Event listener started successfully (confirmations: ${CONFIRMATIONS})`);
 
   } catch (error) {
     console.error('Failed to start event listener:', error);
@@ -85,40 +121,385 @@ export async function startEventListener() {
 }
 
 /**
- * Sync all existing challenges and participants from the blockchain
+ * Get the last processed block for the configured contract
+ * @returns {Object|null} { blockNumber, blockHash }, or null if the contract was never indexed
+ */
+async function getCursor() {
+  const result = await query(
+    'SELECT last_block, last_block_hash FROM event_cursors WHERE contract_address = $1',
+    [process.env.CONTRACT_ADDRESS.toLowerCase()]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    blockNumber: Number(result.rows[0].last_block),
+    blockHash: result.rows[0].last_block_hash
+  };
+}
+
+/**
+ * Persist the last processed block and remember its hash for reorg detection
+ */
+async function saveCursor(block, db = { query }) {
+  await db.query(
+    `INSERT INTO event_cursors (contract_address, last_block, last_block_hash)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (contract_address) DO UPDATE SET
+       last_block = EXCLUDED.last_block,
+       last_block_hash = EXCLUDED.last_block_hash,
+       updated_at = CURRENT_TIMESTAMP`,
+    [process.env.CONTRACT_ADDRESS.toLowerCase(), block.number, block.hash]
+  );
+
+  await recordBlock(block.number, block.hash, db);
+}
+
+/**
+ * Remember a processed block's hash, pruning anything outside the reorg window
+ */
+async function recordBlock(blockNumber, blockHash, db = { query }) {
+  await db.query(
+    `INSERT INTO indexed_blocks (block_number, block_hash)
+     VALUES ($1, $2)
+     ON CONFLICT (block_number) DO UPDATE SET block_hash = EXCLUDED.block_hash`,
+    [blockNumber, blockHash]
+  );
+  await db.query(
+    'DELETE FROM indexed_blocks WHERE block_number < $1',
+    [blockNumber - REORG_WINDOW]
+  );
+}
+
+/**
+ * Single polling step: detect reorgs, then index newly confirmed blocks
+ * Runs are serialized so a slow replay never overlaps the next tick.
  */
-async function syncExistingData() {
+async function pollChain() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
   try {
-    const challengeCount = await contract.getChallengeCount();
-    console.log(`Syncing ${challengeCount} existing challenges...`);
+    const latestBlock = await provider.getBlockNumber();
+    const confirmedBlock = latestBlock - CONFIRMATIONS;
+    let cursor = await getCursor();
 
-    for (let i = 0; i < challengeCount; i++) {
-      await syncChallenge(i);
+    if (cursor === null) {
+      if (confirmedBlock >= 0) {
+        await syncExistingData(confirmedBlock);
+      }
+      return;
     }
 
-    console.log('Initial sync complete');
+    const forkBlock = await findForkBlock(cursor);
+    if (forkBlock !== null) {
+      await rollbackFrom(forkBlock);
+      cursor = await getCursor();
+
+      // The fork point is older than anything we track, start over
+      if (cursor === null) {
+        return;
+      }
+    }
+
+    await indexRange(cursor.blockNumber + 1, confirmedBlock);
   } catch (error) {
-    console.error('Error during initial sync:', error);
+    console.error('Error following contract events:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Sync all existing challenges and participants from the blockchain
+ * Only used when there is no stored cursor for the contract
+ */
+async function syncExistingData(confirmedBlock) {
+  const challengeCount = await contract.getChallengeCount({ blockTag: confirmedBlock });
+  console.log(`No event cursor found, syncing ${challengeCount} existing challenges...`);
+
+  for (let i = 0; i < challengeCount; i++) {
+    await syncChallenge(i, confirmedBlock);
+  }
+
+  // Prizes and emergency withdrawals are only recorded in events
+  if (challengeCount > 0n) {
+    await replayEventEffects(START_BLOCK, confirmedBlock);
+  }
+
+  // We don't know which block each row came from, so attribute them to the
+  // block they were read at. A reorg past this point re-indexes them from
+  // scratch, anything shallower leaves them alone.
+  const block = await provider.getBlock(confirmedBlock);
+  await query(
+    'UPDATE challenges SET block_number = $1, block_hash = $2 WHERE block_number IS NULL',
+    [block.number, block.hash]
+  );
+  await query(
+    'UPDATE participants SET block_number = $1, block_hash = $2 WHERE block_number IS NULL',
+    [block.number, block.hash]
+  );
+
+  await saveCursor(block);
+  console.log('Initial sync complete');
+}
+
+/**
+ * Replay ChallengeFinalized and EmergencyWithdrawal events up to a block
+ * The initial sync reads challenges from contract storage, which no longer
+ * holds the prize paid or how a stake was withdrawn.
+ */
+async function replayEventEffects(fromBlock, toBlock) {
+  console.log(`Replaying prizes and emergency withdrawals from block ${fromBlock} to ${toBlock}...`);
+
+  for (let start = fromBlock; start <= toBlock; start += BACKFILL_BLOCK_RANGE) {
+    const end = Math.min(start + BACKFILL_BLOCK_RANGE - 1, toBlock);
+    const events = (await contract.queryFilter('*', start, end))
+      .filter(event => REPLAYED_EVENTS.includes(event.eventName));
+
+    for (const event of events) {
+      await recordEvent(event);
+      await applyEventEffects(event);
+    }
+  }
+}
+
+/**
+ * Find the first orphaned block, if the chain has reorganized under us
+ * Walks back through recorded block hashes until one is still canonical.
+ * @returns {number|null} First block that needs re-indexing, or null if no reorg
+ */
+async function findForkBlock(cursor) {
+  const cursorBlock = await provider.getBlock(cursor.blockNumber);
+  if (cursorBlock && cursorBlock.hash === cursor.blockHash) {
+    return null;
+  }
+
+  // Cursors saved before block hashes were tracked have nothing to compare
+  // against; adopt the current hash rather than forcing a full re-index
+  if (cursorBlock && cursor.blockHash === null) {
+    await saveCursor(cursorBlock);
+    return null;
+  }
+
+  const recorded = await query(
+    `SELECT block_number, block_hash FROM indexed_blocks
+     WHERE block_number < $1
+     ORDER BY block_number DESC`,
+    [cursor.blockNumber]
+  );
+
+  let forkBlock = 0;
+  for (const row of recorded.rows) {
+    const block = await provider.getBlock(Number(row.block_number));
+    if (block && block.hash === row.block_hash) {
+      forkBlock = Number(row.block_number) + 1;
+      break;
+    }
+  }
+
+  console.warn(`Chain reorganization detected: block ${cursor.blockNumber} (${cursor.blockHash}) is no longer canonical, rolling back to block ${forkBlock}`);
+  return forkBlock;
+}
+
+/**
+ * Remove everything indexed from orphaned blocks and rewind the cursor
+ * Challenges and participants created in orphaned blocks are deleted;
+ * challenges that only had later events orphaned are re-read from the chain.
+ */
+async function rollbackFrom(forkBlock) {
+  const affected = await withTransaction(async (client) => {
+    const events = await client.query(
+      'SELECT DISTINCT challenge_id FROM indexed_events WHERE block_number >= $1',
+      [forkBlock]
+    );
+    const affectedIds = events.rows.map(row => row.challenge_id);
+
+    const orphanedChallenges = await client.query(
+      'DELETE FROM challenges WHERE block_number >= $1 RETURNING id',
+      [forkBlock]
+    );
+    const orphanedIds = orphanedChallenges.rows.map(row => row.id);
+
+    if (orphanedIds.length > 0) {
+      await client.query('DELETE FROM participants WHERE challenge_id = ANY($1)', [orphanedIds]);
+      await client.query('DELETE FROM allowed_participants WHERE challenge_id = ANY($1)', [orphanedIds]);
+      await client.query('DELETE FROM mileage_snapshots WHERE challenge_id = ANY($1)', [orphanedIds]);
+      await client.query('DELETE FROM challenge_metadata WHERE challenge_id = ANY($1)', [orphanedIds]);
+      await client.query('DELETE FROM finalization_results WHERE challenge_id = ANY($1)', [orphanedIds]);
+      await client.query('DELETE FROM final_results WHERE challenge_id = ANY($1)', [orphanedIds]);
+      await client.query('DELETE FROM dispute_audit WHERE challenge_id = ANY($1)', [orphanedIds]);
+      await client.query('DELETE FROM disputes WHERE challenge_id = ANY($1)', [orphanedIds]);
+    }
+
+    await client.query('DELETE FROM participants WHERE block_number >= $1', [forkBlock]);
+    await client.query('DELETE FROM indexed_events WHERE block_number >= $1', [forkBlock]);
+    await client.query('DELETE FROM indexed_blocks WHERE block_number >= $1', [forkBlock]);
+
+    if (forkBlock === 0) {
+      await client.query(
+        'DELETE FROM event_cursors WHERE contract_address = $1',
+        [process.env.CONTRACT_ADDRESS.toLowerCase()]
+      );
+    } else {
+      const ancestor = await provider.getBlock(forkBlock - 1);
+      await saveCursor(ancestor, client);
+    }
+
+    console.log(`Rolled back ${orphanedIds.length} orphaned challenges and events for ${affectedIds.length} challenges`);
+    return affectedIds.filter(id => !orphanedIds.includes(id));
+  });
+
+  // Restore surviving challenges to their state as of the fork point;
+  // re-indexing from the fork will apply anything that is still canonical
+  if (forkBlock > 0) {
+    for (const challengeId of affected) {
+      await syncChallenge(challengeId, forkBlock - 1);
+    }
+  }
+}
+
+/**
+ * Index contract events in bounded block ranges
+ * The steps for a range aren't one transaction. The cursor is only saved
+ * after a range is fully applied, and every step is idempotent (events
+ * insert ON CONFLICT DO NOTHING, challenges are re-read from the contract
+ * and event effects overwrite rather than add), so an interrupted replay
+ * redoes the unfinished range and resumes from there.
+ */
+async function indexRange(fromBlock, toBlock) {
+  if (fromBlock > toBlock) {
+    return;
+  }
+
+  if (toBlock - fromBlock > BACKFILL_BLOCK_RANGE) {
+    console.log(`Replaying contract events from block ${fromBlock} to ${toBlock}...`);
+  }
+
+  for (let start = fromBlock; start <= toBlock; start += BACKFILL_BLOCK_RANGE) {
+    const end = Math.min(start + BACKFILL_BLOCK_RANGE - 1, toBlock);
+    const events = (await contract.queryFilter('*', start, end))
+      .filter(event => INDEXED_EVENTS.includes(event.eventName));
+
+    for (const event of events) {
+      await recordEvent(event);
+    }
+
+    // Every event re-syncs the whole challenge, so only sync each one once per range
+    const challengeIds = new Set(events.map(event => Number(event.args.challengeId)));
+    for (const challengeId of challengeIds) {
+      await syncChallenge(challengeId, end);
+    }
+
+    for (const event of events) {
+      await applyEventEffects(event);
+    }
+
+    await saveCursor(await provider.getBlock(end));
+  }
+}
+
+/**
+ * Record an indexed event along with the block it came from
+ */
+async function recordEvent(event) {
+  const challengeId = Number(event.args.challengeId);
+  console.log(`Event: ${event.eventName} - Challenge #${challengeId} (block ${event.blockNumber})`);
+
+  const args = {};
+  event.fragment.inputs.forEach((input, i) => {
+    args[input.name] = event.args[i].toString();
+  });
+
+  await query(
+    `INSERT INTO indexed_events
+     (block_hash, log_index, block_number, transaction_hash, event_name, challenge_id, args)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (block_hash, log_index) DO NOTHING`,
+    [event.blockHash, event.index, event.blockNumber, event.transactionHash, event.eventName, challengeId, JSON.stringify(args)]
+  );
+  await recordBlock(event.blockNumber, event.blockHash);
+}
+
+/**
+ * Apply the parts of an event that can't be read back from contract storage
+ * Source blocks for created rows, the prize paid out, and emergency withdrawals
+ */
+async function applyEventEffects(event) {
+  const challengeId = Number(event.args.challengeId);
+
+  switch (event.eventName) {
+    case 'ChallengeCreated':
+      await query(
+        'UPDATE challenges SET block_number = $2, block_hash = $3 WHERE id = $1',
+        [challengeId, event.blockNumber, event.blockHash]
+      );
+      break;
+
+    case 'ParticipantJoined':
+      await query(
+        `UPDATE participants SET block_number = $3, block_hash = $4
+         WHERE challenge_id = $1 AND wallet_address = $2`,
+        [challengeId, event.args.participant.toLowerCase(), event.blockNumber, event.blockHash]
+      );
+      break;
+
+    case 'ChallengeFinalized':
+      // totalStaked is zeroed on claim, so the event is the only record of the prize
+      await query(
+        'UPDATE challenges SET prize_amount = $2 WHERE id = $1',
+        [challengeId, event.args.prizeAmount.toString()]
+      );
+      break;
+
+    case 'EmergencyWithdrawal':
+      await query(
+        `UPDATE participants
+         SET withdrawn_amount = $3, withdrawal_type = 'EMERGENCY',
+             withdrawn_at = to_timestamp($4)
+         WHERE challenge_id = $1 AND wallet_address = $2`,
+        [
+          challengeId,
+          event.args.participant.toLowerCase(),
+          event.args.amount.toString(),
+          (await event.getBlock()).timestamp
+        ]
+      );
+      break;
   }
 }
 
 /**
  * Sync a single challenge and its participants from the blockchain
+ * @param {number} challengeId - The challenge ID
+ * @param {number|string} blockTag - Block to read contract state at
  */
-async function syncChallenge(challengeId) {
+export async function syncChallenge(challengeId, blockTag = 'latest') {
   try {
-    const challengeData = await contract.challenges(challengeId);
+    const overrides = { blockTag };
+    const challengeData = await contract.challenges(challengeId, overrides);
+    const effectiveState = await contract.getEffectiveState(challengeId, overrides);
+    const hasWinner = challengeData.winner !== ethers.ZeroAddress;
 
     // Insert or update challenge
     await query(
       `INSERT INTO challenges
-       (id, creator, start_time, end_time, stake_amount, total_staked, state, winner, participant_count)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       (id, creator, start_time, end_time, stake_amount, total_staked, stored_state, effective_state,
+        winner, final_data_hash, participant_count, state_checked_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP)
        ON CONFLICT (id) DO UPDATE SET
          total_staked = EXCLUDED.total_staked,
-         state = EXCLUDED.state,
+         stored_state = EXCLUDED.stored_state,
+         effective_state = EXCLUDED.effective_state,
          winner = EXCLUDED.winner,
+         final_data_hash = EXCLUDED.final_data_hash,
          participant_count = EXCLUDED.participant_count,
+         prize_amount = CASE WHEN $12 THEN challenges.prize_amount ELSE NULL END,
+         state_checked_at = CURRENT_TIMESTAMP,
          updated_at = CURRENT_TIMESTAMP`,
       [
         challengeId,
@@ -127,88 +508,121 @@ async function syncChallenge(challengeId) {
         Number(challengeData.endTime),
         challengeData.stakeAmount.toString(),
         challengeData.totalStaked.toString(),
-        'PENDING',
-        challengeData.winner.toLowerCase(),
-        Number(challengeData.participantCount)
+        CHALLENGE_STATES[Number(challengeData.state)],
+        CHALLENGE_STATES[Number(effectiveState)],
+        hasWinner ? challengeData.winner.toLowerCase() : null,
+        hasWinner ? challengeData.finalDataHash : null,
+        Number(challengeData.participantCount),
+        hasWinner
       ]
     );
 
+    // The whitelist is fixed at creation, so it only needs reading once
+    const allowedResult = await query(
+      'SELECT 1 FROM allowed_participants WHERE challenge_id = $1 LIMIT 1',
+      [challengeId]
+    );
+    if (allowedResult.rows.length === 0) {
+      const allowedAddresses = await contract.getAllowedParticipants(challengeId, overrides);
+      for (const [position, address] of allowedAddresses.entries()) {
+        await query(
+          `INSERT INTO allowed_participants (challenge_id, wallet_address, position)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (challenge_id, wallet_address) DO NOTHING`,
+          [challengeId, address.toLowerCase(), position]
+        );
+      }
+    }
+
     // Sync participants
-    const participantAddresses = await contract.getParticipants(challengeId);
+    const participantAddresses = await contract.getParticipants(challengeId, overrides);
 
     for (const address of participantAddresses) {
-      const participantData = await contract.getParticipant(challengeId, address);
+      const participantData = await contract.getParticipant(challengeId, address, overrides);
+      const withdrawn = participantData.hasJoined && participantData.stake === 0n;
 
+      // withdrawFromCancelled() emits no per-participant event, so a joined
+      // participant whose stake dropped to zero is how we spot a withdrawal.
+      // EmergencyWithdrawal events refine the type and amount afterwards.
       await query(
         `INSERT INTO participants
-         (challenge_id, wallet_address, strava_user_id, has_joined, stake_paid)
-         VALUES ($1, $2, $3, $4, $5)
+         (challenge_id, wallet_address, strava_user_id, has_joined, stake_paid, stake,
+          withdrawn_amount, withdrawal_type, withdrawn_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $9 THEN CURRENT_TIMESTAMP END)
          ON CONFLICT (challenge_id, wallet_address) DO UPDATE SET
            strava_user_id = EXCLUDED.strava_user_id,
            has_joined = EXCLUDED.has_joined,
-           stake_paid = EXCLUDED.stake_paid`,
+           stake_paid = EXCLUDED.stake_paid,
+           stake = EXCLUDED.stake,
+           withdrawn_amount = CASE WHEN $9 THEN COALESCE(participants.withdrawn_amount, EXCLUDED.withdrawn_amount) END,
+           withdrawal_type = CASE WHEN $9 THEN COALESCE(participants.withdrawal_type, EXCLUDED.withdrawal_type) END,
+           withdrawn_at = CASE WHEN $9 THEN COALESCE(participants.withdrawn_at, EXCLUDED.withdrawn_at) END`,
         [
           challengeId,
           address.toLowerCase(),
           participantData.stravaUserId,
           participantData.hasJoined,
-          participantData.hasJoined
+          participantData.hasJoined,
+          participantData.stake.toString(),
+          withdrawn ? challengeData.stakeAmount.toString() : null,
+          withdrawn ? 'CANCELLED' : null,
+          withdrawn
         ]
       );
     }
 
-    console.log(`Synced challenge ${challengeId} with ${participantAddresses.length} participants`);
+    console.log(`Synced challenge ${challengeId} (${CHALLENGE_STATES[Number(effectiveState)]}) with ${participantAddresses.length} participants`);
   } catch (error) {
     console.error(`Error syncing challenge ${challengeId}:`, error);
+    throw error;
   }
 }
 
 /**
- * Set up event listeners for contract events
+ * Re-read challenges whose state can still change without an event
+ * Effective state moves with block time (PENDING -> ACTIVE -> GRACE_PERIOD,
+ * or PENDING -> CANCELLED), and withdrawals from cancelled challenges only
+ * show up as stakes dropping to zero. Called periodically by cron.
  */
-function setupEventListeners() {
-  // Listen for ChallengeCreated events
-  contract.on('ChallengeCreated', async (challengeId, creator, startTime, endTime, stakeAmount, event) => {
-    console.log(`Event: ChallengeCreated #${challengeId}`);
-    try {
-      await syncChallenge(Number(challengeId));
-    } catch (error) {
-      console.error(`Error handling ChallengeCreated event:`, error);
-    }
-  });
+export async function refreshChallengeStates() {
+  if (!provider || processing) {
+    return { refreshed: 0 };
+  }
+  processing = true;
 
-  // Listen for ParticipantJoined events
-  contract.on('ParticipantJoined', async (challengeId, participant, stravaUserId, event) => {
-    console.log(`Event: ParticipantJoined - Challenge #${challengeId}, Participant: ${participant}`);
-    try {
-      // Re-sync the entire challenge to update participant count and total staked
-      await syncChallenge(Number(challengeId));
-    } catch (error) {
-      console.error(`Error handling ParticipantJoined event:`, error);
-    }
-  });
+  try {
+    const confirmedBlock = (await provider.getBlockNumber()) - CONFIRMATIONS;
+    const result = await query(
+      `SELECT id FROM challenges
+       WHERE effective_state <> 'COMPLETED'
+         AND NOT (effective_state = 'CANCELLED' AND total_staked = '0')
+       ORDER BY id`
+    );
 
-  // Listen for ChallengeFinalized events
-  contract.on('ChallengeFinalized', async (challengeId, winner, event) => {
-    console.log(`Event: ChallengeFinalized - Challenge #${challengeId}, Winner: ${winner}`);
-    try {
-      await syncChallenge(Number(challengeId));
-    } catch (error) {
-      console.error(`Error handling ChallengeFinalized event:`, error);
+    let refreshed = 0;
+    for (const row of result.rows) {
+      try {
+        await syncChallenge(row.id, confirmedBlock);
+        refreshed++;
+      } catch (error) {
+        // Already logged by syncChallenge, carry on with the rest
+      }
     }
-  });
 
-  // Listen for ChallengeCancelled events
-  contract.on('ChallengeCancelled', async (challengeId, event) => {
-    console.log(`Event: ChallengeCancelled - Challenge #${challengeId}`);
-    try {
-      await syncChallenge(Number(challengeId));
-    } catch (error) {
-      console.error(`Error handling ChallengeCancelled event:`, error);
-    }
-  });
+    return { refreshed, total: result.rows.length };
+  } finally {
+    processing = false;
+  }
+}
 
-  console.log('Event listeners registered for: ChallengeCreated, ParticipantJoined, ChallengeFinalized, ChallengeCancelled');
+/**
+ * Get the number of challenges created on the contract
+ */
+export async function getChallengeCount() {
+  if (!contract) {
+    throw new Error('Contract not initialized. Call startEventListener() first.');
+  }
+  return Number(await contract.getChallengeCount());
 }
 
 /**
@@ -227,9 +641,10 @@ export async function getBlockchainTime() {
  * Stop the event listener (for graceful shutdown)
  */
 export async function stopEventListener() {
-  if (contract) {
-    contract.removeAllListeners();
-    console.log('Event listeners stopped');
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    console.log('Event listener stopped');
   }
   if (provider) {
     provider.destroy();
@@ -0,0 +1,176 @@
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+/**
+ * Fake Strava webhook sender
+ *
+ * Sends the same requests Strava's push subscription would, so the webhook
+ * route can be exercised locally and in tests without a public callback URL.
+ *
+ * Usage:
+ *   node src/fake-webhook.js verify [--url URL] [--verify-token TOKEN]
+ *   node src/fake-webhook.js activity <create|update|delete> <athleteId> [--activity ID] [--flush]
+ *   node src/fake-webhook.js deauthorize <athleteId>
+ *
+ * --url defaults to http://localhost:$PORT/webhooks/strava. --flush runs the
+ * queued athlete sync straight away via POST /dev/athlete-sync-queue/flush
+ * (development only). --subscription sets subscription_id (defaults to
+ * STRAVA_WEBHOOK_SUBSCRIPTION_ID).
+ */
+
+dotenv.config();
+
+/**
+ * Build an activity event as Strava sends it
+ */
+export function buildActivityEvent({ athleteId, activityId, aspectType = 'create', subscriptionId, updates = {} }) {
+  return {
+    aspect_type: aspectType,
+    event_time: Math.floor(Date.now() / 1000),
+    object_id: Number(activityId ?? Date.now()),
+    object_type: 'activity',
+    owner_id: Number(athleteId),
+    subscription_id: Number(subscriptionId ?? 0),
+    updates
+  };
+}
+
+/**
+ * Build the event Strava sends when an athlete revokes access
+ */
+export function buildDeauthorizationEvent({ athleteId, subscriptionId }) {
+  return {
+    aspect_type: 'update',
+    event_time: Math.floor(Date.now() / 1000),
+    object_id: Number(athleteId),
+    object_type: 'athlete',
+    owner_id: Number(athleteId),
+    subscription_id: Number(subscriptionId ?? 0),
+    updates: { authorized: 'false' }
+  };
+}
+
+/**
+ * POST an event to a webhook URL
+ * @returns {Object} { status, body }
+ */
+export async function sendWebhookEvent(url, event) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(event)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Run the subscription validation handshake against a webhook URL
+ * @returns {Object} { status, body, ok } - ok if the challenge was echoed back
+ */
+export async function verifySubscription(url, verifyToken) {
+  const challenge = `fake-${Date.now()}`;
+  const params = new URLSearchParams({
+    'hub.mode': 'subscribe',
+    'hub.verify_token': verifyToken,
+    'hub.challenge': challenge
+  });
+  const response = await fetch(`${url}?${params.toString()}`);
+  const body = await response.json();
+  return { status: response.status, body, ok: body['hub.challenge'] === challenge };
+}
+
+function parseArgs(argv) {
+  const options = {
+    url: `http://localhost:${process.env.PORT || 3000}/webhooks/strava`,
+    verifyToken: process.env.STRAVA_WEBHOOK_VERIFY_TOKEN,
+    subscriptionId: process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID,
+    flush: false
+  };
+
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--url': options.url = argv[++i]; break;
+      case '--verify-token': options.verifyToken = argv[++i]; break;
+      case '--subscription': options.subscriptionId = argv[++i]; break;
+      case '--activity': options.activityId = argv[++i]; break;
+      case '--flush': options.flush = true; break;
+      default: positional.push(argv[i]);
+    }
+  }
+
+  options.command = positional[0];
+  options.args = positional.slice(1);
+  return options;
+}
+
+const USAGE = `Usage:
+  node src/fake-webhook.js verify [--url URL] [--verify-token TOKEN]
+  node src/fake-webhook.js activity <create|update|delete> <athleteId> [--activity ID] [--flush]
+  node src/fake-webhook.js deauthorize <athleteId>`;
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let result;
+
+  switch (options.command) {
+    case 'verify':
+      result = await verifySubscription(options.url, options.verifyToken);
+      break;
+
+    case 'activity': {
+      const [aspectType, athleteId] = options.args;
+      if (!['create', 'update', 'delete'].includes(aspectType) || !athleteId) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+      }
+      const event = buildActivityEvent({
+        athleteId,
+        activityId: options.activityId,
+        aspectType,
+        subscriptionId: options.subscriptionId
+      });
+      result = await sendWebhookEvent(options.url, event);
+      break;
+    }
+
+    case 'deauthorize': {
+      const [athleteId] = options.args;
+      if (!athleteId) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+      }
+      result = await sendWebhookEvent(options.url, buildDeauthorizationEvent({
+        athleteId,
+        subscriptionId: options.subscriptionId
+      }));
+      break;
+    }
+
+    default:
+      console.error(USAGE);
+      process.exitCode = 1;
+      return;
+  }
+
+  console.log(result.status, JSON.stringify(result.body));
+  if (result.status !== 200 || result.ok === false) {
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.flush) {
+    const flushUrl = new URL('/dev/athlete-sync-queue/flush', options.url);
+    const response = await fetch(flushUrl, { method: 'POST' });
+    console.log('flush', response.status, JSON.stringify(await response.json()));
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,232 @@
+import { ethers } from 'ethers';
+import { query, withTransaction } from './db.js';
+import { getExcludedActivityIds } from './activity-validation.js';
+import { queueNotification } from './notifications.js';
+
+/**
+ * Frozen final results
+ *
+ * Once a challenge ends, syncs record the participants' latest snapshots as
+ * its final results (see migration 014). Participants confirm a specific
+ * revision, identified by its number and results hash:
+ *
+ * - before anyone confirms, the current revision is updated in place
+ * - the first confirmation locks it
+ * - a change to a locked revision creates revision n + 1, supersedes the old
+ *   one and clears every participant's confirmation
+ *
+ * Finalization signs the current revision's scores rather than whatever
+ * snapshot happens to be newest.
+ */
+
+const FROZEN_STATES = ['COMPLETED', 'CANCELLED'];
+
+/**
+ * Hash the scoring fields of a set of entries
+ * Snapshot IDs are left out, so a resync that produces the same scores
+ * doesn't count as a change.
+ */
+export function hashFinalResults(challengeId, entries) {
+  // excludedActivityIds only when there are some, so results recorded before
+  // activity validation keep their hash
+  const fields = entries.map(({ address, stravaUserId, score, miles, activityCount, reachedAt, excludedActivityIds }) => ({
+    address, stravaUserId, score, miles, activityCount, reachedAt,
+    ...(excludedActivityIds?.length > 0 && { excludedActivityIds })
+  }));
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify({ challengeId, entries: fields })));
+}
+
+/**
+ * Shape a final_results row for API responses
+ */
+export function formatFinalResults(row) {
+  return {
+    challengeId: row.challenge_id,
+    revision: row.revision,
+    resultsHash: row.results_hash,
+    entries: row.entries,
+    reason: row.reason,
+    locked: Boolean(row.locked_at),
+    lockedAt: row.locked_at,
+    supersededAt: row.superseded_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Build entries from each participant's latest snapshot, sorted by address
+ */
+async function loadLatestEntries(client, challengeId) {
+  const result = await client.query(
+    `SELECT m.id, m.wallet_address, m.strava_user_id, m.total_miles,
+            COALESCE(m.score, m.total_miles) AS score,
+            m.activity_count, m.score_reached_at, m.activity_issues
+     FROM mileage_snapshots m
+     JOIN participants p ON m.challenge_id = p.challenge_id AND m.wallet_address = p.wallet_address
+     WHERE m.challenge_id = $1
+     AND m.id IN (
+       SELECT MAX(id) FROM mileage_snapshots
+       WHERE challenge_id = $1
+       GROUP BY wallet_address
+     )`,
+    [challengeId]
+  );
+
+  return result.rows
+    .map(row => ({
+      address: row.wallet_address.toLowerCase(),
+      stravaUserId: row.strava_user_id,
+      score: parseFloat(row.score),
+      miles: parseFloat(row.total_miles),
+      activityCount: row.activity_count ?? null,
+      reachedAt: row.score_reached_at !== null ? Number(row.score_reached_at) : null,
+      excludedActivityIds: getExcludedActivityIds(row.activity_issues),
+      snapshotId: Number(row.id)
+    }))
+    .sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+}
+
+/**
+ * Get the current (latest) revision of a challenge's final results
+ * @returns {Object|null} Formatted final results
+ */
+export async function getCurrentFinalResults(challengeId) {
+  const result = await query(
+    'SELECT * FROM final_results WHERE challenge_id = $1 ORDER BY revision DESC LIMIT 1',
+    [challengeId]
+  );
+  return result.rows.length > 0 ? formatFinalResults(result.rows[0]) : null;
+}
+
+/**
+ * List every revision of a challenge's final results, newest first
+ */
+export async function listFinalResultRevisions(challengeId) {
+  const result = await query(
+    'SELECT * FROM final_results WHERE challenge_id = $1 ORDER BY revision DESC',
+    [challengeId]
+  );
+  return result.rows.map(formatFinalResults);
+}
+
+/**
+ * Record a challenge's final results from the latest snapshots
+ *
+ * Call after syncing an ended challenge. Completed and cancelled
+ * challenges are left as they are.
+ *
+ * @param {number} challengeId - Challenge ID
+ * @param {string} reason - What triggered the recording (e.g. "sync")
+ * @returns {Object|null} { ...finalResults, changed, revised } or null if
+ *   there are no snapshots
+ */
+export async function recordFinalResults(challengeId, reason) {
+  const recorded = await withTransaction(async (client) => {
+    // Serializes with confirmations (see lockForConfirmation)
+    const challengeResult = await client.query(
+      'SELECT id, effective_state FROM challenges WHERE id = $1 FOR UPDATE',
+      [challengeId]
+    );
+    if (challengeResult.rows.length === 0) {
+      return null;
+    }
+
+    const currentResult = await client.query(
+      'SELECT * FROM final_results WHERE challenge_id = $1 ORDER BY revision DESC LIMIT 1',
+      [challengeId]
+    );
+    const current = currentResult.rows[0] || null;
+
+    if (FROZEN_STATES.includes(challengeResult.rows[0].effective_state)) {
+      return current ? { ...formatFinalResults(current), changed: false, revised: false } : null;
+    }
+
+    const entries = await loadLatestEntries(client, challengeId);
+    if (entries.length === 0) {
+      return null;
+    }
+    const resultsHash = hashFinalResults(challengeId, entries);
+
+    if (current && current.results_hash === resultsHash) {
+      return { ...formatFinalResults(current), changed: false, revised: false };
+    }
+
+    if (current && !current.locked_at) {
+      const updated = await client.query(
+        `UPDATE final_results
+         SET results_hash = $3, entries = $4, reason = $5, updated_at = CURRENT_TIMESTAMP
+         WHERE challenge_id = $1 AND revision = $2
+         RETURNING *`,
+        [challengeId, current.revision, resultsHash, JSON.stringify(entries), reason]
+      );
+      return { ...formatFinalResults(updated.rows[0]), changed: true, revised: false };
+    }
+
+    const revision = current ? current.revision + 1 : 1;
+
+    if (current) {
+      await client.query(
+        `UPDATE final_results SET superseded_at = CURRENT_TIMESTAMP
+         WHERE challenge_id = $1 AND revision = $2`,
+        [challengeId, current.revision]
+      );
+      // Confirmations were for the old numbers
+      await client.query(
+        `UPDATE participants
+         SET confirmed = FALSE, confirmation_signature = NULL, confirmed_at = NULL, confirmed_revision = NULL,
+             confirmation_data = NULL
+         WHERE challenge_id = $1`,
+        [challengeId]
+      );
+      console.log(`Final results for challenge ${challengeId} revised to revision ${revision}; confirmations reset`);
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO final_results (challenge_id, revision, results_hash, entries, reason)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [challengeId, revision, resultsHash, JSON.stringify(entries), reason]
+    );
+    return { ...formatFinalResults(inserted.rows[0]), changed: true, revised: Boolean(current) };
+  });
+
+  // Participants have new numbers to confirm. An unlocked revision can
+  // change several times before the notification goes out; one per
+  // revision is enough since receivers read the current results.
+  if (recorded?.changed) {
+    await queueNotification('final_results_ready', {
+      challengeId: Number(challengeId),
+      revision: recorded.revision,
+      resultsHash: recorded.resultsHash,
+      revised: recorded.revised
+    }, { dedupeKey: `notify:final_results_ready:${challengeId}:${recorded.revision}` });
+  }
+  return recorded;
+}
+
+/**
+ * Lock a revision for a confirmation
+ *
+ * Must be called inside a transaction; holds the challenge row lock so a
+ * new revision can't be created between checking and recording the
+ * confirmation.
+ *
+ * @param {Object} client - Transaction client
+ * @param {number} challengeId - Challenge ID
+ * @param {number} revision - Revision being confirmed
+ * @returns {Object|null} Formatted revision, or null if it's no longer current
+ */
+export async function lockForConfirmation(client, challengeId, revision) {
+  await client.query('SELECT id FROM challenges WHERE id = $1 FOR UPDATE', [challengeId]);
+
+  const result = await client.query(
+    `UPDATE final_results
+     SET locked_at = COALESCE(locked_at, CURRENT_TIMESTAMP)
+     WHERE challenge_id = $1 AND revision = $2
+     AND revision = (SELECT MAX(revision) FROM final_results WHERE challenge_id = $1)
+     RETURNING *`,
+    [challengeId, revision]
+  );
+  return result.rows.length > 0 ? formatFinalResults(result.rows[0]) : null;
+}
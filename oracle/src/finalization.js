@@ -0,0 +1,219 @@
+import { signFinalization, signSplitFinalization, getOracleAddress } from './wallet.js';
+import { query } from './db.js';
+import { getBlockchainTime } from './event-listener.js';
+import { GRACE_PERIOD_SECONDS } from './constants.js';
+import { getScoringConfig } from './scoring.js';
+import {
+  buildResults,
+  encodeResults,
+  getDataHash,
+  getPayoutConfig,
+  isSplitPayout
+} from './results.js';
+import { getCurrentFinalResults, recordFinalResults } from './final-results.js';
+import { countOpenDisputes } from './disputes.js';
+import { getChallengeWindow, describeWindow } from './challenge-window.js';
+
+/**
+ * Challenge finalization
+ *
+ * Builds and signs a challenge's results once it can be finalized. Used by
+ * GET /oracle/challenge/:id/finalization and by the precompute_finalization
+ * job (see src/job-handlers.js), which signs results ahead of time so the
+ * results and proof endpoints can serve them before anyone asks to claim.
+ */
+
+/**
+ * Thrown when a challenge can't be finalized (yet)
+ * details are merged into the route's error response.
+ */
+export class FinalizationError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'FinalizationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Build, sign and store a challenge's results
+ * Only once it has ended and either the grace period has expired or every
+ * participant has confirmed and no disputes are open. Scores come from the current revision of the
+ * challenge's final results (see src/final-results.js).
+ *
+ * @param {number} challengeId - Challenge ID
+ * @returns {Object} Finalization (see GET /oracle/challenge/:id/finalization)
+ * @throws {FinalizationError} If the challenge can't be finalized
+ */
+export async function prepareFinalization(challengeId) {
+  // Get challenge details
+  const challengeResult = await query(
+    'SELECT * FROM challenges WHERE id = $1',
+    [challengeId]
+  );
+
+  if (challengeResult.rows.length === 0) {
+    throw new FinalizationError('Challenge not found', 404);
+  }
+
+  const challenge = challengeResult.rows[0];
+  const window = getChallengeWindow(challenge);
+  const now = await getBlockchainTime();
+
+  // Check if challenge has ended; a local time window stays open until the
+  // last timezone reaches its end (see src/challenge-window.js)
+  if (now < window.closesAt) {
+    throw new FinalizationError(
+      now < challenge.end_time ? 'Challenge has not ended' : 'Challenge window is still open in some timezones',
+      400,
+      {
+        endTime: challenge.end_time,
+        windowClosesAt: window.closesAt,
+        currentTime: now,
+        timeRemaining: window.closesAt - now
+      }
+    );
+  }
+
+  // Calculate time since end
+  const timeSinceEnd = now - challenge.end_time;
+  const gracePeriodSeconds = GRACE_PERIOD_SECONDS;
+
+  // Get all participants for this challenge
+  const participantsResult = await query(
+    'SELECT wallet_address, confirmed, confirmed_revision FROM participants WHERE challenge_id = $1',
+    [challengeId]
+  );
+
+  if (participantsResult.rows.length === 0) {
+    throw new FinalizationError('No participants found for this challenge', 400);
+  }
+
+  // Sign the frozen final results; record them now if no post-end sync has
+  const finalResults = await getCurrentFinalResults(challengeId)
+    || await recordFinalResults(challengeId, 'finalization');
+
+  if (!finalResults) {
+    throw new FinalizationError('No mileage data found for participants', 400);
+  }
+
+  // Only confirmations of the current revision count
+  const confirmedFor = (p) => p.confirmed && p.confirmed_revision === finalResults.revision;
+
+  const totalParticipants = participantsResult.rows.length;
+  const confirmedParticipants = participantsResult.rows.filter(confirmedFor).length;
+  const allConfirmed = confirmedParticipants === totalParticipants;
+
+  // Check if we can finalize:
+  // Either grace period expired OR all participants confirmed with no open
+  // disputes (see src/disputes.js)
+  const openDisputes = await countOpenDisputes(challengeId);
+  const gracePeriodExpired = timeSinceEnd >= gracePeriodSeconds;
+  const canFinalize = gracePeriodExpired || (allConfirmed && openDisputes === 0);
+
+  if (!canFinalize) {
+    throw new FinalizationError('Cannot finalize yet', 400, {
+      reason: allConfirmed
+        ? 'Grace period not expired and disputes are open'
+        : 'Grace period not expired and not all participants confirmed',
+      gracePeriodExpired,
+      allConfirmed,
+      openDisputes,
+      confirmedCount: confirmedParticipants,
+      totalParticipants,
+      finalResultsRevision: finalResults.revision,
+      timeSinceEnd,
+      gracePeriodSeconds,
+      timeUntilCanFinalize: gracePeriodSeconds - timeSinceEnd
+    });
+  }
+
+  const scoring = getScoringConfig(challenge);
+  const { tieBreak, payoutSplit } = getPayoutConfig(challenge);
+
+  const confirmedAddresses = new Set(
+    participantsResult.rows.filter(confirmedFor).map(p => p.wallet_address.toLowerCase())
+  );
+  const entries = finalResults.entries.map(entry => ({
+    ...entry,
+    confirmed: confirmedAddresses.has(entry.address)
+  }));
+
+  // Build the canonical results (ranking, tie-break and payouts) and hash them
+  const results = buildResults({
+    challengeId,
+    metric: scoring.metric,
+    activityTypes: scoring.activityTypes,
+    window,
+    tieBreak,
+    payoutSplit,
+    participants: entries.map(entry => ({
+      address: entry.address,
+      stravaUserId: entry.stravaUserId,
+      score: entry.score,
+      miles: entry.miles,
+      activityCount: entry.activityCount,
+      reachedAt: entry.reachedAt,
+      excludedActivityIds: entry.excludedActivityIds,
+      confirmed: entry.confirmed
+    }))
+  });
+  const preimage = encodeResults(results);
+  // Merkle root over participant leaves and the preimage (see src/results.js)
+  const dataHash = getDataHash(results, preimage);
+  const winner = entries.find(entry => entry.address === results.winner);
+  const split = isSplitPayout(results);
+  const winners = results.payouts.map(p => p.address);
+  const sharesBps = results.payouts.map(p => p.shareBps);
+
+  // Generate signature
+  const timestamp = await getBlockchainTime();
+  const signature = split
+    ? await signSplitFinalization(challengeId, winners, sharesBps, dataHash, timestamp)
+    : await signFinalization(challengeId, results.winner, dataHash, timestamp);
+
+  // Keep the preimage so it can be served for whichever hash ends up on-chain
+  await query(
+    `INSERT INTO finalization_results
+     (challenge_id, data_hash, winner, preimage, signature, signed_timestamp)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (challenge_id, data_hash) DO UPDATE SET
+       signature = $5, signed_timestamp = $6`,
+    [challengeId, dataHash, results.winner, preimage, signature, timestamp]
+  );
+
+  return {
+    challengeId,
+    winner: {
+      address: winner.address,
+      stravaUserId: winner.stravaUserId,
+      score: winner.score,
+      miles: winner.miles,
+      confirmed: winner.confirmed
+    },
+    metric: scoring.metric,
+    activityTypes: scoring.activityTypes,
+    window: describeWindow(window),
+    tieBreak,
+    payoutSplit,
+    split,
+    // Arguments for claimPrizeSplitWithSignature when split is true
+    winners,
+    sharesBps,
+    payouts: results.payouts,
+    participants: results.participants,
+    finalizationReason: allConfirmed && openDisputes === 0 ? 'all_confirmed' : 'grace_period_expired',
+    openDisputes,
+    confirmedCount: confirmedParticipants,
+    totalParticipants,
+    finalResultsRevision: finalResults.revision,
+    finalResultsHash: finalResults.resultsHash,
+    dataHash,
+    timestamp,
+    signature,
+    oracleAddress: getOracleAddress(),
+    // Canonical results preimage; dataHash is its Merkle root (see src/results.js)
+    fullResults: preimage
+  };
+}
@@ -6,8 +6,17 @@ import { stravaRouter } from './routes/strava.js';
 import { challengesRouter } from './routes/challenges.js';
 import { participantsRouter } from './routes/participants.js';
 import { devRouter } from './routes/dev.js';
+import { walletsRouter } from './routes/wallets.js';
+import { webhooksRouter } from './routes/webhooks.js';
+import { statusRouter } from './routes/status.js';
+import { jobsRouter } from './routes/jobs.js';
+import { disputesRouter } from './routes/disputes.js';
 import { startCronJobs } from './cron.js';
+import { startJobWorkers, stopJobWorkers } from './jobs.js';
+import './job-handlers.js';
 import { startEventListener, stopEventListener } from './event-listener.js';
+import { getTokenKeyring } from './token-crypto.js';
+import { getOAuthStateSecret } from './oauth-state.js';
 
 // Load environment variables
 dotenv.config();
@@ -49,6 +58,11 @@ app.use('/oracle', oracleRouter);
 app.use('/auth/strava', stravaRouter);
 app.use('/challenges', challengesRouter);
 app.use('/participants', participantsRouter);
+app.use('/wallets', walletsRouter);
+app.use('/webhooks', webhooksRouter);
+app.use('/status', statusRouter);
+app.use('/disputes', disputesRouter);
+app.use('/jobs', jobsRouter);
 app.use('/dev', devRouter);
 
 // Error handling middleware
@@ -72,10 +86,15 @@ async function start() {
     await setupDatabase();
     console.log('Database connected');
 
+    // Strava tokens are encrypted at rest and OAuth state is signed; fail now rather than on the first connect
+    getTokenKeyring();
+    getOAuthStateSecret();
+
     // Start blockchain event listener
     await startEventListener();
 
-    // Start cron jobs
+    // Start background job workers and the cron jobs that queue work for them
+    startJobWorkers();
     startCronJobs();
 
     // Start listening
@@ -94,12 +113,14 @@ async function start() {
 process.on('SIGINT', async () => {
   console.log('\nShutting down gracefully...');
   await stopEventListener();
+  await stopJobWorkers();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\nShutting down gracefully...');
   await stopEventListener();
+  await stopJobWorkers();
   process.exit(0);
 });
 
@@ -0,0 +1,91 @@
+import { registerJobHandler } from './jobs.js';
+import {
+  syncChallengeParticipants,
+  syncAthlete,
+  queueScheduledSyncs,
+  queueFinalizationPrecompute
+} from './sync-service.js';
+import { prepareFinalization, FinalizationError } from './finalization.js';
+import { StravaRateLimitError } from './strava-http.js';
+import { removeRevokedTokens } from './strava-client.js';
+import { queueNotification, sendNotification } from './notifications.js';
+
+/**
+ * Job types run by the background workers (see src/jobs.js)
+ *
+ * - schedule_syncs: every minute; queues sync_challenge for each challenge
+ *   whose schedule says it's due (see src/sync-schedule.js)
+ * - queue_finalization_precompute: hourly; queues precompute_finalization
+ *   for each ended challenge without signed results
+ * - sync_challenge { challengeId, phase, fullSync }: fetch and snapshot
+ *   every participant
+ * - sync_athlete { stravaUserId }: one athlete across their challenges
+ *   (queued by Strava webhooks)
+ * - confirm_deauthorization { stravaUserId }: remove an athlete's tokens
+ *   once Strava confirms access was revoked (queued by Strava webhooks)
+ * - precompute_finalization { challengeId }: sign results once the
+ *   challenge can be finalized
+ * - send_notification { event, data }: POST an event to
+ *   NOTIFICATION_WEBHOOK_URL (see src/notifications.js)
+ */
+
+registerJobHandler('schedule_syncs', async () => {
+  return queueScheduledSyncs();
+}, { maxAttempts: 3 });
+
+registerJobHandler('queue_finalization_precompute', async () => {
+  return queueFinalizationPrecompute();
+}, { maxAttempts: 3 });
+
+registerJobHandler('sync_challenge', async ({ challengeId, phase, fullSync = false }) => {
+  const result = await syncChallengeParticipants(challengeId, { fullSync });
+
+  // Out of Strava quota part way through; the job is deferred until it
+  // resets, without using an attempt (see src/jobs.js). Participants already synced are cheap to fetch again (see src/sync-state.js).
+  if (result.rateLimited) {
+    throw new StravaRateLimitError(
+      `${result.rateLimited.skipped} participant(s) not synced: Strava API rate limit exceeded`,
+      result.rateLimited.retryAt
+    );
+  }
+
+  return { ...result, phase: phase || 'manual', fullSync };
+});
+
+registerJobHandler('sync_athlete', async ({ stravaUserId }) => {
+  return syncAthlete(stravaUserId);
+});
+
+registerJobHandler('confirm_deauthorization', async ({ stravaUserId }) => {
+  return { stravaUserId, ...await removeRevokedTokens(stravaUserId) };
+}, { maxAttempts: 3 });
+
+registerJobHandler('precompute_finalization', async ({ challengeId }) => {
+  try {
+    const finalization = await prepareFinalization(challengeId);
+    const result = {
+      challengeId,
+      finalized: true,
+      dataHash: finalization.dataHash,
+      winner: finalization.winner.address,
+      finalizationReason: finalization.finalizationReason
+    };
+    await queueNotification('finalization_ready', {
+      challengeId,
+      dataHash: result.dataHash,
+      winner: result.winner,
+      finalizationReason: result.finalizationReason
+    }, { dedupeKey: `notify:finalization_ready:${challengeId}` });
+    return result;
+  } catch (error) {
+    // Not an error for the job: it's simply too early
+    if (error instanceof FinalizationError) {
+      return { challengeId, finalized: false, reason: error.message, ...error.details };
+    }
+    throw error;
+  }
+}, { maxAttempts: 3 });
+
+registerJobHandler('send_notification', async (payload) => {
+  return sendNotification(payload);
+});
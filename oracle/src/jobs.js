@@ -0,0 +1,421 @@
+import os from 'os';
+import { query } from './db.js';
+
+/**
+ * Postgres-backed job queue
+ *
+ * Jobs are rows in `jobs` (see migration 012). Workers claim the oldest due
+ * job with FOR UPDATE SKIP LOCKED, so several workers (or oracle instances)
+ * can share the table without running a job twice. A failed job is retried
+ * with exponential backoff until max_attempts, then marked 'dead'. An error
+ * with a retryAt (a Strava rate limit) defers the job to that time instead,
+ * without using up an attempt. While a job runs, its
+ * worker refreshes the lock every third of JOB_LOCK_TIMEOUT_MS, so a job
+ * whose worker died mid-run is put back once its lock is older than that.
+ * Completed jobs are deleted after JOB_RETENTION_DAYS.
+ *
+ * Handlers are registered per job type (see src/job-handlers.js) and receive
+ * the job's payload; whatever they return is stored as the job's result.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '1', 10);
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS || String(30 * 60 * 1000), 10);
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS || '30000', 10);
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+// Refresh a running job's lock this often; a long Strava sync can wait out
+// several rate limit windows, each up to STRAVA_MAX_WAIT_MS
+const HEARTBEAT_INTERVAL_MS = LOCK_TIMEOUT_MS / 3;
+// Completed jobs are deleted after this long; dead jobs are kept
+const RETENTION_DAYS = parseFloat(process.env.JOB_RETENTION_DAYS || '7');
+
+export const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+// Requeueing a job whose dedupe_key is now taken by a newer pending job would
+// violate idx_jobs_dedupe; drop the key instead and let both run
+const DEDUPE_KEY_ON_REQUEUE = `CASE WHEN EXISTS (
+    SELECT 1 FROM jobs d WHERE d.dedupe_key = jobs.dedupe_key AND d.status = 'pending' AND d.id <> jobs.id
+  ) THEN NULL ELSE dedupe_key END`;
+
+// type -> { handler, maxAttempts }
+const handlers = new Map();
+const workers = [];
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => result
+ * @param {Object} options - { maxAttempts } default for new jobs of this type
+ */
+export function registerJobHandler(type, handler, { maxAttempts = 5 } = {}) {
+  handlers.set(type, { handler, maxAttempts });
+}
+
+/**
+ * Shape a jobs row for API responses
+ */
+export function formatJob(row) {
+  return {
+    id: Number(row.id),
+    type: row.type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: row.run_at,
+    result: row.result,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+/**
+ * Queue a job
+ *
+ * With a dedupeKey, a job that's already pending under the same key is
+ * returned instead of queueing another; it runs at the earlier of the two
+ * run times.
+ *
+ * @param {string} type - Job type (must have a registered handler)
+ * @param {Object} payload - Passed to the handler
+ * @param {Object} options - { dedupeKey, delayMs, maxAttempts }
+ * @returns {Object} { id, status, created }
+ */
+export async function enqueueJob(type, payload = {}, { dedupeKey = null, delayMs = 0, maxAttempts } = {}) {
+  const result = await query(
+    `INSERT INTO jobs (type, payload, dedupe_key, run_at, max_attempts)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4), $5)
+     ON CONFLICT (dedupe_key) WHERE status = 'pending' DO UPDATE SET
+       run_at = LEAST(jobs.run_at, EXCLUDED.run_at),
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING id, status, (xmax = 0) AS created`,
+    [
+      type,
+      JSON.stringify(payload),
+      dedupeKey,
+      delayMs / 1000,
+      maxAttempts ?? handlers.get(type)?.maxAttempts ?? 5
+    ]
+  );
+
+  wakeWorkers();
+  const row = result.rows[0];
+  return { id: Number(row.id), status: row.status, created: row.created };
+}
+
+/**
+ * Get a job by ID
+ * @returns {Object|null} Formatted job
+ */
+export async function getJob(id) {
+  const result = await query('SELECT * FROM jobs WHERE id = $1', [id]);
+  return result.rows.length > 0 ? formatJob(result.rows[0]) : null;
+}
+
+/**
+ * List recent jobs, newest first
+ * @param {Object} filters - { status, type, limit }
+ */
+export async function listJobs({ status, type, limit = 50 } = {}) {
+  const result = await query(
+    `SELECT * FROM jobs
+     WHERE ($1::VARCHAR IS NULL OR status = $1)
+     AND ($2::VARCHAR IS NULL OR type = $2)
+     ORDER BY id DESC
+     LIMIT $3`,
+    [status || null, type || null, limit]
+  );
+  return result.rows.map(formatJob);
+}
+
+/**
+ * Put a dead job back in the queue with its attempts reset
+ * @returns {Object|null} Formatted job, or null if it isn't dead
+ */
+export async function retryJob(id) {
+  const result = await query(
+    `UPDATE jobs SET status = 'pending', attempts = 0, run_at = CURRENT_TIMESTAMP,
+       dedupe_key = ${DEDUPE_KEY_ON_REQUEUE}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'dead'
+     RETURNING *`,
+    [id]
+  );
+  wakeWorkers();
+  return result.rows.length > 0 ? formatJob(result.rows[0]) : null;
+}
+
+/**
+ * Wait for a job to finish (completed or dead)
+ * @returns {Object|null} Formatted job, or null if it didn't finish in time
+ */
+export async function waitForJob(id, timeoutMs = 60000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const job = await getJob(id);
+    if (!job || job.status === 'completed' || job.status === 'dead') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+  return null;
+}
+
+/**
+ * Make pending jobs of a type due now
+ * @returns {Array} IDs of the jobs moved
+ */
+export async function runPendingJobsNow(type) {
+  const result = await query(
+    `UPDATE jobs SET run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE type = $1 AND status = 'pending' AND run_at > CURRENT_TIMESTAMP
+     RETURNING id`,
+    [type]
+  );
+  wakeWorkers();
+  return result.rows.map(row => Number(row.id));
+}
+
+async function claimJob(workerId) {
+  const result = await query(
+    `UPDATE jobs SET status = 'running', attempts = attempts + 1,
+       locked_by = $1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE status = 'pending' AND run_at <= CURRENT_TIMESTAMP
+       ORDER BY run_at, id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [workerId]
+  );
+  return result.rows[0] || null;
+}
+
+async function touchJob(job) {
+  await query(
+    `UPDATE jobs SET locked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'running' AND locked_by = $2`,
+    [job.id, job.locked_by]
+  );
+}
+
+async function completeJob(job, result) {
+  await query(
+    `UPDATE jobs SET status = 'completed', result = $2, last_error = NULL,
+       locked_by = NULL, locked_at = NULL,
+       completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [job.id, JSON.stringify(result ?? null)]
+  );
+}
+
+/**
+ * Backoff before retrying a job that failed its nth attempt
+ * @param {number} attempts - Attempts made so far (1 after the first)
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Decide what happens to a job whose handler threw
+ * @param {Object} job - jobs row ({ attempts, max_attempts })
+ * @param {Error} error - What the handler threw
+ * @param {number} now - Current time in ms
+ * @returns {Object} { status: 'pending'|'dead', delayMs, deferred } -
+ *   deferred when the error's retryAt put the job off without counting
+ *   the attempt
+ */
+export function getRetryPlan(job, error, now) {
+  const retryAt = error.retryAt ? new Date(error.retryAt).getTime() : NaN;
+  if (Number.isFinite(retryAt)) {
+    return { status: 'pending', delayMs: Math.max(0, retryAt - now), deferred: true };
+  }
+
+  return {
+    status: job.attempts >= job.max_attempts ? 'dead' : 'pending',
+    delayMs: getRetryDelay(job.attempts),
+    deferred: false
+  };
+}
+
+async function failJob(job, error) {
+  const { status, delayMs, deferred } = getRetryPlan(job, error, Date.now());
+
+  await query(
+    `UPDATE jobs SET status = $2::VARCHAR, last_error = $3,
+       attempts = CASE WHEN $5 THEN attempts - 1 ELSE attempts END,
+       run_at = CASE WHEN $2::VARCHAR = 'pending' THEN CURRENT_TIMESTAMP + make_interval(secs => $4) ELSE run_at END,
+       dedupe_key = CASE WHEN $2::VARCHAR = 'pending' THEN ${DEDUPE_KEY_ON_REQUEUE} ELSE dedupe_key END,
+       locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [job.id, status, error.message, delayMs / 1000, deferred]
+  );
+
+  if (status === 'dead') {
+    console.error(`Job ${job.id} (${job.type}) failed ${job.attempts} time(s), marked dead:`, error.message);
+  } else if (deferred) {
+    console.warn(`Job ${job.id} (${job.type}) deferred for ${Math.round(delayMs / 1000)}s:`, error.message);
+  } else {
+    console.warn(`Job ${job.id} (${job.type}) failed, retrying in ${Math.round(delayMs / 1000)}s:`, error.message);
+  }
+}
+
+/**
+ * Requeue jobs whose worker stopped (crashed or restarted) mid-run
+ * @returns {number} Jobs recovered
+ */
+export async function recoverStaleJobs() {
+  const result = await query(
+    `UPDATE jobs SET
+       status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+       last_error = 'Worker lock expired',
+       run_at = CURRENT_TIMESTAMP,
+       dedupe_key = CASE WHEN attempts >= max_attempts THEN dedupe_key ELSE ${DEDUPE_KEY_ON_REQUEUE} END,
+       locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'running'
+     AND locked_at < CURRENT_TIMESTAMP - make_interval(secs => $1)`,
+    [LOCK_TIMEOUT_MS / 1000]
+  );
+  if (result.rowCount > 0) {
+    console.warn(`Recovered ${result.rowCount} job(s) with expired locks`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Delete completed jobs older than JOB_RETENTION_DAYS
+ * @returns {number} Jobs deleted
+ */
+export async function pruneCompletedJobs() {
+  const result = await query(
+    `DELETE FROM jobs
+     WHERE status = 'completed'
+     AND completed_at < CURRENT_TIMESTAMP - make_interval(secs => $1)`,
+    [RETENTION_DAYS * 24 * 3600]
+  );
+  return result.rowCount;
+}
+
+async function runJob(job) {
+  const registered = handlers.get(job.type);
+  const started = Date.now();
+  const heartbeat = setInterval(() => {
+    touchJob(job).catch(error => console.error(`Job ${job.id} lock refresh failed:`, error.message));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    if (!registered) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    const result = await registered.handler(job.payload, job);
+    await completeJob(job, result);
+    console.log(`Job ${job.id} (${job.type}) completed in ${Date.now() - started}ms`);
+  } catch (error) {
+    await failJob(job, error);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+async function workLoop(worker) {
+  while (!worker.stopping) {
+    try {
+      if (Date.now() - worker.lastRecovery >= RECOVERY_INTERVAL_MS) {
+        worker.lastRecovery = Date.now();
+        await recoverStaleJobs();
+        await pruneCompletedJobs();
+      }
+
+      const job = await claimJob(worker.id);
+      if (job) {
+        await runJob(job);
+        continue;
+      }
+    } catch (error) {
+      console.error(`Job worker ${worker.id} error:`, error.message);
+    }
+
+    // Nothing due; sleep until the next poll or until a job is queued
+    await new Promise(resolve => {
+      worker.wake = resolve;
+      setTimeout(resolve, POLL_INTERVAL_MS);
+    });
+    worker.wake = null;
+  }
+}
+
+function wakeWorkers() {
+  for (const worker of workers) {
+    worker.wake?.();
+  }
+}
+
+/**
+ * Start JOB_CONCURRENCY worker loops in this process
+ */
+export function startJobWorkers() {
+  if (workers.length > 0) {
+    return;
+  }
+
+  for (let i = 0; i < CONCURRENCY; i++) {
+    const worker = {
+      id: `${os.hostname()}:${process.pid}:${i}`,
+      stopping: false,
+      wake: null,
+      lastRecovery: 0
+    };
+    worker.done = workLoop(worker);
+    workers.push(worker);
+  }
+
+  console.log(`Started ${CONCURRENCY} job worker(s)`);
+}
+
+/**
+ * Stop the workers after their current job
+ * Jobs still running after timeoutMs go back to pending (without counting
+ * the attempt) so another worker or the next start picks them up.
+ */
+export async function stopJobWorkers(timeoutMs = 10000) {
+  for (const worker of workers) {
+    worker.stopping = true;
+  }
+  wakeWorkers();
+
+  const finished = await Promise.race([
+    Promise.all(workers.map(worker => worker.done)).then(() => true),
+    new Promise(resolve => setTimeout(() => resolve(false), timeoutMs))
+  ]);
+
+  if (!finished) {
+    const result = await query(
+      `UPDATE jobs SET status = 'pending', attempts = attempts - 1, run_at = CURRENT_TIMESTAMP,
+         dedupe_key = ${DEDUPE_KEY_ON_REQUEUE},
+         locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'running' AND locked_by = ANY($1)`,
+      [workers.map(worker => worker.id)]
+    );
+    console.warn(`Released ${result.rowCount} running job(s) on shutdown`);
+  }
+
+  workers.length = 0;
+}
+
+/**
+ * Count jobs by status (for the job status endpoint)
+ */
+export async function getJobCounts() {
+  const result = await query('SELECT status, COUNT(*)::INTEGER AS count FROM jobs GROUP BY status');
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  for (const row of result.rows) {
+    counts[row.status] = row.count;
+  }
+  return counts;
+}
@@ -0,0 +1,75 @@
+import { ethers } from 'ethers';
+
+/**
+ * Merkle trees with sorted-pair hashing
+ *
+ * Compatible with OpenZeppelin's MerkleProof.verify: each parent is
+ * keccak256 of its two children in ascending order, so a proof is just the
+ * list of sibling hashes. Leaves are sorted before the tree is built and an
+ * odd node at the end of a layer is carried up unchanged.
+ *
+ * This module has no database or network dependencies.
+ */
+
+/**
+ * Hash two nodes in ascending order
+ */
+export function hashPair(a, b) {
+  return a.toLowerCase() < b.toLowerCase()
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a tree from leaf hashes
+ * @param {Array<string>} leaves - 32-byte leaf hashes
+ * @returns {Object} { root, layers } where layers[0] are the sorted leaves
+ */
+export function buildMerkleTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree with no leaves');
+  }
+
+  const layers = [[...leaves].map(l => l.toLowerCase()).sort()];
+
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  return { root: layers[layers.length - 1][0], layers };
+}
+
+/**
+ * Get the inclusion proof for a leaf
+ * @returns {Array<string>} Sibling hashes from the leaf up to the root
+ * @throws If the leaf is not in the tree
+ */
+export function getMerkleProof(layers, leaf) {
+  let index = layers[0].indexOf(leaf.toLowerCase());
+  if (index === -1) {
+    throw new Error('Leaf is not in the tree');
+  }
+
+  const proof = [];
+  for (let level = 0; level < layers.length - 1; level++) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layers[level].length) {
+      proof.push(layers[level][sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+/**
+ * Check a leaf's inclusion proof against a root
+ */
+export function verifyMerkleProof(leaf, proof, root) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf.toLowerCase());
+  return computed === root.toLowerCase();
+}
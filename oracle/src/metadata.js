@@ -0,0 +1,142 @@
+import { ethers } from 'ethers';
+import { validateScoringConfig } from './scoring.js';
+import { validatePayoutConfig, DEFAULT_TIE_BREAK, DEFAULT_PAYOUT_SPLIT } from './results.js';
+import { WINDOW_MODES, DEFAULT_WINDOW_MODE, DEFAULT_TIMEZONE, isValidTimezone } from './challenge-window.js';
+
+/**
+ * Challenge metadata
+ *
+ * Title, description and scoring configuration live off-chain. The creator
+ * signs (EIP-191 personal_sign) a message containing the keccak256 hash of
+ * the canonical JSON, so anyone can check the stored metadata is what the
+ * on-chain creator approved.
+ */
+
+export const DISPLAY_UNITS = ['imperial', 'metric'];
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_URL_LENGTH = 500;
+
+/**
+ * Normalize metadata into its canonical form
+ * Keys are always in this order, strings are trimmed, sport types are
+ * de-duplicated and sorted, and missing optional fields become null.
+ * tieBreak, payoutSplit and windowMode are only present when they differ
+ * from the defaults, so metadata signed before they existed keeps its hash.
+ * timezone is only present with a local windowMode.
+ */
+export function normalizeMetadata(input = {}) {
+  const sportTypes = Array.isArray(input.sportTypes)
+    ? [...new Set(input.sportTypes.map(t => String(t).trim()))].sort()
+    : [];
+
+  const metadata = {
+    title: typeof input.title === 'string' ? input.title.trim() : '',
+    description: typeof input.description === 'string' && input.description.trim() ? input.description.trim() : null,
+    sportTypes,
+    metric: typeof input.metric === 'string' ? input.metric : '',
+    units: typeof input.units === 'string' ? input.units : 'imperial',
+    coverImage: typeof input.coverImage === 'string' && input.coverImage.trim() ? input.coverImage.trim() : null
+  };
+
+  if (typeof input.tieBreak === 'string' && input.tieBreak !== DEFAULT_TIE_BREAK) {
+    metadata.tieBreak = input.tieBreak;
+  }
+
+  if (Array.isArray(input.payoutSplit) && input.payoutSplit.join() !== DEFAULT_PAYOUT_SPLIT.join()) {
+    metadata.payoutSplit = input.payoutSplit.map(Number);
+  }
+
+  if (typeof input.windowMode === 'string' && input.windowMode !== DEFAULT_WINDOW_MODE) {
+    metadata.windowMode = input.windowMode;
+    metadata.timezone = typeof input.timezone === 'string' && input.timezone.trim()
+      ? input.timezone.trim()
+      : DEFAULT_TIMEZONE;
+  }
+
+  return metadata;
+}
+
+/**
+ * Get the tie-break policy and payout split from normalized metadata
+ */
+export function getMetadataPayoutConfig(metadata) {
+  return {
+    tieBreak: metadata.tieBreak || DEFAULT_TIE_BREAK,
+    payoutSplit: metadata.payoutSplit || DEFAULT_PAYOUT_SPLIT
+  };
+}
+
+/**
+ * Get the window mode and timezone from normalized metadata
+ */
+export function getMetadataWindowConfig(metadata) {
+  return {
+    windowMode: metadata.windowMode || DEFAULT_WINDOW_MODE,
+    timezone: metadata.timezone || DEFAULT_TIMEZONE
+  };
+}
+
+/**
+ * Validate normalized metadata
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateMetadata(metadata) {
+  if (!metadata.title) {
+    return 'title is required';
+  }
+
+  if (metadata.title.length > MAX_TITLE_LENGTH) {
+    return `title must be at most ${MAX_TITLE_LENGTH} characters`;
+  }
+
+  if (metadata.description && metadata.description.length > MAX_DESCRIPTION_LENGTH) {
+    return `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+
+  const scoringError = validateScoringConfig({ metric: metadata.metric, activityTypes: metadata.sportTypes });
+  if (scoringError) {
+    return scoringError;
+  }
+
+  const payoutError = validatePayoutConfig(getMetadataPayoutConfig(metadata));
+  if (payoutError) {
+    return payoutError;
+  }
+
+  if (metadata.windowMode && !WINDOW_MODES.includes(metadata.windowMode)) {
+    return `windowMode must be one of: ${WINDOW_MODES.join(', ')}`;
+  }
+
+  if (metadata.timezone && !isValidTimezone(metadata.timezone)) {
+    return `Unknown timezone '${metadata.timezone}'. Use an IANA name such as America/New_York`;
+  }
+
+  if (!DISPLAY_UNITS.includes(metadata.units)) {
+    return `units must be one of: ${DISPLAY_UNITS.join(', ')}`;
+  }
+
+  if (metadata.coverImage) {
+    if (metadata.coverImage.length > MAX_URL_LENGTH || !/^https?:\/\/\S+$/.test(metadata.coverImage)) {
+      return 'coverImage must be an http(s) URL';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Hash normalized metadata
+ * @returns {string} keccak256 of the canonical JSON
+ */
+export function hashMetadata(metadata) {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(metadata)));
+}
+
+/**
+ * Get the message the creator signs for a metadata hash
+ */
+export function getMetadataMessage(challengeId, metadataHash) {
+  return `CHALLENGE_METADATA_${challengeId}_${metadataHash}`;
+}
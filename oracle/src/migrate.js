@@ -0,0 +1,50 @@
+import { pool } from './db.js';
+import { runMigrations, rollbackMigrations, getMigrationStatus } from './migrations.js';
+
+/**
+ * Database migration CLI
+ *
+ * Usage:
+ *   node src/migrate.js up            # apply all pending migrations
+ *   node src/migrate.js down [steps]  # roll back the last N migrations (default 1)
+ *   node src/migrate.js status        # list applied and pending migrations
+ */
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up':
+      await runMigrations();
+      break;
+
+    case 'down': {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (isNaN(steps) || steps < 1) {
+        throw new Error('steps must be a positive integer');
+      }
+      await rollbackMigrations(steps);
+      break;
+    }
+
+    case 'status': {
+      const status = await getMigrationStatus();
+      for (const migration of status) {
+        const marker = migration.applied ? 'applied' : 'pending';
+        const when = migration.appliedAt ? ` (${new Date(migration.appliedAt).toISOString()})` : '';
+        console.log(`${marker.padEnd(8)} ${migration.name}${when}`);
+      }
+      break;
+    }
+
+    default:
+      console.error('Usage: node src/migrate.js <up|down [steps]|status>');
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -1,105 +1,182 @@
-import { query } from './db.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { pool } from './db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key for pg_advisory_lock so two oracle instances starting at
+// the same time don't both try to apply the same migration
+const MIGRATION_LOCK_KEY = 7263001;
 
 /**
- * Run all database migrations
- * Creates tables if they don't exist
+ * Load migration modules from src/migrations
+ * Files are named NNN_description.js and export async up(client) / down(client)
+ * @returns {Array} Migrations sorted by version
  */
-export async function runMigrations() {
-  console.log('Running database migrations...');
+async function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort();
+
+  const migrations = [];
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down() functions`);
+    }
+
+    migrations.push({
+      version: parseInt(file.split('_')[0], 10),
+      name: file.replace(/\.js$/, ''),
+      up: module.up,
+      down: module.down
+    });
+  }
+
+  return migrations;
+}
+
+/**
+ * Create the schema_migrations tracking table if it doesn't exist
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get the set of applied migration versions
+ */
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+}
+
+/**
+ * Run a callback with a dedicated client holding the migration lock
+ */
+async function withMigrationLock(callback) {
+  const client = await pool.connect();
 
   try {
-    // Create challenges table
-    await query(`
-      CREATE TABLE IF NOT EXISTS challenges (
-        id INTEGER PRIMARY KEY,
-        creator VARCHAR(42) NOT NULL,
-        start_time BIGINT NOT NULL,
-        end_time BIGINT NOT NULL,
-        stake_amount VARCHAR(78) NOT NULL,
-        total_staked VARCHAR(78) NOT NULL DEFAULT '0',
-        state VARCHAR(20) NOT NULL,
-        winner VARCHAR(42),
-        final_data_hash VARCHAR(66),
-        participant_count INTEGER NOT NULL DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('- challenges table ready');
-
-    // Create participants table
-    await query(`
-      CREATE TABLE IF NOT EXISTS participants (
-        challenge_id INTEGER NOT NULL,
-        wallet_address VARCHAR(42) NOT NULL,
-        strava_user_id VARCHAR(50),
-        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        has_joined BOOLEAN DEFAULT FALSE,
-        stake_paid BOOLEAN DEFAULT FALSE,
-        confirmed BOOLEAN DEFAULT FALSE,
-        confirmation_signature TEXT,
-        confirmed_at TIMESTAMP,
-        PRIMARY KEY (challenge_id, wallet_address)
-      )
-    `);
-    console.log('- participants table ready');
-
-    // Create strava_tokens table
-    await query(`
-      CREATE TABLE IF NOT EXISTS strava_tokens (
-        wallet_address VARCHAR(42) PRIMARY KEY,
-        strava_user_id VARCHAR(50) NOT NULL,
-        access_token TEXT NOT NULL,
-        refresh_token TEXT NOT NULL,
-        expires_at BIGINT NOT NULL,
-        athlete_data JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    console.log('- strava_tokens table ready');
-
-    // Create mileage_snapshots table
-    await query(`
-      CREATE TABLE IF NOT EXISTS mileage_snapshots (
-        id SERIAL PRIMARY KEY,
-        challenge_id INTEGER NOT NULL,
-        wallet_address VARCHAR(42) NOT NULL,
-        strava_user_id VARCHAR(50) NOT NULL,
-        total_miles NUMERIC(10, 2) NOT NULL,
-        snapshot_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        raw_data JSONB
-      )
-    `);
-    console.log('- mileage_snapshots table ready');
-
-    // Create indexes if they don't exist (using DO block for conditional index creation)
-    await query(`
-      DO $$
-      BEGIN
-        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_participants_challenge') THEN
-          CREATE INDEX idx_participants_challenge ON participants(challenge_id);
-        END IF;
-        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_participants_strava') THEN
-          CREATE INDEX idx_participants_strava ON participants(strava_user_id);
-        END IF;
-        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_snapshots_challenge') THEN
-          CREATE INDEX idx_snapshots_challenge ON mileage_snapshots(challenge_id);
-        END IF;
-        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_snapshots_wallet') THEN
-          CREATE INDEX idx_snapshots_wallet ON mileage_snapshots(wallet_address);
-        END IF;
-        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_snapshots_time') THEN
-          CREATE INDEX idx_snapshots_time ON mileage_snapshots(snapshot_at);
-        END IF;
-      END
-      $$;
-    `);
-    console.log('- indexes ready');
-
-    console.log('Database migrations completed successfully');
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Apply a single migration step inside its own transaction
+ */
+async function applyMigration(client, migration, direction) {
+  try {
+    await client.query('BEGIN');
+
+    if (direction === 'up') {
+      await migration.up(client);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await migration.down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
   } catch (error) {
-    console.error('Migration error:', error);
-    throw error;
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.name} (${direction}) failed: ${error.message}`);
   }
 }
+
+/**
+ * Run all pending database migrations
+ * @returns {Array} Names of the migrations that were applied
+ */
+export async function runMigrations() {
+  console.log('Running database migrations...');
+
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter(m => !applied.has(m.version));
+
+    if (pending.length === 0) {
+      console.log('Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      await applyMigration(client, migration, 'up');
+      console.log(`- applied ${migration.name}`);
+    }
+
+    console.log(`Database migrations completed successfully (${pending.length} applied)`);
+    return pending.map(m => m.name);
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} steps - Number of migrations to roll back (default 1)
+ * @returns {Array} Names of the migrations that were rolled back
+ */
+export async function rollbackMigrations(steps = 1) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRollback = migrations
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    if (toRollback.length === 0) {
+      console.log('No migrations to roll back');
+      return [];
+    }
+
+    for (const migration of toRollback) {
+      await applyMigration(client, migration, 'down');
+      console.log(`- rolled back ${migration.name}`);
+    }
+
+    return toRollback.map(m => m.name);
+  });
+}
+
+/**
+ * Get applied/pending status for every known migration
+ * @returns {Array} [{ version, name, applied, appliedAt }]
+ */
+export async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: appliedAt.has(m.version),
+      appliedAt: appliedAt.get(m.version) || null
+    }));
+  });
+}
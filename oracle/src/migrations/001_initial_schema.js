@@ -0,0 +1,77 @@
+/**
+ * Initial schema
+ *
+ * Uses IF NOT EXISTS so databases created by the old unversioned
+ * runMigrations() are adopted as-is instead of failing on startup.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS challenges (
+      id INTEGER PRIMARY KEY,
+      creator VARCHAR(42) NOT NULL,
+      start_time BIGINT NOT NULL,
+      end_time BIGINT NOT NULL,
+      stake_amount VARCHAR(78) NOT NULL,
+      total_staked VARCHAR(78) NOT NULL DEFAULT '0',
+      state VARCHAR(20) NOT NULL,
+      winner VARCHAR(42),
+      final_data_hash VARCHAR(66),
+      participant_count INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS participants (
+      challenge_id INTEGER NOT NULL,
+      wallet_address VARCHAR(42) NOT NULL,
+      strava_user_id VARCHAR(50),
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      has_joined BOOLEAN DEFAULT FALSE,
+      stake_paid BOOLEAN DEFAULT FALSE,
+      confirmed BOOLEAN DEFAULT FALSE,
+      confirmation_signature TEXT,
+      confirmed_at TIMESTAMP,
+      PRIMARY KEY (challenge_id, wallet_address)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS strava_tokens (
+      wallet_address VARCHAR(42) PRIMARY KEY,
+      strava_user_id VARCHAR(50) NOT NULL,
+      access_token TEXT NOT NULL,
+      refresh_token TEXT NOT NULL,
+      expires_at BIGINT NOT NULL,
+      athlete_data JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS mileage_snapshots (
+      id SERIAL PRIMARY KEY,
+      challenge_id INTEGER NOT NULL,
+      wallet_address VARCHAR(42) NOT NULL,
+      strava_user_id VARCHAR(50) NOT NULL,
+      total_miles NUMERIC(10, 2) NOT NULL,
+      snapshot_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      raw_data JSONB
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_participants_challenge ON participants(challenge_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_participants_strava ON participants(strava_user_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_snapshots_challenge ON mileage_snapshots(challenge_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_snapshots_wallet ON mileage_snapshots(wallet_address)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_snapshots_time ON mileage_snapshots(snapshot_at)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS mileage_snapshots');
+  await client.query('DROP TABLE IF EXISTS strava_tokens');
+  await client.query('DROP TABLE IF EXISTS participants');
+  await client.query('DROP TABLE IF EXISTS challenges');
+}
@@ -0,0 +1,19 @@
+/**
+ * Block cursor for the contract event listener
+ *
+ * Stores the last block whose events have been processed for each contract
+ * so a restarted oracle can replay only what it missed.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE event_cursors (
+      contract_address VARCHAR(42) PRIMARY KEY,
+      last_block BIGINT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS event_cursors');
+}
@@ -0,0 +1,48 @@
+/**
+ * Block tracking for chain reorganization handling
+ *
+ * Every indexed event is recorded with the block it came from, and the rows
+ * it produced carry the same block number/hash, so rows whose source block is
+ * orphaned can be found and rolled back.
+ */
+export async function up(client) {
+  await client.query('ALTER TABLE challenges ADD COLUMN block_number BIGINT');
+  await client.query('ALTER TABLE challenges ADD COLUMN block_hash VARCHAR(66)');
+  await client.query('ALTER TABLE participants ADD COLUMN block_number BIGINT');
+  await client.query('ALTER TABLE participants ADD COLUMN block_hash VARCHAR(66)');
+  await client.query('ALTER TABLE event_cursors ADD COLUMN last_block_hash VARCHAR(66)');
+
+  await client.query(`
+    CREATE TABLE indexed_events (
+      block_hash VARCHAR(66) NOT NULL,
+      log_index INTEGER NOT NULL,
+      block_number BIGINT NOT NULL,
+      transaction_hash VARCHAR(66) NOT NULL,
+      event_name VARCHAR(50) NOT NULL,
+      challenge_id INTEGER NOT NULL,
+      args JSONB,
+      indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (block_hash, log_index)
+    )
+  `);
+  await client.query('CREATE INDEX idx_indexed_events_block ON indexed_events(block_number)');
+
+  // Hashes of recently processed blocks, used to find the fork point
+  await client.query(`
+    CREATE TABLE indexed_blocks (
+      block_number BIGINT PRIMARY KEY,
+      block_hash VARCHAR(66) NOT NULL,
+      indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS indexed_blocks');
+  await client.query('DROP TABLE IF EXISTS indexed_events');
+  await client.query('ALTER TABLE event_cursors DROP COLUMN IF EXISTS last_block_hash');
+  await client.query('ALTER TABLE participants DROP COLUMN IF EXISTS block_hash');
+  await client.query('ALTER TABLE participants DROP COLUMN IF EXISTS block_number');
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS block_hash');
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS block_number');
+}
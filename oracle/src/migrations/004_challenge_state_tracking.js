@@ -0,0 +1,32 @@
+/**
+ * Track real on-chain challenge state
+ *
+ * The old `state` column was always written as 'PENDING'. It becomes
+ * `stored_state` (the value in contract storage) alongside `effective_state`
+ * (what getEffectiveState() returns, which moves with block time).
+ */
+export async function up(client) {
+  await client.query('ALTER TABLE challenges RENAME COLUMN state TO stored_state');
+  await client.query(`ALTER TABLE challenges ADD COLUMN effective_state VARCHAR(20) NOT NULL DEFAULT 'PENDING'`);
+  await client.query('ALTER TABLE challenges ADD COLUMN prize_amount VARCHAR(78)');
+  await client.query('ALTER TABLE challenges ADD COLUMN state_checked_at TIMESTAMP');
+  await client.query('CREATE INDEX idx_challenges_effective_state ON challenges(effective_state)');
+
+  await client.query(`ALTER TABLE participants ADD COLUMN stake VARCHAR(78) NOT NULL DEFAULT '0'`);
+  await client.query('ALTER TABLE participants ADD COLUMN withdrawn_amount VARCHAR(78)');
+  await client.query('ALTER TABLE participants ADD COLUMN withdrawal_type VARCHAR(20)');
+  await client.query('ALTER TABLE participants ADD COLUMN withdrawn_at TIMESTAMP');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE participants DROP COLUMN IF EXISTS withdrawn_at');
+  await client.query('ALTER TABLE participants DROP COLUMN IF EXISTS withdrawal_type');
+  await client.query('ALTER TABLE participants DROP COLUMN IF EXISTS withdrawn_amount');
+  await client.query('ALTER TABLE participants DROP COLUMN IF EXISTS stake');
+
+  await client.query('DROP INDEX IF EXISTS idx_challenges_effective_state');
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS state_checked_at');
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS prize_amount');
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS effective_state');
+  await client.query('ALTER TABLE challenges RENAME COLUMN stored_state TO state');
+}
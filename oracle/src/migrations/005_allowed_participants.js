@@ -0,0 +1,25 @@
+/**
+ * Challenge whitelists
+ *
+ * Mirrors getAllowedParticipants() so the oracle knows who was invited
+ * to a challenge, not just who has joined.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE allowed_participants (
+      challenge_id INTEGER NOT NULL,
+      wallet_address VARCHAR(42) NOT NULL,
+      position INTEGER NOT NULL,
+      PRIMARY KEY (challenge_id, wallet_address)
+    )
+  `);
+  await client.query('CREATE INDEX idx_allowed_participants_wallet ON allowed_participants(wallet_address)');
+  await client.query('CREATE INDEX idx_challenges_creator ON challenges(creator)');
+  await client.query('CREATE INDEX idx_participants_wallet ON participants(wallet_address)');
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_participants_wallet');
+  await client.query('DROP INDEX IF EXISTS idx_challenges_creator');
+  await client.query('DROP TABLE IF EXISTS allowed_participants');
+}
@@ -0,0 +1,24 @@
+/**
+ * Per-challenge scoring configuration
+ *
+ * Challenges pick a scoring metric and the Strava activity types that
+ * count towards it. Existing challenges keep the old behaviour (running
+ * distance). Snapshots record the score under the metric they were
+ * computed with; total_miles is still written for every metric.
+ */
+export async function up(client) {
+  await client.query(`ALTER TABLE challenges ADD COLUMN scoring_metric VARCHAR(32) NOT NULL DEFAULT 'distance'`);
+  await client.query(`ALTER TABLE challenges ADD COLUMN activity_types TEXT[] NOT NULL DEFAULT '{Run,VirtualRun}'`);
+
+  await client.query('ALTER TABLE mileage_snapshots ADD COLUMN score NUMERIC(14, 2)');
+  await client.query('ALTER TABLE mileage_snapshots ADD COLUMN metric VARCHAR(32)');
+  await client.query(`UPDATE mileage_snapshots SET score = total_miles, metric = 'distance'`);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE mileage_snapshots DROP COLUMN IF EXISTS metric');
+  await client.query('ALTER TABLE mileage_snapshots DROP COLUMN IF EXISTS score');
+
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS activity_types');
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS scoring_metric');
+}
@@ -0,0 +1,28 @@
+/**
+ * Creator-signed challenge metadata
+ *
+ * metadata_hash is keccak256 of the canonical metadata JSON and signature
+ * is the creator's EIP-191 signature over CHALLENGE_METADATA_{id}_{hash}.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE challenge_metadata (
+      challenge_id INTEGER PRIMARY KEY,
+      title VARCHAR(120) NOT NULL,
+      description TEXT,
+      sport_types TEXT[] NOT NULL,
+      metric VARCHAR(32) NOT NULL,
+      units VARCHAR(16) NOT NULL,
+      cover_image TEXT,
+      metadata_hash VARCHAR(66) NOT NULL,
+      signature TEXT NOT NULL,
+      signed_by VARCHAR(42) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS challenge_metadata');
+}
@@ -0,0 +1,24 @@
+/**
+ * Store every results preimage the oracle signs
+ *
+ * The preimage is kept so GET /oracle/challenge/:id/results can return the
+ * exact bytes behind the finalDataHash recorded on-chain.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE finalization_results (
+      challenge_id INTEGER NOT NULL,
+      data_hash VARCHAR(66) NOT NULL,
+      winner VARCHAR(42) NOT NULL,
+      preimage TEXT NOT NULL,
+      signature TEXT NOT NULL,
+      signed_timestamp BIGINT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (challenge_id, data_hash)
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS finalization_results');
+}
@@ -0,0 +1,29 @@
+/**
+ * Tie-break policies and split payouts
+ *
+ * Challenges choose how equal scores are separated (tie_break) and how the
+ * prize is split across finishing places (payout_bps, basis points per
+ * place). Both come from the creator-signed metadata. Snapshots record the
+ * activity count and when the total was reached so ties can be broken.
+ */
+export async function up(client) {
+  await client.query(`ALTER TABLE challenges ADD COLUMN tie_break VARCHAR(32) NOT NULL DEFAULT 'earliest'`);
+  await client.query(`ALTER TABLE challenges ADD COLUMN payout_bps INTEGER[] NOT NULL DEFAULT '{10000}'`);
+
+  await client.query('ALTER TABLE challenge_metadata ADD COLUMN tie_break VARCHAR(32)');
+  await client.query('ALTER TABLE challenge_metadata ADD COLUMN payout_bps INTEGER[]');
+
+  await client.query('ALTER TABLE mileage_snapshots ADD COLUMN activity_count INTEGER');
+  await client.query('ALTER TABLE mileage_snapshots ADD COLUMN score_reached_at BIGINT');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE mileage_snapshots DROP COLUMN IF EXISTS score_reached_at');
+  await client.query('ALTER TABLE mileage_snapshots DROP COLUMN IF EXISTS activity_count');
+
+  await client.query('ALTER TABLE challenge_metadata DROP COLUMN IF EXISTS payout_bps');
+  await client.query('ALTER TABLE challenge_metadata DROP COLUMN IF EXISTS tie_break');
+
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS payout_bps');
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS tie_break');
+}
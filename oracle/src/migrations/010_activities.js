@@ -0,0 +1,70 @@
+/**
+ * Per-activity storage
+ *
+ * Activities are stored once per Strava activity ID instead of being copied
+ * into raw_data on every snapshot. start_date_local is the athlete's wall
+ * clock time as Strava reports it, kept as text so no timezone is applied.
+ * Snapshots record which activities counted towards the score.
+ *
+ * Activities already in snapshot raw_data are backfilled. raw_data is no
+ * longer written but existing values are left in place.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE activities (
+      strava_activity_id BIGINT PRIMARY KEY,
+      strava_user_id VARCHAR(50) NOT NULL,
+      name TEXT,
+      sport_type VARCHAR(40),
+      type VARCHAR(40),
+      distance NUMERIC(12, 2) NOT NULL DEFAULT 0,
+      moving_time INTEGER NOT NULL DEFAULT 0,
+      elapsed_time INTEGER NOT NULL DEFAULT 0,
+      total_elevation_gain NUMERIC(10, 2) NOT NULL DEFAULT 0,
+      start_date TIMESTAMPTZ NOT NULL,
+      start_date_local VARCHAR(19),
+      manual BOOLEAN NOT NULL DEFAULT FALSE,
+      device_name TEXT,
+      calories NUMERIC(10, 2),
+      kilojoules NUMERIC(10, 2),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX idx_activities_athlete_start ON activities(strava_user_id, start_date)');
+
+  await client.query('ALTER TABLE mileage_snapshots ADD COLUMN counted_activity_ids BIGINT[]');
+
+  // Latest copy of each activity wins
+  await client.query(`
+    INSERT INTO activities
+      (strava_activity_id, strava_user_id, name, sport_type, type, distance, moving_time,
+       elapsed_time, total_elevation_gain, start_date, start_date_local, manual, device_name,
+       calories, kilojoules)
+    SELECT DISTINCT ON ((a->>'id')::BIGINT)
+      (a->>'id')::BIGINT,
+      m.strava_user_id,
+      a->>'name',
+      a->>'sport_type',
+      a->>'type',
+      COALESCE((a->>'distance')::NUMERIC, 0),
+      COALESCE((a->>'moving_time')::NUMERIC, 0)::INTEGER,
+      COALESCE((a->>'elapsed_time')::NUMERIC, 0)::INTEGER,
+      COALESCE((a->>'total_elevation_gain')::NUMERIC, 0),
+      (a->>'start_date')::TIMESTAMPTZ,
+      LEFT(a->>'start_date_local', 19),
+      COALESCE((a->>'manual')::BOOLEAN, FALSE),
+      a->>'device_name',
+      (a->>'calories')::NUMERIC,
+      (a->>'kilojoules')::NUMERIC
+    FROM mileage_snapshots m,
+         jsonb_array_elements(CASE WHEN jsonb_typeof(m.raw_data) = 'array' THEN m.raw_data ELSE '[]'::JSONB END) a
+    WHERE a->>'id' IS NOT NULL AND a->>'start_date' IS NOT NULL
+    ORDER BY (a->>'id')::BIGINT, m.id DESC
+  `);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE mileage_snapshots DROP COLUMN IF EXISTS counted_activity_ids');
+  await client.query('DROP TABLE IF EXISTS activities');
+}
@@ -0,0 +1,27 @@
+/**
+ * Per-wallet activity fetch watermarks
+ *
+ * covered_from/covered_until is the span of start times whose activities
+ * are all stored, so later syncs only fetch from covered_until minus a
+ * look-back. last_full_sync_at drives the periodic full reconciliation;
+ * clearing it forces the next sync to fetch everything again.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE athlete_sync_state (
+      wallet_address VARCHAR(42) PRIMARY KEY,
+      strava_user_id VARCHAR(50) NOT NULL,
+      covered_from BIGINT NOT NULL,
+      covered_until BIGINT NOT NULL,
+      last_activity_start BIGINT,
+      last_fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_full_sync_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX idx_athlete_sync_state_strava ON athlete_sync_state(strava_user_id)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS athlete_sync_state');
+}
@@ -0,0 +1,37 @@
+/**
+ * Background job queue
+ *
+ * Workers claim pending jobs with FOR UPDATE SKIP LOCKED. Failed jobs go back
+ * to pending with a later run_at until max_attempts, then to 'dead' (the
+ * dead-letter state) for someone to look at. dedupe_key stops the same work
+ * being queued twice while a job for it is still pending.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE jobs (
+      id BIGSERIAL PRIMARY KEY,
+      type VARCHAR(50) NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+      dedupe_key VARCHAR(200),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_by VARCHAR(100),
+      locked_at TIMESTAMP,
+      result JSONB,
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP
+    )
+  `);
+  await client.query(`CREATE INDEX idx_jobs_pending ON jobs(run_at, id) WHERE status = 'pending'`);
+  await client.query(`CREATE INDEX idx_jobs_status ON jobs(status, updated_at)`);
+  await client.query(`CREATE UNIQUE INDEX idx_jobs_dedupe ON jobs(dedupe_key) WHERE status = 'pending'`);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS jobs');
+}
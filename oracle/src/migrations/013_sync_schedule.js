@@ -0,0 +1,18 @@
+/**
+ * Track scheduled syncs per challenge
+ *
+ * Block timestamps (like start_time/end_time) of when the scheduler last
+ * queued a regular sync, and when it queued the one-off syncs after the
+ * challenge ends (see src/sync-schedule.js).
+ */
+export async function up(client) {
+  await client.query('ALTER TABLE challenges ADD COLUMN last_scheduled_sync_at BIGINT');
+  await client.query('ALTER TABLE challenges ADD COLUMN final_sync_queued_at BIGINT');
+  await client.query('ALTER TABLE challenges ADD COLUMN reconcile_sync_queued_at BIGINT');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS reconcile_sync_queued_at');
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS final_sync_queued_at');
+  await client.query('ALTER TABLE challenges DROP COLUMN IF EXISTS last_scheduled_sync_at');
+}
@@ -0,0 +1,31 @@
+/**
+ * Frozen final results per challenge
+ *
+ * After a challenge ends, each sync records the participants' scores as the
+ * challenge's final results. The current revision is updated in place until
+ * the first participant confirms it; from then on any change creates a new
+ * revision, supersedes the old one and clears confirmations. Participants
+ * record which revision they confirmed.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE final_results (
+      challenge_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      results_hash VARCHAR(66) NOT NULL,
+      entries JSONB NOT NULL,
+      reason VARCHAR(50) NOT NULL,
+      locked_at TIMESTAMP,
+      superseded_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (challenge_id, revision)
+    )
+  `);
+  await client.query('ALTER TABLE participants ADD COLUMN confirmed_revision INTEGER');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE participants DROP COLUMN IF EXISTS confirmed_revision');
+  await client.query('DROP TABLE IF EXISTS final_results');
+}
@@ -0,0 +1,14 @@
+/**
+ * Store what each participant signed when confirming
+ *
+ * Confirmations are EIP-712 typed data (see src/confirmations.js) that
+ * include a deadline chosen when the participant asked for it, so the signed
+ * domain and message are kept with the signature to verify it later.
+ */
+export async function up(client) {
+  await client.query('ALTER TABLE participants ADD COLUMN confirmation_data JSONB');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE participants DROP COLUMN IF EXISTS confirmation_data');
+}
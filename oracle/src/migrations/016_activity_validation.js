@@ -0,0 +1,27 @@
+/**
+ * Activity validation (see src/activity-validation.js)
+ *
+ * Activities record whether Strava flagged them and whether they have GPS
+ * or heart rate data; these are NULL for activities stored before, until
+ * they are fetched again. Snapshots record the activities that were
+ * excluded or flagged, and why.
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE activities
+      ADD COLUMN flagged BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN has_gps BOOLEAN,
+      ADD COLUMN has_heartrate BOOLEAN
+  `);
+  await client.query('ALTER TABLE mileage_snapshots ADD COLUMN activity_issues JSONB');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE mileage_snapshots DROP COLUMN IF EXISTS activity_issues');
+  await client.query(`
+    ALTER TABLE activities
+      DROP COLUMN IF EXISTS flagged,
+      DROP COLUMN IF EXISTS has_gps,
+      DROP COLUMN IF EXISTS has_heartrate
+  `);
+}
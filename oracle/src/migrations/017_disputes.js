@@ -0,0 +1,47 @@
+/**
+ * Grace period disputes (see src/disputes.js)
+ *
+ * A participant opens a dispute against another participant, optionally a
+ * single activity of theirs. Open disputes block early finalization. Every
+ * action on a dispute (opening it and its resolution) is recorded in
+ * dispute_audit with the signature that authorized it.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE disputes (
+      id SERIAL PRIMARY KEY,
+      challenge_id INTEGER NOT NULL,
+      opened_by VARCHAR(42) NOT NULL,
+      target_address VARCHAR(42) NOT NULL,
+      activity_id BIGINT,
+      reason TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      resolved_by VARCHAR(42),
+      resolution_note TEXT,
+      opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX idx_disputes_challenge ON disputes(challenge_id, status)');
+
+  await client.query(`
+    CREATE TABLE dispute_audit (
+      id SERIAL PRIMARY KEY,
+      dispute_id INTEGER NOT NULL,
+      challenge_id INTEGER NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      actor VARCHAR(42) NOT NULL,
+      role VARCHAR(20) NOT NULL,
+      note TEXT,
+      message TEXT NOT NULL,
+      signature TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX idx_dispute_audit_dispute ON dispute_audit(dispute_id)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS dispute_audit');
+  await client.query('DROP TABLE IF EXISTS disputes');
+}
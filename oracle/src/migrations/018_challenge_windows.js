@@ -0,0 +1,33 @@
+/**
+ * Challenge window modes (see src/challenge-window.js)
+ *
+ * Challenges record whether activities are matched to the window by their
+ * UTC start or the athlete's local start, and the timezone the window is
+ * declared in. Both come from the creator-signed metadata; the metadata
+ * columns stay null when it uses the default (utc).
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE challenges
+      ADD COLUMN window_mode VARCHAR(16) NOT NULL DEFAULT 'utc',
+      ADD COLUMN window_timezone VARCHAR(64) NOT NULL DEFAULT 'UTC'
+  `);
+  await client.query(`
+    ALTER TABLE challenge_metadata
+      ADD COLUMN window_mode VARCHAR(16),
+      ADD COLUMN window_timezone VARCHAR(64)
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE challenge_metadata
+      DROP COLUMN IF EXISTS window_mode,
+      DROP COLUMN IF EXISTS window_timezone
+  `);
+  await client.query(`
+    ALTER TABLE challenges
+      DROP COLUMN IF EXISTS window_mode,
+      DROP COLUMN IF EXISTS window_timezone
+  `);
+}
@@ -0,0 +1,32 @@
+/**
+ * Strava token encryption at rest (see src/token-crypto.js)
+ *
+ * token_data_key is the row's data key, wrapped by the key named in
+ * token_key_id. Existing rows keep plain text tokens (null token_key_id)
+ * until `node src/token-keys.js rotate` encrypts them.
+ *
+ * Rolling back drops the wrapped data keys, so it refuses while any row is
+ * encrypted; run `node src/token-keys.js decrypt` first.
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE strava_tokens
+      ADD COLUMN token_key_id VARCHAR(64),
+      ADD COLUMN token_data_key TEXT
+  `);
+  await client.query('CREATE INDEX idx_strava_tokens_key_id ON strava_tokens(token_key_id)');
+}
+
+export async function down(client) {
+  const encrypted = await client.query('SELECT COUNT(*) AS count FROM strava_tokens WHERE token_key_id IS NOT NULL');
+  if (parseInt(encrypted.rows[0].count) > 0) {
+    throw new Error('Strava tokens are encrypted; run `node src/token-keys.js decrypt` before rolling back');
+  }
+
+  await client.query('DROP INDEX IF EXISTS idx_strava_tokens_key_id');
+  await client.query(`
+    ALTER TABLE strava_tokens
+      DROP COLUMN IF EXISTS token_key_id,
+      DROP COLUMN IF EXISTS token_data_key
+  `);
+}
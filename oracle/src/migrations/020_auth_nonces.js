@@ -0,0 +1,25 @@
+/**
+ * One-time nonces for wallet sign-in and Strava OAuth state
+ * (see src/wallet-auth.js and src/oauth-state.js)
+ *
+ * message is the exact sign-in message issued with a sign_in nonce.
+ * used_at is set when the nonce is consumed; a nonce is only accepted once.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE auth_nonces (
+      nonce VARCHAR(64) PRIMARY KEY,
+      wallet_address VARCHAR(42) NOT NULL,
+      purpose VARCHAR(16) NOT NULL,
+      message TEXT,
+      issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP
+    )
+  `);
+  await client.query('CREATE INDEX idx_auth_nonces_expires_at ON auth_nonces(expires_at)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS auth_nonces');
+}
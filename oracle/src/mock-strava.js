@@ -1,5 +1,6 @@
 import { createHash } from 'crypto';
 import { query } from './db.js';
+import { METRICS } from './scoring.js';
 
 /**
  * Mock Strava client for testing
@@ -37,15 +38,15 @@ export function calculateTotalMiles(activities) {
 
 /**
  * Mock: Fetch mileage for a participant in a challenge
- * Returns the latest mileage snapshot from database, or 0 if none exists
+ * Returns the latest snapshot from database, or 0 if none exists
  */
-export async function fetchParticipantMileage(walletAddress, challengeStartTime, challengeEndTime) {
+export async function fetchParticipantMileage(walletAddress, challengeStartTime, challengeEndTime, scoring = {}) {
   console.log(`[MOCK] fetchParticipantMileage for ${walletAddress}`);
 
-  // Get the most recent mileage snapshot for this wallet
+  // Get the most recent snapshot for this wallet
   // This allows the /dev/set-mileage endpoint to control the values
   const result = await query(
-    `SELECT total_miles
+    `SELECT total_miles, COALESCE(score, total_miles) AS score, activity_count, score_reached_at
      FROM mileage_snapshots
      WHERE wallet_address = $1
      ORDER BY snapshot_at DESC
@@ -54,11 +55,21 @@ export async function fetchParticipantMileage(walletAddress, challengeStartTime,
   );
 
   const miles = result.rows.length > 0 ? parseFloat(result.rows[0].total_miles) : 0;
+  const score = result.rows.length > 0 ? parseFloat(result.rows[0].score) : 0;
+  const activityCount = result.rows[0]?.activity_count ?? 0;
+  const reachedAt = result.rows[0]?.score_reached_at ? Number(result.rows[0].score_reached_at) : null;
+  const metric = scoring.metric || 'distance';
 
   return {
     miles: miles,
-    activityCount: 0,
-    rawActivities: []
+    score: score,
+    metric,
+    unit: METRICS[metric]?.unit,
+    activityCount,
+    reachedAt,
+    countedActivityIds: [],
+    activityIssues: [],
+    activities: []
   };
 }
 
@@ -0,0 +1,68 @@
+import axios from 'axios';
+import { enqueueJob } from './jobs.js';
+
+/**
+ * Outgoing notifications
+ *
+ * Events that someone has to act on are POSTed as JSON to
+ * NOTIFICATION_WEBHOOK_URL, e.g. a bot or mailer that tells participants:
+ *
+ *   { "event": "final_results_ready", "data": { ... }, "sentAt": "..." }
+ *
+ * Each notification is a send_notification job (see src/jobs.js), so a
+ * receiver that's down gets it once it's back, with the queue's usual
+ * retries. Without NOTIFICATION_WEBHOOK_URL nothing is queued.
+ *
+ * Events:
+ * - final_results_ready { challengeId, revision, resultsHash, revised }:
+ *   participants can (re)confirm their scores
+ * - finalization_ready { challengeId, dataHash, winner, finalizationReason }:
+ *   signed results are ready to submit on-chain
+ * - dispute_opened { challengeId, disputeId, openedBy, targetAddress, activityId }
+ * - dispute_resolved { challengeId, disputeId, status, resolvedBy }
+ */
+
+const WEBHOOK_URL = process.env.NOTIFICATION_WEBHOOK_URL || '';
+const TIMEOUT_MS = 10000;
+
+export const NOTIFICATION_EVENTS = [
+  'final_results_ready',
+  'finalization_ready',
+  'dispute_opened',
+  'dispute_resolved'
+];
+
+/**
+ * Queue a notification
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @param {Object} data - Event details
+ * @param {Object} options - { dedupeKey } to merge repeats still pending
+ * @returns {Object|null} The queued job, or null if notifications are off
+ */
+export async function queueNotification(event, data, { dedupeKey = null } = {}) {
+  if (!WEBHOOK_URL) {
+    return null;
+  }
+  if (!NOTIFICATION_EVENTS.includes(event)) {
+    throw new Error(`Unknown notification event ${event}`);
+  }
+  return enqueueJob('send_notification', { event, data }, { dedupeKey });
+}
+
+/**
+ * Send a notification (run by the send_notification job)
+ * Throws on a network error or non-2xx response so the job is retried.
+ * @returns {Object} { event, status }
+ */
+export async function sendNotification({ event, data }) {
+  if (!WEBHOOK_URL) {
+    return { event, skipped: 'NOTIFICATION_WEBHOOK_URL not set' };
+  }
+
+  const response = await axios.post(
+    WEBHOOK_URL,
+    { event, data, sentAt: new Date().toISOString() },
+    { timeout: TIMEOUT_MS }
+  );
+  return { event, status: response.status };
+}
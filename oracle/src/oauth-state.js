@@ -0,0 +1,95 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import dotenv from 'dotenv';
+import { issueNonce, consumeNonce, AuthError } from './wallet-auth.js';
+
+dotenv.config();
+
+/**
+ * Strava OAuth state
+ *
+ * The state passed through Strava's OAuth redirect names the wallet that
+ * signed in (see src/wallet-auth.js). It is only issued after a verified
+ * sign-in, and is
+ *
+ *   base64url(JSON { walletAddress, challengeId, nonce, expiresAt }) "." base64url(HMAC-SHA256)
+ *
+ * keyed with OAUTH_STATE_SECRET, so it can't be forged or edited. Its nonce
+ * is stored in auth_nonces and used up by the callback, so each state links
+ * at most one Strava account.
+ */
+
+const STATE_TTL_SECONDS = parseInt(process.env.OAUTH_STATE_TTL_SECONDS || '600', 10);
+
+/**
+ * Get the key OAuth state is signed with
+ * @throws {Error} If OAUTH_STATE_SECRET is unset or too short
+ */
+export function getOAuthStateSecret() {
+  const secret = process.env.OAUTH_STATE_SECRET;
+  if (!secret || secret.length < 32) {
+    throw new Error('OAUTH_STATE_SECRET not configured. Set it to a random string of at least 32 characters');
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return createHmac('sha256', getOAuthStateSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Issue OAuth state for a signed-in wallet
+ * @param {Object} input - { walletAddress, challengeId }
+ * @returns {string} Signed state
+ */
+export async function createOAuthState({ walletAddress, challengeId = null }) {
+  const { nonce } = await issueNonce(walletAddress, 'oauth_state', STATE_TTL_SECONDS);
+  const payload = Buffer.from(JSON.stringify({
+    walletAddress: walletAddress.toLowerCase(),
+    challengeId,
+    nonce,
+    expiresAt: Math.floor(Date.now() / 1000) + STATE_TTL_SECONDS
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check OAuth state was issued by this oracle and hasn't expired
+ * @returns {Object} { walletAddress, challengeId, nonce, expiresAt }
+ * @throws {AuthError} If it wasn't, or has
+ */
+export function verifyOAuthState(state) {
+  const [payload, signature, extra] = typeof state === 'string' ? state.split('.') : [];
+  if (!payload || !signature || extra !== undefined) {
+    throw new AuthError('Invalid state parameter', 400);
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new AuthError('State was not issued by this oracle', 403);
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (!data.walletAddress || !data.nonce || !(data.expiresAt > 0)) {
+    throw new AuthError('Invalid state parameter', 400);
+  }
+  if (data.expiresAt <= Math.floor(Date.now() / 1000)) {
+    throw new AuthError('State has expired; sign in again', 403);
+  }
+
+  return data;
+}
+
+/**
+ * Verify OAuth state and use up its nonce
+ * @returns {Object} { walletAddress, challengeId, nonce, expiresAt }
+ * @throws {AuthError} If the state is invalid, expired or already used
+ */
+export async function consumeOAuthState(state) {
+  const data = verifyOAuthState(state);
+  if (!await consumeNonce(data.nonce, data.walletAddress, 'oauth_state')) {
+    throw new AuthError('State has expired or was already used; sign in again', 403);
+  }
+  return data;
+}
@@ -0,0 +1,453 @@
+import { ethers } from 'ethers';
+import { buildMerkleTree, getMerkleProof } from './merkle.js';
+
+/**
+ * Canonical challenge results
+ *
+ * Results are encoded as a canonical JSON preimage:
+ *
+ *   {"version":5,"challengeId":0,"metric":"distance","activityTypes":["Run","VirtualRun"],
+ *    "window":{"mode":"utc","timezone":"UTC"},"tieBreak":"earliest","payoutSplit":[10000],"winner":"0x...",
+ *    "payouts":[{"address":"0x...","shareBps":10000}],
+ *    "participants":[{"address":"0x...","stravaUserId":"123","score":1234,
+ *    "centiMiles":1234,"activityCount":5,"reachedAt":1700000000,
+ *    "excludedActivityIds":[9876543210],"confirmed":true}]}
+ *
+ * - keys always appear in the order above, with no whitespace
+ * - addresses are lowercase hex
+ * - activityTypes are sorted, participants are sorted by address
+ * - window is how activities were matched to the challenge window (see
+ *   src/challenge-window.js); from version 5
+ * - payouts are in finishing order; the first entry is the winner
+ * - score and centiMiles are integers in hundredths (score is in hundredths
+ *   of the metric's unit, e.g. centi-miles for distance, centi-hours for
+ *   moving_time)
+ * - reachedAt is when the participant's last counted activity finished
+ *   (unix seconds), or null if they have none
+ * - excludedActivityIds are the Strava IDs of activities validation kept out
+ *   of the score (see src/activity-validation.js), ascending; from version 4
+ *
+ * From version 3 the finalization dataHash is the root of a Merkle tree (see
+ * src/merkle.js) with one leaf per participant plus one leaf committing to
+ * the whole preimage, so each participant can check their own entry against
+ * the root on-chain with a short proof:
+ *
+ *   participant leaf = keccak256(bytes.concat(keccak256(abi.encode(
+ *     uint256 challengeId, address account, string stravaUserId, uint256 score, bool confirmed))))
+ *   results leaf     = keccak256(bytes.concat(keccak256(abi.encode(
+ *     uint256 challengeId, bytes32 keccak256(preimage)))))
+ *
+ * Earlier versions use keccak256 of the preimage's UTF-8 bytes as the
+ * dataHash. Version 1 preimages (no tieBreak, payoutSplit, payouts,
+ * activityCount or reachedAt), version 2, version 3 (no
+ * excludedActivityIds) and version 4 (no window) are still accepted by
+ * parseResults.
+ *
+ * This module has no database or network dependencies so the verifier can
+ * use it on its own.
+ */
+
+export const RESULTS_VERSION = 5;
+const SUPPORTED_VERSIONS = [1, 2, 3, 4, 5];
+
+// Results from this version on commit to a Merkle root
+export const MERKLE_RESULTS_VERSION = 3;
+
+export const BPS_DENOMINATOR = 10000;
+export const MAX_PAYOUT_PLACES = 10;
+
+/**
+ * Tie-break policies for participants with equal scores
+ * Participants the policy cannot separate share the places they occupy.
+ */
+export const TIE_BREAKS = {
+  earliest: 'Earliest to reach the total',
+  most_activities: 'Most activities',
+  shared: 'Shared win'
+};
+
+export const DEFAULT_TIE_BREAK = 'earliest';
+export const DEFAULT_PAYOUT_SPLIT = [BPS_DENOMINATOR];
+const DEFAULT_WINDOW = { mode: 'utc', timezone: 'UTC' };
+
+/**
+ * Convert a decimal value to integer hundredths
+ */
+export function toCentiUnits(value) {
+  return Math.round(parseFloat(value || 0) * 100);
+}
+
+function compareAddresses(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Validate a tie-break policy and payout split
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePayoutConfig({ tieBreak, payoutSplit }) {
+  if (!TIE_BREAKS[tieBreak]) {
+    return `Unknown tie-break '${tieBreak}'. Valid policies: ${Object.keys(TIE_BREAKS).join(', ')}`;
+  }
+
+  if (!Array.isArray(payoutSplit) || payoutSplit.length === 0 || payoutSplit.length > MAX_PAYOUT_PLACES) {
+    return `payoutSplit must list between 1 and ${MAX_PAYOUT_PLACES} shares`;
+  }
+
+  if (payoutSplit.some(bps => !Number.isInteger(bps) || bps <= 0)) {
+    return 'payoutSplit shares must be positive integers (basis points)';
+  }
+
+  if (payoutSplit.some((bps, i) => i > 0 && bps > payoutSplit[i - 1])) {
+    return 'payoutSplit shares must not increase with place';
+  }
+
+  const total = payoutSplit.reduce((sum, bps) => sum + bps, 0);
+  if (total !== BPS_DENOMINATOR) {
+    return `payoutSplit must total ${BPS_DENOMINATOR} bps (got ${total})`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the tie-break policy and payout split stored on a challenge row
+ */
+export function getPayoutConfig(challenge) {
+  return {
+    tieBreak: challenge?.tie_break || DEFAULT_TIE_BREAK,
+    payoutSplit: challenge?.payout_bps?.length ? challenge.payout_bps.map(Number) : DEFAULT_PAYOUT_SPLIT
+  };
+}
+
+function compareWithTieBreak(a, b, tieBreak) {
+  if (a.score !== b.score) {
+    return b.score - a.score;
+  }
+
+  switch (tieBreak) {
+    case 'earliest':
+      // Nobody reaches a total without an activity, so null sorts last
+      return (a.reachedAt ?? Infinity) - (b.reachedAt ?? Infinity) || 0;
+    case 'most_activities':
+      return b.activityCount - a.activityCount;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Group participants into finishing places
+ * @param {Array} entries - Canonical participant entries
+ * @param {string} tieBreak - Key of TIE_BREAKS
+ * @returns {Array<Array>} Places in order; participants the tie-break cannot
+ *   separate share a place and are sorted by address within it
+ */
+export function rankParticipants(entries, tieBreak = DEFAULT_TIE_BREAK) {
+  const sorted = [...entries].sort((a, b) =>
+    compareWithTieBreak(a, b, tieBreak) || compareAddresses(a.address, b.address)
+  );
+
+  const places = [];
+  for (const entry of sorted) {
+    const current = places[places.length - 1];
+    if (current && compareWithTieBreak(current[0], entry, tieBreak) === 0) {
+      current.push(entry);
+    } else {
+      places.push([entry]);
+    }
+  }
+  return places;
+}
+
+/**
+ * Allocate the prize across finishing places
+ *
+ * A group of n tied participants occupies n places and splits those places'
+ * shares equally, with leftover basis points going one each to the lowest
+ * addresses. Places below first are only paid to participants with a
+ * positive score. Shares for places nobody fills go to the winner.
+ *
+ * @returns {Array} [{ address, shareBps }] in finishing order, totalling BPS_DENOMINATOR
+ */
+export function allocatePayouts(places, payoutSplit = DEFAULT_PAYOUT_SPLIT) {
+  const payouts = [];
+  let place = 0;
+
+  for (const group of places) {
+    if (place >= payoutSplit.length || (place > 0 && group[0].score <= 0)) {
+      break;
+    }
+
+    const pool = payoutSplit.slice(place, place + group.length).reduce((sum, bps) => sum + bps, 0);
+    const base = Math.floor(pool / group.length);
+    const remainder = pool - base * group.length;
+
+    group.forEach((entry, i) => {
+      const shareBps = base + (i < remainder ? 1 : 0);
+      if (shareBps > 0) {
+        payouts.push({ address: entry.address, shareBps });
+      }
+    });
+
+    place += group.length;
+  }
+
+  const allocated = payouts.reduce((sum, p) => sum + p.shareBps, 0);
+  if (payouts.length > 0 && allocated < BPS_DENOMINATOR) {
+    payouts[0].shareBps += BPS_DENOMINATOR - allocated;
+  }
+
+  return payouts;
+}
+
+/**
+ * Build canonical results from participant scores
+ * @param {Object} input - { challengeId, metric, activityTypes, window, tieBreak, payoutSplit, participants }
+ *   where window is { mode, timezone }
+ *   where participants are { address, stravaUserId, score, miles, activityCount, reachedAt,
+ *   excludedActivityIds, confirmed }
+ * @returns {Object} Canonical results object
+ */
+export function buildResults({
+  challengeId,
+  metric,
+  activityTypes,
+  window = DEFAULT_WINDOW,
+  tieBreak = DEFAULT_TIE_BREAK,
+  payoutSplit = DEFAULT_PAYOUT_SPLIT,
+  participants
+}) {
+  const entries = participants
+    .map(p => ({
+      address: p.address.toLowerCase(),
+      stravaUserId: String(p.stravaUserId ?? ''),
+      score: toCentiUnits(p.score),
+      centiMiles: toCentiUnits(p.miles),
+      activityCount: Number(p.activityCount || 0),
+      reachedAt: p.reachedAt === null || p.reachedAt === undefined ? null : Number(p.reachedAt),
+      excludedActivityIds: (p.excludedActivityIds || []).map(Number).sort((a, b) => a - b),
+      confirmed: Boolean(p.confirmed)
+    }))
+    .sort((a, b) => compareAddresses(a.address, b.address));
+
+  // Ties the policy cannot separate are shared, never decided by row order
+  const payouts = allocatePayouts(rankParticipants(entries, tieBreak), payoutSplit);
+
+  return {
+    version: RESULTS_VERSION,
+    challengeId: Number(challengeId),
+    metric,
+    activityTypes: [...activityTypes].sort(),
+    window: { mode: window.mode, timezone: window.timezone },
+    tieBreak,
+    payoutSplit: [...payoutSplit],
+    winner: payouts.length > 0 ? payouts[0].address : null,
+    payouts,
+    participants: entries
+  };
+}
+
+/**
+ * Encode results as the canonical JSON preimage
+ * @returns {string} Canonical preimage (see getDataHash for how it becomes the dataHash)
+ */
+export function encodeResults(results) {
+  for (const p of results.participants) {
+    if (!Number.isSafeInteger(p.score) || !Number.isSafeInteger(p.centiMiles)) {
+      throw new Error(`Non-integer score for ${p.address}`);
+    }
+  }
+
+  if (results.version === 1) {
+    return JSON.stringify({
+      version: results.version,
+      challengeId: results.challengeId,
+      metric: results.metric,
+      activityTypes: results.activityTypes,
+      winner: results.winner,
+      participants: results.participants.map(p => ({
+        address: p.address,
+        stravaUserId: p.stravaUserId,
+        score: p.score,
+        centiMiles: p.centiMiles,
+        confirmed: p.confirmed
+      }))
+    });
+  }
+
+  return JSON.stringify({
+    version: results.version,
+    challengeId: results.challengeId,
+    metric: results.metric,
+    activityTypes: results.activityTypes,
+    ...(results.version >= 5 && {
+      window: { mode: results.window?.mode ?? null, timezone: results.window?.timezone ?? null }
+    }),
+    tieBreak: results.tieBreak,
+    payoutSplit: results.payoutSplit,
+    winner: results.winner,
+    payouts: results.payouts.map(p => ({
+      address: p.address,
+      shareBps: p.shareBps
+    })),
+    participants: results.participants.map(p => ({
+      address: p.address,
+      stravaUserId: p.stravaUserId,
+      score: p.score,
+      centiMiles: p.centiMiles,
+      activityCount: p.activityCount,
+      reachedAt: p.reachedAt,
+      ...(results.version >= 4 && { excludedActivityIds: p.excludedActivityIds }),
+      confirmed: p.confirmed
+    }))
+  });
+}
+
+/**
+ * Hash a results preimage
+ */
+export function hashResults(preimage) {
+  return ethers.keccak256(ethers.toUtf8Bytes(preimage));
+}
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Leaves are hashed twice (as OpenZeppelin's StandardMerkleTree does) so a
+// leaf can never be mistaken for an internal node
+function hashLeaf(types, values) {
+  return ethers.keccak256(ethers.keccak256(abiCoder.encode(types, values)));
+}
+
+/**
+ * Hash a participant's Merkle leaf
+ * @param {number} challengeId - Challenge the results are for
+ * @param {Object} entry - Canonical participant entry { address, stravaUserId, score, confirmed }
+ */
+export function hashParticipantLeaf(challengeId, entry) {
+  return hashLeaf(
+    ['uint256', 'address', 'string', 'uint256', 'bool'],
+    [challengeId, entry.address, entry.stravaUserId, entry.score, entry.confirmed]
+  );
+}
+
+/**
+ * Hash the leaf committing to the full results preimage
+ */
+export function hashResultsLeaf(challengeId, preimage) {
+  return hashLeaf(['uint256', 'bytes32'], [challengeId, hashResults(preimage)]);
+}
+
+/**
+ * Build the Merkle tree for version 3+ results
+ * @returns {Object} { root, layers, resultsLeaf }
+ */
+export function buildResultsTree(results, preimage) {
+  const resultsLeaf = hashResultsLeaf(results.challengeId, preimage);
+  const leaves = [
+    resultsLeaf,
+    ...results.participants.map(p => hashParticipantLeaf(results.challengeId, p))
+  ];
+  return { ...buildMerkleTree(leaves), resultsLeaf };
+}
+
+/**
+ * Get the dataHash the oracle signs for a set of results
+ * The Merkle root from version 3, keccak256 of the preimage before that.
+ */
+export function getDataHash(results, preimage) {
+  return results.version >= MERKLE_RESULTS_VERSION
+    ? buildResultsTree(results, preimage).root
+    : hashResults(preimage);
+}
+
+/**
+ * Get a participant's inclusion proof
+ * @returns {Object|null} { entry, leaf, proof, root }, or null if the
+ *   address is not in the results
+ */
+export function getParticipantProof(results, preimage, address) {
+  const entry = results.participants.find(p => p.address === address.toLowerCase());
+  if (!entry) {
+    return null;
+  }
+
+  const { root, layers } = buildResultsTree(results, preimage);
+  const leaf = hashParticipantLeaf(results.challengeId, entry);
+
+  return { entry, leaf, proof: getMerkleProof(layers, leaf), root };
+}
+
+/**
+ * Parse a preimage and check it is in canonical form
+ * @throws If the preimage is not exactly what encodeResults would produce
+ */
+export function parseResults(preimage) {
+  const results = JSON.parse(preimage);
+
+  if (!SUPPORTED_VERSIONS.includes(results.version)) {
+    throw new Error(`Unsupported results version: ${results.version}`);
+  }
+
+  const addresses = results.participants.map(p => p.address);
+  const sorted = [...addresses].sort(compareAddresses);
+  if (addresses.some((address, i) => address !== sorted[i] || address !== address.toLowerCase())) {
+    throw new Error('Participants must be lowercase and sorted by address');
+  }
+  if (new Set(addresses).size !== addresses.length) {
+    throw new Error('Duplicate participant address');
+  }
+
+  if (encodeResults(results) !== preimage) {
+    throw new Error('Results are not in canonical form');
+  }
+
+  return results;
+}
+
+/**
+ * Hash signed by the oracle for claimPrizeWithSignature
+ * Must match: keccak256(abi.encodePacked("FINALIZE_CHALLENGE_", challengeId, winner, dataHash, timestamp))
+ */
+export function getFinalizationMessageHash(challengeId, winnerAddress, dataHash, timestamp) {
+  return ethers.solidityPackedKeccak256(
+    ['string', 'uint256', 'address', 'bytes32', 'uint256'],
+    ['FINALIZE_CHALLENGE_', challengeId, winnerAddress, dataHash, timestamp]
+  );
+}
+
+/**
+ * Hash signed by the oracle for claimPrizeSplitWithSignature
+ * Must match: keccak256(abi.encodePacked("FINALIZE_CHALLENGE_SPLIT_", challengeId, winners, sharesBps, dataHash, timestamp))
+ */
+export function getSplitFinalizationMessageHash(challengeId, winners, sharesBps, dataHash, timestamp) {
+  return ethers.solidityPackedKeccak256(
+    ['string', 'uint256', 'address[]', 'uint256[]', 'bytes32', 'uint256'],
+    ['FINALIZE_CHALLENGE_SPLIT_', challengeId, winners, sharesBps, dataHash, timestamp]
+  );
+}
+
+/**
+ * Whether results pay more than one winner (and so need the split claim)
+ */
+export function isSplitPayout(results) {
+  return Array.isArray(results.payouts) && results.payouts.length > 1;
+}
+
+/**
+ * Recover the address that signed a finalization
+ * Split payouts are checked against the split message, everything else
+ * against the single-winner message.
+ */
+export function recoverFinalizationSigner(challengeId, results, dataHash, timestamp, signature) {
+  const messageHash = isSplitPayout(results)
+    ? getSplitFinalizationMessageHash(
+      challengeId,
+      results.payouts.map(p => p.address),
+      results.payouts.map(p => p.shareBps),
+      dataHash,
+      timestamp
+    )
+    : getFinalizationMessageHash(challengeId, results.winner, dataHash, timestamp);
+  return ethers.verifyMessage(ethers.getBytes(messageHash), signature);
+}
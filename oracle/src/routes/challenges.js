@@ -1,27 +1,275 @@
 import express from 'express';
-import { query } from '../db.js';
-import { syncChallengeParticipants } from '../sync-service.js';
+import { ethers } from 'ethers';
+import { query, withTransaction } from '../db.js';
+import { enqueueJob } from '../jobs.js';
+import { CHALLENGE_STATES, getBlockchainTime } from '../event-listener.js';
+import { getScoringConfig, METRICS } from '../scoring.js';
+import {
+  normalizeMetadata,
+  validateMetadata,
+  hashMetadata,
+  getMetadataMessage,
+  getMetadataPayoutConfig,
+  getMetadataWindowConfig
+} from '../metadata.js';
+import { buildResults, rankParticipants, getPayoutConfig } from '../results.js';
+import { listFinalResultRevisions } from '../final-results.js';
+import { describeIssues } from '../activity-validation.js';
+import { getChallengeWindow, describeWindow } from '../challenge-window.js';
 
 export const challengesRouter = express.Router();
 
+// Sortable columns, mapped to the SQL expression used for ordering and cursors
+// and the largest value its column type holds, which cursors are checked against
+const INTEGER_MAX = 2n ** 31n - 1n;
+const BIGINT_MAX = 2n ** 63n - 1n;
+const SORT_FIELDS = {
+  id: { expression: 'c.id', max: INTEGER_MAX },
+  start_time: { expression: 'c.start_time', max: BIGINT_MAX },
+  end_time: { expression: 'c.end_time', max: BIGINT_MAX },
+  stake_amount: { expression: 'c.stake_amount::NUMERIC', max: 10n ** 78n - 1n },
+  participant_count: { expression: 'c.participant_count', max: INTEGER_MAX }
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Encode a keyset pagination cursor from the last row of a page
+ */
+function encodeCursor(sortValue, id) {
+  return Buffer.from(JSON.stringify({ v: sortValue, id })).toString('base64url');
+}
+
+/**
+ * Check a cursor value fits a column holding non-negative integers up to max
+ * pg returns INTEGER columns as numbers and BIGINT/NUMERIC ones as strings.
+ */
+function isColumnValue(value, max) {
+  const digits = Number.isSafeInteger(value) ? String(value) : value;
+  return typeof digits === 'string' && /^\d{1,78}$/.test(digits) && BigInt(digits) <= max;
+}
+
+/**
+ * Decode a pagination cursor, returning null if it is malformed or its
+ * value doesn't fit the column being sorted on
+ */
+function decodeCursor(cursor, sortField) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!isColumnValue(decoded?.v, sortField.max) ||
+        !Number.isInteger(decoded.id) || !isColumnValue(decoded.id, INTEGER_MAX)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build WHERE conditions for the GET /challenges filters
+ * @returns {Object} { conditions, params } or { error } for invalid input
+ */
+function buildChallengeFilters(queryParams) {
+  const conditions = [];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (queryParams.state) {
+    const states = queryParams.state.split(',').map(state => state.trim().toUpperCase());
+    const invalid = states.filter(state => !CHALLENGE_STATES.includes(state));
+    if (invalid.length > 0) {
+      return { error: `Invalid state: ${invalid.join(', ')}. Expected one of ${CHALLENGE_STATES.join(', ')}` };
+    }
+    conditions.push(`c.effective_state = ANY(${addParam(states)})`);
+  }
+
+  if (queryParams.creator) {
+    if (!ethers.isAddress(queryParams.creator)) {
+      return { error: 'Invalid creator address' };
+    }
+    conditions.push(`c.creator = ${addParam(queryParams.creator.toLowerCase())}`);
+  }
+
+  if (queryParams.participant) {
+    if (!ethers.isAddress(queryParams.participant)) {
+      return { error: 'Invalid participant address' };
+    }
+    conditions.push(
+      `EXISTS (SELECT 1 FROM participants p
+               WHERE p.challenge_id = c.id AND p.wallet_address = ${addParam(queryParams.participant.toLowerCase())}
+               AND p.has_joined)`
+    );
+  }
+
+  const timeFilters = [
+    ['startingAfter', 'c.start_time', '>='],
+    ['startingBefore', 'c.start_time', '<'],
+    ['endingAfter', 'c.end_time', '>='],
+    ['endingBefore', 'c.end_time', '<']
+  ];
+  for (const [param, column, operator] of timeFilters) {
+    if (queryParams[param] !== undefined) {
+      const timestamp = Number(queryParams[param]);
+      if (!Number.isInteger(timestamp) || timestamp < 0) {
+        return { error: `${param} must be a Unix timestamp in seconds` };
+      }
+      conditions.push(`${column} ${operator} ${addParam(timestamp)}`);
+    }
+  }
+
+  const stakeFilters = [
+    ['minStake', '>='],
+    ['maxStake', '<=']
+  ];
+  for (const [param, operator] of stakeFilters) {
+    if (queryParams[param] !== undefined) {
+      if (!/^\d+$/.test(queryParams[param])) {
+        return { error: `${param} must be an amount in wei` };
+      }
+      conditions.push(`c.stake_amount::NUMERIC ${operator} ${addParam(queryParams[param])}::NUMERIC`);
+    }
+  }
+
+  return { conditions, params, addParam };
+}
+
 /**
  * GET /challenges
- * List all challenges
+ * List challenges with filtering, sorting and cursor-based pagination
+ *
+ * Query params (all optional):
+ * - state: Effective state, comma-separated for several (e.g. "ACTIVE,GRACE_PERIOD")
+ * - creator: Creator wallet address
+ * - participant: Wallet address that has joined
+ * - startingAfter / startingBefore: Bounds on start_time (Unix seconds)
+ * - endingAfter / endingBefore: Bounds on end_time (Unix seconds)
+ * - minStake / maxStake: Bounds on stake amount (wei)
+ * - sort: id | start_time | end_time | stake_amount | participant_count (default id)
+ * - order: asc | desc (default desc)
+ * - limit: Page size (default 50, max 200)
+ * - cursor: nextCursor from the previous page
+ *
+ * Response: { challenges, total, nextCursor }
+ * total counts every challenge matching the filters, ignoring pagination.
  */
 challengesRouter.get('/', async (req, res) => {
   try {
+    const filters = buildChallengeFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const sort = req.query.sort || 'id';
+    const sortField = Object.hasOwn(SORT_FIELDS, sort) ? SORT_FIELDS[sort] : null;
+    if (!sortField) {
+      return res.status(400).json({
+        error: `Invalid sort field. Expected one of ${Object.keys(SORT_FIELDS).join(', ')}`
+      });
+    }
+
+    const order = (req.query.order || 'desc').toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : DEFAULT_LIMIT;
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+    }
+
+    const { conditions, params, addParam } = filters;
+    const sortExpression = sortField.expression;
+
+    // Count before the cursor condition so total covers every page
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await query(
+      `SELECT COUNT(*) AS total FROM challenges c ${whereClause}`,
+      params
+    );
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, sortField);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      // id breaks ties so rows with equal sort values are never skipped or repeated
+      const comparison = order === 'desc' ? '<' : '>';
+      conditions.push(
+        `(${sortExpression}, c.id) ${comparison} (${addParam(cursor.v)}, ${addParam(cursor.id)})`
+      );
+    }
+
+    const pageWhereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const direction = order.toUpperCase();
     const result = await query(
-      'SELECT * FROM challenges ORDER BY id DESC'
+      `SELECT c.*, md.title, ${sortExpression} AS sort_value
+       FROM challenges c
+       LEFT JOIN challenge_metadata md ON md.challenge_id = c.id
+       ${pageWhereClause}
+       ORDER BY ${sortExpression} ${direction}, c.id ${direction}
+       LIMIT ${addParam(limit + 1)}`,
+      params
     );
-    res.json({ challenges: result.rows });
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const lastRow = rows[rows.length - 1];
+
+    res.json({
+      challenges: rows.map(({ sort_value, ...challenge }) => challenge),
+      total: parseInt(countResult.rows[0].total),
+      nextCursor: hasMore ? encodeCursor(lastRow.sort_value, lastRow.id) : null
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Get the stored metadata for a challenge in API form
+ * `metadata` is the canonical object, so hashing its JSON gives metadataHash
+ */
+async function getChallengeMetadata(challengeId) {
+  const result = await query('SELECT * FROM challenge_metadata WHERE challenge_id = $1', [challengeId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+
+  return {
+    metadata: normalizeMetadata({
+      title: row.title,
+      description: row.description,
+      sportTypes: row.sport_types,
+      metric: row.metric,
+      units: row.units,
+      coverImage: row.cover_image,
+      tieBreak: row.tie_break ?? undefined,
+      payoutSplit: row.payout_bps ?? undefined,
+      windowMode: row.window_mode ?? undefined,
+      timezone: row.window_timezone ?? undefined
+    }),
+    metadataHash: row.metadata_hash,
+    message: getMetadataMessage(challengeId, row.metadata_hash),
+    signature: row.signature,
+    signedBy: row.signed_by,
+    updatedAt: row.updated_at
+  };
+}
+
 /**
  * GET /challenges/:id
- * Get challenge details
+ * Get challenge details, including the whitelist and who has joined so far
+ *
+ * Every whitelisted address must join before startTime or the challenge
+ * is cancelled, so `holdouts` lists the invitees still holding it up.
  */
 challengesRouter.get('/:id', async (req, res) => {
   try {
@@ -40,8 +288,202 @@ challengesRouter.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Challenge not found' });
     }
 
-    res.json({ challenge: result.rows[0] });
+    const invitedResult = await query(
+      `SELECT a.wallet_address, COALESCE(p.has_joined, FALSE) AS has_joined,
+              (p.joined_at AT TIME ZONE 'UTC') AS joined_at
+       FROM allowed_participants a
+       LEFT JOIN participants p ON p.challenge_id = a.challenge_id AND p.wallet_address = a.wallet_address
+       WHERE a.challenge_id = $1
+       ORDER BY a.position`,
+      [challengeId]
+    );
+
+    const invited = invitedResult.rows.map(row => ({
+      address: row.wallet_address,
+      hasJoined: row.has_joined,
+      joinedAt: row.joined_at ? new Date(row.joined_at).toISOString() : null
+    }));
+    const holdouts = invited.filter(p => !p.hasJoined).map(p => p.address);
+
+    res.json({
+      challenge: result.rows[0],
+      metadata: await getChallengeMetadata(challengeId),
+      invited,
+      invitedCount: invited.length,
+      joinedCount: invited.length - holdouts.length,
+      holdouts
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /challenges/:id/metadata
+ * Get a challenge's metadata along with the creator's signature over it
+ */
+challengesRouter.get('/:id/metadata', async (req, res) => {
+  try {
+    const challengeId = parseInt(req.params.id);
+
+    if (isNaN(challengeId)) {
+      return res.status(400).json({ error: 'Invalid challenge ID' });
+    }
+
+    const metadata = await getChallengeMetadata(challengeId);
+
+    if (!metadata) {
+      return res.status(404).json({ error: 'No metadata for this challenge' });
+    }
+
+    res.json({ challengeId, ...metadata });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /challenges/:id/metadata
+ * Set a challenge's title, description and scoring configuration
+ *
+ * Only the on-chain creator can set metadata, and only before the challenge
+ * starts so the scoring can't change under participants.
+ *
+ * Body:
+ * {
+ *   "metadata": {
+ *     "title": "January Miles",
+ *     "description": "...",
+ *     "sportTypes": ["Run", "VirtualRun"],
+ *     "metric": "distance",
+ *     "units": "imperial",
+ *     "coverImage": "https://...",
+ *     "tieBreak": "most_activities",     // Optional, defaults to "earliest"
+ *     "payoutSplit": [6000, 3000, 1000], // Optional, basis points per place, defaults to [10000]
+ *     "windowMode": "local",             // Optional, "utc" (default) or "local" (athletes' local start times)
+ *     "timezone": "America/New_York"     // With "local": timezone the start and end are declared in, defaults to UTC
+ *   },
+ *   "signature": "0x..."  // Signature of "CHALLENGE_METADATA_{challengeId}_{metadataHash}"
+ * }
+ *
+ * metadataHash is keccak256 of the canonical JSON (see src/metadata.js).
+ */
+challengesRouter.post('/:id/metadata', async (req, res) => {
+  try {
+    const challengeId = parseInt(req.params.id);
+    const { signature } = req.body;
+
+    if (isNaN(challengeId)) {
+      return res.status(400).json({ error: 'Invalid challenge ID' });
+    }
+
+    if (!signature || !signature.startsWith('0x')) {
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    const challengeResult = await query(
+      'SELECT creator, start_time FROM challenges WHERE id = $1',
+      [challengeId]
+    );
+
+    if (challengeResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Challenge not found',
+        hint: 'The oracle may not have indexed the challenge yet - retry shortly'
+      });
+    }
+
+    const challenge = challengeResult.rows[0];
+
+    const metadata = normalizeMetadata(req.body.metadata);
+    const validationError = validateMetadata(metadata);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const metadataHash = hashMetadata(metadata);
+    const message = getMetadataMessage(challengeId, metadataHash);
+
+    let recoveredAddress;
+    try {
+      recoveredAddress = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid signature format' });
+    }
+
+    if (recoveredAddress.toLowerCase() !== challenge.creator.toLowerCase()) {
+      return res.status(403).json({
+        error: 'Signature is not from the challenge creator',
+        expected: challenge.creator,
+        recovered: recoveredAddress,
+        message
+      });
+    }
+
+    const now = await getBlockchainTime();
+    if (now >= Number(challenge.start_time)) {
+      return res.status(400).json({
+        error: 'Metadata can only be changed before the challenge starts',
+        startTime: Number(challenge.start_time),
+        currentTime: now
+      });
+    }
+
+    const { tieBreak, payoutSplit } = getMetadataPayoutConfig(metadata);
+    const { windowMode, timezone } = getMetadataWindowConfig(metadata);
+
+    await withTransaction(async (client) => {
+      // tie_break, payout_bps and the window stay null when the metadata uses the defaults,
+      // matching the canonical form the creator signed
+      await client.query(
+        `INSERT INTO challenge_metadata
+         (challenge_id, title, description, sport_types, metric, units, cover_image,
+          metadata_hash, signature, signed_by, tie_break, payout_bps, window_mode, window_timezone)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         ON CONFLICT (challenge_id) DO UPDATE SET
+           title = $2, description = $3, sport_types = $4, metric = $5, units = $6,
+           cover_image = $7, metadata_hash = $8, signature = $9, signed_by = $10,
+           tie_break = $11, payout_bps = $12, window_mode = $13, window_timezone = $14,
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          challengeId,
+          metadata.title,
+          metadata.description,
+          metadata.sportTypes,
+          metadata.metric,
+          metadata.units,
+          metadata.coverImage,
+          metadataHash,
+          signature,
+          recoveredAddress.toLowerCase(),
+          metadata.tieBreak ?? null,
+          metadata.payoutSplit ?? null,
+          metadata.windowMode ?? null,
+          metadata.timezone ?? null
+        ]
+      );
+
+      // The metadata's scoring, payout and window config is what syncs, the
+      // leaderboard and finalization use
+      await client.query(
+        `UPDATE challenges SET scoring_metric = $1, activity_types = $2, tie_break = $3, payout_bps = $4,
+           window_mode = $5, window_timezone = $6, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7`,
+        [metadata.metric, metadata.sportTypes, tieBreak, payoutSplit, windowMode, timezone, challengeId]
+      );
+    });
+
+    console.log(`Metadata set: challenge=${challengeId}, hash=${metadataHash}`);
+
+    res.json({
+      success: true,
+      challengeId,
+      metadata,
+      metadataHash
+    });
+
   } catch (error) {
+    console.error('Set metadata error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -59,9 +501,20 @@ challengesRouter.get('/:id/leaderboard', async (req, res) => {
       return res.status(400).json({ error: 'Invalid challenge ID' });
     }
 
-    // Get latest mileage snapshot for each participant with confirmation status
+    const challengeResult = await query(
+      `SELECT start_time, end_time, scoring_metric, activity_types, tie_break, payout_bps,
+              window_mode, window_timezone
+       FROM challenges WHERE id = $1`,
+      [challengeId]
+    );
+    const scoring = getScoringConfig(challengeResult.rows[0]);
+    const { tieBreak, payoutSplit } = getPayoutConfig(challengeResult.rows[0]);
+
+    // Get latest snapshot for each participant with confirmation status
     const result = await query(
       `SELECT m.wallet_address, m.strava_user_id, m.total_miles,
+              COALESCE(m.score, m.total_miles) AS score,
+              m.activity_count, m.score_reached_at, m.activity_issues,
               (m.snapshot_at AT TIME ZONE 'UTC') AS snapshot_at,
               p.confirmed,
               (p.confirmed_at AT TIME ZONE 'UTC') AS confirmed_at
@@ -72,21 +525,108 @@ challengesRouter.get('/:id/leaderboard', async (req, res) => {
          SELECT MAX(id) FROM mileage_snapshots
          WHERE challenge_id = $1
          GROUP BY wallet_address
-       )
-       ORDER BY m.total_miles DESC`,
+       )`,
       [challengeId]
     );
 
-    res.json({
+    // Rank with the same tie-break finalization uses; participants it can't
+    // separate share a rank. payoutBps is the share they'd get if it ended now.
+    const results = buildResults({
       challengeId,
-      leaderboard: result.rows.map((row, index) => ({
-        rank: index + 1,
+      metric: scoring.metric,
+      activityTypes: scoring.activityTypes,
+      tieBreak,
+      payoutSplit,
+      participants: result.rows.map(row => ({
         address: row.wallet_address,
-        stravaUserId: row.strava_user_id,
-        miles: parseFloat(row.total_miles),
-        lastUpdate: row.snapshot_at ? new Date(row.snapshot_at).toISOString() : null,
-        confirmed: row.confirmed || false,
-        confirmedAt: row.confirmed_at ? new Date(row.confirmed_at).toISOString() : null
+        score: row.score,
+        activityCount: row.activity_count,
+        reachedAt: row.score_reached_at
+      }))
+    });
+    const rowsByAddress = new Map(result.rows.map(row => [row.wallet_address.toLowerCase(), row]));
+    const payoutsByAddress = new Map(results.payouts.map(p => [p.address, p.shareBps]));
+
+    const leaderboard = [];
+    for (const place of rankParticipants(results.participants, tieBreak)) {
+      const rank = leaderboard.length + 1;
+      for (const entry of place) {
+        const row = rowsByAddress.get(entry.address);
+        const issues = describeIssues(row.activity_issues);
+        leaderboard.push({
+          rank,
+          address: row.wallet_address,
+          stravaUserId: row.strava_user_id,
+          score: parseFloat(row.score),
+          miles: parseFloat(row.total_miles),
+          activityCount: row.activity_count,
+          reachedAt: row.score_reached_at ? Number(row.score_reached_at) : null,
+          payoutBps: payoutsByAddress.get(entry.address) || 0,
+          // Activities validation kept out of the score, and ones counted but flagged
+          excludedActivities: issues.filter(issue => issue.action === 'exclude'),
+          flaggedActivities: issues.filter(issue => issue.action === 'flag'),
+          lastUpdate: row.snapshot_at ? new Date(row.snapshot_at).toISOString() : null,
+          confirmed: row.confirmed || false,
+          confirmedAt: row.confirmed_at ? new Date(row.confirmed_at).toISOString() : null
+        });
+      }
+    }
+
+    res.json({
+      challengeId,
+      metric: scoring.metric,
+      unit: METRICS[scoring.metric].unit,
+      activityTypes: scoring.activityTypes,
+      tieBreak,
+      payoutSplit,
+      window: challengeResult.rows[0] ? describeWindow(getChallengeWindow(challengeResult.rows[0])) : null,
+      leaderboard
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /challenges/:id/final-results
+ * Get the frozen final results participants confirm (see src/final-results.js)
+ *
+ * Returns the current revision with how many participants have confirmed
+ * it, plus a summary of earlier revisions.
+ * 404 until the first sync after the challenge ends has recorded them.
+ */
+challengesRouter.get('/:id/final-results', async (req, res) => {
+  try {
+    const challengeId = parseInt(req.params.id);
+
+    if (isNaN(challengeId)) {
+      return res.status(400).json({ error: 'Invalid challenge ID' });
+    }
+
+    const revisions = await listFinalResultRevisions(challengeId);
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'Final results have not been recorded yet' });
+    }
+    const current = revisions[0];
+
+    const confirmationsResult = await query(
+      `SELECT COUNT(*) AS total,
+              COUNT(*) FILTER (WHERE confirmed AND confirmed_revision = $2) AS confirmed
+       FROM participants WHERE challenge_id = $1`,
+      [challengeId, current.revision]
+    );
+    const total = parseInt(confirmationsResult.rows[0].total);
+    const confirmed = parseInt(confirmationsResult.rows[0].confirmed);
+
+    res.json({
+      ...current,
+      confirmations: {
+        total,
+        confirmed,
+        allConfirmed: total > 0 && total === confirmed
+      },
+      revisions: revisions.map(({ revision, resultsHash, reason, lockedAt, supersededAt, createdAt }) => ({
+        revision, resultsHash, reason, lockedAt, supersededAt, createdAt
       }))
     });
   } catch (error) {
@@ -96,7 +636,11 @@ challengesRouter.get('/:id/leaderboard', async (req, res) => {
 
 /**
  * POST /challenges/:id/sync
- * Manually trigger a sync for a challenge
+ * Queue a sync for a challenge
+ *
+ * Returns 202 with the job ID straight away; poll GET /jobs/:id for the
+ * result. If a sync of this challenge is already pending, that job is
+ * returned instead.
  */
 challengesRouter.post('/:id/sync', async (req, res) => {
   try {
@@ -106,12 +650,24 @@ challengesRouter.post('/:id/sync', async (req, res) => {
       return res.status(400).json({ error: 'Invalid challenge ID' });
     }
 
-    // Run sync
-    const result = await syncChallengeParticipants(challengeId);
+    const challengeResult = await query('SELECT id FROM challenges WHERE id = $1', [challengeId]);
+    if (challengeResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+
+    const job = await enqueueJob(
+      'sync_challenge',
+      { challengeId },
+      { dedupeKey: `sync_challenge:${challengeId}` }
+    );
 
-    res.json({
+    res.status(202).json({
       success: true,
-      ...result
+      challengeId,
+      jobId: job.id,
+      status: job.status,
+      alreadyQueued: !job.created,
+      statusUrl: `/jobs/${job.id}`
     });
 
   } catch (error) {
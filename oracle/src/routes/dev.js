@@ -2,12 +2,10 @@ import express from 'express';
 import { ethers } from 'ethers';
 import { getAthleteStats, fetchParticipantMileage } from '../strava-client.js';
 import { query } from '../db.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { syncChallenge, getChallengeCount } from '../event-listener.js';
+import { getScoringConfig, validateScoringConfig, listMetrics } from '../scoring.js';
+import { validatePayoutConfig, DEFAULT_TIE_BREAK, DEFAULT_PAYOUT_SPLIT } from '../results.js';
+import { getAthleteSyncQueueStatus, flushAthleteSyncs } from '../athlete-sync-queue.js';
 
 export const devRouter = express.Router();
 
@@ -37,81 +35,20 @@ devRouter.post('/sync-from-chain', async (req, res) => {
   }
 
   try {
-    // Load contract ABI
-    const contractArtifactPath = path.join(__dirname, '../../../artifacts/contracts/StravaChallenge.sol/StravaChallenge.json');
-    const contractArtifact = JSON.parse(fs.readFileSync(contractArtifactPath, 'utf8'));
-
-    // Connect to blockchain
-    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    const contract = new ethers.Contract(
-      process.env.CONTRACT_ADDRESS,
-      contractArtifact.abi,
-      provider
-    );
-
-    // Get total challenge count
-    const challengeCount = await contract.getChallengeCount();
+    const challengeCount = await getChallengeCount();
     console.log(`Syncing ${challengeCount} challenges from chain...`);
 
     let challengesSynced = 0;
-    let participantsSynced = 0;
 
-    // Sync each challenge
+    // Sync each challenge at the latest block
     for (let i = 0; i < challengeCount; i++) {
-      const challengeData = await contract.challenges(i);
-
-      // Insert or update challenge (normalize addresses to lowercase)
-      await query(
-        `INSERT INTO challenges
-         (id, creator, start_time, end_time, stake_amount, total_staked, state, winner, participant_count)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-         ON CONFLICT (id) DO UPDATE SET
-           total_staked = EXCLUDED.total_staked,
-           state = EXCLUDED.state,
-           winner = EXCLUDED.winner,
-           participant_count = EXCLUDED.participant_count,
-           updated_at = CURRENT_TIMESTAMP`,
-        [
-          i,
-          challengeData.creator.toLowerCase(),
-          Number(challengeData.startTime),
-          Number(challengeData.endTime),
-          challengeData.stakeAmount.toString(),
-          challengeData.totalStaked.toString(),
-          'PENDING', // We'll calculate state from contract
-          challengeData.winner.toLowerCase(),
-          Number(challengeData.participantCount)
-        ]
-      );
+      await syncChallenge(i);
       challengesSynced++;
-
-      // Get participants for this challenge
-      const participantAddresses = await contract.getParticipants(i);
-
-      for (const address of participantAddresses) {
-        const participantData = await contract.getParticipant(i, address);
-
-        // Insert or update participant (normalize address to lowercase)
-        await query(
-          `INSERT INTO participants
-           (challenge_id, wallet_address, strava_user_id, has_joined, stake_paid)
-           VALUES ($1, $2, $3, $4, $5)
-           ON CONFLICT (challenge_id, wallet_address) DO UPDATE SET
-             strava_user_id = EXCLUDED.strava_user_id,
-             has_joined = EXCLUDED.has_joined,
-             stake_paid = EXCLUDED.stake_paid`,
-          [
-            i,
-            address.toLowerCase(),
-            participantData.stravaUserId,
-            participantData.hasJoined,
-            participantData.hasJoined // Assume if joined, stake was paid
-          ]
-        );
-        participantsSynced++;
-      }
     }
 
+    const participantsResult = await query('SELECT COUNT(*) AS count FROM participants');
+    const participantsSynced = parseInt(participantsResult.rows[0].count);
+
     console.log(`Sync complete: ${challengesSynced} challenges, ${participantsSynced} participants`);
 
     res.json({
@@ -157,7 +94,7 @@ devRouter.get('/strava-test/:walletAddress', async (req, res) => {
       return res.status(404).json({
         error: 'No Strava token found for this wallet',
         walletAddress,
-        hint: `Visit http://localhost:3000/auth/strava?walletAddress=${walletAddress} to connect Strava`
+        hint: 'Connect Strava from the challenge page (sign in with the wallet, then authorize Strava)'
       });
     }
 
@@ -230,7 +167,7 @@ devRouter.get('/fetch-activities/:walletAddress', async (req, res) => {
       result: {
         totalMiles: result.miles,
         activityCount: result.activityCount,
-        activities: result.rawActivities.map(a => ({
+        activities: result.activities.map(a => ({
           id: a.id,
           name: a.name,
           type: a.type,
@@ -301,7 +238,10 @@ devRouter.get('/db-status', async (req, res) => {
  * {
  *   "challengeId": 0,
  *   "walletAddress": "0x...",
- *   "miles": 10.5
+ *   "miles": 10.5,
+ *   "score": 12,           // Optional, in the challenge's metric (defaults to miles)
+ *   "activityCount": 3,    // Optional, for the most_activities tie-break
+ *   "reachedAt": 1700000000 // Optional, unix time the total was reached (earliest tie-break)
  * }
  */
 devRouter.post('/set-mileage', async (req, res) => {
@@ -317,7 +257,7 @@ devRouter.post('/set-mileage', async (req, res) => {
   }
 
   try {
-    const { challengeId, walletAddress, miles } = req.body;
+    const { challengeId, walletAddress, miles, score, activityCount, reachedAt } = req.body;
 
     // Validate inputs
     if (challengeId === undefined || challengeId === null) {
@@ -332,7 +272,20 @@ devRouter.post('/set-mileage', async (req, res) => {
       return res.status(400).json({ error: 'miles must be a number' });
     }
 
+    if (score !== undefined && score !== null && isNaN(parseFloat(score))) {
+      return res.status(400).json({ error: 'score must be a number' });
+    }
+
+    if (activityCount !== undefined && activityCount !== null && !Number.isInteger(activityCount)) {
+      return res.status(400).json({ error: 'activityCount must be an integer' });
+    }
+
+    if (reachedAt !== undefined && reachedAt !== null && !Number.isInteger(reachedAt)) {
+      return res.status(400).json({ error: 'reachedAt must be a unix timestamp' });
+    }
+
     const mileageValue = parseFloat(miles);
+    const scoreValue = score !== undefined && score !== null ? parseFloat(score) : mileageValue;
 
     // Normalize wallet address to lowercase for case-insensitive comparison
     const normalizedAddress = walletAddress.toLowerCase();
@@ -369,27 +322,42 @@ devRouter.post('/set-mileage', async (req, res) => {
       );
     }
 
+    const challengeResult = await query(
+      'SELECT scoring_metric, activity_types FROM challenges WHERE id = $1',
+      [challengeId]
+    );
+    const { metric } = getScoringConfig(challengeResult.rows[0]);
+
     // Insert mileage snapshot (use normalized address for consistency)
     await query(
       `INSERT INTO mileage_snapshots
-       (challenge_id, wallet_address, strava_user_id, total_miles, raw_data)
-       VALUES ($1, $2, $3, $4, $5)`,
+       (challenge_id, wallet_address, strava_user_id, total_miles, score, metric,
+        activity_count, score_reached_at, counted_activity_ids)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
       [
         challengeId,
         normalizedAddress,
         stravaUserId,
         mileageValue,
-        JSON.stringify({ mock: true, activities: [] })
+        scoreValue,
+        metric,
+        activityCount ?? null,
+        reachedAt ?? null,
+        []
       ]
     );
 
-    console.log(`[MOCK] Set mileage: challenge=${challengeId}, wallet=${walletAddress}, miles=${mileageValue}`);
+    console.log(`[MOCK] Set mileage: challenge=${challengeId}, wallet=${walletAddress}, miles=${mileageValue}, score=${scoreValue} (${metric})`);
 
     res.json({
       success: true,
       challengeId,
       walletAddress,
       miles: mileageValue,
+      score: scoreValue,
+      metric,
+      activityCount: activityCount ?? null,
+      reachedAt: reachedAt ?? null,
       message: 'Mock mileage set successfully'
     });
 
@@ -400,3 +368,115 @@ devRouter.post('/set-mileage', async (req, res) => {
     });
   }
 });
+
+/**
+ * POST /dev/set-scoring
+ * Set the scoring metric and counted activity types for a challenge
+ *
+ * Body:
+ * {
+ *   "challengeId": 0,
+ *   "metric": "moving_time",
+ *   "activityTypes": ["Ride", "VirtualRide"],
+ *   "tieBreak": "most_activities",     // Optional
+ *   "payoutSplit": [6000, 3000, 1000]  // Optional, basis points per place
+ * }
+ */
+devRouter.post('/set-scoring', async (req, res) => {
+  if (!isDev) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    const {
+      challengeId,
+      metric,
+      activityTypes,
+      tieBreak = DEFAULT_TIE_BREAK,
+      payoutSplit = DEFAULT_PAYOUT_SPLIT
+    } = req.body;
+
+    if (challengeId === undefined || challengeId === null) {
+      return res.status(400).json({ error: 'challengeId is required' });
+    }
+
+    const validationError = validateScoringConfig({ metric, activityTypes });
+    if (validationError) {
+      return res.status(400).json({ error: validationError, metrics: listMetrics() });
+    }
+
+    const payoutError = validatePayoutConfig({ tieBreak, payoutSplit });
+    if (payoutError) {
+      return res.status(400).json({ error: payoutError });
+    }
+
+    const result = await query(
+      `UPDATE challenges SET scoring_metric = $1, activity_types = $2, tie_break = $3, payout_bps = $4,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5`,
+      [metric, activityTypes, tieBreak, payoutSplit, challengeId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+
+    console.log(`Set scoring: challenge=${challengeId}, metric=${metric}, types=${activityTypes.join(',')}, tieBreak=${tieBreak}, split=${payoutSplit.join('/')}`);
+
+    res.json({
+      success: true,
+      challengeId,
+      metric,
+      activityTypes,
+      tieBreak,
+      payoutSplit
+    });
+
+  } catch (error) {
+    console.error('Set scoring error:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /dev/athlete-sync-queue
+ * Show athlete syncs queued by Strava webhooks
+ */
+devRouter.get('/athlete-sync-queue', async (req, res) => {
+  if (!isDev) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    res.json(await getAthleteSyncQueueStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /dev/athlete-sync-queue/flush
+ * Run queued athlete syncs now instead of after their delay and wait for them
+ */
+devRouter.post('/athlete-sync-queue/flush', async (req, res) => {
+  if (!isDev) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    const jobs = await flushAthleteSyncs();
+    res.json({
+      success: true,
+      flushed: jobs.length,
+      jobs: jobs.filter(Boolean).map(job => ({ id: job.id, status: job.status, result: job.result, lastError: job.lastError })),
+      ...(await getAthleteSyncQueueStatus())
+    });
+  } catch (error) {
+    console.error('Flush athlete syncs error:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
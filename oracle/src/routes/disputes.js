@@ -0,0 +1,211 @@
+import express from 'express';
+import { ethers } from 'ethers';
+import {
+  openDispute,
+  resolveDispute,
+  listDisputes,
+  getDispute,
+  countOpenDisputes,
+  issueDisputeNonce,
+  DisputeError,
+  DISPUTE_STATUSES,
+  RESOLUTION_ACTIONS
+} from '../disputes.js';
+
+export const disputesRouter = express.Router();
+
+function sendDisputeError(res, error, label) {
+  if (error instanceof DisputeError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * GET /disputes/nonce?walletAddress=0x...
+ * Issue a one-time nonce to open a dispute with
+ *
+ * Returns { nonce, chainId, contract, expiresIn } to include in the signed message.
+ */
+disputesRouter.get('/nonce', async (req, res) => {
+  try {
+    const { walletAddress } = req.query;
+
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    res.json(await issueDisputeNonce(walletAddress));
+
+  } catch (error) {
+    sendDisputeError(res, error, 'Dispute nonce');
+  }
+});
+
+/**
+ * POST /disputes
+ * Open a dispute during a challenge's grace period
+ *
+ * Body:
+ * {
+ *   "challengeId": 0,
+ *   "walletAddress": "0x...",    // Participant opening the dispute
+ *   "targetAddress": "0x...",    // Participant whose result is disputed
+ *   "activityId": 123456789,     // Optional: a single disputed activity
+ *   "reason": "...",
+ *   "nonce": "...",              // From GET /disputes/nonce; used once
+ *   "signature": "0x..."         // Signature of:
+ *     // "DISPUTE_CHALLENGE_{challengeId}_PARTICIPANT_{targetAddress}_ACTIVITY_{activityId|NONE}_{keccak256(reason)}
+ *     //  _CHAIN_{chainId}_CONTRACT_{contract}_NONCE_{nonce}"
+ * }
+ *
+ * While a dispute is open the challenge can't be finalized early. A
+ * participant can only have one open dispute per target and activity.
+ */
+disputesRouter.post('/', async (req, res) => {
+  try {
+    const { challengeId, walletAddress, targetAddress, activityId, reason, nonce, signature } = req.body;
+
+    if (!Number.isInteger(challengeId)) {
+      return res.status(400).json({ error: 'challengeId is required' });
+    }
+
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    if (!targetAddress || !ethers.isAddress(targetAddress)) {
+      return res.status(400).json({ error: 'Invalid target address' });
+    }
+
+    if (activityId !== undefined && activityId !== null && !Number.isSafeInteger(activityId)) {
+      return res.status(400).json({ error: 'Invalid activity ID' });
+    }
+
+    if (!nonce || typeof nonce !== 'string') {
+      return res.status(400).json({ error: 'nonce is required' });
+    }
+
+    if (!signature || !signature.startsWith('0x')) {
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    const dispute = await openDispute({
+      challengeId,
+      openedBy: walletAddress,
+      targetAddress,
+      activityId: activityId ?? null,
+      reason,
+      nonce,
+      signature
+    });
+
+    res.status(201).json(dispute);
+
+  } catch (error) {
+    sendDisputeError(res, error, 'Open dispute');
+  }
+});
+
+/**
+ * GET /disputes?challengeId=0[&status=open]
+ * List a challenge's disputes, newest first, with the number still open
+ */
+disputesRouter.get('/', async (req, res) => {
+  try {
+    const challengeId = parseInt(req.query.challengeId);
+    const { status } = req.query;
+
+    if (isNaN(challengeId)) {
+      return res.status(400).json({ error: 'challengeId is required' });
+    }
+
+    if (status && !DISPUTE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${DISPUTE_STATUSES.join(', ')}` });
+    }
+
+    res.json({
+      challengeId,
+      openCount: await countOpenDisputes(challengeId),
+      disputes: await listDisputes(challengeId, status)
+    });
+
+  } catch (error) {
+    sendDisputeError(res, error, 'List disputes');
+  }
+});
+
+/**
+ * GET /disputes/:id
+ * Get a dispute with its audit trail
+ */
+disputesRouter.get('/:id', async (req, res) => {
+  try {
+    const disputeId = parseInt(req.params.id);
+
+    if (isNaN(disputeId)) {
+      return res.status(400).json({ error: 'Invalid dispute ID' });
+    }
+
+    const dispute = await getDispute(disputeId);
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    res.json(dispute);
+
+  } catch (error) {
+    sendDisputeError(res, error, 'Get dispute');
+  }
+});
+
+/**
+ * POST /disputes/:id/resolve
+ * Uphold, reject or withdraw an open dispute
+ *
+ * Body:
+ * {
+ *   "action": "uphold",          // uphold | reject (creator or oracle operator), withdraw (opener)
+ *   "walletAddress": "0x...",
+ *   "note": "...",               // Optional
+ *   "signature": "0x..."         // Signature of: "RESOLVE_DISPUTE_{id}_{ACTION}_{keccak256(note)}"
+ * }
+ *
+ * Upholding an activity dispute queues a resync without the activity;
+ * resyncJobId is the job to poll.
+ */
+disputesRouter.post('/:id/resolve', async (req, res) => {
+  try {
+    const disputeId = parseInt(req.params.id);
+    const { action, walletAddress, note, signature } = req.body;
+
+    if (isNaN(disputeId)) {
+      return res.status(400).json({ error: 'Invalid dispute ID' });
+    }
+
+    if (!RESOLUTION_ACTIONS[action]) {
+      return res.status(400).json({ error: `Invalid action. Must be one of: ${Object.keys(RESOLUTION_ACTIONS).join(', ')}` });
+    }
+
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    if (!signature || !signature.startsWith('0x')) {
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    const result = await resolveDispute(disputeId, {
+      action,
+      actor: walletAddress,
+      note: note || null,
+      signature
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    sendDisputeError(res, error, 'Resolve dispute');
+  }
+});
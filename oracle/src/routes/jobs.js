@@ -0,0 +1,100 @@
+import express from 'express';
+import { getJob, listJobs, getJobCounts, retryJob, JOB_STATUSES } from '../jobs.js';
+
+export const jobsRouter = express.Router();
+
+/**
+ * GET /jobs
+ * List recent background jobs, newest first
+ *
+ * Query params:
+ * - status: pending | running | completed | dead (dead = retries exhausted)
+ * - type: Job type (e.g. sync_challenge)
+ * - limit: Max jobs to return (default 50, max 200)
+ */
+jobsRouter.get('/', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    res.json({
+      counts: await getJobCounts(),
+      jobs: await listJobs({ status, type, limit })
+    });
+
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /jobs/:id
+ * Get a background job's status and result
+ *
+ * Response:
+ * {
+ *   "id": 42,
+ *   "type": "sync_challenge",
+ *   "payload": { "challengeId": 1 },
+ *   "status": "completed",          // pending | running | completed | dead
+ *   "attempts": 1,
+ *   "maxAttempts": 5,
+ *   "runAt": "...",                 // When it runs next (or last ran)
+ *   "result": { "synced": 12, ... },
+ *   "lastError": null,
+ *   "createdAt": "...", "updatedAt": "...", "completedAt": "..."
+ * }
+ */
+jobsRouter.get('/:id', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /jobs/:id/retry
+ * Put a dead job back in the queue with its attempts reset
+ *
+ * Dead jobs (retries exhausted) stay in the table until retried; find them
+ * with GET /jobs?status=dead.
+ */
+jobsRouter.post('/:id/retry', async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await retryJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'No dead job with that ID' });
+    }
+
+    res.json({ success: true, job });
+
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
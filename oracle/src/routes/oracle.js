@@ -1,13 +1,12 @@
 import express from 'express';
 import { ethers } from 'ethers';
-import { signFinalization, getOracleAddress } from '../wallet.js';
+import { getOracleAddress } from '../wallet.js';
 import { query } from '../db.js';
-import { getBlockchainTime } from '../event-listener.js';
+import { getParticipantProof, MERKLE_RESULTS_VERSION } from '../results.js';
+import { prepareFinalization, FinalizationError } from '../finalization.js';
 
 export const oracleRouter = express.Router();
 
-const GRACE_PERIOD_DAYS = 7;
-
 /**
  * GET /oracle/address
  * Get the oracle's Ethereum address
@@ -31,7 +30,11 @@ oracleRouter.get('/address', (req, res) => {
  *    a) 7 days have passed since end (grace period expired), OR
  *    b) All participants have confirmed their mileage
  *
- * Returns signature that winner can use to claim prize on-chain
+ * Returns signature that winner can use to claim prize on-chain. Ties are
+ * resolved with the challenge's tie-break policy and the prize is split per
+ * its payoutSplit; when more than one wallet is paid, `split` is set and the
+ * signature is for claimPrizeSplitWithSignature(winners, sharesBps, ...),
+ * which any of the winners can submit.
  */
 oracleRouter.get('/challenge/:id/finalization', async (req, res) => {
   try {
@@ -41,132 +44,168 @@ oracleRouter.get('/challenge/:id/finalization', async (req, res) => {
       return res.status(400).json({ error: 'Invalid challenge ID' });
     }
 
-    // Get challenge details
-    const challengeResult = await query(
-      'SELECT * FROM challenges WHERE id = $1',
+    res.json(await prepareFinalization(challengeId));
+
+  } catch (error) {
+    if (error instanceof FinalizationError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Get finalization error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Load the signed results behind a challenge's dataHash
+ * The row matching the on-chain finalDataHash once the prize is claimed,
+ * otherwise the most recently signed one.
+ * @returns {Object} { challenge, finalDataHash, row } - challenge and row are null if not found
+ */
+async function getSignedResults(challengeId) {
+  const challengeResult = await query(
+    'SELECT final_data_hash FROM challenges WHERE id = $1',
+    [challengeId]
+  );
+
+  if (challengeResult.rows.length === 0) {
+    return { challenge: null, finalDataHash: null, row: null };
+  }
+
+  const finalDataHash = challengeResult.rows[0].final_data_hash;
+
+  const result = finalDataHash
+    ? await query(
+      'SELECT * FROM finalization_results WHERE challenge_id = $1 AND data_hash = $2',
+      [challengeId, finalDataHash.toLowerCase()]
+    )
+    : await query(
+      'SELECT * FROM finalization_results WHERE challenge_id = $1 ORDER BY created_at DESC LIMIT 1',
       [challengeId]
     );
 
-    if (challengeResult.rows.length === 0) {
+  return {
+    challenge: challengeResult.rows[0],
+    finalDataHash,
+    row: result.rows[0] || null
+  };
+}
+
+function noResultsError(finalDataHash) {
+  return {
+    error: finalDataHash
+      ? 'No stored results match the on-chain finalDataHash'
+      : 'Results have not been signed for this challenge yet',
+    finalDataHash
+  };
+}
+
+/**
+ * GET /oracle/challenge/:id/results
+ * Get the canonical results preimage behind a challenge's dataHash
+ *
+ * Once the prize is claimed this is the preimage behind the finalDataHash
+ * stored on-chain. Before that, it is the most recently signed preimage.
+ * See src/results.js for how the dataHash is derived from the preimage.
+ */
+oracleRouter.get('/challenge/:id/results', async (req, res) => {
+  try {
+    const challengeId = parseInt(req.params.id);
+
+    if (isNaN(challengeId)) {
+      return res.status(400).json({ error: 'Invalid challenge ID' });
+    }
+
+    const { challenge, finalDataHash, row } = await getSignedResults(challengeId);
+
+    if (!challenge) {
       return res.status(404).json({ error: 'Challenge not found' });
     }
 
-    const challenge = challengeResult.rows[0];
-    const now = await getBlockchainTime();
+    if (!row) {
+      return res.status(404).json(noResultsError(finalDataHash));
+    }
 
-    // Check if challenge has ended
-    if (now < challenge.end_time) {
-      return res.status(400).json({
-        error: 'Challenge has not ended',
-        endTime: challenge.end_time,
-        currentTime: now,
-        timeRemaining: challenge.end_time - now
-      });
+    res.json({
+      challengeId,
+      finalized: Boolean(finalDataHash),
+      dataHash: row.data_hash,
+      winner: row.winner,
+      timestamp: Number(row.signed_timestamp),
+      signature: row.signature,
+      oracleAddress: getOracleAddress(),
+      preimage: row.preimage,
+      results: JSON.parse(row.preimage)
+    });
+
+  } catch (error) {
+    console.error('Get results error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /oracle/challenge/:id/proof/:address
+ * Get a participant's Merkle inclusion proof for the signed results
+ *
+ * The leaf is recomputable from `entry` (see hashParticipantLeaf in
+ * src/results.js), and folding it with `proof` using sorted-pair keccak256
+ * gives `root`, which is the finalDataHash on-chain once the prize is claimed.
+ */
+oracleRouter.get('/challenge/:id/proof/:address', async (req, res) => {
+  try {
+    const challengeId = parseInt(req.params.id);
+    const { address } = req.params;
+
+    if (isNaN(challengeId)) {
+      return res.status(400).json({ error: 'Invalid challenge ID' });
     }
 
-    // Calculate time since end
-    const timeSinceEnd = now - challenge.end_time;
-    const gracePeriodSeconds = GRACE_PERIOD_DAYS * 24 * 60 * 60;
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
 
-    // Get all participants for this challenge
-    const participantsResult = await query(
-      'SELECT wallet_address, confirmed FROM participants WHERE challenge_id = $1',
-      [challengeId]
-    );
+    const { challenge, finalDataHash, row } = await getSignedResults(challengeId);
 
-    if (participantsResult.rows.length === 0) {
-      return res.status(400).json({ error: 'No participants found for this challenge' });
+    if (!challenge) {
+      return res.status(404).json({ error: 'Challenge not found' });
     }
 
-    const totalParticipants = participantsResult.rows.length;
-    const confirmedParticipants = participantsResult.rows.filter(p => p.confirmed).length;
-    const allConfirmed = confirmedParticipants === totalParticipants;
-
-    // Check if we can finalize:
-    // Either grace period expired OR all participants confirmed
-    const gracePeriodExpired = timeSinceEnd >= gracePeriodSeconds;
-    const canFinalize = gracePeriodExpired || allConfirmed;
-
-    if (!canFinalize) {
-      return res.status(400).json({
-        error: 'Cannot finalize yet',
-        reason: 'Grace period not expired and not all participants confirmed',
-        gracePeriodExpired,
-        allConfirmed,
-        confirmedCount: confirmedParticipants,
-        totalParticipants,
-        timeSinceEnd,
-        gracePeriodSeconds,
-        timeUntilCanFinalize: gracePeriodSeconds - timeSinceEnd
-      });
+    if (!row) {
+      return res.status(404).json(noResultsError(finalDataHash));
     }
 
-    // Get latest mileage for all participants
-    const mileageResult = await query(
-      `SELECT m.wallet_address, m.strava_user_id, m.total_miles, p.confirmed
-       FROM mileage_snapshots m
-       JOIN participants p ON m.challenge_id = p.challenge_id AND m.wallet_address = p.wallet_address
-       WHERE m.challenge_id = $1
-       AND m.id IN (
-         SELECT MAX(id) FROM mileage_snapshots
-         WHERE challenge_id = $1
-         GROUP BY wallet_address
-       )
-       ORDER BY m.total_miles DESC`,
-      [challengeId]
-    );
+    const results = JSON.parse(row.preimage);
 
-    if (mileageResult.rows.length === 0) {
-      return res.status(400).json({ error: 'No mileage data found for participants' });
+    if (results.version < MERKLE_RESULTS_VERSION) {
+      return res.status(409).json({
+        error: 'These results were signed before Merkle proofs were supported',
+        version: results.version
+      });
     }
 
-    // Determine winner (most miles)
-    const winner = mileageResult.rows[0];
-    const allParticipantsData = mileageResult.rows;
-
-    // Create data hash from results
-    // This is a deterministic representation of the final results
-    const resultsData = allParticipantsData.map(p => ({
-      address: p.wallet_address,
-      stravaUserId: p.strava_user_id,
-      miles: parseFloat(p.total_miles),
-      confirmed: p.confirmed
-    }));
-
-    const resultsString = JSON.stringify(resultsData);
-    const dataHash = ethers.keccak256(ethers.toUtf8Bytes(resultsString));
-
-    // Generate signature
-    const timestamp = await getBlockchainTime();
-    const signature = await signFinalization(
-      challengeId,
-      winner.wallet_address,
-      dataHash,
-      timestamp
-    );
+    const proof = getParticipantProof(results, row.preimage, address);
+
+    if (!proof) {
+      return res.status(404).json({ error: 'Address is not in the results for this challenge' });
+    }
 
     res.json({
       challengeId,
-      winner: {
-        address: winner.wallet_address,
-        stravaUserId: winner.strava_user_id,
-        miles: parseFloat(winner.total_miles),
-        confirmed: winner.confirmed
+      finalized: Boolean(finalDataHash),
+      root: proof.root,
+      leaf: proof.leaf,
+      proof: proof.proof,
+      entry: {
+        address: proof.entry.address,
+        stravaUserId: proof.entry.stravaUserId,
+        score: proof.entry.score,
+        confirmed: proof.entry.confirmed
       },
-      participants: resultsData,
-      finalizationReason: allConfirmed ? 'all_confirmed' : 'grace_period_expired',
-      confirmedCount: confirmedParticipants,
-      totalParticipants,
-      dataHash,
-      timestamp,
-      signature,
-      oracleAddress: getOracleAddress(),
-      // Include full results for transparency
-      fullResults: resultsString
+      metric: results.metric
     });
 
   } catch (error) {
-    console.error('Get finalization error:', error);
+    console.error('Get proof error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -1,7 +1,19 @@
 import express from 'express';
 import { ethers } from 'ethers';
-import { query } from '../db.js';
+import { query, withTransaction } from '../db.js';
 import { getBlockchainTime } from '../event-listener.js';
+import { getScoringConfig, getActivityType } from '../scoring.js';
+import { getActivities } from '../activities.js';
+import { getChallengeWindow, filterToWindow, describeWindow } from '../challenge-window.js';
+import { getCurrentFinalResults, lockForConfirmation } from '../final-results.js';
+import {
+  buildConfirmation,
+  getConfirmationDeadline,
+  verifyConfirmation,
+  recoverStoredConfirmation,
+  ConfirmationError
+} from '../confirmations.js';
+import { describeIssues } from '../activity-validation.js';
 
 export const participantsRouter = express.Router();
 
@@ -10,8 +22,12 @@ export const participantsRouter = express.Router();
  * Participant confirms their mileage for a challenge
  *
  * During the grace period after a challenge ends, participants should
- * sign a message confirming their final mileage. This allows the oracle
- * to finalize early if all participants have confirmed.
+ * sign EIP-712 typed data confirming their score in the challenge's frozen
+ * final results (see src/final-results.js and src/confirmations.js); get it
+ * from GET /participants/:challengeId/:walletAddress/confirmation. This allows the oracle to finalize early if all
+ * participants have confirmed the current revision. The first confirmation
+ * locks the revision; if the results change after that, a new revision is
+ * created and everyone confirms again.
  *
  * The signature is stored in the database to provide a verifiable audit trail.
  * Anyone can later verify that each participant cryptographically confirmed
@@ -21,12 +37,14 @@ export const participantsRouter = express.Router();
  * {
  *   "challengeId": 0,
  *   "walletAddress": "0x...",
- *   "signature": "0x..."  // Signature of message: "CONFIRM_CHALLENGE_{challengeId}"
+ *   "revision": 1,        // Final results revision being confirmed
+ *   "deadline": 1700003600, // Deadline from the signed typed data
+ *   "signature": "0x..."  // eth_signTypedData_v4 signature of the Confirmation
  * }
  */
 participantsRouter.post('/confirm', async (req, res) => {
   try {
-    const { challengeId, walletAddress, signature } = req.body;
+    const { challengeId, walletAddress, revision, deadline, signature } = req.body;
 
     // Validate inputs
     if (challengeId === undefined || challengeId === null) {
@@ -41,6 +59,10 @@ participantsRouter.post('/confirm', async (req, res) => {
       return res.status(400).json({ error: 'Invalid signature' });
     }
 
+    if (!Number.isInteger(revision) || !Number.isInteger(deadline)) {
+      return res.status(400).json({ error: 'revision and deadline are required' });
+    }
+
     // Check if challenge exists
     const challengeResult = await query(
       'SELECT * FROM challenges WHERE id = $1',
@@ -75,48 +97,71 @@ participantsRouter.post('/confirm', async (req, res) => {
 
     const participant = participantResult.rows[0];
 
-    if (participant.confirmed) {
-      return res.status(400).json({
-        error: 'Already confirmed',
-        confirmedAt: participant.joined_at
+    const finalResults = await getCurrentFinalResults(challengeId);
+    if (!finalResults) {
+      return res.status(409).json({
+        error: 'Final results have not been recorded yet',
+        reason: 'They are recorded by the first sync after the challenge ends'
       });
     }
 
-    // Verify signature
-    const message = `CONFIRM_CHALLENGE_${challengeId}`;
-    const messageHash = ethers.hashMessage(message);
-
-    let recoveredAddress;
-    try {
-      recoveredAddress = ethers.recoverAddress(messageHash, signature);
-    } catch (error) {
-      return res.status(400).json({ error: 'Invalid signature format' });
+    if (revision !== finalResults.revision) {
+      return res.status(409).json({
+        error: 'Final results have been revised',
+        revision,
+        currentRevision: finalResults.revision,
+        resultsHash: finalResults.resultsHash
+      });
     }
 
-    if (recoveredAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+    if (participant.confirmed && participant.confirmed_revision === finalResults.revision) {
       return res.status(400).json({
-        error: 'Signature does not match wallet address',
-        expected: walletAddress,
-        recovered: recoveredAddress
+        error: 'Already confirmed',
+        revision: finalResults.revision,
+        confirmedAt: participant.confirmed_at
       });
     }
 
-    // Update participant confirmation status with signature and timestamp
-    await query(
-      `UPDATE participants
-       SET confirmed = TRUE,
-           confirmation_signature = $3,
-           confirmed_at = CURRENT_TIMESTAMP
-       WHERE challenge_id = $1 AND wallet_address = $2`,
-      [challengeId, walletAddress, signature]
-    );
+    // Verify the signature over the participant's frozen score
+    const confirmation = verifyConfirmation(finalResults, { walletAddress, deadline, signature }, now);
 
-    console.log(`Participant confirmed: challenge=${challengeId}, wallet=${walletAddress}`);
+    // Lock the revision and record the confirmation together, so a resync
+    // can't revise the results in between
+    const locked = await withTransaction(async (client) => {
+      const lockedRevision = await lockForConfirmation(client, challengeId, finalResults.revision);
+      if (!lockedRevision) {
+        return null;
+      }
 
-    // Check if all participants have now confirmed
+      // Update participant confirmation status with what they signed
+      await client.query(
+        `UPDATE participants
+         SET confirmed = TRUE,
+             confirmation_signature = $3,
+             confirmed_at = CURRENT_TIMESTAMP,
+             confirmed_revision = $4,
+             confirmation_data = $5
+         WHERE challenge_id = $1 AND wallet_address = $2`,
+        [challengeId, walletAddress, signature, finalResults.revision, JSON.stringify(confirmation)]
+      );
+      return lockedRevision;
+    });
+
+    if (!locked) {
+      return res.status(409).json({
+        error: 'Final results have been revised',
+        revision: finalResults.revision
+      });
+    }
+
+    console.log(`Participant confirmed: challenge=${challengeId}, wallet=${walletAddress}, revision=${finalResults.revision}`);
+
+    // Check if all participants have now confirmed this revision
     const allParticipantsResult = await query(
-      'SELECT COUNT(*) as total, SUM(CASE WHEN confirmed THEN 1 ELSE 0 END) as confirmed FROM participants WHERE challenge_id = $1',
-      [challengeId]
+      `SELECT COUNT(*) as total,
+              SUM(CASE WHEN confirmed AND confirmed_revision = $2 THEN 1 ELSE 0 END) as confirmed
+       FROM participants WHERE challenge_id = $1`,
+      [challengeId, finalResults.revision]
     );
 
     const stats = allParticipantsResult.rows[0];
@@ -127,6 +172,9 @@ participantsRouter.post('/confirm', async (req, res) => {
       challengeId,
       walletAddress,
       confirmed: true,
+      revision: finalResults.revision,
+      resultsHash: finalResults.resultsHash,
+      confirmedScore: confirmation.message.score,
       allParticipantsConfirmed: allConfirmed,
       confirmationStats: {
         total: parseInt(stats.total),
@@ -135,6 +183,9 @@ participantsRouter.post('/confirm', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ConfirmationError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     console.error('Participant confirmation error:', error);
     res.status(500).json({ error: error.message });
   }
@@ -169,9 +220,11 @@ participantsRouter.post('/verify-signature', async (req, res) => {
 
     // Get participant confirmation data
     const result = await query(
-      `SELECT confirmation_signature, confirmed_at, confirmed
-       FROM participants
-       WHERE challenge_id = $1 AND wallet_address = $2`,
+      `SELECT p.confirmation_signature, p.confirmed_at, p.confirmed, p.confirmed_revision,
+              p.confirmation_data, f.results_hash
+       FROM participants p
+       LEFT JOIN final_results f ON f.challenge_id = p.challenge_id AND f.revision = p.confirmed_revision
+       WHERE p.challenge_id = $1 AND p.wallet_address = $2`,
       [challengeId, walletAddress]
     );
 
@@ -188,14 +241,20 @@ participantsRouter.post('/verify-signature', async (req, res) => {
       });
     }
 
-    // Verify the signature
-    const message = `CONFIRM_CHALLENGE_${challengeId}`;
+    // Verify the signature over the typed data or, for older confirmations,
+    // the plain message that was signed
+    let message;
     let recoveredAddress;
     let isValid = false;
 
     try {
-      const messageHash = ethers.hashMessage(message);
-      recoveredAddress = ethers.recoverAddress(messageHash, participant.confirmation_signature);
+      ({ message, recoveredAddress } = recoverStoredConfirmation({
+        challengeId,
+        signature: participant.confirmation_signature,
+        typedData: participant.confirmation_data,
+        revision: participant.confirmed_revision,
+        resultsHash: participant.results_hash
+      }));
       isValid = recoveredAddress.toLowerCase() === walletAddress.toLowerCase();
     } catch (error) {
       return res.json({
@@ -211,6 +270,7 @@ participantsRouter.post('/verify-signature', async (req, res) => {
       confirmed: true,
       signature: participant.confirmation_signature,
       confirmedAt: participant.confirmed_at,
+      revision: participant.confirmed_revision,
       message: message,
       recoveredAddress: recoveredAddress,
       expectedAddress: walletAddress,
@@ -237,11 +297,11 @@ participantsRouter.get('/:challengeId', async (req, res) => {
 
     const result = await query(
       `SELECT p.wallet_address, p.strava_user_id, p.confirmed, p.joined_at,
-              p.confirmation_signature, p.confirmed_at,
-              m.total_miles, m.snapshot_at
+              p.confirmation_signature, p.confirmed_at, p.confirmed_revision,
+              m.total_miles, m.score, m.snapshot_at
        FROM participants p
        LEFT JOIN LATERAL (
-         SELECT total_miles, snapshot_at
+         SELECT total_miles, COALESCE(score, total_miles) AS score, snapshot_at
          FROM mileage_snapshots
          WHERE challenge_id = p.challenge_id AND wallet_address = p.wallet_address
          ORDER BY id DESC
@@ -259,7 +319,9 @@ participantsRouter.get('/:challengeId', async (req, res) => {
       joinedAt: row.joined_at,
       confirmationSignature: row.confirmation_signature,
       confirmedAt: row.confirmed_at,
+      confirmedRevision: row.confirmed_revision,
       currentMiles: row.total_miles ? parseFloat(row.total_miles) : 0,
+      currentScore: row.score ? parseFloat(row.score) : 0,
       lastUpdate: row.snapshot_at
     }));
 
@@ -281,3 +343,156 @@ participantsRouter.get('/:challengeId', async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 });
+
+/**
+ * GET /participants/:challengeId/:walletAddress/confirmation
+ * Get the EIP-712 typed data a participant signs to confirm their final score
+ *
+ * Built from the current final results revision, with a deadline
+ * CONFIRMATION_DEADLINE_SECONDS (default 1 hour) from now. Sign it with
+ * eth_signTypedData_v4 and send the signature, revision and deadline to
+ * POST /participants/confirm.
+ */
+participantsRouter.get('/:challengeId/:walletAddress/confirmation', async (req, res) => {
+  try {
+    const challengeId = parseInt(req.params.challengeId);
+    const { walletAddress } = req.params;
+
+    if (isNaN(challengeId)) {
+      return res.status(400).json({ error: 'Invalid challenge ID' });
+    }
+
+    if (!ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const participantResult = await query(
+      'SELECT 1 FROM participants WHERE challenge_id = $1 AND LOWER(wallet_address) = LOWER($2)',
+      [challengeId, walletAddress]
+    );
+
+    if (participantResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Participant not found for this challenge' });
+    }
+
+    const finalResults = await getCurrentFinalResults(challengeId);
+    if (!finalResults) {
+      return res.status(409).json({
+        error: 'Final results have not been recorded yet',
+        reason: 'They are recorded by the first sync after the challenge ends'
+      });
+    }
+
+    const deadline = getConfirmationDeadline(await getBlockchainTime());
+
+    res.json({
+      challengeId,
+      revision: finalResults.revision,
+      resultsHash: finalResults.resultsHash,
+      deadline,
+      typedData: buildConfirmation(finalResults, walletAddress, deadline)
+    });
+
+  } catch (error) {
+    console.error('Get confirmation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Whether an activity counted in the latest snapshot, and if not why not
+ */
+function getActivityStatus(activityId, counted, issues) {
+  const issue = issues.get(activityId);
+  if (issue) {
+    return issue.action === 'exclude' ? 'excluded' : 'flagged';
+  }
+  return counted.has(activityId) ? 'counted' : 'not_counted';
+}
+
+/**
+ * GET /participants/:challengeId/:walletAddress/activities
+ * List a participant's stored activities in the challenge window and
+ * whether each one counted towards their latest score
+ *
+ * Activities of types the challenge doesn't score are listed with
+ * counted: false so participants can see why a run didn't count. Each
+ * activity's status is counted, flagged (counted, but suspect), excluded
+ * (by validation; see src/activity-validation.js) or not_counted (not a
+ * scored type, or not synced yet). Validation reasons are in issues.
+ */
+participantsRouter.get('/:challengeId/:walletAddress/activities', async (req, res) => {
+  try {
+    const challengeId = parseInt(req.params.challengeId);
+    const { walletAddress } = req.params;
+
+    if (isNaN(challengeId)) {
+      return res.status(400).json({ error: 'Invalid challenge ID' });
+    }
+
+    if (!ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const result = await query(
+      `SELECT c.start_time, c.end_time, c.scoring_metric, c.activity_types, c.window_mode, c.window_timezone,
+              p.strava_user_id,
+              m.counted_activity_ids, m.activity_issues, m.snapshot_at
+       FROM participants p
+       JOIN challenges c ON c.id = p.challenge_id
+       LEFT JOIN LATERAL (
+         SELECT counted_activity_ids, activity_issues, snapshot_at
+         FROM mileage_snapshots
+         WHERE challenge_id = p.challenge_id AND wallet_address = p.wallet_address
+         ORDER BY id DESC
+         LIMIT 1
+       ) m ON true
+       WHERE p.challenge_id = $1 AND p.wallet_address = $2`,
+      [challengeId, walletAddress.toLowerCase()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Participant not found for this challenge' });
+    }
+
+    const row = result.rows[0];
+    const scoring = getScoringConfig(row);
+    const counted = new Set((row.counted_activity_ids || []).map(Number));
+    const issues = new Map(describeIssues(row.activity_issues).map(issue => [Number(issue.id), issue]));
+
+    const window = getChallengeWindow(row);
+    const activities = row.strava_user_id
+      ? filterToWindow(await getActivities(row.strava_user_id, window.fetchAfter, window.fetchBefore), window)
+      : [];
+
+    res.json({
+      challengeId,
+      walletAddress: walletAddress.toLowerCase(),
+      metric: scoring.metric,
+      activityTypes: scoring.activityTypes,
+      window: describeWindow(window),
+      lastSnapshot: row.snapshot_at,
+      activities: activities.map(activity => ({
+        id: activity.id,
+        name: activity.name,
+        sportType: getActivityType(activity),
+        startDate: activity.start_date,
+        startDateLocal: activity.start_date_local,
+        distanceMiles: parseFloat((activity.distance * 0.000621371).toFixed(2)),
+        movingTime: activity.moving_time,
+        elevationGain: activity.total_elevation_gain,
+        manual: activity.manual,
+        flagged: activity.flagged,
+        hasGps: activity.has_gps,
+        device: activity.device_name,
+        counted: counted.has(activity.id),
+        status: getActivityStatus(activity.id, counted, issues),
+        issues: issues.get(activity.id)?.reasons || []
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get participant activities error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
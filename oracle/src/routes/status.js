@@ -0,0 +1,33 @@
+import express from 'express';
+import { getStravaQuotaStatus } from '../strava-http.js';
+
+export const statusRouter = express.Router();
+
+const USE_MOCK = process.env.MOCK_STRAVA === 'true';
+
+/**
+ * GET /status/strava
+ * Strava API quota and request queue state
+ *
+ * Response:
+ * {
+ *   "mockMode": false,
+ *   "overall": {                      // null until the first Strava response
+ *     "fifteenMinute": { "limit": 200, "usage": 37, "resetsAt": "..." },
+ *     "daily": { "limit": 2000, "usage": 412, "resetsAt": "..." },
+ *     "reportedAt": "..."
+ *   },
+ *   "read": { ... },                  // Same shape, GET requests only
+ *   "queued": 3,
+ *   "nextRequestDelayMs": 4500,
+ *   "delayReason": "pacing read 15-minute limit",
+ *   "pausedUntil": null,              // Set after a 429
+ *   "requests": 120, "retries": 2, "rateLimited": 1, "failed": 0
+ * }
+ */
+statusRouter.get('/strava', (req, res) => {
+  res.json({
+    mockMode: USE_MOCK,
+    ...getStravaQuotaStatus()
+  });
+});
@@ -1,7 +1,10 @@
 import express from 'express';
-import axios from 'axios';
 import { query } from '../db.js';
 import { getMockStravaId } from '../mock-strava.js';
+import { stravaRequest } from '../strava-http.js';
+import { encryptTokens } from '../token-crypto.js';
+import { createSignInRequest, verifySignIn, AuthError } from '../wallet-auth.js';
+import { createOAuthState, verifyOAuthState, consumeOAuthState } from '../oauth-state.js';
 
 export const stravaRouter = express.Router();
 
@@ -9,17 +12,26 @@ const USE_MOCK = process.env.MOCK_STRAVA === 'true';
 const STRAVA_AUTHORIZE_URL = 'https://www.strava.com/oauth/authorize';
 const STRAVA_TOKEN_URL = 'https://www.strava.com/api/v3/oauth/token';
 
+function sendAuthError(res, error, label) {
+  if (error instanceof AuthError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: error.message });
+}
+
 /**
- * GET /auth/strava
- * Initiate Strava OAuth flow
+ * GET /auth/strava/nonce
+ * Issue a sign-in message (EIP-4361) for a wallet to sign before linking Strava
  *
  * Query params:
  * - walletAddress: User's Ethereum address (required)
- * - challengeId: Challenge they're joining (optional, for context)
+ *
+ * Returns { walletAddress, nonce, message, expirationTime }
  */
-stravaRouter.get('/', async (req, res) => {
+stravaRouter.get('/nonce', async (req, res) => {
   try {
-    const { walletAddress, challengeId } = req.query;
+    const { walletAddress } = req.query;
 
     if (!walletAddress) {
       return res.status(400).json({ error: 'walletAddress is required' });
@@ -30,15 +42,82 @@ stravaRouter.get('/', async (req, res) => {
       return res.status(400).json({ error: 'Invalid wallet address format' });
     }
 
+    res.json(await createSignInRequest(walletAddress));
+
+  } catch (error) {
+    sendAuthError(res, error, 'Sign-in nonce');
+  }
+});
+
+/**
+ * POST /auth/strava/session
+ * Verify a signed sign-in message and issue OAuth state for its wallet
+ *
+ * Body:
+ * {
+ *   "message": "<message from /auth/strava/nonce, unchanged>",
+ *   "signature": "0x...",
+ *   "challengeId": 0            // Challenge they're joining (optional, for context)
+ * }
+ *
+ * Returns { walletAddress, state }; open /auth/strava?state=<state> to connect.
+ */
+stravaRouter.post('/session', async (req, res) => {
+  try {
+    const { message, signature, challengeId } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({ error: 'message and signature are required' });
+    }
+
+    if (challengeId !== undefined && challengeId !== null && !/^\d+$/.test(String(challengeId))) {
+      return res.status(400).json({ error: 'Invalid challengeId' });
+    }
+
+    const walletAddress = await verifySignIn(message, signature);
+    const state = await createOAuthState({
+      walletAddress,
+      challengeId: challengeId === undefined || challengeId === null ? null : String(challengeId)
+    });
+
+    res.json({ walletAddress, state });
+
+  } catch (error) {
+    sendAuthError(res, error, 'Sign-in');
+  }
+});
+
+/**
+ * GET /auth/strava
+ * Initiate Strava OAuth flow
+ *
+ * Query params:
+ * - state: OAuth state from POST /auth/strava/session (required)
+ */
+stravaRouter.get('/', async (req, res) => {
+  try {
+    const { state } = req.query;
+
+    if (!state) {
+      return res.status(400).json({ error: 'state is required; sign in with your wallet first' });
+    }
+
     // Mock mode: auto-connect without OAuth
     if (USE_MOCK) {
+      // Nothing comes back from Strava, so the state is used up here
+      const { walletAddress, challengeId } = await consumeOAuthState(state);
       const mockStravaId = getMockStravaId(walletAddress);
+      const encrypted = encryptTokens(walletAddress, {
+        accessToken: 'mock_access_token',
+        refreshToken: 'mock_refresh_token'
+      });
 
       // Store mock token
       await query(
         `INSERT INTO strava_tokens
-         (wallet_address, strava_user_id, access_token, refresh_token, expires_at, athlete_data)
-         VALUES ($1, $2, $3, $4, $5, $6)
+         (wallet_address, strava_user_id, access_token, refresh_token, token_key_id, token_data_key,
+          expires_at, athlete_data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
          ON CONFLICT (wallet_address)
          DO UPDATE SET
            strava_user_id = EXCLUDED.strava_user_id,
@@ -46,8 +125,10 @@ stravaRouter.get('/', async (req, res) => {
         [
           walletAddress,
           mockStravaId,
-          'mock_access_token',
-          'mock_refresh_token',
+          encrypted.access_token,
+          encrypted.refresh_token,
+          encrypted.token_key_id,
+          encrypted.token_data_key,
           9999999999, // Far future expiry
           JSON.stringify({
             id: parseInt(mockStravaId),
@@ -93,11 +174,8 @@ stravaRouter.get('/', async (req, res) => {
       return res.status(500).json({ error: 'Strava API not configured' });
     }
 
-    // Build state parameter to pass wallet address and challenge ID through OAuth flow
-    const state = JSON.stringify({
-      walletAddress,
-      challengeId: challengeId || null
-    });
+    // Check the state before sending the user to Strava; the callback uses it up
+    verifyOAuthState(state);
 
     // Build authorization URL
     const authUrl = new URL(STRAVA_AUTHORIZE_URL);
@@ -112,8 +190,7 @@ stravaRouter.get('/', async (req, res) => {
     res.redirect(authUrl.toString());
 
   } catch (error) {
-    console.error('Strava OAuth initiation error:', error);
-    res.status(500).json({ error: error.message });
+    sendAuthError(res, error, 'Strava OAuth initiation');
   }
 });
 
@@ -124,7 +201,7 @@ stravaRouter.get('/', async (req, res) => {
  * Strava redirects here with:
  * - code: Authorization code (exchange for tokens)
  * - scope: Granted permissions
- * - state: Our state parameter (wallet address + challenge ID)
+ * - state: Our signed state parameter (wallet address + challenge ID)
  */
 stravaRouter.get('/callback', async (req, res) => {
   try {
@@ -147,23 +224,29 @@ stravaRouter.get('/callback', async (req, res) => {
       return res.status(400).json({ error: 'Missing code or state parameter' });
     }
 
-    // Parse state
+    // Only accept state this oracle issued after a wallet sign-in, once
     let stateData;
     try {
-      stateData = JSON.parse(state);
+      stateData = await consumeOAuthState(state);
     } catch (e) {
-      return res.status(400).json({ error: 'Invalid state parameter' });
+      return sendAuthError(res, e, 'Strava OAuth state');
     }
 
     const { walletAddress, challengeId } = stateData;
 
     // Exchange authorization code for tokens
-    const tokenResponse = await axios.post(STRAVA_TOKEN_URL, {
-      client_id: process.env.STRAVA_CLIENT_ID,
-      client_secret: process.env.STRAVA_CLIENT_SECRET,
-      code,
-      grant_type: 'authorization_code'
-    });
+    // The user is waiting on this page, so go ahead of queued sync requests
+    // and fail quickly rather than wait out a rate limit window
+    const tokenResponse = await stravaRequest({
+      method: 'post',
+      url: STRAVA_TOKEN_URL,
+      data: {
+        client_id: process.env.STRAVA_CLIENT_ID,
+        client_secret: process.env.STRAVA_CLIENT_SECRET,
+        code,
+        grant_type: 'authorization_code'
+      }
+    }, { priority: true, maxWaitMs: 30 * 1000 });
 
     const {
       access_token,
@@ -174,20 +257,33 @@ stravaRouter.get('/callback', async (req, res) => {
 
     const stravaUserId = athlete.id.toString();
 
-    // Store tokens in database
+    // Store tokens in database, encrypted (see src/token-crypto.js)
+    const encrypted = encryptTokens(walletAddress, { accessToken: access_token, refreshToken: refresh_token });
     await query(
       `INSERT INTO strava_tokens
-       (wallet_address, strava_user_id, access_token, refresh_token, expires_at, athlete_data)
-       VALUES ($1, $2, $3, $4, $5, $6)
+       (wallet_address, strava_user_id, access_token, refresh_token, token_key_id, token_data_key,
+        expires_at, athlete_data)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        ON CONFLICT (wallet_address)
        DO UPDATE SET
          strava_user_id = EXCLUDED.strava_user_id,
          access_token = EXCLUDED.access_token,
          refresh_token = EXCLUDED.refresh_token,
+         token_key_id = EXCLUDED.token_key_id,
+         token_data_key = EXCLUDED.token_data_key,
          expires_at = EXCLUDED.expires_at,
          athlete_data = EXCLUDED.athlete_data,
          updated_at = CURRENT_TIMESTAMP`,
-      [walletAddress, stravaUserId, access_token, refresh_token, expires_at, JSON.stringify(athlete)]
+      [
+        walletAddress,
+        stravaUserId,
+        encrypted.access_token,
+        encrypted.refresh_token,
+        encrypted.token_key_id,
+        encrypted.token_data_key,
+        expires_at,
+        JSON.stringify(athlete)
+      ]
     );
 
     console.log(`Strava connected: wallet=${walletAddress}, stravaId=${stravaUserId}`);
@@ -242,9 +338,10 @@ stravaRouter.get('/status/:walletAddress', async (req, res) => {
   try {
     const { walletAddress } = req.params;
 
+    // Tokens are stored under the lowercase address that signed in
     const result = await query(
       'SELECT strava_user_id, athlete_data, updated_at FROM strava_tokens WHERE wallet_address = $1',
-      [walletAddress]
+      [walletAddress.toLowerCase()]
     );
 
     if (result.rows.length === 0) {
@@ -0,0 +1,185 @@
+import express from 'express';
+import { ethers } from 'ethers';
+import { query } from '../db.js';
+import { getBlockchainTime } from '../event-listener.js';
+import { GRACE_PERIOD_SECONDS, EMERGENCY_PERIOD_SECONDS } from '../constants.js';
+import { getScoringConfig } from '../scoring.js';
+import { buildResults, getPayoutConfig } from '../results.js';
+
+export const walletsRouter = express.Router();
+
+/**
+ * Whether the frozen final results pay the wallet a share of the prize
+ * Payouts are built the same way finalization builds them (see
+ * src/finalization.js), so split payouts count every place with a share.
+ */
+function isPayee(row, walletAddress) {
+  if (!row.final_entries) {
+    return false;
+  }
+
+  const scoring = getScoringConfig(row);
+  const { tieBreak, payoutSplit } = getPayoutConfig(row);
+  const results = buildResults({
+    challengeId: row.id,
+    metric: scoring.metric,
+    activityTypes: scoring.activityTypes,
+    tieBreak,
+    payoutSplit,
+    participants: row.final_entries
+  });
+  return results.payouts.some(p => p.address === walletAddress && p.shareBps > 0);
+}
+
+/**
+ * Work out what the wallet still needs to do on a challenge
+ * @returns {Array} Any of 'join', 'confirm', 'claim', 'withdraw'
+ */
+function getPendingActions(row, now) {
+  const actions = [];
+  const state = row.effective_state;
+  const hasStake = row.participant_stake && row.participant_stake !== '0';
+
+  if (row.is_invited && !row.has_joined && state === 'PENDING' && now < Number(row.start_time)) {
+    actions.push('join');
+  }
+
+  if (row.has_joined && state === 'GRACE_PERIOD') {
+    if (!row.confirmed) {
+      actions.push('confirm');
+    }
+
+    // Same condition as prepareFinalization in src/finalization.js
+    const allConfirmed = parseInt(row.confirmed_count) === parseInt(row.joined_count);
+    const openDisputes = parseInt(row.open_disputes);
+    const gracePeriodExpired = now >= Number(row.end_time) + GRACE_PERIOD_SECONDS;
+    const emergencyPeriodReached = now >= Number(row.end_time) + EMERGENCY_PERIOD_SECONDS;
+    const canFinalize = gracePeriodExpired || (allConfirmed && openDisputes === 0);
+    if (row.is_payee && canFinalize && !emergencyPeriodReached) {
+      actions.push('claim');
+    }
+  }
+
+  if (row.has_joined && hasStake) {
+    const emergencyPeriodReached = now >= Number(row.end_time) + EMERGENCY_PERIOD_SECONDS;
+    if (state === 'CANCELLED' || (state !== 'COMPLETED' && emergencyPeriodReached)) {
+      actions.push('withdraw');
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * GET /wallets/:address/challenges
+ * Every challenge a wallet created, was invited to (whitelisted on) or joined
+ *
+ * Each challenge lists the wallet's roles, its current rank on the
+ * leaderboard and any actions still waiting on the wallet.
+ */
+walletsRouter.get('/:address/challenges', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const walletAddress = address.toLowerCase();
+
+    const result = await query(
+      `WITH latest AS (
+         SELECT DISTINCT ON (challenge_id, wallet_address)
+                challenge_id, wallet_address, total_miles, COALESCE(score, total_miles) AS score,
+                COALESCE(activity_count, 0) AS activity_count, score_reached_at
+         FROM mileage_snapshots
+         WHERE challenge_id IN (SELECT challenge_id FROM participants WHERE wallet_address = $1)
+         ORDER BY challenge_id, wallet_address, id DESC
+       ),
+       -- Same ordering as rankParticipants in src/results.js
+       ranked AS (
+         SELECT l.challenge_id, l.wallet_address, l.total_miles, l.score,
+                RANK() OVER (
+                  PARTITION BY l.challenge_id
+                  ORDER BY l.score DESC,
+                    CASE WHEN ch.tie_break = 'earliest' THEN l.score_reached_at END ASC NULLS LAST,
+                    CASE WHEN ch.tie_break = 'most_activities' THEN l.activity_count END DESC
+                ) AS rank
+         FROM latest l
+         JOIN challenges ch ON ch.id = l.challenge_id
+       )
+       SELECT c.*,
+              md.title,
+              (c.creator = $1) AS is_creator,
+              (a.wallet_address IS NOT NULL) AS is_invited,
+              COALESCE(p.has_joined, FALSE) AS has_joined,
+              COALESCE(p.confirmed, FALSE) AS confirmed,
+              p.stake AS participant_stake,
+              p.withdrawn_amount,
+              r.total_miles,
+              r.score,
+              r.rank,
+              (SELECT COUNT(*) FROM allowed_participants ap WHERE ap.challenge_id = c.id) AS invited_count,
+              (SELECT COUNT(*) FROM participants pp WHERE pp.challenge_id = c.id AND pp.has_joined) AS joined_count,
+              (SELECT COUNT(*) FROM participants pp WHERE pp.challenge_id = c.id AND pp.confirmed) AS confirmed_count,
+              (SELECT COUNT(*) FROM disputes d WHERE d.challenge_id = c.id AND d.status = 'open') AS open_disputes,
+              (SELECT fr.entries FROM final_results fr WHERE fr.challenge_id = c.id
+               ORDER BY fr.revision DESC LIMIT 1) AS final_entries
+       FROM challenges c
+       LEFT JOIN allowed_participants a ON a.challenge_id = c.id AND a.wallet_address = $1
+       LEFT JOIN participants p ON p.challenge_id = c.id AND p.wallet_address = $1
+       LEFT JOIN ranked r ON r.challenge_id = c.id AND r.wallet_address = $1
+       LEFT JOIN challenge_metadata md ON md.challenge_id = c.id
+       WHERE c.creator = $1 OR a.wallet_address IS NOT NULL OR p.has_joined
+       ORDER BY c.id DESC`,
+      [walletAddress]
+    );
+
+    const now = await getBlockchainTime();
+
+    const challenges = result.rows.map(row => {
+      const rank = row.rank !== null ? parseInt(row.rank) : null;
+      const roles = [];
+      if (row.is_creator) roles.push('created');
+      if (row.is_invited) roles.push('invited');
+      if (row.has_joined) roles.push('joined');
+
+      return {
+        id: row.id,
+        title: row.title,
+        creator: row.creator,
+        startTime: Number(row.start_time),
+        endTime: Number(row.end_time),
+        stakeAmount: row.stake_amount,
+        totalStaked: row.total_staked,
+        state: row.effective_state,
+        winner: row.winner,
+        roles,
+        invitedCount: parseInt(row.invited_count),
+        joinedCount: parseInt(row.joined_count),
+        confirmed: row.confirmed,
+        scoringMetric: row.scoring_metric,
+        currentMiles: row.total_miles !== null ? parseFloat(row.total_miles) : null,
+        currentScore: row.score !== null ? parseFloat(row.score) : null,
+        rank,
+        withdrawnAmount: row.withdrawn_amount,
+        pendingActions: getPendingActions({ ...row, rank, is_payee: isPayee(row, walletAddress) }, now)
+      };
+    });
+
+    res.json({
+      walletAddress,
+      challenges,
+      summary: {
+        created: challenges.filter(c => c.roles.includes('created')).length,
+        invited: challenges.filter(c => c.roles.includes('invited') && !c.roles.includes('joined')).length,
+        joined: challenges.filter(c => c.roles.includes('joined')).length,
+        pendingActions: challenges.reduce((sum, c) => sum + c.pendingActions.length, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get wallet challenges error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
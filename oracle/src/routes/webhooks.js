@@ -0,0 +1,101 @@
+import express from 'express';
+import { enqueueJob } from '../jobs.js';
+import { enqueueAthleteSync } from '../athlete-sync-queue.js';
+import { requestFullSync } from '../sync-state.js';
+import { checkSubscriptionRequest, routeWebhookEvent } from '../strava-webhook.js';
+
+export const webhooksRouter = express.Router();
+
+/**
+ * Strava push subscription
+ *
+ * Strava calls GET once when the subscription is created to check we own the
+ * callback URL, then POSTs an event for every activity create/update/delete
+ * and athlete deauthorization for athletes who authorized the app. Events
+ * only carry IDs, so activity events queue a sync of that athlete.
+ *
+ * Strava doesn't sign events; if STRAVA_WEBHOOK_SUBSCRIPTION_ID is set,
+ * events for any other subscription are ignored. Since anyone can send one,
+ * an event never changes stored data directly: activity events trigger a
+ * fetch from Strava, and a deauthorization only removes tokens once Strava
+ * rejects them.
+ */
+
+/**
+ * GET /webhooks/strava
+ * Subscription validation handshake
+ *
+ * Query params (from Strava):
+ * - hub.mode: "subscribe"
+ * - hub.verify_token: Must match STRAVA_WEBHOOK_VERIFY_TOKEN
+ * - hub.challenge: Echoed back as { "hub.challenge": ... }
+ */
+webhooksRouter.get('/strava', (req, res) => {
+  const { status, body } = checkSubscriptionRequest(req.query, process.env.STRAVA_WEBHOOK_VERIFY_TOKEN);
+  if (status === 200) {
+    console.log('Strava webhook subscription verified');
+  }
+  res.status(status).json(body);
+});
+
+/**
+ * POST /webhooks/strava
+ * Receive a Strava event
+ *
+ * Body (from Strava):
+ * {
+ *   "object_type": "activity" | "athlete",
+ *   "object_id": 1234567890,
+ *   "aspect_type": "create" | "update" | "delete",
+ *   "owner_id": 134815,             // Athlete ID
+ *   "subscription_id": 120475,
+ *   "event_time": 1516126040,
+ *   "updates": { "title": "..." }   // { "authorized": "false" } on deauthorization
+ * }
+ *
+ * Strava expects a 200 within two seconds and retries otherwise, so the
+ * sync itself happens in the background. See routeWebhookEvent in
+ * src/strava-webhook.js for what each event triggers.
+ */
+webhooksRouter.post('/strava', async (req, res) => {
+  try {
+    const event = req.body || {};
+    const route = routeWebhookEvent(event, process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID);
+
+    if (route.error) {
+      if (route.status === 403) {
+        console.warn(`Ignoring Strava event for subscription ${event.subscription_id}`);
+      }
+      return res.status(route.status).json({ error: route.error });
+    }
+
+    const { action, stravaUserId } = route;
+
+    if (action === 'sync' || action === 'full_sync') {
+      // An edited or deleted activity may be older than the look-back window;
+      // a full fetch updates it, or removes it if Strava no longer returns it
+      if (action === 'full_sync') {
+        await requestFullSync(stravaUserId);
+      }
+      const queued = await enqueueAthleteSync(stravaUserId, `activity ${event.object_id} ${event.aspect_type}`);
+      return res.json({ received: true, action: queued ? 'sync_queued' : 'sync_already_queued' });
+    }
+
+    if (action === 'deauthorize') {
+      // The athlete says they revoked access; check with Strava before
+      // removing their tokens (see removeRevokedTokens in src/strava-client.js)
+      const job = await enqueueJob(
+        'confirm_deauthorization',
+        { stravaUserId },
+        { dedupeKey: `confirm_deauthorization:${stravaUserId}` }
+      );
+      return res.json({ received: true, action: job.created ? 'deauthorization_queued' : 'deauthorization_already_queued' });
+    }
+
+    res.json({ received: true, action: 'ignored' });
+
+  } catch (error) {
+    console.error('Strava webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
@@ -0,0 +1,170 @@
+/**
+ * Scoring engine
+ *
+ * A challenge is scored with one metric over the Strava activity types it
+ * allows. Each metric reduces a list of Strava activities to a single
+ * number; higher is better for every metric.
+ */
+
+const METERS_TO_MILES = 0.000621371;
+const METERS_TO_FEET = 3.28084;
+
+export const DEFAULT_METRIC = 'distance';
+export const DEFAULT_ACTIVITY_TYPES = ['Run', 'VirtualRun'];
+
+// Strava sport types that can be selected for a challenge
+export const ACTIVITY_TYPES = [
+  'Run', 'TrailRun', 'VirtualRun',
+  'Ride', 'GravelRide', 'MountainBikeRide', 'EBikeRide', 'EMountainBikeRide', 'VirtualRide',
+  'Swim', 'Walk', 'Hike', 'Rowing', 'VirtualRow', 'Kayaking', 'Canoeing',
+  'NordicSki', 'BackcountrySki', 'AlpineSki', 'Snowshoe',
+  'InlineSkate', 'RollerSki', 'Elliptical', 'StairStepper', 'WeightTraining', 'Workout', 'Yoga'
+];
+
+/**
+ * Metric strategies
+ * score(activities) receives activities already filtered by type
+ */
+export const METRICS = {
+  distance: {
+    label: 'Distance',
+    unit: 'miles',
+    score: activities => sum(activities, a => a.distance) * METERS_TO_MILES
+  },
+  moving_time: {
+    label: 'Moving time',
+    unit: 'hours',
+    score: activities => sum(activities, a => a.moving_time) / 3600
+  },
+  elevation_gain: {
+    label: 'Elevation gain',
+    unit: 'feet',
+    score: activities => sum(activities, a => a.total_elevation_gain) * METERS_TO_FEET
+  },
+  activity_count: {
+    label: 'Activities',
+    unit: 'activities',
+    score: activities => activities.length
+  },
+  active_days: {
+    label: 'Active days',
+    unit: 'days',
+    // start_date_local is the athlete's wall clock time, so a late evening
+    // run counts on the day the athlete did it
+    score: activities => new Set(
+      activities.map(a => (a.start_date_local || a.start_date || '').slice(0, 10)).filter(Boolean)
+    ).size
+  },
+  calories: {
+    label: 'Calories',
+    unit: 'kcal',
+    // The activity list only includes kilojoules (rides with power data);
+    // calories is only present on detailed activities. For cycling, kJ of
+    // work is close enough to kcal burned that Strava treats them as equal.
+    score: activities => sum(activities, a => a.calories ?? a.kilojoules)
+  }
+};
+
+function sum(activities, getValue) {
+  return activities.reduce((total, activity) => total + (getValue(activity) || 0), 0);
+}
+
+/**
+ * Get an activity's sport type
+ * sport_type replaced the deprecated type field, but older payloads only have type
+ */
+export function getActivityType(activity) {
+  return activity.sport_type || activity.type;
+}
+
+/**
+ * Keep only the activities whose type counts for the challenge
+ * Matching on the legacy type too means 'Run' still counts trail runs,
+ * as it did before sport_type existed.
+ */
+export function filterActivities(activities, activityTypes = DEFAULT_ACTIVITY_TYPES) {
+  const allowed = new Set(activityTypes);
+  return activities.filter(a => allowed.has(getActivityType(a)) || allowed.has(a.type));
+}
+
+/**
+ * Validate a scoring configuration
+ * @returns {string|null} Error message, or null if the config is valid
+ */
+export function validateScoringConfig({ metric, activityTypes }) {
+  if (!METRICS[metric]) {
+    return `Unknown metric '${metric}'. Valid metrics: ${Object.keys(METRICS).join(', ')}`;
+  }
+
+  if (!Array.isArray(activityTypes) || activityTypes.length === 0) {
+    return 'activityTypes must be a non-empty array';
+  }
+
+  const unknown = activityTypes.filter(t => !ACTIVITY_TYPES.includes(t));
+  if (unknown.length > 0) {
+    return `Unknown activity types: ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Get the scoring configuration stored on a challenge row
+ */
+export function getScoringConfig(challenge) {
+  return {
+    metric: challenge?.scoring_metric || DEFAULT_METRIC,
+    activityTypes: challenge?.activity_types?.length ? challenge.activity_types : DEFAULT_ACTIVITY_TYPES
+  };
+}
+
+/**
+ * When the last of a list of activities finished
+ * Used as the time a participant reached their total, for tie-breaks
+ * @returns {number|null} Unix timestamp, or null for no activities
+ */
+export function getReachedAt(activities) {
+  let latest = null;
+  for (const activity of activities) {
+    const start = Date.parse(activity.start_date);
+    if (isNaN(start)) continue;
+    const finish = Math.floor(start / 1000) + (activity.elapsed_time || 0);
+    if (latest === null || finish > latest) {
+      latest = finish;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Score a list of Strava activities
+ * @param {Array} activities - Raw Strava activities
+ * @param {Object} config - { metric, activityTypes }
+ * @returns {Object} { score, miles, activityCount, reachedAt, metric, unit }
+ */
+export function calculateScore(activities, config = {}) {
+  const metric = config.metric || DEFAULT_METRIC;
+  const strategy = METRICS[metric];
+
+  if (!strategy) {
+    throw new Error(`Unknown scoring metric: ${metric}`);
+  }
+
+  const counted = filterActivities(activities, config.activityTypes || DEFAULT_ACTIVITY_TYPES);
+
+  return {
+    score: parseFloat(strategy.score(counted).toFixed(2)),
+    miles: parseFloat(METRICS.distance.score(counted).toFixed(2)),
+    activityCount: counted.length,
+    reachedAt: getReachedAt(counted),
+    metric,
+    unit: strategy.unit
+  };
+}
+
+/**
+ * Describe the available metrics (for API responses and the frontend)
+ */
+export function listMetrics() {
+  return Object.entries(METRICS).map(([id, { label, unit }]) => ({ id, label, unit }));
+}
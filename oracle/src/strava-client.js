@@ -1,6 +1,12 @@
-import axios from 'axios';
 import { query } from './db.js';
+import { stravaRequest } from './strava-http.js';
 import * as mockStrava from './mock-strava.js';
+import { calculateScore, filterActivities, DEFAULT_METRIC, DEFAULT_ACTIVITY_TYPES } from './scoring.js';
+import { storeActivities, getActivities } from './activities.js';
+import { getSyncState, getFetchWindow, recordFetch } from './sync-state.js';
+import { validateActivities, VALIDATION_POLICY } from './activity-validation.js';
+import { filterToWindow } from './challenge-window.js';
+import { encryptTokens, decryptTokens } from './token-crypto.js';
 
 // Use mock Strava client if MOCK_STRAVA is enabled
 const USE_MOCK = process.env.MOCK_STRAVA === 'true';
@@ -12,17 +18,16 @@ if (USE_MOCK) {
 const STRAVA_API_BASE = 'https://www.strava.com/api/v3';
 const STRAVA_TOKEN_URL = 'https://www.strava.com/api/v3/oauth/token';
 
-// Meters to miles conversion
-const METERS_TO_MILES = 0.000621371;
-
 /**
  * Get valid access token for a wallet address
- * Automatically refreshes if expired
+ * Automatically refreshes if expired. Tokens are stored encrypted (see
+ * src/token-crypto.js).
  */
 async function getValidAccessToken(walletAddress) {
   // Get current token
   const result = await query(
-    'SELECT access_token, refresh_token, expires_at FROM strava_tokens WHERE wallet_address = $1',
+    `SELECT wallet_address, access_token, refresh_token, expires_at, token_key_id, token_data_key
+     FROM strava_tokens WHERE wallet_address = $1`,
     [walletAddress]
   );
 
@@ -31,22 +36,27 @@ async function getValidAccessToken(walletAddress) {
   }
 
   const token = result.rows[0];
+  const { accessToken, refreshToken } = decryptTokens(token);
   const now = Math.floor(Date.now() / 1000);
 
   // Check if token is still valid (with 5 minute buffer)
   if (token.expires_at > now + 300) {
-    return token.access_token;
+    return accessToken;
   }
 
   // Token expired, refresh it
   console.log(`Refreshing Strava token for wallet ${walletAddress}`);
 
   try {
-    const refreshResponse = await axios.post(STRAVA_TOKEN_URL, {
-      client_id: process.env.STRAVA_CLIENT_ID,
-      client_secret: process.env.STRAVA_CLIENT_SECRET,
-      refresh_token: token.refresh_token,
-      grant_type: 'refresh_token'
+    const refreshResponse = await stravaRequest({
+      method: 'post',
+      url: STRAVA_TOKEN_URL,
+      data: {
+        client_id: process.env.STRAVA_CLIENT_ID,
+        client_secret: process.env.STRAVA_CLIENT_SECRET,
+        refresh_token: refreshToken,
+        grant_type: 'refresh_token'
+      }
     });
 
     const {
@@ -56,11 +66,20 @@ async function getValidAccessToken(walletAddress) {
     } = refreshResponse.data;
 
     // Update tokens in database
+    const encrypted = encryptTokens(token.wallet_address, { accessToken: access_token, refreshToken: refresh_token });
     await query(
       `UPDATE strava_tokens
-       SET access_token = $1, refresh_token = $2, expires_at = $3, updated_at = CURRENT_TIMESTAMP
-       WHERE wallet_address = $4`,
-      [access_token, refresh_token, expires_at, walletAddress]
+       SET access_token = $1, refresh_token = $2, token_key_id = $3, token_data_key = $4,
+           expires_at = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE wallet_address = $6`,
+      [
+        encrypted.access_token,
+        encrypted.refresh_token,
+        encrypted.token_key_id,
+        encrypted.token_data_key,
+        expires_at,
+        walletAddress
+      ]
     );
 
     console.log(`Token refreshed for wallet ${walletAddress}`);
@@ -68,7 +87,7 @@ async function getValidAccessToken(walletAddress) {
 
   } catch (error) {
     console.error(`Failed to refresh token for ${walletAddress}:`, error.message);
-    throw new Error(`Failed to refresh Strava token: ${error.message}`);
+    throw new Error(`Failed to refresh Strava token: ${error.message}`, { cause: error });
   }
 }
 
@@ -91,41 +110,36 @@ export async function fetchActivities(walletAddress, afterTimestamp, beforeTimes
   const perPage = 200; // Max allowed by Strava
 
   while (true) {
-    try {
-      const response = await axios.get(`${STRAVA_API_BASE}/athlete/activities`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`
-        },
-        params: {
-          after: afterTimestamp,
-          before: beforeTimestamp,
-          page,
-          per_page: perPage
-        }
-      });
-
-      const pageActivities = response.data;
-
-      if (pageActivities.length === 0) {
-        break; // No more activities
+    // Paced and retried by the shared client; throws StravaRateLimitError
+    // when the quota won't allow the request soon enough
+    const response = await stravaRequest({
+      method: 'get',
+      url: `${STRAVA_API_BASE}/athlete/activities`,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      },
+      params: {
+        after: afterTimestamp,
+        before: beforeTimestamp,
+        page,
+        per_page: perPage
       }
+    });
 
-      activities.push(...pageActivities);
+    const pageActivities = response.data;
 
-      // If we got fewer than perPage, we're done
-      if (pageActivities.length < perPage) {
-        break;
-      }
+    if (pageActivities.length === 0) {
+      break; // No more activities
+    }
 
-      page++;
+    activities.push(...pageActivities);
 
-    } catch (error) {
-      if (error.response?.status === 429) {
-        // Rate limited
-        throw new Error('Strava API rate limit exceeded');
-      }
-      throw error;
+    // If we got fewer than perPage, we're done
+    if (pageActivities.length < perPage) {
+      break;
     }
+
+    page++;
   }
 
   return activities;
@@ -133,6 +147,7 @@ export async function fetchActivities(walletAddress, afterTimestamp, beforeTimes
 
 /**
  * Calculate total running distance in miles for activities
+ * Activities excluded by validation (see src/activity-validation.js) don't count.
  * @param {Array} activities - Array of Strava activities
  * @returns {number} Total miles
  */
@@ -141,37 +156,81 @@ export function calculateTotalMiles(activities) {
     return mockStrava.calculateTotalMiles(activities);
   }
 
-  const runningActivities = activities.filter(a =>
-    a.type === 'Run' || a.type === 'VirtualRun'
+  const { accepted } = validateActivities(filterActivities(activities, DEFAULT_ACTIVITY_TYPES));
+  return calculateScore(accepted, { metric: 'distance', activityTypes: DEFAULT_ACTIVITY_TYPES }).miles;
+}
+
+/**
+ * Get the Strava athlete ID connected to a wallet
+ */
+async function getStravaUserId(walletAddress) {
+  const result = await query(
+    'SELECT strava_user_id FROM strava_tokens WHERE wallet_address = $1',
+    [walletAddress]
   );
 
-  const totalMeters = runningActivities.reduce((sum, activity) => {
-    return sum + (activity.distance || 0);
-  }, 0);
+  if (result.rows.length === 0) {
+    throw new Error(`No Strava token found for wallet ${walletAddress}`);
+  }
 
-  return totalMeters * METERS_TO_MILES;
+  return result.rows[0].strava_user_id;
 }
 
 /**
- * Fetch mileage for a participant in a challenge
+ * Fetch a participant's score for a challenge
+ * Only activities past the wallet's sync watermark are fetched (see
+ * src/sync-state.js). Fetched activities are stored (see src/activities.js)
+ * and the score is computed from the stored rows that pass validation (see
+ * src/activity-validation.js).
  * @param {string} walletAddress - Participant's wallet
- * @param {number} challengeStartTime - Challenge start timestamp
- * @param {number} challengeEndTime - Challenge end timestamp
- * @returns {Object} { miles, activities, rawActivities }
+ * @param {number} challengeStartTime - Start of the time range to fetch
+ * @param {number} challengeEndTime - End of the time range to fetch
+ * @param {Object} scoring - { metric, activityTypes } (defaults to running distance)
+ * @param {Object} options - { fullSync } to ignore the watermark and fetch the whole window,
+ *   { disputedActivityIds } to exclude activities named in upheld disputes,
+ *   { window } to only score activities inside a challenge window (see src/challenge-window.js),
+ *   { now } current blockchain time (unix seconds), which the sync watermark is capped at
+ * @returns {Object} { miles, score, metric, unit, activityCount, reachedAt, countedActivityIds,
+ *   activityIssues, activities }
  */
-export async function fetchParticipantMileage(walletAddress, challengeStartTime, challengeEndTime) {
+export async function fetchParticipantMileage(walletAddress, challengeStartTime, challengeEndTime, scoring = {}, { fullSync = false, disputedActivityIds = [], window = null, now = Math.floor(Date.now() / 1000) } = {}) {
   if (USE_MOCK) {
-    return mockStrava.fetchParticipantMileage(walletAddress, challengeStartTime, challengeEndTime);
+    return mockStrava.fetchParticipantMileage(walletAddress, challengeStartTime, challengeEndTime, scoring);
   }
 
   try {
-    const activities = await fetchActivities(walletAddress, challengeStartTime, challengeEndTime);
-    const miles = calculateTotalMiles(activities);
+    const stravaUserId = await getStravaUserId(walletAddress);
+    const fetchWindow = fullSync
+      ? { after: challengeStartTime, before: challengeEndTime, full: true }
+      : getFetchWindow(await getSyncState(walletAddress), stravaUserId, challengeStartTime, challengeEndTime);
+    const fetched = await fetchActivities(walletAddress, fetchWindow.after, fetchWindow.before);
+    await storeActivities(stravaUserId, fetched, fetchWindow.after, fetchWindow.before);
+    await recordFetch(walletAddress, stravaUserId, fetchWindow, fetched, now);
+
+    // The fetch range is padded for local windows; narrow it to the challenge window
+    const stored = await getActivities(stravaUserId, challengeStartTime, challengeEndTime);
+    const activities = window ? filterToWindow(stored, window) : stored;
+    const config = {
+      metric: scoring.metric || DEFAULT_METRIC,
+      activityTypes: scoring.activityTypes || DEFAULT_ACTIVITY_TYPES
+    };
+    const { accepted, issues } = validateActivities(
+      filterActivities(activities, config.activityTypes),
+      VALIDATION_POLICY,
+      disputedActivityIds
+    );
+    const result = calculateScore(accepted, config);
 
     return {
-      miles: parseFloat(miles.toFixed(2)),
-      activityCount: activities.filter(a => a.type === 'Run' || a.type === 'VirtualRun').length,
-      rawActivities: activities
+      miles: result.miles,
+      score: result.score,
+      metric: result.metric,
+      unit: result.unit,
+      activityCount: result.activityCount,
+      reachedAt: result.reachedAt,
+      countedActivityIds: accepted.map(a => a.id),
+      activityIssues: issues,
+      activities
     };
 
   } catch (error) {
@@ -180,6 +239,78 @@ export async function fetchParticipantMileage(walletAddress, challengeStartTime,
   }
 }
 
+/**
+ * Whether Strava rejected a request because access was revoked
+ * A revoked refresh token comes back as a 400 naming the refresh token.
+ */
+function isUnauthorized(error) {
+  const response = error.response || error.cause?.response;
+  if (!response) {
+    return false;
+  }
+  if (response.status === 401) {
+    return true;
+  }
+  return response.status === 400 &&
+    (response.data?.errors || []).some(e => e.resource === 'RefreshToken');
+}
+
+/**
+ * Check with Strava whether a wallet's athlete has revoked access
+ * Deauthorization webhooks aren't signed, so tokens are only removed once
+ * Strava itself rejects them.
+ * @returns {boolean} true if Strava rejected the stored tokens
+ */
+export async function isAccessRevoked(walletAddress) {
+  if (USE_MOCK) {
+    return true; // No Strava to ask
+  }
+
+  try {
+    const accessToken = await getValidAccessToken(walletAddress);
+    await stravaRequest({
+      method: 'get',
+      url: `${STRAVA_API_BASE}/athlete`,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      }
+    });
+    return false;
+  } catch (error) {
+    if (isUnauthorized(error)) {
+      return true;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove the tokens of an athlete who revoked access
+ * Only wallets whose tokens Strava now rejects are removed. Existing
+ * snapshots stay so the leaderboard and finalization still have them.
+ * @param {string|number} stravaUserId - Strava athlete ID
+ * @returns {Object} { checked, removed } wallet counts
+ */
+export async function removeRevokedTokens(stravaUserId) {
+  const result = await query(
+    'SELECT wallet_address FROM strava_tokens WHERE strava_user_id = $1',
+    [String(stravaUserId)]
+  );
+
+  let removed = 0;
+  for (const { wallet_address: walletAddress } of result.rows) {
+    if (!await isAccessRevoked(walletAddress)) {
+      console.warn(`Strava athlete ${stravaUserId} still authorizes wallet ${walletAddress}; keeping tokens`);
+      continue;
+    }
+    await query('DELETE FROM strava_tokens WHERE wallet_address = $1', [walletAddress]);
+    removed++;
+  }
+
+  console.log(`Strava athlete ${stravaUserId} deauthorized, removed tokens for ${removed} of ${result.rows.length} wallet(s)`);
+  return { checked: result.rows.length, removed };
+}
+
 /**
  * Get athlete stats (for testing/verification)
  */
@@ -191,7 +322,9 @@ export async function getAthleteStats(walletAddress) {
   const accessToken = await getValidAccessToken(walletAddress);
 
   try {
-    const response = await axios.get(`${STRAVA_API_BASE}/athlete`, {
+    const response = await stravaRequest({
+      method: 'get',
+      url: `${STRAVA_API_BASE}/athlete`,
       headers: {
         'Authorization': `Bearer ${accessToken}`
       }
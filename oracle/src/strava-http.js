@@ -0,0 +1,308 @@
+import axios from 'axios';
+
+/**
+ * Rate-limited Strava HTTP client
+ *
+ * Every Strava API call goes through one queue. Strava limits each app per
+ * 15 minutes (windows start on the quarter hour) and per UTC day, and reports
+ * the limits and current usage on every response:
+ *
+ *   X-RateLimit-Limit: 200,2000       (15-minute, daily; all requests)
+ *   X-RateLimit-Usage: 37,412
+ *   X-ReadRateLimit-Limit: 100,1000   (GET requests only)
+ *   X-ReadRateLimit-Usage: 30,390
+ *
+ * Requests run one at a time. Once a window is STRAVA_PACE_THRESHOLD used,
+ * the rest of it is spread evenly over the time left; once it's used up,
+ * requests wait for it to reset. A request that would wait longer than its
+ * maxWaitMs fails with StravaRateLimitError instead. 429s wait for the window
+ * to reset and 5xx/network errors back off exponentially, up to
+ * STRAVA_MAX_RETRIES retries.
+ */
+
+const SHORT_WINDOW_MS = 15 * 60 * 1000;
+const PACE_THRESHOLD = parseFloat(process.env.STRAVA_PACE_THRESHOLD || '0.5');
+const MAX_RETRIES = parseInt(process.env.STRAVA_MAX_RETRIES || '3', 10);
+const RETRY_BASE_MS = parseInt(process.env.STRAVA_RETRY_BASE_MS || '1000', 10);
+const MAX_WAIT_MS = parseInt(process.env.STRAVA_MAX_WAIT_MS || String(SHORT_WINDOW_MS), 10);
+
+const LIMIT_HEADERS = {
+  overall: ['x-ratelimit-limit', 'x-ratelimit-usage'],
+  read: ['x-readratelimit-limit', 'x-readratelimit-usage']
+};
+
+/**
+ * Thrown when a request can't be made within its allowed wait
+ */
+export class StravaRateLimitError extends Error {
+  constructor(message, retryAt) {
+    super(message);
+    this.name = 'StravaRateLimitError';
+    this.status = 429;
+    this.retryAt = retryAt;
+  }
+}
+
+// bucket -> { shortLimit, shortUsage, dailyLimit, dailyUsage, updatedAt }
+const quota = { overall: null, read: null };
+const stats = { requests: 0, retries: 0, rateLimited: 0, failed: 0 };
+const queue = [];
+let draining = false;
+let lastRequestAt = 0;
+let pausedUntil = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function nextShortReset(now) {
+  return (Math.floor(now / SHORT_WINDOW_MS) + 1) * SHORT_WINDOW_MS;
+}
+
+function nextDailyReset(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function parsePair(value) {
+  const [short, daily] = String(value).split(',').map(n => parseInt(n, 10));
+  return Number.isFinite(short) && Number.isFinite(daily) ? [short, daily] : null;
+}
+
+/**
+ * Record the limits and usage reported on a response
+ */
+function recordHeaders(headers, now) {
+  if (!headers) {
+    return;
+  }
+  for (const [bucket, [limitHeader, usageHeader]] of Object.entries(LIMIT_HEADERS)) {
+    const limit = headers[limitHeader] && parsePair(headers[limitHeader]);
+    const usage = headers[usageHeader] && parsePair(headers[usageHeader]);
+    if (limit && usage) {
+      quota[bucket] = {
+        shortLimit: limit[0],
+        shortUsage: usage[0],
+        dailyLimit: limit[1],
+        dailyUsage: usage[1],
+        updatedAt: now
+      };
+    }
+  }
+}
+
+/**
+ * Usage of a bucket as of now; a window that has reset since the last
+ * response counts as unused
+ */
+function currentUsage(bucket, now) {
+  const state = quota[bucket];
+  if (!state) {
+    return null;
+  }
+  const shortReset = nextShortReset(state.updatedAt);
+  const dailyReset = nextDailyReset(state.updatedAt);
+  return {
+    ...state,
+    shortUsage: now >= shortReset ? 0 : state.shortUsage,
+    dailyUsage: now >= dailyReset ? 0 : state.dailyUsage,
+    shortResetAt: nextShortReset(now),
+    dailyResetAt: nextDailyReset(now)
+  };
+}
+
+/**
+ * How long the next request has to wait
+ * @returns {Object} { wait, reason } - wait in ms
+ */
+function getWait(method, now) {
+  let wait = Math.max(0, pausedUntil - now);
+  let reason = wait > 0 ? 'rate limited' : null;
+
+  const buckets = method === 'get' ? ['overall', 'read'] : ['overall'];
+  for (const bucket of buckets) {
+    const usage = currentUsage(bucket, now);
+    if (!usage) {
+      continue;
+    }
+
+    let bucketWait = 0;
+    let bucketReason = null;
+    if (usage.dailyUsage >= usage.dailyLimit) {
+      bucketWait = usage.dailyResetAt - now;
+      bucketReason = `${bucket} daily limit`;
+    } else if (usage.shortUsage >= usage.shortLimit) {
+      bucketWait = usage.shortResetAt - now;
+      bucketReason = `${bucket} 15-minute limit`;
+    } else if (usage.shortUsage >= usage.shortLimit * PACE_THRESHOLD) {
+      const spacing = (usage.shortResetAt - now) / (usage.shortLimit - usage.shortUsage);
+      bucketWait = Math.max(0, lastRequestAt + spacing - now);
+      bucketReason = `pacing ${bucket} 15-minute limit`;
+    }
+
+    if (bucketWait > wait) {
+      wait = bucketWait;
+      reason = bucketReason;
+    }
+  }
+
+  return { wait: Math.ceil(wait), reason };
+}
+
+function isRetryable(error) {
+  if (!error.response) {
+    return Boolean(error.code); // Network error (ECONNRESET, ETIMEDOUT, ...)
+  }
+  return error.response.status >= 500;
+}
+
+/**
+ * Send one request, retrying 429s and transient failures
+ */
+async function send(task) {
+  for (let attempt = 0; ; attempt++) {
+    lastRequestAt = Date.now();
+
+    try {
+      const response = await axios.request(task.config);
+      stats.requests++;
+      recordHeaders(response.headers, Date.now());
+      return response;
+
+    } catch (error) {
+      stats.requests++;
+      recordHeaders(error.response?.headers, Date.now());
+
+      if (error.response?.status === 429) {
+        stats.rateLimited++;
+        const { wait } = getWait(task.method, Date.now());
+        // Usage headers may not show the limit we hit; assume the 15-minute one
+        pausedUntil = Date.now() + Math.max(wait, nextShortReset(Date.now()) - Date.now());
+        const retryAt = pausedUntil;
+
+        if (attempt >= MAX_RETRIES || retryAt - Date.now() > task.maxWaitMs) {
+          stats.failed++;
+          throw new StravaRateLimitError('Strava API rate limit exceeded', new Date(retryAt).toISOString());
+        }
+
+        console.warn(`[STRAVA] Rate limited, retrying ${task.label} at ${new Date(retryAt).toISOString()}`);
+        stats.retries++;
+        await sleep(retryAt - Date.now());
+        continue;
+      }
+
+      if (isRetryable(error) && attempt < MAX_RETRIES) {
+        const delay = RETRY_BASE_MS * 2 ** attempt;
+        console.warn(`[STRAVA] ${task.label} failed (${error.response?.status || error.code}), retrying in ${delay}ms`);
+        stats.retries++;
+        await sleep(delay);
+        continue;
+      }
+
+      stats.failed++;
+      throw error;
+    }
+  }
+}
+
+async function drain() {
+  if (draining) {
+    return;
+  }
+  draining = true;
+
+  try {
+    while (queue.length > 0) {
+      const task = queue[0];
+      const { wait, reason } = getWait(task.method, Date.now());
+
+      if (wait > task.maxWaitMs) {
+        queue.shift();
+        stats.failed++;
+        task.reject(new StravaRateLimitError(
+          `Strava API rate limit exceeded (${reason})`,
+          new Date(Date.now() + wait).toISOString()
+        ));
+        continue;
+      }
+
+      if (wait > 0) {
+        // Re-check afterwards; a priority request may have been queued meanwhile
+        await sleep(wait);
+        continue;
+      }
+
+      queue.shift();
+      try {
+        task.resolve(await send(task));
+      } catch (error) {
+        task.reject(error);
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Make a Strava API request through the shared queue
+ *
+ * @param {Object} config - axios request config ({ method, url, headers, params, data })
+ * @param {Object} options
+ * @param {boolean} options.priority - Run before queued background requests
+ *   (e.g. a user waiting on the OAuth callback)
+ * @param {number} options.maxWaitMs - Fail rather than wait longer than this
+ *   for quota (defaults to STRAVA_MAX_WAIT_MS, 15 minutes)
+ * @returns {Promise<Object>} axios response
+ */
+export function stravaRequest(config, { priority = false, maxWaitMs = MAX_WAIT_MS } = {}) {
+  const method = (config.method || 'get').toLowerCase();
+  const label = `${method.toUpperCase()} ${new URL(config.url).pathname}`;
+
+  return new Promise((resolve, reject) => {
+    const task = { config: { ...config, method }, method, label, maxWaitMs, resolve, reject };
+    if (priority) {
+      queue.unshift(task);
+    } else {
+      queue.push(task);
+    }
+    drain();
+  });
+}
+
+/**
+ * Describe quota usage and the queue (for GET /status/strava)
+ */
+export function getStravaQuotaStatus() {
+  const now = Date.now();
+
+  const describe = (bucket) => {
+    const usage = currentUsage(bucket, now);
+    if (!usage) {
+      return null; // No response seen yet
+    }
+    return {
+      fifteenMinute: {
+        limit: usage.shortLimit,
+        usage: usage.shortUsage,
+        resetsAt: new Date(usage.shortResetAt).toISOString()
+      },
+      daily: {
+        limit: usage.dailyLimit,
+        usage: usage.dailyUsage,
+        resetsAt: new Date(usage.dailyResetAt).toISOString()
+      },
+      reportedAt: new Date(usage.updatedAt).toISOString()
+    };
+  };
+
+  const { wait, reason } = getWait('get', now);
+
+  return {
+    overall: describe('overall'),
+    read: describe('read'),
+    queued: queue.length,
+    nextRequestDelayMs: wait,
+    delayReason: reason,
+    pausedUntil: pausedUntil > now ? new Date(pausedUntil).toISOString() : null,
+    ...stats
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * Strava webhook request handling, without the I/O
+ *
+ * Decides how to answer the subscription handshake and what an incoming
+ * event should trigger; src/routes/webhooks.js carries the decisions out.
+ */
+
+const ACTIVITY_ASPECTS = ['create', 'update', 'delete'];
+
+/**
+ * Answer the subscription validation handshake
+ * @param {Object} params - Query params from Strava (hub.mode,
+ *   hub.verify_token, hub.challenge)
+ * @param {string} verifyToken - STRAVA_WEBHOOK_VERIFY_TOKEN
+ * @returns {Object} { status, body }
+ */
+export function checkSubscriptionRequest(params, verifyToken) {
+  const mode = params['hub.mode'];
+  const challenge = params['hub.challenge'];
+
+  if (!verifyToken) {
+    return { status: 503, body: { error: 'STRAVA_WEBHOOK_VERIFY_TOKEN not configured' } };
+  }
+
+  if (mode !== 'subscribe' || !challenge) {
+    return { status: 400, body: { error: 'Invalid subscription request' } };
+  }
+
+  if (params['hub.verify_token'] !== verifyToken) {
+    return { status: 403, body: { error: 'Invalid verify token' } };
+  }
+
+  return { status: 200, body: { 'hub.challenge': challenge } };
+}
+
+/**
+ * Decide what a Strava event should trigger
+ *
+ * - activity create: sync the athlete
+ * - activity update/delete: full sync of the athlete, since the activity may
+ *   be older than the look-back window
+ * - athlete deauthorization: check with Strava, then remove their tokens
+ * - anything else: ignored
+ *
+ * @param {Object} event - Event body from Strava
+ * @param {string} expectedSubscription - STRAVA_WEBHOOK_SUBSCRIPTION_ID;
+ *   events for other subscriptions are rejected when set
+ * @returns {Object} { action: 'sync'|'full_sync'|'deauthorize'|'ignore',
+ *   stravaUserId } or { status, error } if the event is rejected
+ */
+export function routeWebhookEvent(event, expectedSubscription) {
+  const { object_type: objectType, aspect_type: aspectType, owner_id: ownerId } = event;
+
+  if (expectedSubscription && String(event.subscription_id) !== expectedSubscription) {
+    return { status: 403, error: 'Unknown subscription' };
+  }
+
+  if (!ownerId || !objectType || !aspectType) {
+    return { status: 400, error: 'Invalid event' };
+  }
+
+  const stravaUserId = String(ownerId);
+
+  if (objectType === 'activity' && ACTIVITY_ASPECTS.includes(aspectType)) {
+    return { action: aspectType === 'create' ? 'sync' : 'full_sync', stravaUserId };
+  }
+
+  if (objectType === 'athlete' && event.updates?.authorized === 'false') {
+    return { action: 'deauthorize', stravaUserId };
+  }
+
+  return { action: 'ignore', stravaUserId };
+}
@@ -0,0 +1,86 @@
+import { GRACE_PERIOD_SECONDS } from './constants.js';
+import { getChallengeWindow } from './challenge-window.js';
+
+/**
+ * Per-challenge sync schedule
+ *
+ * The scheduler runs every minute (see src/cron.js) and queues a
+ * sync_challenge job for each challenge that is due, based on its phase:
+ *
+ * - active: every SYNC_INTERVAL_MINUTES (default 60)
+ * - final_stretch: the last SYNC_FINAL_WINDOW_HOURS (default 24) before
+ *   end_time, every SYNC_FINAL_INTERVAL_MINUTES (default 15)
+ * - final: once, FINAL_SYNC_DELAY_MINUTES (default 5) after end_time, so
+ *   the last snapshot covers the whole challenge
+ * - reconcile: once, RECONCILE_BEFORE_GRACE_HOURS (default 24) before the
+ *   grace period closes, refetching the whole window (ignoring sync
+ *   watermarks) to pick up late uploads and edits before finalization
+ *
+ * Times are block timestamps, like start_time and end_time. For challenges
+ * windowed by athletes' local time (see src/challenge-window.js), the final
+ * stretch and final sync are relative to when the window closes instead of
+ * end_time; the grace period still runs from end_time.
+ */
+
+const minutes = (name, fallback) => parseFloat(process.env[name] || fallback) * 60;
+const hours = (name, fallback) => parseFloat(process.env[name] || fallback) * 3600;
+
+export const SYNC_SCHEDULE = {
+  intervalSeconds: minutes('SYNC_INTERVAL_MINUTES', '60'),
+  finalWindowSeconds: hours('SYNC_FINAL_WINDOW_HOURS', '24'),
+  finalIntervalSeconds: minutes('SYNC_FINAL_INTERVAL_MINUTES', '15'),
+  finalSyncDelaySeconds: minutes('FINAL_SYNC_DELAY_MINUTES', '5'),
+  reconcileBeforeGraceSeconds: hours('RECONCILE_BEFORE_GRACE_HOURS', '24')
+};
+
+const INACTIVE_STATES = ['CANCELLED', 'COMPLETED'];
+
+/**
+ * Decide whether a challenge needs a scheduled sync now
+ *
+ * @param {Object} challenge - Challenge row (start_time, end_time, effective_state,
+ *   window_mode, window_timezone and the *_sync_* columns from migration 013)
+ * @param {number} now - Current blockchain time
+ * @param {Object} schedule - Defaults to SYNC_SCHEDULE
+ * @returns {Object|null} { phase, fullSync } or null if no sync is due
+ */
+export function getDueSync(challenge, now, schedule = SYNC_SCHEDULE) {
+  if (INACTIVE_STATES.includes(challenge.effective_state)) {
+    return null;
+  }
+
+  const startTime = Number(challenge.start_time);
+  const closesAt = getChallengeWindow(challenge).closesAt;
+
+  if (now < startTime) {
+    return null;
+  }
+
+  if (now < closesAt) {
+    const finalStretch = now >= closesAt - schedule.finalWindowSeconds;
+    const interval = finalStretch ? schedule.finalIntervalSeconds : schedule.intervalSeconds;
+    const lastSync = challenge.last_scheduled_sync_at;
+
+    if (lastSync === null || lastSync === undefined || now - Number(lastSync) >= interval) {
+      return { phase: finalStretch ? 'final_stretch' : 'active', fullSync: false };
+    }
+    return null;
+  }
+
+  const graceEnd = Number(challenge.end_time) + GRACE_PERIOD_SECONDS;
+  if (now >= graceEnd) {
+    return null;
+  }
+
+  if (!challenge.final_sync_queued_at) {
+    return now >= closesAt + schedule.finalSyncDelaySeconds
+      ? { phase: 'final', fullSync: false }
+      : null;
+  }
+
+  if (!challenge.reconcile_sync_queued_at && now >= graceEnd - schedule.reconcileBeforeGraceSeconds) {
+    return { phase: 'reconcile', fullSync: true };
+  }
+
+  return null;
+}
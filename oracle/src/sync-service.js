@@ -1,12 +1,76 @@
 import { query } from './db.js';
 import { fetchParticipantMileage } from './strava-client.js';
+import { StravaRateLimitError } from './strava-http.js';
 import { getBlockchainTime } from './event-listener.js';
+import { getScoringConfig } from './scoring.js';
+import { GRACE_PERIOD_SECONDS } from './constants.js';
+import { enqueueJob } from './jobs.js';
+import { getDueSync } from './sync-schedule.js';
+import { recordFinalResults } from './final-results.js';
+import { getUpheldActivityIds } from './disputes.js';
+import { getChallengeWindow } from './challenge-window.js';
+
+/**
+ * Fetch a participant's activities and store a snapshot of their score
+ * @param {Object} challenge - Challenge row
+ * @param {Object} participant - { wallet_address, strava_user_id }
+ * @param {number} now - Current blockchain time
+ * @param {Object} options - { fullSync } to refetch the whole window
+ */
+async function syncParticipant(challenge, participant, now, { fullSync = false } = {}) {
+  const scoring = getScoringConfig(challenge);
+  const window = getChallengeWindow(challenge);
+
+  // Use current time or the end of the window's time range, whichever is earlier
+  const endTime = Math.min(now, window.fetchBefore);
+
+  // Fetch activities from Strava and score them with the challenge's metric
+  const mileageData = await fetchParticipantMileage(
+    participant.wallet_address,
+    window.fetchAfter,
+    endTime,
+    scoring,
+    {
+      fullSync,
+      disputedActivityIds: await getUpheldActivityIds(challenge.id, participant.wallet_address),
+      window,
+      now
+    }
+  );
+
+  // Store snapshot
+  await query(
+    `INSERT INTO mileage_snapshots
+     (challenge_id, wallet_address, strava_user_id, total_miles, score, metric,
+      activity_count, score_reached_at, counted_activity_ids, activity_issues)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      challenge.id,
+      participant.wallet_address,
+      participant.strava_user_id,
+      mileageData.miles,
+      mileageData.score,
+      scoring.metric,
+      mileageData.activityCount,
+      mileageData.reachedAt,
+      mileageData.countedActivityIds,
+      JSON.stringify(mileageData.activityIssues || [])
+    ]
+  );
+
+  const excluded = (mileageData.activityIssues || []).filter(issue => issue.action === 'exclude').length;
+  console.log(`Synced ${participant.wallet_address}: ${mileageData.score} ${mileageData.unit} (${mileageData.activityCount} activities${excluded ? `, ${excluded} excluded` : ''})`);
+  return mileageData;
+}
 
 /**
  * Sync mileage for all participants in a challenge
  * Creates snapshots in the database
+ * @param {number} challengeId - Challenge ID
+ * @param {Object} options - { fullSync } to ignore sync watermarks and
+ *   refetch every participant's whole challenge window
  */
-export async function syncChallengeParticipants(challengeId) {
+export async function syncChallengeParticipants(challengeId, { fullSync = false } = {}) {
   try {
     // Get challenge details
     const challengeResult = await query(
@@ -43,39 +107,31 @@ export async function syncChallengeParticipants(challengeId) {
     const participants = participantsResult.rows;
     let synced = 0;
     let errors = 0;
-
-    // Use current time or challenge end time, whichever is earlier
-    const endTime = Math.min(now, challenge.end_time);
+    let rateLimited = null;
 
     for (const participant of participants) {
       try {
-        // Fetch mileage from Strava
-        const mileageData = await fetchParticipantMileage(
-          participant.wallet_address,
-          challenge.start_time,
-          endTime
-        );
-
-        // Store snapshot
-        await query(
-          `INSERT INTO mileage_snapshots
-           (challenge_id, wallet_address, strava_user_id, total_miles, raw_data)
-           VALUES ($1, $2, $3, $4, $5)`,
-          [
-            challengeId,
-            participant.wallet_address,
-            participant.strava_user_id,
-            mileageData.miles,
-            JSON.stringify(mileageData.rawActivities)
-          ]
-        );
-
-        console.log(`Synced ${participant.wallet_address}: ${mileageData.miles} miles (${mileageData.activityCount} activities)`);
+        await syncParticipant(challenge, participant, now, { fullSync });
         synced++;
-
       } catch (error) {
         console.error(`Failed to sync ${participant.wallet_address}:`, error.message);
         errors++;
+        // Out of quota: the rest would fail the same way, so leave them for
+        // the next run
+        if (error instanceof StravaRateLimitError) {
+          rateLimited = { retryAt: error.retryAt, skipped: participants.length - synced - errors };
+          break;
+        }
+      }
+    }
+
+    // Once the window closes, each complete sync refreshes the frozen final
+    // results (a new revision if participants have already confirmed)
+    let finalResults = null;
+    if (now >= getChallengeWindow(challenge).closesAt && !rateLimited) {
+      const recorded = await recordFinalResults(challengeId, 'sync');
+      if (recorded) {
+        finalResults = { revision: recorded.revision, changed: recorded.changed, revised: recorded.revised };
       }
     }
 
@@ -83,7 +139,9 @@ export async function syncChallengeParticipants(challengeId) {
       challengeId,
       synced,
       errors,
-      total: participants.length
+      total: participants.length,
+      ...(rateLimited && { rateLimited }),
+      ...(finalResults && { finalResults })
     };
 
   } catch (error) {
@@ -93,56 +151,129 @@ export async function syncChallengeParticipants(challengeId) {
 }
 
 /**
- * Sync all active challenges
- * Called by the hourly cron job
+ * Queue a sync job for every challenge whose schedule says it's due
+ * Called every minute by the scheduler (via the schedule_syncs job); see
+ * src/sync-schedule.js for the phases. Each challenge syncs as its own job,
+ * so a crash part way through only loses the challenge in progress, and that
+ * one is retried.
  */
-export async function syncActiveChallenges() {
-  try {
-    const now = await getBlockchainTime();
+export async function queueScheduledSyncs() {
+  const now = await getBlockchainTime();
+
+  // Started, and not past the end of the grace period
+  const challengesResult = await query(
+    `SELECT id, start_time, end_time, effective_state, window_mode, window_timezone,
+            last_scheduled_sync_at, final_sync_queued_at, reconcile_sync_queued_at
+     FROM challenges
+     WHERE start_time <= $1 AND end_time + $2 > $1
+     ORDER BY id`,
+    [now, GRACE_PERIOD_SECONDS]
+  );
 
-    // Get all challenges that are currently active
-    // (started but not yet ended)
-    const challengesResult = await query(
-      `SELECT id FROM challenges
-       WHERE start_time <= $1 AND end_time > $1
-       ORDER BY id`,
-      [now]
+  const queued = [];
+  for (const challenge of challengesResult.rows) {
+    const due = getDueSync(challenge, now);
+    if (!due) {
+      continue;
+    }
+
+    // Full syncs get their own key so a pending incremental one can't absorb them
+    const job = await enqueueJob(
+      'sync_challenge',
+      { challengeId: challenge.id, phase: due.phase, fullSync: due.fullSync },
+      { dedupeKey: `sync_challenge:${challenge.id}${due.fullSync ? ':full' : ''}` }
     );
 
-    const challenges = challengesResult.rows;
+    const column = {
+      final: 'final_sync_queued_at',
+      reconcile: 'reconcile_sync_queued_at'
+    }[due.phase] || 'last_scheduled_sync_at';
+    await query(`UPDATE challenges SET ${column} = $2 WHERE id = $1`, [challenge.id, now]);
 
-    if (challenges.length === 0) {
-      console.log('No active challenges to sync');
-      return {
-        activeChallenges: 0,
-        results: []
-      };
-    }
+    queued.push({ challengeId: challenge.id, phase: due.phase, jobId: job.id });
+  }
 
-    console.log(`Syncing ${challenges.length} active challenge(s)`);
+  if (queued.length > 0) {
+    console.log(`Queued scheduled sync for ${queued.length} challenge(s)`);
+  }
+  return { checked: challengesResult.rows.length, queued };
+}
 
-    const results = [];
+/**
+ * Queue finalization precomputation for challenges that have ended
+ * Called hourly (via the queue_finalization_precompute job). Challenges that
+ * already have signed results are skipped; ones that can't be finalized yet
+ * complete without signing and are queued again next hour.
+ */
+export async function queueFinalizationPrecompute() {
+  const now = await getBlockchainTime();
 
-    for (const challenge of challenges) {
-      try {
-        const result = await syncChallengeParticipants(challenge.id);
-        results.push(result);
-      } catch (error) {
-        console.error(`Failed to sync challenge ${challenge.id}:`, error.message);
-        results.push({
-          challengeId: challenge.id,
-          error: error.message
-        });
-      }
-    }
+  const result = await query(
+    `SELECT c.id FROM challenges c
+     WHERE c.end_time <= $1
+     AND c.effective_state NOT IN ('CANCELLED', 'COMPLETED')
+     AND NOT EXISTS (SELECT 1 FROM finalization_results f WHERE f.challenge_id = c.id)
+     ORDER BY c.id`,
+    [now]
+  );
 
-    return {
-      activeChallenges: challenges.length,
-      results
-    };
+  const jobs = [];
+  for (const challenge of result.rows) {
+    jobs.push(await enqueueJob(
+      'precompute_finalization',
+      { challengeId: challenge.id },
+      { dedupeKey: `precompute_finalization:${challenge.id}` }
+    ));
+  }
 
-  } catch (error) {
-    console.error('Sync active challenges failed:', error);
-    throw error;
+  return {
+    endedChallenges: jobs.length,
+    jobIds: jobs.map(job => job.id)
+  };
+}
+
+/**
+ * Sync one athlete across every challenge they are in
+ * Called when a Strava webhook reports a change to one of their activities.
+ * Challenges are synced from their start until the grace period ends, since
+ * activities recorded during the challenge can be uploaded late.
+ * @param {string} stravaUserId - Strava athlete ID
+ */
+export async function syncAthlete(stravaUserId) {
+  const now = await getBlockchainTime();
+
+  const result = await query(
+    `SELECT c.*, p.wallet_address, p.strava_user_id
+     FROM participants p
+     JOIN challenges c ON c.id = p.challenge_id
+     JOIN strava_tokens st ON st.wallet_address = p.wallet_address
+     WHERE p.strava_user_id = $1
+     AND c.start_time <= $2 AND c.end_time + $3 > $2
+     AND c.effective_state NOT IN ('CANCELLED', 'COMPLETED')
+     ORDER BY c.id`,
+    [String(stravaUserId), now, GRACE_PERIOD_SECONDS]
+  );
+
+  let synced = 0;
+  let errors = 0;
+
+  for (const row of result.rows) {
+    try {
+      await syncParticipant(row, row, now);
+      synced++;
+      if (now >= getChallengeWindow(row).closesAt) {
+        await recordFinalResults(row.id, 'athlete_sync');
+      }
+    } catch (error) {
+      console.error(`Failed to sync athlete ${stravaUserId} for challenge ${row.id}:`, error.message);
+      errors++;
+    }
   }
+
+  return {
+    stravaUserId: String(stravaUserId),
+    challenges: result.rows.map(row => row.id),
+    synced,
+    errors
+  };
 }
@@ -0,0 +1,125 @@
+import { query } from './db.js';
+
+/**
+ * Per-wallet fetch watermarks
+ *
+ * Every stored activity for a wallet with a start time in
+ * [covered_from, covered_until) is known to be up to date as of the last
+ * fetch. A later sync of a window inside that span only needs to fetch from
+ * covered_until minus a look-back (to catch late uploads and edits to recent
+ * activities) instead of from the challenge start.
+ *
+ * Older edits are picked up by a full fetch of the window every
+ * FULL_SYNC_INTERVAL_HOURS, or sooner after a Strava update webhook.
+ */
+
+const LOOKBACK_SECONDS = parseFloat(process.env.ACTIVITY_LOOKBACK_HOURS || '48') * 3600;
+const FULL_SYNC_INTERVAL_MS = parseFloat(process.env.FULL_SYNC_INTERVAL_HOURS || '24') * 3600 * 1000;
+
+/**
+ * Get the stored sync state for a wallet
+ * @returns {Object|null} Row from athlete_sync_state
+ */
+export async function getSyncState(walletAddress) {
+  const result = await query(
+    'SELECT * FROM athlete_sync_state WHERE wallet_address = $1',
+    [walletAddress]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Decide which part of a window needs fetching from Strava
+ *
+ * @param {Object|null} state - Wallet's sync state (see getSyncState)
+ * @param {string} stravaUserId - Athlete currently connected to the wallet
+ * @param {number} afterTimestamp - Start of the window (unix seconds)
+ * @param {number} beforeTimestamp - End of the window (unix seconds)
+ * @param {Date} now - Current time
+ * @returns {Object} { after, before, full }
+ */
+export function getFetchWindow(state, stravaUserId, afterTimestamp, beforeTimestamp, now = new Date()) {
+  const full = { after: afterTimestamp, before: beforeTimestamp, full: true };
+
+  if (!state || state.strava_user_id !== String(stravaUserId)) {
+    return full; // Never fetched, or the wallet reconnected to another athlete
+  }
+
+  if (!state.last_full_sync_at || now - new Date(state.last_full_sync_at) >= FULL_SYNC_INTERVAL_MS) {
+    return full;
+  }
+
+  const coveredFrom = Number(state.covered_from);
+  const coveredUntil = Number(state.covered_until);
+  if (coveredFrom > afterTimestamp || coveredUntil < afterTimestamp) {
+    return full; // Window starts outside what we've fetched
+  }
+
+  // covered_until can be past this window's end when another challenge's
+  // sync fetched further; then there's nothing new to fetch for this one
+  return {
+    after: Math.min(beforeTimestamp, Math.max(afterTimestamp, Math.floor(coveredUntil - LOOKBACK_SECONDS))),
+    before: beforeTimestamp,
+    full: false
+  };
+}
+
+/**
+ * Record a completed fetch
+ *
+ * The fetched window is merged into the covered span when they overlap;
+ * otherwise it replaces it.
+ *
+ * @param {string} walletAddress - Wallet the activities were fetched for
+ * @param {string} stravaUserId - Athlete they belong to
+ * @param {Object} window - { after, before, full } from getFetchWindow
+ * @param {Array} activities - Activities returned for the window
+ * @param {number} now - Current blockchain time (unix seconds)
+ */
+export async function recordFetch(walletAddress, stravaUserId, window, activities, now) {
+  const lastStart = activities.reduce((latest, activity) => {
+    const start = Math.floor(new Date(activity.start_date).getTime() / 1000);
+    return Math.max(latest, start);
+  }, 0) || null;
+  // The window may end in the future (challenge still running); we've only
+  // seen up to now. Challenge windows are in chain time, so now is too.
+  const coveredUntil = Math.min(window.before, now);
+
+  await query(
+    `INSERT INTO athlete_sync_state
+       (wallet_address, strava_user_id, covered_from, covered_until, last_activity_start,
+        last_fetched_at, last_full_sync_at)
+     VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CASE WHEN $6 THEN CURRENT_TIMESTAMP END)
+     ON CONFLICT (wallet_address) DO UPDATE SET
+       strava_user_id = $2,
+       covered_from = CASE
+         WHEN athlete_sync_state.strava_user_id = $2
+           AND $3 <= athlete_sync_state.covered_until AND $4 >= athlete_sync_state.covered_from
+         THEN LEAST(athlete_sync_state.covered_from, $3) ELSE $3 END,
+       covered_until = CASE
+         WHEN athlete_sync_state.strava_user_id = $2
+           AND $3 <= athlete_sync_state.covered_until AND $4 >= athlete_sync_state.covered_from
+         THEN GREATEST(athlete_sync_state.covered_until, $4) ELSE $4 END,
+       last_activity_start = CASE
+         WHEN athlete_sync_state.strava_user_id = $2
+         THEN GREATEST(athlete_sync_state.last_activity_start, $5) ELSE $5 END,
+       last_fetched_at = CURRENT_TIMESTAMP,
+       last_full_sync_at = CASE WHEN $6 THEN CURRENT_TIMESTAMP
+         WHEN athlete_sync_state.strava_user_id = $2 THEN athlete_sync_state.last_full_sync_at END,
+       updated_at = CURRENT_TIMESTAMP`,
+    [walletAddress, String(stravaUserId), window.after, coveredUntil, lastStart, window.full]
+  );
+}
+
+/**
+ * Make the next sync of an athlete's wallets fetch their whole window
+ * Used when Strava reports an edit that may be older than the look-back.
+ * @returns {number} Wallets affected
+ */
+export async function requestFullSync(stravaUserId) {
+  const result = await query(
+    'UPDATE athlete_sync_state SET last_full_sync_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE strava_user_id = $1',
+    [String(stravaUserId)]
+  );
+  return result.rowCount;
+}
@@ -0,0 +1,138 @@
+import { randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Strava token encryption at rest
+ *
+ * Envelope encryption with AES-256-GCM: each strava_tokens row has its own
+ * random data key, which encrypts the access and refresh tokens. The data
+ * key is stored wrapped (encrypted) by a key-encryption key from config:
+ *
+ *   TOKEN_ENCRYPTION_KEYS=2024b:<base64 32 bytes>,2024a:<base64 32 bytes>
+ *   TOKEN_ENCRYPTION_KEY_ID=2024b   # defaults to the first key listed
+ *
+ * Rows record the ID of the key that wrapped their data key
+ * (token_key_id), so old keys can stay listed for decryption until
+ * `node src/token-keys.js rotate` has re-encrypted every row under the
+ * current one. Rows stored before encryption have a null token_key_id and
+ * are read as plain text until then.
+ *
+ * Ciphertexts are bound to their wallet and column (GCM additional data),
+ * so they can't be swapped between rows. Encoded values are base64 of
+ * iv (12 bytes) | auth tag (16 bytes) | ciphertext.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let keyring;
+
+/**
+ * Parse the configured keys
+ * @returns {Object} { currentKeyId, keys: Map<keyId, Buffer> }
+ */
+export function getTokenKeyring() {
+  if (!keyring) {
+    const entries = (process.env.TOKEN_ENCRYPTION_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+
+    if (entries.length === 0) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS not configured. Generate a key with: node src/token-keys.js generate');
+    }
+
+    const keys = new Map();
+    for (const entry of entries) {
+      const separator = entry.indexOf(':');
+      const keyId = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), 'base64');
+      if (separator < 1 || key.length !== KEY_BYTES) {
+        throw new Error(`TOKEN_ENCRYPTION_KEYS entries must be <keyId>:<base64 of ${KEY_BYTES} bytes>`);
+      }
+      keys.set(keyId, key);
+    }
+
+    const currentKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || entries[0].slice(0, entries[0].indexOf(':'));
+    if (!keys.has(currentKeyId)) {
+      throw new Error(`TOKEN_ENCRYPTION_KEY_ID '${currentKeyId}' is not in TOKEN_ENCRYPTION_KEYS`);
+    }
+
+    keyring = { currentKeyId, keys };
+  }
+
+  return keyring;
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function decrypt(key, encoded, aad) {
+  const data = Buffer.from(encoded, 'base64');
+  const decipher = createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Encrypt a wallet's tokens under the current key
+ * @param {string} walletAddress - Wallet the tokens belong to
+ * @param {Object} tokens - { accessToken, refreshToken }
+ * @returns {Object} Column values: { access_token, refresh_token, token_key_id, token_data_key }
+ */
+export function encryptTokens(walletAddress, { accessToken, refreshToken }) {
+  const { currentKeyId, keys } = getTokenKeyring();
+  const wallet = walletAddress.toLowerCase();
+  const dataKey = randomBytes(KEY_BYTES);
+
+  return {
+    access_token: encrypt(dataKey, accessToken, `${wallet}:access_token`),
+    refresh_token: encrypt(dataKey, refreshToken, `${wallet}:refresh_token`),
+    token_key_id: currentKeyId,
+    token_data_key: encrypt(keys.get(currentKeyId), dataKey, `${wallet}:data_key:${currentKeyId}`)
+  };
+}
+
+/**
+ * Decrypt a strava_tokens row's tokens
+ * Rows stored before encryption (null token_key_id) are returned as they are.
+ * @param {Object} row - { wallet_address, access_token, refresh_token, token_key_id, token_data_key }
+ * @returns {Object} { accessToken, refreshToken }
+ * @throws If the row's key isn't configured or the ciphertext has been tampered with
+ */
+export function decryptTokens(row) {
+  if (!row.token_key_id) {
+    return { accessToken: row.access_token, refreshToken: row.refresh_token };
+  }
+
+  const key = getTokenKeyring().keys.get(row.token_key_id);
+  if (!key) {
+    throw new Error(`Strava tokens for ${row.wallet_address} are encrypted with key '${row.token_key_id}', which is not configured`);
+  }
+
+  const wallet = row.wallet_address.toLowerCase();
+  const dataKey = decrypt(key, row.token_data_key, `${wallet}:data_key:${row.token_key_id}`);
+
+  return {
+    accessToken: decrypt(dataKey, row.access_token, `${wallet}:access_token`).toString('utf8'),
+    refreshToken: decrypt(dataKey, row.refresh_token, `${wallet}:refresh_token`).toString('utf8')
+  };
+}
+
+/**
+ * Generate a new key-encryption key
+ * @returns {string} base64 of 32 random bytes
+ */
+export function generateTokenKey() {
+  return randomBytes(KEY_BYTES).toString('base64');
+}
@@ -0,0 +1,132 @@
+import { query, withTransaction, pool } from './db.js';
+import { getTokenKeyring, encryptTokens, decryptTokens, generateTokenKey } from './token-crypto.js';
+
+/**
+ * Strava token key management CLI (see src/token-crypto.js)
+ *
+ * Usage:
+ *   node src/token-keys.js generate   # print a new key to add to TOKEN_ENCRYPTION_KEYS
+ *   node src/token-keys.js status     # count token rows by encryption key
+ *   node src/token-keys.js rotate     # re-encrypt every row not under the current key
+ *   node src/token-keys.js decrypt    # store every row as plain text (before rolling back migration 019)
+ *
+ * To rotate: add the new key to the front of TOKEN_ENCRYPTION_KEYS (or set
+ * TOKEN_ENCRYPTION_KEY_ID to it), restart the oracle so new tokens use it,
+ * run `rotate`, then remove the old key once `status` shows no rows under it.
+ */
+
+const COLUMNS = 'wallet_address, access_token, refresh_token, token_key_id, token_data_key';
+
+/**
+ * Rewrite each row that doesn't match a key ID
+ * Rows are locked one at a time, so a token refresh during the run either
+ * finishes first or waits and overwrites the rewritten row.
+ *
+ * @param {string|null} targetKeyId - Key ID rows should end up under (null for plain text)
+ * @param {Function} transform - (row) => new column values
+ * @returns {Object} { rewritten, failed }
+ */
+async function rewriteRows(targetKeyId, transform) {
+  const pending = await query(
+    'SELECT wallet_address FROM strava_tokens WHERE token_key_id IS DISTINCT FROM $1 ORDER BY wallet_address',
+    [targetKeyId]
+  );
+
+  let rewritten = 0;
+  let failed = 0;
+
+  for (const { wallet_address: walletAddress } of pending.rows) {
+    try {
+      const done = await withTransaction(async (client) => {
+        const result = await client.query(
+          `SELECT ${COLUMNS} FROM strava_tokens
+           WHERE wallet_address = $1 AND token_key_id IS DISTINCT FROM $2
+           FOR UPDATE`,
+          [walletAddress, targetKeyId]
+        );
+        if (result.rows.length === 0) {
+          return false; // Deleted or rewritten since the list was read
+        }
+
+        const values = transform(result.rows[0]);
+        await client.query(
+          `UPDATE strava_tokens
+           SET access_token = $2, refresh_token = $3, token_key_id = $4, token_data_key = $5,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE wallet_address = $1`,
+          [walletAddress, values.access_token, values.refresh_token, values.token_key_id, values.token_data_key]
+        );
+        return true;
+      });
+      if (done) {
+        rewritten++;
+      }
+    } catch (error) {
+      console.error(`Failed to rewrite tokens for ${walletAddress}:`, error.message);
+      failed++;
+    }
+  }
+
+  return { rewritten, failed };
+}
+
+async function main() {
+  const [command] = process.argv.slice(2);
+
+  switch (command) {
+    case 'generate':
+      console.log(generateTokenKey());
+      break;
+
+    case 'status': {
+      const { currentKeyId, keys } = getTokenKeyring();
+      const result = await query(
+        `SELECT token_key_id, COUNT(*) AS count FROM strava_tokens
+         GROUP BY token_key_id ORDER BY token_key_id NULLS FIRST`
+      );
+      console.log(`Current key: ${currentKeyId}`);
+      for (const row of result.rows) {
+        const label = row.token_key_id === null
+          ? 'plain text'
+          : `${row.token_key_id}${row.token_key_id === currentKeyId ? ' (current)' : ''}${keys.has(row.token_key_id) ? '' : ' (not configured)'}`;
+        console.log(`${String(row.count).padStart(8)}  ${label}`);
+      }
+      break;
+    }
+
+    case 'rotate': {
+      const { currentKeyId } = getTokenKeyring();
+      const { rewritten, failed } = await rewriteRows(currentKeyId, (row) =>
+        encryptTokens(row.wallet_address, decryptTokens(row))
+      );
+      console.log(`Re-encrypted ${rewritten} row(s) under key ${currentKeyId}${failed ? `; ${failed} failed` : ''}`);
+      if (failed) {
+        process.exitCode = 1;
+      }
+      break;
+    }
+
+    case 'decrypt': {
+      const { rewritten, failed } = await rewriteRows(null, (row) => {
+        const { accessToken, refreshToken } = decryptTokens(row);
+        return { access_token: accessToken, refresh_token: refreshToken, token_key_id: null, token_data_key: null };
+      });
+      console.log(`Decrypted ${rewritten} row(s)${failed ? `; ${failed} failed` : ''}`);
+      if (failed) {
+        process.exitCode = 1;
+      }
+      break;
+    }
+
+    default:
+      console.error('Usage: node src/token-keys.js <generate|status|rotate|decrypt>');
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
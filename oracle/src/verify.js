@@ -0,0 +1,181 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+import { parseResults, getDataHash, recoverFinalizationSigner, rankParticipants, allocatePayouts } from './results.js';
+
+/**
+ * Finalization results verifier
+ *
+ * Recomputes a challenge's dataHash (the Merkle root of the results, or the
+ * preimage hash for results before version 3) from the canonical preimage and
+ * checks it against finalDataHash and winner read from the contract, that
+ * the payouts follow the preimage's tie-break policy and split, and that
+ * the oracle signature recovers to the contract's oracle address.
+ * Only needs an RPC endpoint and the preimage - no oracle database.
+ *
+ * Usage:
+ *   node src/verify.js <challengeId> [--oracle-url URL] [--rpc-url URL]
+ *                      [--contract ADDRESS] [--preimage FILE]
+ *
+ * The preimage (and signature) are fetched from the oracle's
+ * GET /oracle/challenge/:id/results unless --preimage is given. Defaults
+ * come from ORACLE_URL, RPC_URL and CONTRACT_ADDRESS.
+ */
+
+dotenv.config();
+
+// Only the read-only functions the verifier needs
+const CONTRACT_ABI = [
+  'function oracle() view returns (address)',
+  'function challenges(uint256) view returns (uint256 id, address creator, uint256 startTime, uint256 endTime, uint256 stakeAmount, uint256 totalStaked, uint8 state, address winner, bytes32 finalDataHash, uint256 participantCount)'
+];
+
+/**
+ * Check a results preimage against on-chain data
+ * @param {Object} input
+ * @param {number} input.challengeId - Challenge being verified
+ * @param {string} input.preimage - Canonical results JSON
+ * @param {string} input.finalDataHash - finalDataHash from the contract (zero hash if not finalized)
+ * @param {string} input.winner - Winner from the contract (zero address if not finalized)
+ * @param {string} input.oracleAddress - Oracle address from the contract
+ * @param {string} [input.signature] - Oracle finalization signature
+ * @param {number} [input.timestamp] - Timestamp the signature was made with
+ * @returns {Array} [{ check, ok, detail }]
+ */
+export function verifyResults({ challengeId, preimage, finalDataHash, winner, oracleAddress, signature, timestamp }) {
+  const checks = [];
+
+  let results;
+  try {
+    results = parseResults(preimage);
+    checks.push({ check: 'canonical encoding', ok: true, detail: `${results.participants.length} participants` });
+  } catch (error) {
+    checks.push({ check: 'canonical encoding', ok: false, detail: error.message });
+    return checks;
+  }
+
+  checks.push({
+    check: 'challenge id',
+    ok: results.challengeId === Number(challengeId),
+    detail: `preimage has ${results.challengeId}`
+  });
+
+  if (results.version >= 2) {
+    const expected = allocatePayouts(rankParticipants(results.participants, results.tieBreak), results.payoutSplit);
+    checks.push({
+      check: 'payouts follow tie-break and split',
+      ok: JSON.stringify(expected) === JSON.stringify(results.payouts),
+      detail: `${results.tieBreak}, ${results.payouts.map(p => `${p.address}=${p.shareBps}bps`).join(' ')}`
+    });
+  }
+
+  const dataHash = getDataHash(results, preimage);
+  const finalized = finalDataHash && finalDataHash !== ethers.ZeroHash;
+
+  if (finalized) {
+    checks.push({
+      check: 'dataHash matches finalDataHash',
+      ok: dataHash === finalDataHash.toLowerCase(),
+      detail: `computed ${dataHash}, on-chain ${finalDataHash}`
+    });
+    checks.push({
+      check: 'winner matches contract',
+      ok: results.winner === winner.toLowerCase(),
+      detail: `preimage ${results.winner}, on-chain ${winner.toLowerCase()}`
+    });
+  } else {
+    checks.push({ check: 'dataHash', ok: true, detail: `computed ${dataHash} (challenge not finalized on-chain)` });
+  }
+
+  if (signature && timestamp !== undefined) {
+    const signer = recoverFinalizationSigner(challengeId, results, dataHash, timestamp, signature);
+    checks.push({
+      check: 'oracle signature',
+      ok: signer.toLowerCase() === oracleAddress.toLowerCase(),
+      detail: `signed by ${signer}, contract oracle ${oracleAddress}`
+    });
+  }
+
+  return checks;
+}
+
+function parseArgs(argv) {
+  const options = {
+    oracleUrl: process.env.ORACLE_URL || 'http://localhost:3000',
+    rpcUrl: process.env.RPC_URL,
+    contract: process.env.CONTRACT_ADDRESS
+  };
+
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--oracle-url': options.oracleUrl = argv[++i]; break;
+      case '--rpc-url': options.rpcUrl = argv[++i]; break;
+      case '--contract': options.contract = argv[++i]; break;
+      case '--preimage': options.preimageFile = argv[++i]; break;
+      default: positional.push(argv[i]);
+    }
+  }
+
+  options.challengeId = parseInt(positional[0], 10);
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (isNaN(options.challengeId) || !options.rpcUrl || !options.contract) {
+    console.error('Usage: node src/verify.js <challengeId> [--oracle-url URL] [--rpc-url URL] [--contract ADDRESS] [--preimage FILE]');
+    process.exitCode = 1;
+    return;
+  }
+
+  let preimage;
+  let signature;
+  let timestamp;
+
+  if (options.preimageFile) {
+    preimage = fs.readFileSync(options.preimageFile, 'utf8').trim();
+  } else {
+    const response = await fetch(`${options.oracleUrl}/oracle/challenge/${options.challengeId}/results`);
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(`Oracle returned ${response.status}: ${body.error}`);
+    }
+    ({ preimage, signature, timestamp } = body);
+  }
+
+  const provider = new ethers.JsonRpcProvider(options.rpcUrl);
+  const contract = new ethers.Contract(options.contract, CONTRACT_ABI, provider);
+  const [challenge, oracleAddress] = await Promise.all([
+    contract.challenges(options.challengeId),
+    contract.oracle()
+  ]);
+
+  const checks = verifyResults({
+    challengeId: options.challengeId,
+    preimage,
+    finalDataHash: challenge.finalDataHash,
+    winner: challenge.winner,
+    oracleAddress,
+    signature,
+    timestamp
+  });
+
+  for (const { check, ok, detail } of checks) {
+    console.log(`${ok ? 'PASS' : 'FAIL'}  ${check}: ${detail}`);
+  }
+
+  const passed = checks.every(c => c.ok);
+  console.log(passed ? 'Results verified' : 'Verification failed');
+  process.exitCode = passed ? 0 : 1;
+  provider.destroy();
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
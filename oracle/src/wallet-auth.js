@@ -0,0 +1,155 @@
+import { randomBytes } from 'crypto';
+import { ethers } from 'ethers';
+import { query } from './db.js';
+
+/**
+ * Wallet sign-in (EIP-4361, Sign-In With Ethereum)
+ *
+ * Before linking a Strava account to a wallet, the oracle issues a sign-in
+ * message with a one-time nonce (GET /auth/strava/nonce); the wallet signs it
+ * with personal_sign and POST /auth/strava/session checks the signature.
+ *
+ * Nonces are stored in auth_nonces with the exact message issued, so only
+ * that message is accepted, once, before it expires. The same table holds
+ * the nonces behind OAuth state (see src/oauth-state.js).
+ */
+
+const SIGN_IN_TTL_SECONDS = parseInt(process.env.SIWE_NONCE_TTL_SECONDS || '300', 10);
+const SIGN_IN_STATEMENT = 'Link a Strava account to this wallet for Strava Challenge.';
+
+/**
+ * Thrown when a sign-in or OAuth state can't be accepted
+ * details are merged into the route's error response.
+ */
+export class AuthError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function getSignInDomain() {
+  const domain = process.env.SIWE_DOMAIN || 'localhost:3001';
+  return {
+    domain,
+    uri: process.env.SIWE_URI || `http://${domain}`
+  };
+}
+
+/**
+ * Store a one-time nonce
+ * Expired nonces are pruned as new ones are issued.
+ *
+ * @param {string} walletAddress - Wallet the nonce is for
+ * @param {string} purpose - 'sign_in', 'oauth_state' or 'dispute' (see src/disputes.js)
+ * @param {number} ttlSeconds - How long it stays valid
+ * @param {Function} buildMessage - (nonce) => the message to store with it (optional)
+ * @returns {Object} { nonce, message }
+ */
+export async function issueNonce(walletAddress, purpose, ttlSeconds, buildMessage = null) {
+  const nonce = randomBytes(16).toString('hex');
+  const message = buildMessage ? buildMessage(nonce) : null;
+
+  await query(`DELETE FROM auth_nonces WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '1 day'`);
+  await query(
+    `INSERT INTO auth_nonces (nonce, wallet_address, purpose, message, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(secs => $5))`,
+    [nonce, walletAddress.toLowerCase(), purpose, message, ttlSeconds]
+  );
+
+  return { nonce, message };
+}
+
+/**
+ * Use up a nonce
+ * @param {string} message - Message it must have been issued with (optional)
+ * @returns {Object|null} The nonce row, or null if it doesn't exist, is for
+ *   another wallet, purpose or message, has expired or was already used
+ */
+export async function consumeNonce(nonce, walletAddress, purpose, message = null) {
+  const result = await query(
+    `UPDATE auth_nonces SET used_at = CURRENT_TIMESTAMP
+     WHERE nonce = $1 AND wallet_address = $2 AND purpose = $3
+     AND ($4::text IS NULL OR message = $4)
+     AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING *`,
+    [nonce, walletAddress.toLowerCase(), purpose, message]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Build an EIP-4361 sign-in message
+ * @param {Object} fields - { domain, uri, address, chainId, nonce, issuedAt, expirationTime }
+ */
+export function buildSignInMessage({ domain, uri, address, chainId, nonce, issuedAt, expirationTime }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    SIGN_IN_STATEMENT,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`
+  ].join('\n');
+}
+
+/**
+ * Issue a sign-in message for a wallet
+ * @returns {Object} { walletAddress, nonce, message, expirationTime }
+ */
+export async function createSignInRequest(walletAddress) {
+  const address = ethers.getAddress(walletAddress);
+  const issuedAt = new Date();
+  const expirationTime = new Date(issuedAt.getTime() + SIGN_IN_TTL_SECONDS * 1000).toISOString();
+
+  const { nonce, message } = await issueNonce(address, 'sign_in', SIGN_IN_TTL_SECONDS, (nonce) => buildSignInMessage({
+    ...getSignInDomain(),
+    address,
+    chainId: parseInt(process.env.CHAIN_ID || '31337', 10),
+    nonce,
+    issuedAt: issuedAt.toISOString(),
+    expirationTime
+  }));
+
+  return { walletAddress: address, nonce, message, expirationTime };
+}
+
+/**
+ * Check a signed sign-in message and use up its nonce
+ *
+ * @param {string} message - Message from createSignInRequest, exactly as issued
+ * @param {string} signature - personal_sign signature of it
+ * @returns {string} Lowercase address of the wallet that signed in
+ * @throws {AuthError} If the message wasn't issued, has expired, was already
+ *   used or wasn't signed by its wallet
+ */
+export async function verifySignIn(message, signature) {
+  const address = typeof message === 'string' ? message.split('\n')[1] : null;
+  const nonce = typeof message === 'string' ? message.match(/^Nonce: (\w+)$/m)?.[1] : null;
+  if (!address || !ethers.isAddress(address) || !nonce) {
+    throw new AuthError('Malformed sign-in message', 400);
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    throw new AuthError('Invalid signature format', 400);
+  }
+  if (signer.toLowerCase() !== address.toLowerCase()) {
+    throw new AuthError('Signature does not match wallet address', 401);
+  }
+
+  if (!await consumeNonce(nonce, address, 'sign_in', message)) {
+    throw new AuthError('Sign-in message was not issued by this oracle, has expired or was already used', 401);
+  }
+
+  return address.toLowerCase();
+}
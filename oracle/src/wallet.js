@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import dotenv from 'dotenv';
+import { getFinalizationMessageHash, getSplitFinalizationMessageHash } from './results.js';
 
 dotenv.config();
 
@@ -33,11 +34,7 @@ export async function signFinalization(challengeId, winnerAddress, dataHash, tim
   const wallet = getOracleWallet();
 
   // Create the message hash matching the contract's format
-  // Must match: keccak256(abi.encodePacked("FINALIZE_CHALLENGE_", challengeId, winner, dataHash, timestamp))
-  const messageHash = ethers.solidityPackedKeccak256(
-    ['string', 'uint256', 'address', 'bytes32', 'uint256'],
-    ['FINALIZE_CHALLENGE_', challengeId, winnerAddress, dataHash, timestamp]
-  );
+  const messageHash = getFinalizationMessageHash(challengeId, winnerAddress, dataHash, timestamp);
 
   // Sign the message hash
   const signature = await wallet.signMessage(ethers.getBytes(messageHash));
@@ -54,6 +51,36 @@ export async function signFinalization(challengeId, winnerAddress, dataHash, tim
   return signature;
 }
 
+/**
+ * Sign a split finalization message for a challenge
+ * @param {number} challengeId - The challenge ID
+ * @param {Array<string>} winners - Winner addresses in finishing order
+ * @param {Array<number>} sharesBps - Each winner's share in basis points
+ * @param {string} dataHash - Hash of the challenge results
+ * @param {number} timestamp - Unix timestamp when signature was created
+ * @returns {string} The signature
+ */
+export async function signSplitFinalization(challengeId, winners, sharesBps, dataHash, timestamp) {
+  const wallet = getOracleWallet();
+
+  // Create the message hash matching claimPrizeSplitWithSignature
+  const messageHash = getSplitFinalizationMessageHash(challengeId, winners, sharesBps, dataHash, timestamp);
+
+  const signature = await wallet.signMessage(ethers.getBytes(messageHash));
+
+  console.log('Signed split finalization:', {
+    challengeId,
+    winners,
+    sharesBps,
+    dataHash,
+    timestamp,
+    messageHash,
+    signature
+  });
+
+  return signature;
+}
+
 /**
  * Get oracle wallet address
  */
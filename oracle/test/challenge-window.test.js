@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidTimezone,
+  toWallClock,
+  getChallengeWindow,
+  isInWindow,
+  filterToWindow
+} from '../src/challenge-window.js';
+
+const ts = (iso) => Math.floor(Date.parse(iso) / 1000);
+
+// January 2026, declared in New York
+const JANUARY = {
+  start_time: ts('2026-01-01T05:00:00Z'),
+  end_time: ts('2026-02-01T05:00:00Z')
+};
+
+describe('challenge-window', function() {
+  describe('isValidTimezone', function() {
+    it('accepts IANA names and rejects anything else', function() {
+      assert.equal(isValidTimezone('America/New_York'), true);
+      assert.equal(isValidTimezone('UTC'), true);
+      assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+      assert.equal(isValidTimezone(''), false);
+      assert.equal(isValidTimezone(null), false);
+    });
+  });
+
+  describe('toWallClock', function() {
+    it('converts to the wall clock of the timezone', function() {
+      assert.equal(toWallClock(ts('2026-01-31T16:00:00Z'), 'Pacific/Honolulu'), '2026-01-31T06:00:00');
+      assert.equal(toWallClock(ts('2025-12-31T10:30:00Z'), 'Pacific/Kiritimati'), '2026-01-01T00:30:00');
+    });
+
+    it('follows daylight saving time', function() {
+      assert.equal(toWallClock(ts('2026-01-15T12:00:00Z'), 'America/New_York'), '2026-01-15T07:00:00');
+      assert.equal(toWallClock(ts('2026-07-15T12:00:00Z'), 'America/New_York'), '2026-07-15T08:00:00');
+    });
+
+    it('uses 00 rather than 24 for midnight', function() {
+      assert.equal(toWallClock(ts('2026-02-01T05:00:00Z'), 'America/New_York'), '2026-02-01T00:00:00');
+    });
+  });
+
+  describe('getChallengeWindow', function() {
+    it('uses the challenge times as they are in utc mode', function() {
+      const window = getChallengeWindow(JANUARY);
+
+      assert.equal(window.mode, 'utc');
+      assert.equal(window.timezone, 'UTC');
+      assert.equal(window.fetchAfter, JANUARY.start_time);
+      assert.equal(window.fetchBefore, JANUARY.end_time);
+      assert.equal(window.closesAt, JANUARY.end_time);
+    });
+
+    it('pads the fetch range and close for every timezone in local mode', function() {
+      const window = getChallengeWindow({ ...JANUARY, window_mode: 'local', window_timezone: 'America/New_York' });
+
+      assert.equal(window.localStart, '2026-01-01T00:00:00');
+      assert.equal(window.localEnd, '2026-02-01T00:00:00');
+      assert.equal(window.fetchAfter, ts('2025-12-31T10:00:00Z'));
+      assert.equal(window.closesAt, ts('2026-02-01T12:00:00Z'));
+      assert.equal(window.fetchBefore, window.closesAt);
+    });
+  });
+
+  describe('isInWindow', function() {
+    const utc = getChallengeWindow(JANUARY);
+    const local = getChallengeWindow({ ...JANUARY, window_mode: 'local', window_timezone: 'America/New_York' });
+
+    // 10pm January 31st in Honolulu is already February in New York
+    const lateHonolulu = { start_date: '2026-02-01T08:00:00Z', start_date_local: '2026-01-31T22:00:00Z' };
+    // 00:30 January 1st on Kiritimati is still December 31st in UTC
+    const earlyKiritimati = { start_date: '2025-12-31T10:30:00Z', start_date_local: '2026-01-01T00:30:00Z' };
+    const februaryFirst = { start_date: '2026-02-01T05:00:00Z', start_date_local: '2026-02-01T00:00:00Z' };
+
+    it('compares the athlete\'s wall clock in local mode', function() {
+      assert.equal(isInWindow(lateHonolulu, local), true);
+      assert.equal(isInWindow(earlyKiritimati, local), true);
+      assert.equal(isInWindow(februaryFirst, local), false);
+    });
+
+    it('compares instants in utc mode', function() {
+      assert.equal(isInWindow(lateHonolulu, utc), false);
+      assert.equal(isInWindow(earlyKiritimati, utc), false);
+      assert.equal(isInWindow({ start_date: '2026-01-05T10:00:00Z' }, utc), true);
+      assert.equal(isInWindow({ start_date: '2026-02-01T05:00:00Z' }, utc), false);
+    });
+
+    it('falls back to the UTC check without a local start time', function() {
+      assert.equal(isInWindow({ start_date: '2026-02-01T08:00:00Z' }, local), false);
+      assert.equal(isInWindow({ start_date: '2026-01-05T10:00:00Z' }, local), true);
+    });
+  });
+
+  describe('filterToWindow', function() {
+    it('keeps the activities inside the window', function() {
+      const activities = [
+        { id: 1, start_date: '2026-01-05T10:00:00Z', start_date_local: '2026-01-05T05:00:00Z' },
+        { id: 2, start_date: '2026-02-01T08:00:00Z', start_date_local: '2026-01-31T22:00:00Z' },
+        { id: 3, start_date: '2026-02-03T10:00:00Z', start_date_local: '2026-02-03T05:00:00Z' }
+      ];
+
+      const local = getChallengeWindow({ ...JANUARY, window_mode: 'local', window_timezone: 'America/New_York' });
+      assert.deepEqual(filterToWindow(activities, local).map(a => a.id), [1, 2]);
+      assert.deepEqual(filterToWindow(activities, getChallengeWindow(JANUARY)).map(a => a.id), [1]);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+  CONFIRMATION_TYPES,
+  ConfirmationError,
+  getConfirmationDomain,
+  buildConfirmation,
+  recoverConfirmationSigner,
+  verifyConfirmation,
+  getConfirmationMessage,
+  recoverStoredConfirmation
+} from '../src/confirmations.js';
+
+const CONTRACT = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+const NOW = 1767312000;
+const DEADLINE = NOW + 3600;
+
+const participant = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+const finalResults = {
+  challengeId: 7,
+  revision: 2,
+  resultsHash: ethers.keccak256(ethers.toUtf8Bytes('results')),
+  entries: [
+    { address: participant.address.toLowerCase(), score: 26.219 },
+    { address: '0x00000000000000000000000000000000000000aa', score: 13.1 }
+  ]
+};
+
+// Sign the confirmation with some of its fields changed
+async function signWith(wallet, changes = {}, domainChanges = {}) {
+  const { domain, message } = buildConfirmation(finalResults, wallet.address, DEADLINE);
+  return wallet.signTypedData({ ...domain, ...domainChanges }, CONFIRMATION_TYPES, { ...message, ...changes });
+}
+
+const rejects = (fn, message) => assert.throws(fn, (error) => {
+  assert.ok(error instanceof ConfirmationError);
+  assert.equal(error.status, 400);
+  assert.equal(error.message, message);
+  return true;
+});
+
+describe('confirmations', function() {
+  before(function() {
+    process.env.CHAIN_ID = '31337';
+    process.env.CONTRACT_ADDRESS = CONTRACT;
+  });
+
+  describe('getConfirmationDomain', function() {
+    it('binds confirmations to the chain and challenge contract', function() {
+      assert.deepEqual(getConfirmationDomain(), {
+        name: 'StravaChallenge',
+        version: '1',
+        chainId: 31337,
+        verifyingContract: ethers.getAddress(CONTRACT)
+      });
+    });
+  });
+
+  describe('buildConfirmation', function() {
+    it('encodes the participant\'s frozen score in hundredths', function() {
+      const { primaryType, message } = buildConfirmation(finalResults, participant.address, DEADLINE);
+
+      assert.equal(primaryType, 'Confirmation');
+      assert.deepEqual(message, {
+        challengeId: '7',
+        participant: participant.address,
+        score: '2622',
+        revision: '2',
+        resultsHash: finalResults.resultsHash,
+        deadline: String(DEADLINE)
+      });
+    });
+
+    it('finds the entry whatever the address case', function() {
+      const { message } = buildConfirmation(finalResults, participant.address.toLowerCase(), DEADLINE);
+      assert.equal(message.score, '2622');
+      assert.equal(message.participant, participant.address);
+    });
+
+    it('confirms a score of 0 for participants without an entry', function() {
+      assert.equal(buildConfirmation(finalResults, stranger.address, DEADLINE).message.score, '0');
+    });
+  });
+
+  describe('recoverConfirmationSigner', function() {
+    it('recovers the wallet that signed the typed data', async function() {
+      const typedData = buildConfirmation(finalResults, participant.address, DEADLINE);
+      const signature = await signWith(participant);
+      assert.equal(recoverConfirmationSigner(typedData, signature), participant.address);
+    });
+  });
+
+  describe('verifyConfirmation', function() {
+    const input = (signature, overrides = {}) => ({
+      walletAddress: participant.address,
+      deadline: DEADLINE,
+      signature,
+      ...overrides
+    });
+
+    it('accepts the participant\'s signature and returns what they signed', async function() {
+      const signature = await signWith(participant);
+      const confirmation = verifyConfirmation(finalResults, input(signature), NOW);
+      assert.deepEqual(confirmation, buildConfirmation(finalResults, participant.address, DEADLINE));
+    });
+
+    it('rejects a signature over a different score', async function() {
+      const signature = await signWith(participant, { score: '99999' });
+      rejects(() => verifyConfirmation(finalResults, input(signature), NOW), 'Signature does not match wallet address');
+    });
+
+    it('rejects a signature over a different revision or results hash', async function() {
+      for (const changes of [{ revision: '1' }, { resultsHash: ethers.ZeroHash }]) {
+        const signature = await signWith(participant, changes);
+        rejects(() => verifyConfirmation(finalResults, input(signature), NOW), 'Signature does not match wallet address');
+      }
+    });
+
+    it('rejects a deadline other than the one signed', async function() {
+      const signature = await signWith(participant);
+      rejects(
+        () => verifyConfirmation(finalResults, input(signature, { deadline: DEADLINE + 3600 }), NOW),
+        'Signature does not match wallet address'
+      );
+    });
+
+    it('rejects a confirmation after its deadline', async function() {
+      const signature = await signWith(participant);
+      rejects(() => verifyConfirmation(finalResults, input(signature), DEADLINE + 1), 'Confirmation deadline has passed');
+      assert.doesNotThrow(() => verifyConfirmation(finalResults, input(signature), DEADLINE));
+    });
+
+    it('rejects a signature for another chain or contract', async function() {
+      for (const domainChanges of [{ chainId: 1 }, { verifyingContract: stranger.address }]) {
+        const signature = await signWith(participant, {}, domainChanges);
+        rejects(() => verifyConfirmation(finalResults, input(signature), NOW), 'Signature does not match wallet address');
+      }
+    });
+
+    it('rejects someone else\'s signature', async function() {
+      const { domain, message } = buildConfirmation(finalResults, participant.address, DEADLINE);
+      const signature = await stranger.signTypedData(domain, CONFIRMATION_TYPES, message);
+      assert.throws(
+        () => verifyConfirmation(finalResults, input(signature), NOW),
+        (error) => error instanceof ConfirmationError && error.details.recovered === stranger.address
+      );
+    });
+
+    it('rejects a malformed signature', function() {
+      rejects(() => verifyConfirmation(finalResults, input('0x1234'), NOW), 'Invalid signature format');
+    });
+  });
+
+  describe('recoverStoredConfirmation', function() {
+    it('recovers typed data confirmations', async function() {
+      const typedData = buildConfirmation(finalResults, participant.address, DEADLINE);
+      const signature = await signWith(participant);
+
+      const { message, recoveredAddress } = recoverStoredConfirmation({ challengeId: 7, signature, typedData });
+      assert.equal(message, typedData);
+      assert.equal(recoveredAddress, participant.address);
+    });
+
+    it('recovers legacy per-revision messages', async function() {
+      const legacy = getConfirmationMessage(7, 2, finalResults.resultsHash);
+      const signature = await participant.signMessage(legacy);
+      const stored = { challengeId: 7, signature, typedData: null, revision: 2, resultsHash: finalResults.resultsHash };
+
+      assert.deepEqual(recoverStoredConfirmation(stored), { message: legacy, recoveredAddress: participant.address });
+      // Against another revision's hash it recovers someone else
+      assert.notEqual(
+        recoverStoredConfirmation({ ...stored, resultsHash: ethers.ZeroHash }).recoveredAddress,
+        participant.address
+      );
+    });
+
+    it('recovers legacy per-challenge messages', async function() {
+      const signature = await participant.signMessage('CONFIRM_CHALLENGE_7');
+      assert.deepEqual(
+        recoverStoredConfirmation({ challengeId: 7, signature, typedData: null, revision: null }),
+        { message: 'CONFIRM_CHALLENGE_7', recoveredAddress: participant.address }
+      );
+    });
+  });
+});
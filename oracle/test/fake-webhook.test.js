@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import {
+  buildActivityEvent,
+  buildDeauthorizationEvent,
+  sendWebhookEvent,
+  verifySubscription
+} from '../src/fake-webhook.js';
+
+// The webhook route queues jobs in Postgres. Point TEST_DATABASE_URL at a
+// scratch database; migrations are applied to it.
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const VERIFY_TOKEN = 'test_verify_token';
+
+// CI provides a database; a skipped suite there would hide failures
+it('has a test database in CI', { skip: !process.env.CI }, function() {
+  assert.ok(TEST_DATABASE_URL, 'TEST_DATABASE_URL must be set in CI');
+});
+
+describe('fake-webhook', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL not set' }, function() {
+  const athleteId = String(Date.now() % 1e9);
+  const handled = [];
+  let db;
+  let jobs;
+  let athleteSyncs;
+  let server;
+  let url;
+
+  before(async function() {
+    process.env.DATABASE_URL = TEST_DATABASE_URL;
+    process.env.STRAVA_WEBHOOK_VERIFY_TOKEN = VERIFY_TOKEN;
+    process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID = '';
+
+    // Imported here so db.js sees the test database
+    db = await import('../src/db.js');
+    jobs = await import('../src/jobs.js');
+    athleteSyncs = await import('../src/athlete-sync-queue.js');
+    const { webhooksRouter } = await import('../src/routes/webhooks.js');
+
+    await db.setupDatabase();
+
+    // Stand-ins for the real handlers, which need Strava and the chain
+    jobs.registerJobHandler('sync_athlete', async (payload) => {
+      handled.push({ type: 'sync_athlete', ...payload });
+      return { synced: 0 };
+    });
+    jobs.registerJobHandler('confirm_deauthorization', async (payload) => {
+      handled.push({ type: 'confirm_deauthorization', ...payload });
+      return { removed: 0 };
+    });
+    jobs.startJobWorkers();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/webhooks', webhooksRouter);
+    server = app.listen(0);
+    url = `http://127.0.0.1:${server.address().port}/webhooks/strava`;
+  });
+
+  after(async function() {
+    server?.close();
+    await jobs?.stopJobWorkers(1000);
+    await db?.pool.end();
+  });
+
+  it('completes the subscription handshake with the verify token', async function() {
+    const result = await verifySubscription(url, VERIFY_TOKEN);
+    assert.equal(result.status, 200);
+    assert.equal(result.ok, true);
+
+    const rejected = await verifySubscription(url, 'wrong_token');
+    assert.equal(rejected.status, 403);
+    assert.equal(rejected.ok, false);
+  });
+
+  it('queues one athlete sync for a burst of activity events and runs it', async function() {
+    const created = await sendWebhookEvent(url, buildActivityEvent({ athleteId, aspectType: 'create' }));
+    assert.equal(created.status, 200);
+    assert.equal(created.body.action, 'sync_queued');
+
+    const updated = await sendWebhookEvent(url, buildActivityEvent({ athleteId, aspectType: 'update' }));
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.action, 'sync_already_queued');
+
+    const finished = await athleteSyncs.flushAthleteSyncs();
+    const job = finished.find(j => j?.payload.stravaUserId === athleteId);
+    assert.equal(job?.status, 'completed');
+    assert.deepEqual(
+      handled.filter(h => h.type === 'sync_athlete' && h.stravaUserId === athleteId),
+      [{ type: 'sync_athlete', stravaUserId: athleteId }]
+    );
+  });
+
+  it('queues a deauthorization check instead of deleting tokens', async function() {
+    const result = await sendWebhookEvent(url, buildDeauthorizationEvent({ athleteId }));
+    assert.equal(result.status, 200);
+    assert.equal(result.body.action, 'deauthorization_queued');
+
+    const [job] = await jobs.listJobs({ type: 'confirm_deauthorization', limit: 1 });
+    assert.equal(job.payload.stravaUserId, athleteId);
+    const done = await jobs.waitForJob(job.id, 10000);
+    assert.equal(done?.status, 'completed');
+  });
+
+  it('rejects events without an athlete', async function() {
+    const result = await sendWebhookEvent(url, { object_type: 'activity', aspect_type: 'create' });
+    assert.equal(result.status, 400);
+  });
+});
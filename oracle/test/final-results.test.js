@@ -0,0 +1,133 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Records and revises final results in Postgres. Point TEST_DATABASE_URL at
+// a scratch database; migrations are applied to it.
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// CI provides a database; a skipped suite there would hide failures
+it('has a test database in CI', { skip: !process.env.CI }, function() {
+  assert.ok(TEST_DATABASE_URL, 'TEST_DATABASE_URL must be set in CI');
+});
+
+describe('final-results', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL not set' }, function() {
+  const challengeId = 900000 + (Date.now() % 100000);
+  const alice = '0x000000000000000000000000000000000000a11c';
+  const bob = '0x0000000000000000000000000000000000000b0b';
+  let db;
+  let finalResults;
+
+  const snapshot = (wallet, miles) => db.query(
+    `INSERT INTO mileage_snapshots (challenge_id, wallet_address, strava_user_id, total_miles, score)
+     VALUES ($1, $2, $3, $4, $4)`,
+    [challengeId, wallet, wallet === alice ? '101' : '202', miles]
+  );
+
+  const confirm = (wallet, revision) => db.withTransaction(async (client) => {
+    const locked = await finalResults.lockForConfirmation(client, challengeId, revision);
+    if (locked) {
+      await client.query(
+        `UPDATE participants SET confirmed = TRUE, confirmed_revision = $3, confirmation_signature = '0x01'
+         WHERE challenge_id = $1 AND wallet_address = $2`,
+        [challengeId, wallet, revision]
+      );
+    }
+    return locked;
+  });
+
+  before(async function() {
+    process.env.DATABASE_URL = TEST_DATABASE_URL;
+
+    // Imported here so db.js sees the test database
+    db = await import('../src/db.js');
+    finalResults = await import('../src/final-results.js');
+    await db.setupDatabase();
+
+    await db.query(
+      `INSERT INTO challenges (id, creator, start_time, end_time, stake_amount, stored_state, effective_state)
+       VALUES ($1, $2, 1767225600, 1769904000, '0', 'ACTIVE', 'ENDED')`,
+      [challengeId, alice]
+    );
+    await db.query(
+      `INSERT INTO participants (challenge_id, wallet_address) VALUES ($1, $2), ($1, $3)`,
+      [challengeId, alice, bob]
+    );
+  });
+
+  after(async function() {
+    for (const table of ['final_results', 'mileage_snapshots', 'participants']) {
+      await db?.query(`DELETE FROM ${table} WHERE challenge_id = $1`, [challengeId]);
+    }
+    await db?.query('DELETE FROM challenges WHERE id = $1', [challengeId]);
+    await db?.pool.end();
+  });
+
+  it('records revision 1 from each participant\'s latest snapshot', async function() {
+    await snapshot(alice, 10);
+    await snapshot(alice, 12.5);
+    await snapshot(bob, 8);
+
+    const recorded = await finalResults.recordFinalResults(challengeId, 'sync');
+    assert.equal(recorded.revision, 1);
+    assert.equal(recorded.changed, true);
+    assert.equal(recorded.revised, false);
+    assert.deepEqual(recorded.entries.map(e => [e.address, e.score]), [[bob, 8], [alice, 12.5]]);
+    assert.equal(recorded.resultsHash, finalResults.hashFinalResults(challengeId, recorded.entries));
+  });
+
+  it('leaves the revision alone when a resync produces the same scores', async function() {
+    await snapshot(bob, 8);
+    const recorded = await finalResults.recordFinalResults(challengeId, 'sync');
+    assert.equal(recorded.revision, 1);
+    assert.equal(recorded.changed, false);
+  });
+
+  it('updates an unconfirmed revision in place', async function() {
+    const previous = await finalResults.getCurrentFinalResults(challengeId);
+    await snapshot(bob, 9);
+
+    const recorded = await finalResults.recordFinalResults(challengeId, 'sync');
+    assert.equal(recorded.revision, 1);
+    assert.equal(recorded.changed, true);
+    assert.notEqual(recorded.resultsHash, previous.resultsHash);
+  });
+
+  it('locks the revision on the first confirmation', async function() {
+    const locked = await confirm(alice, 1);
+    assert.equal(locked.revision, 1);
+    assert.equal(locked.locked, true);
+  });
+
+  it('creates a new revision for a change after locking and resets confirmations', async function() {
+    await snapshot(bob, 10);
+
+    const recorded = await finalResults.recordFinalResults(challengeId, 'sync');
+    assert.equal(recorded.revision, 2);
+    assert.equal(recorded.revised, true);
+    assert.equal(recorded.locked, false);
+
+    const revisions = await finalResults.listFinalResultRevisions(challengeId);
+    assert.deepEqual(revisions.map(r => r.revision), [2, 1]);
+    assert.ok(revisions[1].supersededAt);
+
+    const participants = await db.query(
+      'SELECT confirmed, confirmed_revision, confirmation_signature FROM participants WHERE challenge_id = $1',
+      [challengeId]
+    );
+    assert.ok(participants.rows.every(p => !p.confirmed && p.confirmed_revision === null && p.confirmation_signature === null));
+  });
+
+  it('refuses to lock a superseded revision', async function() {
+    assert.equal(await confirm(bob, 1), null);
+    assert.equal((await confirm(bob, 2)).revision, 2);
+  });
+
+  it('stops recording once the challenge is completed', async function() {
+    await db.query(`UPDATE challenges SET effective_state = 'COMPLETED' WHERE id = $1`, [challengeId]);
+    await snapshot(alice, 50);
+
+    const recorded = await finalResults.recordFinalResults(challengeId, 'sync');
+    assert.equal(recorded.revision, 2);
+    assert.equal(recorded.changed, false);
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The queue's settings are read when jobs.js loads, and the connection when
+// db.js does; TEST_DATABASE_URL is only needed for the database tests
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+process.env.JOB_RETRY_BASE_MS = '100';
+process.env.JOB_POLL_INTERVAL_MS = '100';
+if (TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+}
+
+const db = await import('../src/db.js');
+const jobs = await import('../src/jobs.js');
+const { StravaRateLimitError } = await import('../src/strava-http.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('jobs', function() {
+  describe('getRetryDelay', function() {
+    it('doubles from JOB_RETRY_BASE_MS with each attempt', function() {
+      assert.deepEqual([1, 2, 3, 4].map(jobs.getRetryDelay), [100, 200, 400, 800]);
+    });
+
+    it('waits at most an hour', function() {
+      assert.equal(jobs.getRetryDelay(30), HOUR_MS);
+    });
+  });
+
+  describe('getRetryPlan', function() {
+    const now = Date.parse('2026-01-01T12:00:00Z');
+    const failure = new Error('Strava returned 500');
+
+    it('retries with backoff while attempts remain', function() {
+      assert.deepEqual(
+        jobs.getRetryPlan({ attempts: 3, max_attempts: 5 }, failure, now),
+        { status: 'pending', delayMs: 400, deferred: false }
+      );
+    });
+
+    it('marks the job dead on its last attempt', function() {
+      assert.equal(jobs.getRetryPlan({ attempts: 5, max_attempts: 5 }, failure, now).status, 'dead');
+    });
+
+    it('defers to retryAt without counting the attempt, even on the last one', function() {
+      const error = new StravaRateLimitError('Strava API rate limit exceeded', '2026-01-01T12:15:00Z');
+      assert.deepEqual(
+        jobs.getRetryPlan({ attempts: 5, max_attempts: 5 }, error, now),
+        { status: 'pending', delayMs: 15 * 60 * 1000, deferred: true }
+      );
+    });
+
+    it('runs a job whose retryAt has passed straight away', function() {
+      const error = new StravaRateLimitError('Strava API rate limit exceeded', '2026-01-01T11:00:00Z');
+      assert.equal(jobs.getRetryPlan({ attempts: 1, max_attempts: 5 }, error, now).delayMs, 0);
+    });
+
+    it('falls back to backoff when retryAt isn\'t a date', function() {
+      const error = Object.assign(new Error('Odd failure'), { retryAt: 'soon' });
+      assert.deepEqual(
+        jobs.getRetryPlan({ attempts: 2, max_attempts: 5 }, error, now),
+        { status: 'pending', delayMs: 200, deferred: false }
+      );
+    });
+  });
+});
+
+// CI provides a database; a skipped suite there would hide failures
+it('has a test database in CI', { skip: !process.env.CI }, function() {
+  assert.ok(TEST_DATABASE_URL, 'TEST_DATABASE_URL must be set in CI');
+});
+
+describe('jobs (database)', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL not set' }, function() {
+  const key = `test:${Date.now()}`;
+
+  before(async function() {
+    await db.setupDatabase();
+  });
+
+  after(async function() {
+    await jobs.stopJobWorkers(1000);
+    await db.query(`DELETE FROM jobs WHERE type LIKE 'test_%'`);
+    await db.pool.end();
+  });
+
+  it('returns the pending job for a repeated dedupe key', async function() {
+    const first = await jobs.enqueueJob('test_dedupe', { n: 1 }, { dedupeKey: key, delayMs: HOUR_MS });
+    const second = await jobs.enqueueJob('test_dedupe', { n: 2 }, { dedupeKey: key, delayMs: HOUR_MS / 2 });
+
+    assert.equal(first.created, true);
+    assert.equal(second.created, false);
+    assert.equal(second.id, first.id);
+
+    // Runs at the earlier of the two times, with the first payload
+    const job = await jobs.getJob(first.id);
+    assert.deepEqual(job.payload, { n: 1 });
+    assert.ok(new Date(job.runAt).getTime() < Date.now() + HOUR_MS * 0.75);
+  });
+
+  it('requeues jobs whose lock expired, or marks them dead when out of attempts', async function() {
+    const retried = await jobs.enqueueJob('test_stale', {}, { delayMs: HOUR_MS, maxAttempts: 3 });
+    const exhausted = await jobs.enqueueJob('test_stale', {}, { delayMs: HOUR_MS, maxAttempts: 3 });
+    await db.query(
+      `UPDATE jobs SET status = 'running', locked_by = 'gone', locked_at = CURRENT_TIMESTAMP - INTERVAL '2 hours',
+         attempts = CASE WHEN id = $1 THEN 1 ELSE 3 END
+       WHERE id = ANY($2)`,
+      [retried.id, [retried.id, exhausted.id]]
+    );
+
+    assert.ok(await jobs.recoverStaleJobs() >= 2);
+
+    const requeued = await jobs.getJob(retried.id);
+    assert.equal(requeued.status, 'pending');
+    assert.equal(requeued.attempts, 1);
+    assert.equal(requeued.lastError, 'Worker lock expired');
+    assert.equal((await jobs.getJob(exhausted.id)).status, 'dead');
+
+    await db.query('DELETE FROM jobs WHERE id = ANY($1)', [[retried.id, exhausted.id]]);
+  });
+
+  describe('workers', function() {
+    before(function() {
+      jobs.registerJobHandler('test_failing', async () => {
+        throw new Error('Always fails');
+      }, { maxAttempts: 2 });
+
+      let limited = 0;
+      jobs.registerJobHandler('test_rate_limited', async () => {
+        if (++limited < 4) {
+          throw new StravaRateLimitError('Strava API rate limit exceeded', new Date(Date.now() + 100).toISOString());
+        }
+        return { runs: limited };
+      }, { maxAttempts: 1 });
+
+      jobs.startJobWorkers();
+    });
+
+    it('marks a job dead after its max attempts and keeps the error', async function() {
+      const { id } = await jobs.enqueueJob('test_failing', {});
+      const job = await jobs.waitForJob(id, 10000);
+
+      assert.equal(job?.status, 'dead');
+      assert.equal(job.attempts, 2);
+      assert.equal(job.lastError, 'Always fails');
+    });
+
+    it('puts a dead job back with its attempts reset', async function() {
+      const [dead] = await jobs.listJobs({ status: 'dead', type: 'test_failing', limit: 1 });
+      const job = await jobs.retryJob(dead.id);
+
+      assert.equal(job.status, 'pending');
+      assert.equal(job.attempts, 0);
+      assert.equal(await jobs.retryJob(dead.id), null);
+    });
+
+    it('doesn\'t count rate limit deferrals as attempts', async function() {
+      const { id } = await jobs.enqueueJob('test_rate_limited', {});
+      const job = await jobs.waitForJob(id, 10000);
+
+      assert.equal(job?.status, 'completed');
+      assert.equal(job.attempts, 1);
+      assert.deepEqual(job.result, { runs: 4 });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { buildMerkleTree, getMerkleProof, verifyMerkleProof } from '../src/merkle.js';
+import {
+  buildResults,
+  encodeResults,
+  getDataHash,
+  getParticipantProof,
+  hashParticipantLeaf,
+  hashResults,
+  hashResultsLeaf
+} from '../src/results.js';
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// The leaf as a contract computes it:
+//   keccak256(bytes.concat(keccak256(abi.encode(challengeId, account, stravaUserId, score, confirmed))))
+function contractLeaf(challengeId, { address, stravaUserId, score, confirmed }) {
+  const encoded = abiCoder.encode(
+    ['uint256', 'address', 'string', 'uint256', 'bool'],
+    [challengeId, address, stravaUserId, score, confirmed]
+  );
+  return ethers.keccak256(ethers.concat([ethers.keccak256(encoded)]));
+}
+
+// OpenZeppelin MerkleProof.verify: hash each pair in ascending numeric order
+function contractVerify(proof, root, leaf) {
+  const computed = proof.reduce((node, sibling) => (
+    BigInt(node) < BigInt(sibling)
+      ? ethers.keccak256(ethers.concat([node, sibling]))
+      : ethers.keccak256(ethers.concat([sibling, node]))
+  ), leaf);
+  return computed === root;
+}
+
+const participants = [
+  { address: '0x00000000000000000000000000000000000000a1', stravaUserId: 11, score: 42.195, miles: 26.22, confirmed: true },
+  { address: '0x00000000000000000000000000000000000000b2', stravaUserId: 22, score: 21.1, miles: 13.11, confirmed: false },
+  { address: '0x00000000000000000000000000000000000000C3', stravaUserId: 33, score: 10, miles: 6.21, confirmed: true },
+  { address: '0x00000000000000000000000000000000000000d4', stravaUserId: 44, score: 5, miles: 3.11, confirmed: true }
+];
+const buildFrom = (entries) => buildResults({ challengeId: 3, metric: 'distance', activityTypes: ['Run'], participants: entries });
+
+const results = buildFrom(participants);
+const preimage = encodeResults(results);
+
+describe('merkle', function() {
+  describe('hashParticipantLeaf', function() {
+    it('matches the contract\'s leaf encoding', function() {
+      for (const entry of results.participants) {
+        assert.equal(hashParticipantLeaf(3, entry), contractLeaf(3, entry));
+      }
+    });
+
+    it('commits to the challenge, score and confirmation', function() {
+      const entry = results.participants[0];
+      const leaf = hashParticipantLeaf(3, entry);
+
+      assert.notEqual(hashParticipantLeaf(4, entry), leaf);
+      assert.notEqual(hashParticipantLeaf(3, { ...entry, score: entry.score + 1 }), leaf);
+      assert.notEqual(hashParticipantLeaf(3, { ...entry, confirmed: !entry.confirmed }), leaf);
+      assert.notEqual(hashParticipantLeaf(3, { ...entry, stravaUserId: '12' }), leaf);
+    });
+
+    it('hashes the results leaf from the preimage hash', function() {
+      const encoded = abiCoder.encode(['uint256', 'bytes32'], [3, hashResults(preimage)]);
+      assert.equal(hashResultsLeaf(3, preimage), ethers.keccak256(ethers.keccak256(encoded)));
+    });
+  });
+
+  describe('getParticipantProof', function() {
+    const root = getDataHash(results, preimage);
+
+    it('proves every participant against the signed dataHash the way the contract checks it', function() {
+      for (const entry of results.participants) {
+        const { leaf, proof, root: proofRoot } = getParticipantProof(results, preimage, entry.address);
+        assert.equal(proofRoot, root);
+        assert.equal(contractVerify(proof, root, contractLeaf(3, entry)), true);
+        assert.equal(verifyMerkleProof(leaf, proof, root), true);
+      }
+    });
+
+    it('finds participants whatever the address case', function() {
+      const proof = getParticipantProof(results, preimage, '0x00000000000000000000000000000000000000c3');
+      assert.equal(proof.entry.stravaUserId, '33');
+    });
+
+    it('doesn\'t verify a tampered entry', function() {
+      const entry = results.participants[1];
+      const { proof } = getParticipantProof(results, preimage, entry.address);
+
+      assert.equal(contractVerify(proof, root, contractLeaf(3, { ...entry, score: 999999 })), false);
+      assert.equal(contractVerify(proof, root, contractLeaf(3, { ...entry, confirmed: true })), false);
+      assert.equal(verifyMerkleProof(hashParticipantLeaf(3, { ...entry, score: 999999 }), proof, root), false);
+    });
+
+    it('doesn\'t verify a proof against another set of results', function() {
+      // Another participant's score changed
+      const edited = buildFrom(participants.map((p, i) => (i === 3 ? { ...p, score: 6 } : p)));
+      const otherRoot = getDataHash(edited, encodeResults(edited));
+      const { leaf, proof } = getParticipantProof(results, preimage, results.participants[0].address);
+
+      assert.notEqual(otherRoot, root);
+      assert.equal(verifyMerkleProof(leaf, proof, otherRoot), false);
+    });
+
+    it('returns null for an address not in the results', function() {
+      assert.equal(getParticipantProof(results, preimage, '0x00000000000000000000000000000000000000ee'), null);
+    });
+  });
+
+  describe('buildMerkleTree', function() {
+    const leaves = [1, 2, 3, 4, 5].map(n => ethers.keccak256(ethers.toBeHex(n, 32)));
+
+    it('carries an odd node up unchanged and proves every leaf', function() {
+      const { root, layers } = buildMerkleTree(leaves);
+
+      assert.deepEqual(layers.map(layer => layer.length), [5, 3, 2, 1]);
+      for (const leaf of leaves) {
+        assert.equal(contractVerify(getMerkleProof(layers, leaf), root, leaf), true);
+      }
+    });
+
+    it('builds the same root whatever the leaf order', function() {
+      assert.equal(buildMerkleTree([...leaves].reverse()).root, buildMerkleTree(leaves).root);
+    });
+
+    it('rejects an empty tree and unknown leaves', function() {
+      assert.throws(() => buildMerkleTree([]), /no leaves/);
+      assert.throws(() => getMerkleProof(buildMerkleTree(leaves).layers, ethers.ZeroHash), /not in the tree/);
+    });
+  });
+});
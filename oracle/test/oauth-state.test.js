@@ -0,0 +1,125 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+
+// Verifying state needs only OAUTH_STATE_SECRET; issuing and using it up
+// stores nonces, so those tests need TEST_DATABASE_URL
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const SECRET = 'test-oauth-state-secret-0123456789abcdef';
+process.env.OAUTH_STATE_SECRET = SECRET;
+if (TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+}
+
+const db = await import('../src/db.js');
+const { createOAuthState, verifyOAuthState, consumeOAuthState } = await import('../src/oauth-state.js');
+const { AuthError } = await import('../src/wallet-auth.js');
+
+const WALLET = '0x00000000000000000000000000000000000a17e5';
+const now = () => Math.floor(Date.now() / 1000);
+
+// Build state the way createOAuthState does, with any fields and key
+function makeState(fields, secret = SECRET) {
+  const payload = Buffer.from(JSON.stringify({
+    walletAddress: WALLET,
+    challengeId: 4,
+    nonce: 'abc123',
+    expiresAt: now() + 600,
+    ...fields
+  })).toString('base64url');
+  return `${payload}.${createHmac('sha256', secret).update(payload).digest('base64url')}`;
+}
+
+const rejects = (fn, status, message) => assert.throws(fn, (error) => {
+  assert.ok(error instanceof AuthError);
+  assert.equal(error.status, status);
+  assert.equal(error.message, message);
+  return true;
+});
+
+describe('oauth-state', function() {
+  describe('verifyOAuthState', function() {
+    it('returns the signed fields', function() {
+      const data = verifyOAuthState(makeState({ expiresAt: 4102444800 }));
+      assert.deepEqual(data, { walletAddress: WALLET, challengeId: 4, nonce: 'abc123', expiresAt: 4102444800 });
+    });
+
+    it('rejects state with an edited payload', function() {
+      const [, signature] = makeState({}).split('.');
+      const [payload] = makeState({ walletAddress: '0x0000000000000000000000000000000000000bad' }).split('.');
+      rejects(() => verifyOAuthState(`${payload}.${signature}`), 403, 'State was not issued by this oracle');
+    });
+
+    it('rejects state signed with another key', function() {
+      const state = makeState({}, 'another-secret-that-is-long-enough-too');
+      rejects(() => verifyOAuthState(state), 403, 'State was not issued by this oracle');
+    });
+
+    it('rejects expired state', function() {
+      rejects(() => verifyOAuthState(makeState({ expiresAt: now() - 1 })), 403, 'State has expired; sign in again');
+    });
+
+    it('rejects malformed state', function() {
+      for (const state of [undefined, '', 'no-signature', 'a.b.c', '.sig']) {
+        rejects(() => verifyOAuthState(state), 400, 'Invalid state parameter');
+      }
+      rejects(() => verifyOAuthState(makeState({ nonce: null })), 400, 'Invalid state parameter');
+    });
+  });
+
+  describe('getOAuthStateSecret', function() {
+    after(function() {
+      process.env.OAUTH_STATE_SECRET = SECRET;
+    });
+
+    it('refuses a missing or short secret', function() {
+      process.env.OAUTH_STATE_SECRET = 'too-short';
+      assert.throws(() => verifyOAuthState(makeState({})), /OAUTH_STATE_SECRET not configured/);
+    });
+  });
+});
+
+// CI provides a database; a skipped suite there would hide failures
+it('has a test database in CI', { skip: !process.env.CI }, function() {
+  assert.ok(TEST_DATABASE_URL, 'TEST_DATABASE_URL must be set in CI');
+});
+
+describe('oauth-state (database)', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL not set' }, function() {
+  before(async function() {
+    await db.setupDatabase();
+  });
+
+  after(async function() {
+    await db.query('DELETE FROM auth_nonces WHERE wallet_address = $1', [WALLET]);
+    await db.pool.end();
+  });
+
+  it('accepts issued state once', async function() {
+    const state = await createOAuthState({ walletAddress: WALLET.toUpperCase().replace('0X', '0x'), challengeId: 9 });
+
+    const data = await consumeOAuthState(state);
+    assert.equal(data.walletAddress, WALLET);
+    assert.equal(data.challengeId, 9);
+
+    await assert.rejects(consumeOAuthState(state), (error) => {
+      assert.equal(error.status, 403);
+      assert.equal(error.message, 'State has expired or was already used; sign in again');
+      return true;
+    });
+  });
+
+  it('rejects state whose nonce has expired', async function() {
+    const state = await createOAuthState({ walletAddress: WALLET });
+    const { nonce } = verifyOAuthState(state);
+    await db.query(
+      `UPDATE auth_nonces SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE nonce = $1`,
+      [nonce]
+    );
+
+    await assert.rejects(consumeOAuthState(state), { status: 403 });
+  });
+
+  it('rejects a signed nonce that was never issued', async function() {
+    await assert.rejects(consumeOAuthState(makeState({ nonce: 'never-issued' })), { status: 403 });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSubscriptionRequest, routeWebhookEvent } from '../src/strava-webhook.js';
+import { buildActivityEvent, buildDeauthorizationEvent } from '../src/fake-webhook.js';
+
+const VERIFY_TOKEN = 'test_verify_token';
+
+const handshake = (overrides = {}) => ({
+  'hub.mode': 'subscribe',
+  'hub.verify_token': VERIFY_TOKEN,
+  'hub.challenge': '15f7d1a91c1f40f8a748fd134752feb3',
+  ...overrides
+});
+
+describe('strava-webhook', function() {
+  describe('checkSubscriptionRequest', function() {
+    it('echoes hub.challenge when the verify token matches', function() {
+      assert.deepEqual(checkSubscriptionRequest(handshake(), VERIFY_TOKEN), {
+        status: 200,
+        body: { 'hub.challenge': '15f7d1a91c1f40f8a748fd134752feb3' }
+      });
+    });
+
+    it('rejects a wrong verify token', function() {
+      const result = checkSubscriptionRequest(handshake({ 'hub.verify_token': 'wrong_token' }), VERIFY_TOKEN);
+      assert.equal(result.status, 403);
+      assert.equal(result.body['hub.challenge'], undefined);
+    });
+
+    it('rejects requests that aren\'t a subscription handshake', function() {
+      assert.equal(checkSubscriptionRequest(handshake({ 'hub.mode': 'unsubscribe' }), VERIFY_TOKEN).status, 400);
+      assert.equal(checkSubscriptionRequest(handshake({ 'hub.challenge': undefined }), VERIFY_TOKEN).status, 400);
+    });
+
+    it('refuses every handshake without a configured verify token', function() {
+      assert.equal(checkSubscriptionRequest(handshake({ 'hub.verify_token': undefined }), undefined).status, 503);
+      assert.equal(checkSubscriptionRequest(handshake({ 'hub.verify_token': '' }), '').status, 503);
+    });
+  });
+
+  describe('routeWebhookEvent', function() {
+    it('syncs the athlete when an activity is created', function() {
+      assert.deepEqual(
+        routeWebhookEvent(buildActivityEvent({ athleteId: 134815, aspectType: 'create' })),
+        { action: 'sync', stravaUserId: '134815' }
+      );
+    });
+
+    it('fully syncs the athlete when an activity is updated or deleted', function() {
+      for (const aspectType of ['update', 'delete']) {
+        assert.deepEqual(
+          routeWebhookEvent(buildActivityEvent({ athleteId: 134815, aspectType })),
+          { action: 'full_sync', stravaUserId: '134815' }
+        );
+      }
+    });
+
+    it('queues a deauthorization check when an athlete revokes access', function() {
+      assert.deepEqual(
+        routeWebhookEvent(buildDeauthorizationEvent({ athleteId: 134815 })),
+        { action: 'deauthorize', stravaUserId: '134815' }
+      );
+    });
+
+    it('ignores other athlete updates', function() {
+      const event = { ...buildDeauthorizationEvent({ athleteId: 134815 }), updates: { title: 'New name' } };
+      assert.equal(routeWebhookEvent(event).action, 'ignore');
+    });
+
+    it('rejects events missing the athlete, object type or aspect', function() {
+      const event = buildActivityEvent({ athleteId: 134815 });
+      for (const field of ['owner_id', 'object_type', 'aspect_type']) {
+        assert.deepEqual(routeWebhookEvent({ ...event, [field]: undefined }), { status: 400, error: 'Invalid event' });
+      }
+    });
+
+    it('rejects events for another subscription when one is configured', function() {
+      const ours = buildActivityEvent({ athleteId: 134815, subscriptionId: 120475 });
+      const theirs = buildActivityEvent({ athleteId: 134815, subscriptionId: 999 });
+
+      assert.equal(routeWebhookEvent(ours, '120475').action, 'sync');
+      assert.deepEqual(routeWebhookEvent(theirs, '120475'), { status: 403, error: 'Unknown subscription' });
+      assert.equal(routeWebhookEvent(theirs, '').action, 'sync');
+    });
+  });
+});
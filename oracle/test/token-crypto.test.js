@@ -0,0 +1,174 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const OLD_KEY = `old:${randomBytes(32).toString('base64')}`;
+const NEW_KEY = `new:${randomBytes(32).toString('base64')}`;
+const WALLET = '0x000000000000000000000000000000000000ABCD';
+const TOKENS = { accessToken: 'access-123', refreshToken: 'refresh-456' };
+
+// token-crypto.js reads its keyring once per module instance; import a
+// fresh instance for each configuration
+let instance = 0;
+async function loadWithKeys(keys, currentKeyId) {
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  if (currentKeyId) {
+    process.env.TOKEN_ENCRYPTION_KEY_ID = currentKeyId;
+  } else {
+    delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+  }
+  return import(`../src/token-crypto.js?instance=${++instance}`);
+}
+
+// Flip one bit of a base64 value at a byte offset
+function flipBit(encoded, offset) {
+  const data = Buffer.from(encoded, 'base64');
+  data[offset] ^= 1;
+  return data.toString('base64');
+}
+
+describe('token-crypto', function() {
+  let crypto;
+  let row;
+
+  before(async function() {
+    crypto = await loadWithKeys(OLD_KEY);
+    row = { wallet_address: WALLET.toLowerCase(), ...crypto.encryptTokens(WALLET, TOKENS) };
+  });
+
+  describe('encryptTokens / decryptTokens', function() {
+    it('round trips under the current key', function() {
+      assert.equal(row.token_key_id, 'old');
+      assert.notEqual(row.access_token, TOKENS.accessToken);
+      assert.ok(!row.refresh_token.includes(TOKENS.refreshToken));
+      assert.deepEqual(crypto.decryptTokens(row), TOKENS);
+    });
+
+    it('uses a new data key and IV every time', function() {
+      const again = crypto.encryptTokens(WALLET, TOKENS);
+      assert.notEqual(again.token_data_key, row.token_data_key);
+      assert.notEqual(again.access_token, row.access_token);
+    });
+
+    it('returns rows stored before encryption as they are', function() {
+      const plain = { wallet_address: WALLET, access_token: 'a', refresh_token: 'r', token_key_id: null, token_data_key: null };
+      assert.deepEqual(crypto.decryptTokens(plain), { accessToken: 'a', refreshToken: 'r' });
+    });
+  });
+
+  describe('tampering', function() {
+    it('rejects a modified ciphertext, IV or auth tag', function() {
+      // iv is bytes 0-11, the tag 12-27, then the ciphertext
+      for (const offset of [0, 12, 28]) {
+        assert.throws(() => crypto.decryptTokens({ ...row, access_token: flipBit(row.access_token, offset) }));
+      }
+    });
+
+    it('rejects a modified wrapped data key', function() {
+      assert.throws(() => crypto.decryptTokens({ ...row, token_data_key: flipBit(row.token_data_key, 30) }));
+    });
+
+    it('rejects tokens moved to another wallet or column', function() {
+      assert.throws(() => crypto.decryptTokens({ ...row, wallet_address: '0x0000000000000000000000000000000000000001' }));
+      assert.throws(() => crypto.decryptTokens({ ...row, access_token: row.refresh_token, refresh_token: row.access_token }));
+    });
+  });
+
+  describe('key rotation', function() {
+    it('reads rows under a listed old key and writes new ones under the current key', async function() {
+      const rotated = await loadWithKeys(`${NEW_KEY},${OLD_KEY}`);
+
+      assert.deepEqual(rotated.decryptTokens(row), TOKENS);
+
+      const reencrypted = { wallet_address: row.wallet_address, ...rotated.encryptTokens(WALLET, rotated.decryptTokens(row)) };
+      assert.equal(reencrypted.token_key_id, 'new');
+      assert.deepEqual(rotated.decryptTokens(reencrypted), TOKENS);
+    });
+
+    it('can keep encrypting under an older key with TOKEN_ENCRYPTION_KEY_ID', async function() {
+      const pinned = await loadWithKeys(`${NEW_KEY},${OLD_KEY}`, 'old');
+      assert.equal(pinned.encryptTokens(WALLET, TOKENS).token_key_id, 'old');
+    });
+
+    it('refuses rows under a key that is no longer configured', async function() {
+      const newOnly = await loadWithKeys(NEW_KEY);
+      assert.throws(() => newOnly.decryptTokens(row), /encrypted with key 'old', which is not configured/);
+    });
+
+    it('rejects a key ID that is used under another key', async function() {
+      const impostor = await loadWithKeys(`old:${randomBytes(32).toString('base64')}`);
+      assert.throws(() => impostor.decryptTokens(row));
+    });
+  });
+
+  describe('getTokenKeyring', function() {
+    it('rejects missing or malformed keys', async function() {
+      for (const [keys, currentKeyId, message] of [
+        ['', null, /not configured/],
+        [`short:${randomBytes(16).toString('base64')}`, null, /base64 of 32 bytes/],
+        [OLD_KEY, 'missing', /'missing' is not in TOKEN_ENCRYPTION_KEYS/]
+      ]) {
+        const instance = await loadWithKeys(keys, currentKeyId);
+        assert.throws(() => instance.getTokenKeyring(), message);
+      }
+    });
+  });
+});
+
+// CI provides a database; a skipped suite there would hide failures
+it('has a test database in CI', { skip: !process.env.CI }, function() {
+  assert.ok(TEST_DATABASE_URL, 'TEST_DATABASE_URL must be set in CI');
+});
+
+describe('token-keys rotate', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL not set' }, function() {
+  const cli = fileURLToPath(new URL('../src/token-keys.js', import.meta.url));
+  const wallets = ['0x00000000000000000000000000000000000e0001', '0x00000000000000000000000000000000000e0002'];
+  let db;
+
+  const run = (keys, command) => promisify(execFile)(process.execPath, [cli, command], {
+    env: { ...process.env, DATABASE_URL: TEST_DATABASE_URL, TOKEN_ENCRYPTION_KEYS: keys, TOKEN_ENCRYPTION_KEY_ID: '' }
+  });
+
+  before(async function() {
+    process.env.DATABASE_URL = TEST_DATABASE_URL;
+
+    // Imported here so db.js sees the test database
+    db = await import('../src/db.js');
+    await db.setupDatabase();
+
+    // One row under the old key, one stored before encryption
+    const old = await loadWithKeys(OLD_KEY);
+    const encrypted = old.encryptTokens(wallets[0], TOKENS);
+    await db.query(
+      `INSERT INTO strava_tokens (wallet_address, strava_user_id, access_token, refresh_token, expires_at,
+         token_key_id, token_data_key)
+       VALUES ($1, 'e1', $2, $3, 0, $4, $5), ($6, 'e2', 'plain-access', 'plain-refresh', 0, NULL, NULL)`,
+      [wallets[0], encrypted.access_token, encrypted.refresh_token, encrypted.token_key_id, encrypted.token_data_key, wallets[1]]
+    );
+  });
+
+  after(async function() {
+    await db?.query('DELETE FROM strava_tokens WHERE wallet_address = ANY($1)', [wallets]);
+    await db?.pool.end();
+  });
+
+  it('re-encrypts every row under the current key', async function() {
+    const { stdout } = await run(`${NEW_KEY},${OLD_KEY}`, 'rotate');
+    assert.match(stdout, /Re-encrypted \d+ row\(s\) under key new/);
+
+    const result = await db.query(
+      'SELECT * FROM strava_tokens WHERE wallet_address = ANY($1) ORDER BY wallet_address',
+      [wallets]
+    );
+    assert.deepEqual(result.rows.map(r => r.token_key_id), ['new', 'new']);
+
+    // Readable with the old key removed
+    const newOnly = await loadWithKeys(NEW_KEY);
+    assert.deepEqual(newOnly.decryptTokens(result.rows[0]), TOKENS);
+    assert.deepEqual(newOnly.decryptTokens(result.rows[1]), { accessToken: 'plain-access', refreshToken: 'plain-refresh' });
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+
+// Parsing and signature checks run anywhere; issuing and using up nonces
+// needs TEST_DATABASE_URL
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+process.env.SIWE_DOMAIN = 'challenge.example';
+process.env.CHAIN_ID = '31337';
+if (TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+}
+
+const db = await import('../src/db.js');
+const { AuthError, buildSignInMessage, createSignInRequest, verifySignIn } = await import('../src/wallet-auth.js');
+
+const wallet = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+
+const fields = {
+  domain: 'challenge.example',
+  uri: 'http://challenge.example',
+  address: wallet.address,
+  chainId: 31337,
+  nonce: '0123456789abcdef0123456789abcdef',
+  issuedAt: '2026-01-01T00:00:00.000Z',
+  expirationTime: '2026-01-01T00:05:00.000Z'
+};
+
+const rejects = (promise, status, message) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof AuthError);
+  assert.equal(error.status, status);
+  assert.equal(error.message, message);
+  return true;
+});
+
+describe('wallet-auth', function() {
+  describe('buildSignInMessage', function() {
+    it('lays out an EIP-4361 message', function() {
+      assert.equal(buildSignInMessage(fields), [
+        'challenge.example wants you to sign in with your Ethereum account:',
+        wallet.address,
+        '',
+        'Link a Strava account to this wallet for Strava Challenge.',
+        '',
+        'URI: http://challenge.example',
+        'Version: 1',
+        'Chain ID: 31337',
+        'Nonce: 0123456789abcdef0123456789abcdef',
+        'Issued At: 2026-01-01T00:00:00.000Z',
+        'Expiration Time: 2026-01-01T00:05:00.000Z'
+      ].join('\n'));
+    });
+  });
+
+  describe('verifySignIn', function() {
+    const message = buildSignInMessage(fields);
+
+    it('rejects messages without an address or nonce', async function() {
+      for (const malformed of [
+        undefined,
+        'hello',
+        message.replace(wallet.address, 'not-an-address'),
+        message.replace(/^Nonce: .*$/m, 'Nonce: ')
+      ]) {
+        await rejects(verifySignIn(malformed, await wallet.signMessage(String(malformed))), 400, 'Malformed sign-in message');
+      }
+    });
+
+    it('rejects a malformed signature', async function() {
+      await rejects(verifySignIn(message, '0x1234'), 400, 'Invalid signature format');
+    });
+
+    it('rejects a message signed by another wallet', async function() {
+      await rejects(verifySignIn(message, await stranger.signMessage(message)), 401, 'Signature does not match wallet address');
+    });
+  });
+});
+
+// CI provides a database; a skipped suite there would hide failures
+it('has a test database in CI', { skip: !process.env.CI }, function() {
+  assert.ok(TEST_DATABASE_URL, 'TEST_DATABASE_URL must be set in CI');
+});
+
+describe('wallet-auth (database)', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL not set' }, function() {
+  const NOT_ISSUED = 'Sign-in message was not issued by this oracle, has expired or was already used';
+
+  before(async function() {
+    await db.setupDatabase();
+  });
+
+  after(async function() {
+    await db.query('DELETE FROM auth_nonces WHERE wallet_address = $1', [wallet.address.toLowerCase()]);
+    await db.pool.end();
+  });
+
+  it('issues a message for the configured domain and chain', async function() {
+    const request = await createSignInRequest(wallet.address.toLowerCase());
+
+    assert.equal(request.walletAddress, wallet.address);
+    assert.match(request.message, /^challenge\.example wants you to sign in/);
+    assert.match(request.message, /^URI: http:\/\/challenge\.example$/m);
+    assert.match(request.message, /^Chain ID: 31337$/m);
+    assert.match(request.message, new RegExp(`^Nonce: ${request.nonce}$`, 'm'));
+  });
+
+  it('signs in once with the issued message', async function() {
+    const { message } = await createSignInRequest(wallet.address);
+    const signature = await wallet.signMessage(message);
+
+    assert.equal(await verifySignIn(message, signature), wallet.address.toLowerCase());
+    await rejects(verifySignIn(message, signature), 401, NOT_ISSUED);
+  });
+
+  it('rejects an issued message signed with another domain, chain or nonce', async function() {
+    const { message } = await createSignInRequest(wallet.address);
+    const other = await createSignInRequest(wallet.address);
+
+    for (const edited of [
+      message.replace('challenge.example wants', 'evil.example wants'),
+      message.replace('Chain ID: 31337', 'Chain ID: 1'),
+      message.replace(/^Nonce: \w+$/m, `Nonce: ${other.nonce}`)
+    ]) {
+      assert.notEqual(edited, message);
+      await rejects(verifySignIn(edited, await wallet.signMessage(edited)), 401, NOT_ISSUED);
+    }
+
+    // Neither nonce was used up by the rejected attempts
+    assert.equal(await verifySignIn(message, await wallet.signMessage(message)), wallet.address.toLowerCase());
+    assert.equal(await verifySignIn(other.message, await wallet.signMessage(other.message)), wallet.address.toLowerCase());
+  });
+
+  it('rejects an expired message', async function() {
+    const { nonce, message } = await createSignInRequest(wallet.address);
+    await db.query(
+      `UPDATE auth_nonces SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE nonce = $1`,
+      [nonce]
+    );
+
+    await rejects(verifySignIn(message, await wallet.signMessage(message)), 401, NOT_ISSUED);
+  });
+
+  it('rejects a nonce issued for another purpose', async function() {
+    const { nonce, message } = await createSignInRequest(wallet.address);
+    await db.query(`UPDATE auth_nonces SET purpose = 'oauth_state' WHERE nonce = $1`, [nonce]);
+
+    await rejects(verifySignIn(message, await wallet.signMessage(message)), 401, NOT_ISSUED);
+  });
+});
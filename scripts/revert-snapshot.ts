@@ -0,0 +1,26 @@
+import { network } from "hardhat";
+
+// Snapshot ID returned by scripts/snapshot.ts
+const snapshotId = process.env.SNAPSHOT_ID;
+
+if (!snapshotId) {
+  console.error("Usage: SNAPSHOT_ID=0x1 npx hardhat run scripts/revert-snapshot.ts --network localhost");
+  process.exit(1);
+}
+
+const { ethers } = await network.connect();
+
+const reverted = await ethers.provider.send("evm_revert", [snapshotId]);
+
+if (!reverted) {
+  console.error(`Snapshot ${snapshotId} not found (snapshots can only be reverted once)`);
+  process.exit(1);
+}
+
+// Mine a block so the reverted chain has a new head with a different hash
+await ethers.provider.send("evm_mine", []);
+
+const block = await ethers.provider.getBlock("latest");
+
+console.log(`✓ Reverted to snapshot ${snapshotId}`);
+console.log(`New head: block #${block!.number} (${block!.hash})`);
@@ -0,0 +1,12 @@
+import { network } from "hardhat";
+
+const { ethers } = await network.connect();
+
+// Take a snapshot of the current chain state so it can be reverted later
+const snapshotId = await ethers.provider.send("evm_snapshot", []);
+
+const block = await ethers.provider.getBlock("latest");
+
+console.log(`✓ Snapshot taken at block #${block!.number} (${block!.hash})`);
+console.log(`Snapshot ID: ${snapshotId}`);
+console.log(`\nRevert with: SNAPSHOT_ID=${snapshotId} npx hardhat run scripts/revert-snapshot.ts --network localhost`);
@@ -855,4 +855,192 @@ describe("StravaChallenge", function() {
         .withArgs(challengeId, participant2.address, stakeAmount);
     });
   });
+
+  describe("Split Prize Claims", function() {
+    let timestamp: number;
+    const dataHash = ethers.keccak256(ethers.toUtf8Bytes("test-data"));
+
+    async function signSplit(winners: string[], sharesBps: number[], signer: Signer = oracle) {
+      const messageHash = ethers.keccak256(
+        ethers.solidityPacked(
+          ["string", "uint256", "address[]", "uint256[]", "bytes32", "uint256"],
+          ["FINALIZE_CHALLENGE_SPLIT_", challengeId, winners, sharesBps, dataHash, timestamp]
+        )
+      );
+      return signer.signMessage(ethers.getBytes(messageHash));
+    }
+
+    beforeEach(async function() {
+      challengeId = await stravaChallenge.connect(creator).createChallenge.staticCall(
+        startTime,
+        endTime,
+        stakeAmount,
+        allowedAddresses
+      );
+      await stravaChallenge.connect(creator).createChallenge(
+        startTime,
+        endTime,
+        stakeAmount,
+        allowedAddresses
+      );
+
+      await stravaChallenge.connect(creator).joinChallenge(challengeId, "strava_creator", {
+        value: stakeAmount
+      });
+      await stravaChallenge.connect(participant1).joinChallenge(challengeId, "strava123", {
+        value: stakeAmount
+      });
+      await stravaChallenge.connect(participant2).joinChallenge(challengeId, "strava456", {
+        value: stakeAmount
+      });
+
+      // Move time past end time (into grace period)
+      await ethers.provider.send("evm_setNextBlockTimestamp", [endTime + 1]);
+      await ethers.provider.send("evm_mine", []);
+
+      const currentBlock = await ethers.provider.getBlock('latest');
+      timestamp = currentBlock!.timestamp;
+    });
+
+    it("Should pay each winner their share and complete the challenge", async function() {
+      const winners = [participant1.address, participant2.address, creator.address];
+      const sharesBps = [6000, 3000, 1000];
+      const signature = await signSplit(winners, sharesBps);
+
+      const prize = stakeAmount * 3n;
+      const balance2Before = await ethers.provider.getBalance(participant2.address);
+      const balanceCreatorBefore = await ethers.provider.getBalance(creator.address);
+
+      await expect(
+        stravaChallenge.connect(participant1).claimPrizeSplitWithSignature(
+          challengeId, winners, sharesBps, dataHash, timestamp, signature
+        )
+      ).to.emit(stravaChallenge, "ChallengeFinalized")
+        .withArgs(challengeId, participant1.address, dataHash, prize);
+
+      // Winners who didn't send the transaction are paid without spending gas
+      expect(await ethers.provider.getBalance(participant2.address))
+        .to.equal(balance2Before + (prize * 3000n) / 10000n);
+      expect(await ethers.provider.getBalance(creator.address))
+        .to.equal(balanceCreatorBefore + (prize * 1000n) / 10000n);
+
+      const challenge = await stravaChallenge.challenges(challengeId);
+      expect(challenge.state).to.equal(4); // COMPLETED
+      expect(challenge.winner).to.equal(participant1.address);
+      expect(challenge.finalDataHash).to.equal(dataHash);
+      expect(challenge.totalStaked).to.equal(0);
+    });
+
+    it("Should allow a shared win with equal shares", async function() {
+      const winners = [participant1.address, participant2.address];
+      const sharesBps = [5000, 5000];
+      const signature = await signSplit(winners, sharesBps);
+
+      await expect(
+        stravaChallenge.connect(participant2).claimPrizeSplitWithSignature(
+          challengeId, winners, sharesBps, dataHash, timestamp, signature
+        )
+      ).to.emit(stravaChallenge, "PrizeClaimed")
+        .withArgs(challengeId, participant2.address, (stakeAmount * 3n) / 2n);
+    });
+
+    it("Should revert if the caller is not one of the winners", async function() {
+      const winners = [participant1.address, participant2.address];
+      const sharesBps = [5000, 5000];
+      const signature = await signSplit(winners, sharesBps);
+
+      await expect(
+        stravaChallenge.connect(creator).claimPrizeSplitWithSignature(
+          challengeId, winners, sharesBps, dataHash, timestamp, signature
+        )
+      ).to.be.revertedWith("Caller must be a winner");
+    });
+
+    it("Should revert if shares do not total 10000 bps", async function() {
+      const winners = [participant1.address, participant2.address];
+      const sharesBps = [6000, 3000];
+      const signature = await signSplit(winners, sharesBps);
+
+      await expect(
+        stravaChallenge.connect(participant1).claimPrizeSplitWithSignature(
+          challengeId, winners, sharesBps, dataHash, timestamp, signature
+        )
+      ).to.be.revertedWith("Shares must total 10000 bps");
+    });
+
+    it("Should revert if winners and shares lengths differ", async function() {
+      const winners = [participant1.address, participant2.address];
+      const sharesBps = [10000];
+      const signature = await signSplit(winners, sharesBps);
+
+      await expect(
+        stravaChallenge.connect(participant1).claimPrizeSplitWithSignature(
+          challengeId, winners, sharesBps, dataHash, timestamp, signature
+        )
+      ).to.be.revertedWith("Winners and shares length mismatch");
+    });
+
+    it("Should revert if a winner is listed twice", async function() {
+      const winners = [participant1.address, participant1.address];
+      const sharesBps = [5000, 5000];
+      const signature = await signSplit(winners, sharesBps);
+
+      await expect(
+        stravaChallenge.connect(participant1).claimPrizeSplitWithSignature(
+          challengeId, winners, sharesBps, dataHash, timestamp, signature
+        )
+      ).to.be.revertedWith("Duplicate winner");
+    });
+
+    it("Should revert if a winner did not join", async function() {
+      const winners = [participant1.address, participant3.address];
+      const sharesBps = [5000, 5000];
+      const signature = await signSplit(winners, sharesBps);
+
+      await expect(
+        stravaChallenge.connect(participant1).claimPrizeSplitWithSignature(
+          challengeId, winners, sharesBps, dataHash, timestamp, signature
+        )
+      ).to.be.revertedWith("Winner not a participant");
+    });
+
+    it("Should revert if the shares differ from what the oracle signed", async function() {
+      const winners = [participant1.address, participant2.address];
+      const signature = await signSplit(winners, [5000, 5000]);
+
+      await expect(
+        stravaChallenge.connect(participant1).claimPrizeSplitWithSignature(
+          challengeId, winners, [9000, 1000], dataHash, timestamp, signature
+        )
+      ).to.be.revertedWith("Invalid oracle signature");
+    });
+
+    it("Should revert if not signed by the oracle", async function() {
+      const winners = [participant1.address, participant2.address];
+      const sharesBps = [5000, 5000];
+      const signature = await signSplit(winners, sharesBps, participant1);
+
+      await expect(
+        stravaChallenge.connect(participant1).claimPrizeSplitWithSignature(
+          challengeId, winners, sharesBps, dataHash, timestamp, signature
+        )
+      ).to.be.revertedWith("Invalid oracle signature");
+    });
+
+    it("Should revert once the prize has been claimed", async function() {
+      const winners = [participant1.address, participant2.address];
+      const sharesBps = [5000, 5000];
+      const signature = await signSplit(winners, sharesBps);
+
+      await stravaChallenge.connect(participant1).claimPrizeSplitWithSignature(
+        challengeId, winners, sharesBps, dataHash, timestamp, signature
+      );
+
+      await expect(
+        stravaChallenge.connect(participant2).claimPrizeSplitWithSignature(
+          challengeId, winners, sharesBps, dataHash, timestamp, signature
+        )
+      ).to.be.revertedWith("Challenge not in grace period");
+    });
+  });
 });